@@ -0,0 +1,302 @@
+// ======================= Imports & Setup =======================
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+require('./models');
+const { requireAuth, requireRole, isOwner, forbidden } = require('./authMiddleware');
+const { serverError } = require('./logger');
+const { typeOf, toBool, resolveChoiceIndex } = require('./questionTypes');
+
+// ======================= Models ================================
+const Quiz = mongoose.model('Quiz');
+const Attempt = mongoose.model('Attempt');
+
+// Share of students in the top and bottom groups for the discrimination index
+const DISCRIMINATION_GROUP = 0.27;
+const CHOICE_TYPES = ['multiple_choice', 'multi_select', 'true_false', 'ordering'];
+
+// ======================= Pipeline Helpers ======================
+// Percentage score of a submitted attempt, 0 when nothing was gradable
+const PCT = {
+  $cond: [
+    { $gt: ['$maxScore', 0] },
+    { $multiply: [{ $divide: ['$score', '$maxScore'] }, 100] },
+    0
+  ]
+};
+
+// Attempts are matched to students by lowercased email; attempts saved before
+// emails were lowercased may hold capitals
+const EMAIL = { $toLower: '$email' };
+
+function lowerEmails(list) {
+  return Array.from(new Set((Array.isArray(list) ? list : []).map(e => String(e).trim().toLowerCase())));
+}
+
+// Per-question correctness for a group of attempts (already matched/sorted/limited)
+const PER_QUESTION = [
+  { $unwind: '$results' },
+  {
+    $group: {
+      _id: '$results.questionId',
+      attempts: { $sum: 1 },
+      answered: { $sum: { $cond: ['$results.answered', 1, 0] } },
+      correct: { $sum: { $cond: ['$results.correct', 1, 0] } },
+      points: { $sum: '$results.points' },
+      maxPoints: { $sum: '$results.maxPoints' }
+    }
+  }
+];
+
+// Each student's latest submitted attempt, so retakes are not counted twice
+function latestSubmitted(match) {
+  return [
+    { $match: Object.assign({ submitted: true }, match) },
+    { $sort: { attemptNumber: -1 } },
+    { $group: { _id: { quizId: '$quizId', email: EMAIL }, doc: { $first: '$$ROOT' } } },
+    { $replaceRoot: { newRoot: '$doc' } }
+  ];
+}
+
+function round(n, digits = 2) {
+  const f = Math.pow(10, digits);
+  return Math.round(n * f) / f;
+}
+
+// Students a quiz is assigned to: its allowedStudents, else the course roster
+async function assignedStudents(quiz) {
+  if (Array.isArray(quiz.allowedStudents) && quiz.allowedStudents.length) return lowerEmails(quiz.allowedStudents);
+  if (!quiz.courseId) return [];
+  const course = await mongoose.model('Course').findById(quiz.courseId).select('students').lean().catch(() => null);
+  return course ? lowerEmails(course.students) : [];
+}
+
+function questionKeyMap(questions) {
+  // Answers are keyed by question id or by position (q1, q2...), see grading.js
+  const map = new Map();
+  questions.forEach((q, i) => {
+    map.set('q' + (i + 1), q);
+    if (q.id != null) map.set(String(q.id), q);
+  });
+  return map;
+}
+
+// ======================= Quiz Analytics ========================
+async function quizAnalytics(quiz) {
+  const questions = (quiz.finalizedJson && Array.isArray(quiz.finalizedJson.questions)) ? quiz.finalizedJson.questions : [];
+  const latest = latestSubmitted({ quizId: quiz.id });
+
+  const [summary] = await Attempt.aggregate([
+    { $match: { quizId: quiz.id } },
+    {
+      $facet: {
+        started: [{ $group: { _id: EMAIL } }, { $count: 'n' }],
+        submitted: latest.concat([
+          { $project: { pct: PCT } },
+          { $group: { _id: null, n: { $sum: 1 }, average: { $avg: '$pct' }, min: { $min: '$pct' }, max: { $max: '$pct' } } }
+        ]),
+        distribution: latest.concat([
+          { $project: { pct: PCT } },
+          { $bucket: { groupBy: '$pct', boundaries: [0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 100.0001], default: 'other', output: { count: { $sum: 1 } } } }
+        ])
+      }
+    }
+  ]);
+  const started = summary.started[0] ? summary.started[0].n : 0;
+  const stats = summary.submitted[0] || { n: 0, average: null, min: null, max: null };
+  const n = stats.n;
+
+  // Median: sort by percentage and read the middle one or two
+  let median = null;
+  if (n > 0) {
+    const middle = await Attempt.aggregate(latest.concat([
+      { $project: { pct: PCT } },
+      { $sort: { pct: 1 } },
+      { $skip: Math.floor((n - 1) / 2) },
+      { $limit: n % 2 ? 1 : 2 }
+    ]));
+    median = middle.reduce((sum, m) => sum + m.pct, 0) / middle.length;
+  }
+
+  // Item statistics for everyone plus the top/bottom groups
+  const k = Math.max(1, Math.round(n * DISCRIMINATION_GROUP));
+  const [items] = n ? await Attempt.aggregate(latest.concat([
+    { $project: { results: 1, answers: 1, pct: PCT } },
+    {
+      $facet: {
+        all: PER_QUESTION,
+        lower: [{ $sort: { pct: 1 } }, { $limit: k }].concat(PER_QUESTION),
+        upper: [{ $sort: { pct: -1 } }, { $limit: k }].concat(PER_QUESTION),
+        selections: [
+          { $project: { answers: { $objectToArray: { $ifNull: ['$answers', {}] } } } },
+          { $unwind: '$answers' },
+          { $group: { _id: { key: '$answers.k', value: '$answers.v' }, count: { $sum: 1 } } }
+        ]
+      }
+    }
+  ])) : [{ all: [], lower: [], upper: [], selections: [] }];
+
+  const byId = list => new Map(list.map(r => [String(r._id), r]));
+  const all = byId(items.all), lower = byId(items.lower), upper = byId(items.upper);
+  const keys = questionKeyMap(questions);
+
+  // Distractor counts: how often each option was picked. Shuffled options
+  // mean indexes differ per student, so those quizzes get no distractor counts.
+  const shuffled = !!(quiz.finalizedJson && quiz.finalizedJson.shuffleOptions);
+  const selections = new Map();
+  for (const s of shuffled ? [] : items.selections) {
+    const q = keys.get(String(s._id.key));
+    if (!q || !CHOICE_TYPES.includes(typeOf(q)) || typeOf(q) === 'ordering') continue;
+    const id = q.id != null ? String(q.id) : s._id.key;
+    if (!selections.has(id)) selections.set(id, {});
+    const counts = selections.get(id);
+    const values = Array.isArray(s._id.value) ? s._id.value : [s._id.value];
+    for (const v of values) {
+      let idx = typeOf(q) === 'true_false' ? trueFalseIndex(v) : resolveChoiceIndex(q, v);
+      if (idx < 0) idx = 'other';
+      counts[idx] = (counts[idx] || 0) + s.count;
+    }
+  }
+
+  const rate = (r) => r && r.attempts ? r.correct / r.attempts : 0;
+  const questionStats = questions.map((q, i) => {
+    const id = q.id != null ? String(q.id) : 'q' + (i + 1);
+    const r = all.get(id);
+    const counts = selections.get(id) || {};
+    const options = Array.isArray(q.options) ? q.options : (typeOf(q) === 'true_false' ? ['True', 'False'] : null);
+    return {
+      questionId: id,
+      type: typeOf(q),
+      question: q.question,
+      attempts: r ? r.attempts : 0,
+      answered: r ? r.answered : 0,
+      percentCorrect: r ? round(100 * rate(r)) : null,
+      averagePoints: r && r.attempts ? round(r.points / r.attempts) : null,
+      // Upper-group minus lower-group proportion correct (-1..1); needs at least 2 submissions
+      discrimination: n >= 2 ? round(rate(upper.get(id)) - rate(lower.get(id))) : null,
+      distractors: !shuffled && options && CHOICE_TYPES.includes(typeOf(q)) && typeOf(q) !== 'ordering'
+        ? options.map((text, idx) => ({ index: idx, text, count: counts[idx] || 0, correct: isCorrectOption(q, idx) })).concat(counts.other ? [{ index: null, text: 'other', count: counts.other, correct: false }] : [])
+        : null
+    };
+  });
+
+  const assigned = await assignedStudents(quiz);
+  return {
+    quizId: quiz.id,
+    title: quiz.finalizedJson && quiz.finalizedJson.title,
+    assigned: assigned.length,
+    started,
+    submitted: n,
+    completionRate: assigned.length ? round(100 * n / assigned.length) : null,
+    average: stats.average != null ? round(stats.average) : null,
+    median: median != null ? round(median) : null,
+    min: stats.min != null ? round(stats.min) : null,
+    max: stats.max != null ? round(stats.max) : null,
+    distribution: summary.distribution.map(b => ({
+      from: b._id === 'other' ? null : b._id,
+      to: b._id === 'other' ? null : Math.min(100, b._id + 10),
+      count: b.count
+    })),
+    questions: questionStats
+  };
+}
+
+// True/False answers may arrive as booleans, words or the option index
+function trueFalseIndex(v) {
+  const b = toBool(v);
+  if (b !== null) return b ? 0 : 1;
+  return [0, 1].includes(Number(v)) ? Number(v) : -1;
+}
+
+function isCorrectOption(q, idx) {
+  const type = typeOf(q);
+  if (type === 'multi_select') return Array.isArray(q.correctAnswers) && q.correctAnswers.includes(idx);
+  if (type === 'true_false') return (idx === 0) === (toBool(q.correctAnswer) === true);
+  return Number(q.correctAnswer) === idx;
+}
+
+// ======================= Course Analytics ======================
+// Least-squares slope of the percentages in submission order (points per quiz)
+function slope(values) {
+  const n = values.length;
+  if (n < 2) return null;
+  const meanX = (n - 1) / 2;
+  const meanY = values.reduce((a, b) => a + b, 0) / n;
+  let num = 0, den = 0;
+  values.forEach((y, x) => { num += (x - meanX) * (y - meanY); den += (x - meanX) * (x - meanX); });
+  return den ? num / den : null;
+}
+
+async function courseAnalytics(course) {
+  // Drafts are not given to students yet (as in student.js)
+  const quizzes = await Quiz.find({ courseId: String(course._id), status: { $ne: 'draft' } }).select('id finalizedJson.title allowedStudents createdAt').sort({ createdAt: 1 }).lean();
+  const quizIds = quizzes.map(q => q.id);
+  const roster = lowerEmails(course.students);
+
+  const [perStudent, startedByQuiz] = await Promise.all([
+    Attempt.aggregate(latestSubmitted({ quizId: { $in: quizIds } }).concat([
+      { $project: { email: EMAIL, quizId: 1, submittedAt: 1, pct: PCT } },
+      { $sort: { submittedAt: 1 } },
+      { $group: { _id: '$email', average: { $avg: '$pct' }, scores: { $push: { quizId: '$quizId', percent: '$pct', submittedAt: '$submittedAt' } } } },
+      { $sort: { _id: 1 } }
+    ])),
+    Attempt.aggregate([
+      { $match: { quizId: { $in: quizIds } } },
+      { $group: { _id: '$quizId', emails: { $addToSet: EMAIL } } }
+    ])
+  ]);
+
+  const startedMap = new Map(startedByQuiz.map(s => [s._id, new Set(s.emails)]));
+  const notStarted = quizzes.map(q => {
+    const assigned = Array.isArray(q.allowedStudents) && q.allowedStudents.length ? lowerEmails(q.allowedStudents) : roster;
+    const started = startedMap.get(q.id) || new Set();
+    return { quizId: q.id, title: q.finalizedJson && q.finalizedJson.title, students: assigned.filter(e => !started.has(e)) };
+  }).filter(q => q.students.length);
+
+  const seen = new Set(perStudent.map(s => s._id));
+  const students = perStudent.map(s => ({
+    email: s._id,
+    quizzesSubmitted: s.scores.length,
+    average: round(s.average),
+    trend: s.scores.length >= 2 ? round(slope(s.scores.map(x => x.percent))) : null,
+    scores: s.scores.map(x => ({ quizId: x.quizId, percent: round(x.percent), submittedAt: x.submittedAt }))
+  })).concat(roster.filter(e => !seen.has(e)).map(email => ({ email, quizzesSubmitted: 0, average: null, trend: null, scores: [] })));
+
+  return {
+    courseId: String(course._id),
+    name: course.name,
+    quizzes: quizzes.map(q => ({ quizId: q.id, title: q.finalizedJson && q.finalizedJson.title, createdAt: q.createdAt })),
+    students,
+    notStarted
+  };
+}
+
+// ======================= Endpoints =============================
+
+// Score distribution, summary stats and item analysis for one quiz
+router.get('/api/quizzes/:id/analytics', requireAuth, requireRole('teacher'), async (req, res) => {
+  try {
+    const quiz = await Quiz.findOne({ id: req.params.id }).lean();
+    if (!quiz) return res.status(404).json({ ok: false, error: 'quiz not found' });
+    if (!isOwner(req.user, quiz.teacherId)) return forbidden(res);
+    res.json({ ok: true, analytics: await quizAnalytics(quiz) });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// Per-student trends and not-started students across a course's quizzes
+router.get('/api/courses/:id/analytics', requireAuth, requireRole('teacher'), async (req, res) => {
+  try {
+    const course = await mongoose.model('Course').findById(req.params.id).lean().catch(() => null);
+    if (!course) return res.status(404).json({ ok: false, error: 'course not found' });
+    if (!isOwner(req.user, course.teacherId)) return forbidden(res);
+    res.json({ ok: true, analytics: await courseAnalytics(course) });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+module.exports = router;
+module.exports.quizAnalytics = quizAnalytics;
+module.exports.courseAnalytics = courseAnalytics;
@@ -2,54 +2,387 @@ const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const { AuthToken } = require('./models');
+const { JWT_SECRET, requireAuth } = require('./authMiddleware');
+const { log, serverError } = require('./logger');
+const { sendMail } = require('./mailer');
+const ROLES = ['teacher', 'student'];
 const UserSchema = new mongoose.Schema({
-  email: { type: String, required: true, unique: true },
-  password: { type: String, required: true }
+  name: { type: String },
+  // Stored lowercase; rosters and quiz student lists are matched on it
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  // Invited students have no password until they complete signup
+  password: { type: String },
+  role: { type: String, enum: ROLES, default: 'teacher' },
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  school: { type: String },
+  emailVerifiedAt: Date,
+  // Lockout after repeated failed logins
+  failedLogins: { type: Number, default: 0 },
+  lockedUntil: Date,
+  passwordChangedAt: Date,
+  // Per-teacher AI token quotas; unset uses the AI_*_TOKEN_QUOTA defaults, 0 is unlimited (see usage.js)
+  aiQuota: { dailyTokens: Number, monthlyTokens: Number },
+  createdAt: { type: Date, default: Date.now }
 });
 const User = mongoose.model('User', UserSchema);
 
+// ======================= Settings ==============================
+// ACCESS_TOKEN_TTL is a jsonwebtoken duration ("1h", "15m"); the others are numbers
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '1h';
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+const VERIFY_TOKEN_HOURS = 24;
+const RESET_TOKEN_MINUTES = 60;
+const INVITE_TOKEN_DAYS = 14;
+const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+const LOGIN_LOCK_MINUTES = Number(process.env.LOGIN_LOCK_MINUTES) || 15;
+const MIN_PASSWORD_LENGTH = 8;
+// Links in emails point at the frontend
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+// ======================= Helpers ===============================
+function publicUser(user) {
+  return { _id: user._id, name: user.name, email: user.email, role: user.role || 'teacher', school: user.school, emailVerified: !!user.emailVerifiedAt };
+}
+
+function normalizeEmail(v) {
+  return typeof v === 'string' ? v.trim().toLowerCase() : '';
+}
+
+// Accounts from before emails were stored lowercase may still have capitals
+function findByEmail(email) {
+  return User.findOne({ email }).collation({ locale: 'en', strength: 2 });
+}
+
+function isLocked(user, now = new Date()) {
+  return !!(user.lockedUntil && user.lockedUntil > now);
+}
+
+// The lock to set after a failed login brought the count to failedLogins, or null
+function lockAfterFailures(failedLogins, now = new Date()) {
+  if (failedLogins < LOGIN_MAX_FAILURES) return null;
+  return { failedLogins: 0, lockedUntil: new Date(now.getTime() + LOGIN_LOCK_MINUTES * 60 * 1000) };
+}
+
+function passwordError(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) return `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+  return null;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Stores the hash and returns the token itself, which only the user gets
+async function issueToken(user, type, ttlMs) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await AuthToken.create({ userId: String(user._id), type, tokenHash: hashToken(token), expiresAt: new Date(Date.now() + ttlMs) });
+  return token;
+}
+
+// Marks a valid token used and returns it, or null when it is unknown,
+// expired, revoked or already used. The update is atomic, so a token can
+// only ever be consumed once.
+function consumeToken(token, type) {
+  if (!token || typeof token !== 'string') return Promise.resolve(null);
+  return AuthToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), type, usedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  ).lean();
+}
+
+function revokeTokens(userId, type, except) {
+  const filter = { userId: String(userId), type, usedAt: null, revokedAt: null };
+  if (except) filter.tokenHash = { $ne: hashToken(except) };
+  return AuthToken.updateMany(filter, { $set: { revokedAt: new Date() } });
+}
+
+// Short-lived access token plus a single-use refresh token
+async function issueSession(user) {
+  const token = jwt.sign({ email: user.email, id: user._id, role: user.role || 'teacher' }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+  const refreshToken = await issueToken(user, 'refresh', REFRESH_TOKEN_DAYS * 24 * 3600 * 1000);
+  return { token, refreshToken };
+}
+
+async function sendVerificationEmail(user) {
+  await revokeTokens(user._id, 'verify_email');
+  const token = await issueToken(user, 'verify_email', VERIFY_TOKEN_HOURS * 3600 * 1000);
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: `Hi ${user.name || ''},\n\nConfirm your email address by opening this link within ${VERIFY_TOKEN_HOURS} hours:\n\n${APP_URL}/verify-email?token=${token}\n\nIf you did not create an account, ignore this email.\n`
+  });
+}
+
+async function sendResetEmail(user) {
+  await revokeTokens(user._id, 'reset_password');
+  const token = await issueToken(user, 'reset_password', RESET_TOKEN_MINUTES * 60 * 1000);
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name || ''},\n\nSomeone asked to reset the password for this account. Choose a new password within ${RESET_TOKEN_MINUTES} minutes:\n\n${APP_URL}/reset-password?token=${token}\n\nIf it was not you, ignore this email; your password stays the same.\n`
+  });
+}
+
+// The link is the only way to claim the pending account, so it goes to the
+// invited address alone; a new invite replaces the previous link
+async function sendInviteEmail(user, courseName) {
+  await revokeTokens(user._id, 'invite');
+  const token = await issueToken(user, 'invite', INVITE_TOKEN_DAYS * 24 * 3600 * 1000);
+  await sendMail({
+    to: user.email,
+    subject: courseName ? `You are invited to ${courseName}` : 'You are invited',
+    text: `Hi ${user.name || ''},\n\nYour teacher added you${courseName ? ` to ${courseName}` : ''}. Set up your account within ${INVITE_TOKEN_DAYS} days:\n\n${APP_URL}/signup?invite=${token}\n\nIf you were not expecting this, ignore this email.\n`
+  });
+}
+
+// Sets a new password, clears any lockout and signs out every session
+async function setPassword(user, password) {
+  user.password = await bcrypt.hash(password, 10);
+  user.passwordChangedAt = new Date();
+  user.failedLogins = 0;
+  user.lockedUntil = undefined;
+  await user.save();
+  await revokeTokens(user._id, 'refresh');
+}
+
+// ======================= Signup & Login ========================
+
 // Register endpoint
 router.post('/api/signup', async (req, res) => {
   try {
-    const { name ,email, password } = req.body;
+    const { name, password } = req.body;
+    const email = normalizeEmail(req.body.email);
+    const role = req.body.role || 'teacher';
     if (!name || !email || !password) {
-      return res.status(400).json({ ok: false, error: 'Email and password required.' });
+      return res.status(400).json({ ok: false, error: 'Name, email and password required.' });
     }
-    const existing = await User.findOne({ email });
-    if (existing) {
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ ok: false, error: 'Invalid role.' });
+    }
+    const weak = passwordError(password);
+    if (weak) return res.status(400).json({ ok: false, error: weak });
+    const existing = await findByEmail(email);
+    if (existing && (existing.password || role !== 'student' || existing.role !== 'student')) {
       return res.status(400).json({ ok: false, error: 'User already exists.' });
     }
+    // An invited student claims their pending account with the token from the
+    // invitation email, which also proves they own the address
+    if (existing) {
+      const invite = await consumeToken(req.body.inviteToken, 'invite');
+      if (!invite || invite.userId !== String(existing._id)) {
+        return res.status(400).json({ ok: false, error: 'This email has a pending invitation. Use the link in the invitation email to sign up.', code: 'invite_required' });
+      }
+      existing.emailVerifiedAt = new Date();
+    }
     const hash = await bcrypt.hash(password, 10);
-    const user = new User({ name, email, password: hash });
+    const user = existing || new User({ email, role });
+    user.name = name;
+    user.password = hash;
+    if (req.body.school !== undefined) user.school = String(req.body.school);
     await user.save();
-    res.json({ ok: true, user: { email: user.email } });
+    // Signup succeeds even when the mail cannot be sent; the user can ask again
+    if (!user.emailVerifiedAt) await sendVerificationEmail(user).catch(err => log.error('verification email failed', { userId: String(user._id), error: err.message }));
+    res.json({ ok: true, user: publicUser(user) });
   } catch (err) {
-    res.status(500).json({ ok: false, error: err.message });
+    serverError(res, err);
   }
 });
 
-// Login endpoint
+// Login endpoint. LOGIN_MAX_FAILURES wrong passwords in a row lock the
+// account for LOGIN_LOCK_MINUTES; a password reset unlocks it.
 router.post('/api/login', async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { password } = req.body;
+    const email = normalizeEmail(req.body.email);
     if (!email || !password) {
       return res.status(400).json({ ok: false, error: 'Email and password required.' });
     }
-    const user = await User.findOne({ email });
+    const user = await findByEmail(email);
     if (!user) {
       return res.status(400).json({ ok: false, error: 'User not found.' });
     }
+    if (!user.password) {
+      return res.status(400).json({ ok: false, error: 'Account not activated. Sign up to set a password.' });
+    }
+    if (isLocked(user)) {
+      return res.status(423).json({ ok: false, error: 'Too many failed logins. Try again later or reset your password.', lockedUntil: user.lockedUntil });
+    }
     const match = await bcrypt.compare(password, user.password);
     if (!match) {
+      // Counted atomically so parallel guesses cannot slip past the limit
+      const failed = await User.findOneAndUpdate({ _id: user._id }, { $inc: { failedLogins: 1 } }, { new: true });
+      const lock = lockAfterFailures(failed.failedLogins);
+      if (lock) await User.updateOne({ _id: user._id }, { $set: lock });
       return res.status(400).json({ ok: false, error: 'Invalid password.' });
     }
-  // Generate JWT token
-  const token = jwt.sign({ email: user.email, id: user._id }, process.env.JWT_SECRET || 'secret', { expiresIn: '1d' });
-  res.json({ ok: true, token, user: { _id: user._id, email: user.email } });
+    if (user.failedLogins || user.lockedUntil) await User.updateOne({ _id: user._id }, { $set: { failedLogins: 0 }, $unset: { lockedUntil: 1 } });
+    const session = await issueSession(user);
+    res.json(Object.assign({ ok: true }, session, { user: publicUser(user) }));
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// ======================= Sessions ==============================
+
+// Trade a refresh token for a new access/refresh pair. Each refresh token
+// works once; presenting a used one again means it leaked, so every session
+// of that user is revoked.
+router.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const refreshToken = req.body && req.body.refreshToken;
+    const record = await consumeToken(refreshToken, 'refresh');
+    if (!record) {
+      const reused = refreshToken && await AuthToken.findOne({ tokenHash: hashToken(refreshToken), type: 'refresh', usedAt: { $ne: null } }).lean();
+      if (reused) await revokeTokens(reused.userId, 'refresh');
+      return res.status(401).json({ ok: false, error: 'invalid refresh token' });
+    }
+    const user = await User.findById(record.userId);
+    if (!user) return res.status(401).json({ ok: false, error: 'invalid refresh token' });
+    const session = await issueSession(user);
+    res.json(Object.assign({ ok: true }, session, { user: publicUser(user) }));
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// Revokes the given refresh token, or all of the user's with { all: true }.
+// Access tokens stay valid until they expire (ACCESS_TOKEN_TTL).
+router.post('/api/logout', requireAuth, async (req, res) => {
+  try {
+    const { refreshToken, all } = req.body || {};
+    if (all) {
+      await revokeTokens(req.user.id, 'refresh');
+    } else if (refreshToken) {
+      await AuthToken.updateOne({ tokenHash: hashToken(refreshToken), type: 'refresh', userId: req.user.id }, { $set: { revokedAt: new Date() } });
+    }
+    res.json({ ok: true });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// ======================= Email Verification ====================
+
+// Send (again) the verification link to the signed-in user
+router.post('/api/auth/verify-email/request', requireAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ ok: false, error: 'user not found' });
+    if (user.emailVerifiedAt) return res.json({ ok: true, alreadyVerified: true });
+    await sendVerificationEmail(user);
+    res.json({ ok: true });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+router.post('/api/auth/verify-email', async (req, res) => {
+  try {
+    const record = await consumeToken(req.body && req.body.token, 'verify_email');
+    if (!record) return res.status(400).json({ ok: false, error: 'link is invalid or has expired' });
+    const user = await User.findById(record.userId);
+    if (!user) return res.status(400).json({ ok: false, error: 'link is invalid or has expired' });
+    if (!user.emailVerifiedAt) {
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+    res.json({ ok: true, user: publicUser(user) });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// ======================= Password Reset ========================
+
+// Always answers ok, so the endpoint does not reveal which emails have accounts
+router.post('/api/auth/forgot-password', async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body && req.body.email);
+    if (!email) return res.status(400).json({ ok: false, error: 'email required' });
+    const user = await findByEmail(email);
+    if (user) await sendResetEmail(user).catch(err => log.error('password reset email failed', { userId: String(user._id), error: err.message }));
+    res.json({ ok: true });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// Reaching the inbox proves the address, so a reset also verifies it
+router.post('/api/auth/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+    const weak = passwordError(password);
+    if (weak) return res.status(400).json({ ok: false, error: weak });
+    const record = await consumeToken(token, 'reset_password');
+    if (!record) return res.status(400).json({ ok: false, error: 'link is invalid or has expired' });
+    const user = await User.findById(record.userId);
+    if (!user) return res.status(400).json({ ok: false, error: 'link is invalid or has expired' });
+    if (!user.emailVerifiedAt) user.emailVerifiedAt = new Date();
+    await setPassword(user, password);
+    res.json({ ok: true });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// ======================= Profile ===============================
+
+router.post('/api/auth/change-password', requireAuth, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+    const weak = passwordError(newPassword);
+    if (weak) return res.status(400).json({ ok: false, error: weak });
+    const user = await User.findById(req.user.id);
+    if (!user || !user.password) return res.status(404).json({ ok: false, error: 'user not found' });
+    if (!currentPassword || !(await bcrypt.compare(String(currentPassword), user.password))) {
+      return res.status(400).json({ ok: false, error: 'Current password is incorrect.' });
+    }
+    await setPassword(user, newPassword);
+    // Other sessions are signed out; this one continues with a fresh pair
+    const session = await issueSession(user);
+    res.json(Object.assign({ ok: true }, session));
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+router.get('/api/me', requireAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ ok: false, error: 'user not found' });
+    res.json({ ok: true, user: publicUser(user) });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// Editable: name, school. Email and role are not changed here.
+router.patch('/api/me', requireAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ ok: false, error: 'user not found' });
+    const body = req.body || {};
+    if (body.name !== undefined) {
+      if (typeof body.name !== 'string' || !body.name.trim()) return res.status(400).json({ ok: false, error: 'name must be a non-empty string' });
+      user.name = body.name.trim();
+    }
+    if (body.school !== undefined) user.school = body.school === null ? undefined : String(body.school).trim();
+    await user.save();
+    res.json({ ok: true, user: publicUser(user) });
   } catch (err) {
-    res.status(500).json({ ok: false, error: err.message });
+    serverError(res, err);
   }
 });
 
 module.exports = router;
+module.exports.sendInviteEmail = sendInviteEmail;
+module.exports.isLocked = isLocked;
+module.exports.lockAfterFailures = lockAfterFailures;
+module.exports.passwordError = passwordError;
+module.exports.hashToken = hashToken;
+module.exports.consumeToken = consumeToken;
@@ -0,0 +1,112 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+const crypto = require('crypto');
+const { log, serverError } = require('./logger');
+
+// Production refuses to start without a secret. In development a random one
+// is used, so tokens stop working when the server restarts.
+function jwtSecret() {
+  if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+  if (process.env.NODE_ENV === 'production') throw new Error('JWT_SECRET must be set in production');
+  log.warn('JWT_SECRET is not set; using a random secret for this process');
+  return crypto.randomBytes(32).toString('hex');
+}
+const JWT_SECRET = jwtSecret();
+
+// ======================= Token Verification ===================
+// Decodes the bearer token and sets req.user = { id, email, role, emailVerified }
+// from the current user record. Missing, expired, forged and revoked tokens
+// all get a 401 in the same shape.
+function requireAuth(req, res, next) {
+  const header = req.get('authorization') || '';
+  const m = header.match(/^Bearer\s+(.+)$/i);
+  return verifyToken(m && m[1].trim(), req, res, next);
+}
+
+// EventSource and image tags cannot set headers, so streaming and file
+// endpoints also accept ?access_token=
+function requireAuthSse(req, res, next) {
+  const header = req.get('authorization') || '';
+  const m = header.match(/^Bearer\s+(.+)$/i);
+  return verifyToken(m ? m[1].trim() : req.query.access_token, req, res, next);
+}
+
+// A password change or reset ends every session: access tokens issued before
+// it are refused. iat has whole seconds, so compare in seconds.
+function issuedBeforePasswordChange(payload, user) {
+  if (!user.passwordChangedAt || !payload.iat) return false;
+  return payload.iat < Math.floor(new Date(user.passwordChangedAt).getTime() / 1000);
+}
+
+async function verifyToken(token, req, res, next) {
+  if (!token) return res.status(401).json({ ok: false, error: 'authentication required' });
+  let payload;
+  try {
+    payload = jwt.verify(String(token), JWT_SECRET);
+  } catch (err) {
+    const error = err && err.name === 'TokenExpiredError' ? 'token expired' : 'invalid token';
+    return res.status(401).json({ ok: false, error });
+  }
+  if (!payload || !payload.id || !mongoose.isValidObjectId(payload.id)) return res.status(401).json({ ok: false, error: 'invalid token' });
+  let user;
+  try {
+    user = await mongoose.model('User').findById(payload.id).select('email role emailVerifiedAt passwordChangedAt').lean();
+  } catch (err) {
+    return serverError(res, err);
+  }
+  if (!user) return res.status(401).json({ ok: false, error: 'invalid token' });
+  if (issuedBeforePasswordChange(payload, user)) return res.status(401).json({ ok: false, error: 'token revoked' });
+  // Accounts from before roles existed belong to teachers
+  req.user = { id: String(user._id), email: user.email, role: user.role || 'teacher', emailVerified: !!user.emailVerifiedAt };
+  next();
+}
+
+// Use after requireAuth: requireRole('teacher') or requireRole('teacher', 'student')
+function requireRole(...roles) {
+  return function (req, res, next) {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ ok: false, error: `${roles.join(' or ')} role required` });
+    }
+    next();
+  };
+}
+
+// ======================= Ownership Helpers ====================
+function isOwner(user, teacherId) {
+  return !!(user && teacherId && String(teacherId) === String(user.id));
+}
+
+// Admins are the verified addresses listed in ADMIN_EMAILS (comma-separated)
+function isAdmin(user) {
+  if (!user || !user.emailVerified || !user.email) return false;
+  const admins = String(process.env.ADMIN_EMAILS || '').split(',').map(e => e.trim().toLowerCase()).filter(Boolean);
+  return admins.includes(String(user.email).toLowerCase());
+}
+
+// Quiz owner always has access. Students need to be in allowedStudents when
+// that list is set, otherwise on the roster of the quiz's course. Quizzes of
+// an archived course are closed to students. A quiz with neither is private
+// to its owner. Roster access goes by email, so only a verified address counts.
+async function canAccessQuiz(user, quiz) {
+  if (!user || !quiz) return false;
+  if (isOwner(user, quiz.teacherId)) return true;
+  if (!user.emailVerified) return false;
+  const course = quiz.courseId
+    ? await mongoose.model('Course').findById(quiz.courseId).select('students status').lean().catch(() => null)
+    : null;
+  if (course && String(course.status || '').toLowerCase() === 'archived') return false;
+  const allowed = Array.isArray(quiz.allowedStudents) ? quiz.allowedStudents : [];
+  // Lists written before emails were lowercased may hold capitals
+  const email = String(user.email || '').toLowerCase();
+  const listed = list => list.some(e => String(e).toLowerCase() === email);
+  if (allowed.length > 0) return listed(allowed);
+  if (!quiz.courseId) return false;
+  return !!(course && Array.isArray(course.students) && listed(course.students));
+}
+
+function forbidden(res, error) {
+  return res.status(403).json({ ok: false, error: error || 'forbidden' });
+}
+
+module.exports = { JWT_SECRET, requireAuth, requireAuthSse, requireRole, isOwner, isAdmin, canAccessQuiz, forbidden, issuedBeforePasswordChange };
@@ -0,0 +1,401 @@
+// ======================= Imports & Setup =======================
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { Chat, ChatThread, Quiz } = require('./models');
+const { callOpenAI, streamComplete, sendError, LLMAbortError } = require('./llm');
+const { requireAuth, requireRole, isOwner, forbidden } = require('./authMiddleware');
+const { log, serverError } = require('./logger');
+const { typeOf } = require('./questionTypes');
+const { quizAnalytics, courseAnalytics } = require('./analytics');
+const { aiGate } = require('./usage');
+
+const SYSTEM_PROMPT = 'You are a helpful AI assistant for teachers.';
+// Rough token budget for everything sent with a threaded request
+const CHAT_CONTEXT_TOKENS = Math.max(1000, parseInt(process.env.CHAT_CONTEXT_TOKENS, 10) || 4000);
+// Share of the budget the attached course/quiz context may use
+const ATTACHMENT_SHARE = 0.4;
+// Newest turns always sent verbatim, even over budget
+const MIN_RECENT_TURNS = 2;
+const MAX_THREAD_MESSAGES = 1000;
+const REPLY_TOKENS = 1000;
+
+// ======================= Helpers ===============================
+function newId(prefix) {
+  return prefix + '_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+// ~4 characters per token is close enough for budgeting
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+function truncateToTokens(text, tokens) {
+  const s = String(text || '');
+  return s.length > tokens * 4 ? s.slice(0, tokens * 4) + '\n[...truncated]' : s;
+}
+
+// Stored roles vary by client; the model only knows user/assistant
+function modelRole(role) {
+  return ['assistant', 'ai', 'bot', 'model'].includes(String(role).toLowerCase()) ? 'assistant' : 'user';
+}
+
+async function loadOwnThread(req, res, id) {
+  const thread = await ChatThread.findOne({ id }).lean();
+  if (!thread) { res.status(404).json({ ok: false, error: 'thread not found' }); return null; }
+  if (!isOwner(req.user, thread.teacherId)) { forbidden(res); return null; }
+  return thread;
+}
+
+// courseId/quizId to attach: must belong to the teacher. '' or null detaches.
+async function parseAttachments(req, res, body) {
+  const fields = {};
+  if (body.courseId !== undefined) {
+    if (body.courseId) {
+      const course = await mongoose.model('Course').findById(body.courseId).select('teacherId').lean().catch(() => null);
+      if (!course) { res.status(404).json({ ok: false, error: 'course not found' }); return null; }
+      if (!isOwner(req.user, course.teacherId)) { forbidden(res); return null; }
+    }
+    fields.courseId = body.courseId ? String(body.courseId) : null;
+  }
+  if (body.quizId !== undefined) {
+    if (body.quizId) {
+      const quiz = await Quiz.findOne({ id: body.quizId }).select('teacherId').lean();
+      if (!quiz) { res.status(404).json({ ok: false, error: 'quiz not found' }); return null; }
+      if (!isOwner(req.user, quiz.teacherId)) { forbidden(res); return null; }
+    }
+    fields.quizId = body.quizId ? String(body.quizId) : null;
+  }
+  return fields;
+}
+
+function threadTitle(text) {
+  const t = String(text || '').replace(/\s+/g, ' ').trim();
+  return t.length > 60 ? t.slice(0, 57) + '...' : (t || 'New conversation');
+}
+
+// ======================= Context ===============================
+function describeQuestion(q, i, stats) {
+  const lines = [`Question ${i + 1} [${typeOf(q)}]: ${q.question}`];
+  if (Array.isArray(q.options) && typeOf(q) !== 'true_false') {
+    q.options.forEach((o, k) => {
+      const correct = typeOf(q) === 'multi_select' ? (q.correctAnswers || []).includes(k) : q.correctAnswer === k;
+      const picked = stats && stats.distractors ? stats.distractors.find(d => d.index === k) : null;
+      lines.push(`  ${String.fromCharCode(65 + k)}. ${o}${correct ? ' (correct)' : ''}${picked ? ` - chosen ${picked.count}x` : ''}`);
+    });
+  }
+  if (typeOf(q) === 'true_false') lines.push(`  Answer: ${q.correctAnswer ? 'True' : 'False'}`);
+  if (Array.isArray(q.acceptedAnswers) && q.acceptedAnswers.length) lines.push(`  Accepted: ${q.acceptedAnswers.join(' | ')}`);
+  if (typeOf(q) === 'numeric') lines.push(`  Answer: ${q.correctAnswer}${q.tolerance ? ` (±${q.tolerance})` : ''}`);
+  if (stats && stats.attempts) lines.push(`  Class: ${stats.percentCorrect}% correct of ${stats.attempts} submission(s)${stats.discrimination != null ? `, discrimination ${stats.discrimination}` : ''}`);
+  return lines.join('\n');
+}
+
+async function quizContext(quizId) {
+  const quiz = await Quiz.findOne({ id: quizId }).lean();
+  if (!quiz || !quiz.finalizedJson) return '';
+  const analytics = await quizAnalytics(quiz);
+  const stats = new Map(analytics.questions.map(s => [s.questionId, s]));
+  const questions = Array.isArray(quiz.finalizedJson.questions) ? quiz.finalizedJson.questions : [];
+  const head = `Quiz "${quiz.finalizedJson.title || quiz.id}": ${questions.length} question(s). ` +
+    `${analytics.submitted} submission(s) of ${analytics.assigned} assigned; average ${analytics.average != null ? analytics.average + '%' : 'n/a'}, median ${analytics.median != null ? analytics.median + '%' : 'n/a'}.`;
+  return [head].concat(questions.map((q, i) => describeQuestion(q, i, stats.get(q.id != null ? String(q.id) : 'q' + (i + 1))))).join('\n');
+}
+
+async function courseContext(courseId) {
+  const course = await mongoose.model('Course').findById(courseId).lean().catch(() => null);
+  if (!course) return '';
+  const analytics = await courseAnalytics(course);
+  const lines = [`Course "${course.name}"${course.grade ? ` (grade ${course.grade})` : ''}: ${(course.students || []).length} student(s), ${analytics.quizzes.length} quiz(zes): ${analytics.quizzes.map(q => `"${q.title || q.quizId}"`).join(', ') || 'none'}.`];
+  for (const s of analytics.students) {
+    lines.push(`- ${s.email}: ${s.quizzesSubmitted} submitted, average ${s.average != null ? s.average + '%' : 'n/a'}${s.trend != null ? `, trend ${s.trend > 0 ? '+' : ''}${s.trend} per quiz` : ''}`);
+  }
+  for (const n of analytics.notStarted) lines.push(`Not started "${n.title || n.quizId}": ${n.students.length} student(s)`);
+  return lines.join('\n');
+}
+
+// Everything the model sees for a threaded request: system prompt with the
+// attached course/quiz, the rolling summary, then as many recent turns as fit
+async function buildThreadMessages(thread, history, message) {
+  const attached = [];
+  if (thread.courseId) attached.push(await courseContext(thread.courseId));
+  if (thread.quizId) attached.push(await quizContext(thread.quizId));
+  let system = SYSTEM_PROMPT;
+  const context = attached.filter(Boolean).join('\n\n');
+  if (context) {
+    system += ' Use the class data below when it is relevant. Questions are numbered as the teacher sees them.\n\n' +
+      truncateToTokens(context, Math.floor(CHAT_CONTEXT_TOKENS * ATTACHMENT_SHARE));
+  }
+  if (thread.summary) system += `\n\nSummary of the earlier conversation:\n${thread.summary}`;
+
+  // history holds the turns after the summarized ones, oldest first
+  let budget = CHAT_CONTEXT_TOKENS - estimateTokens(system) - estimateTokens(message);
+  const pending = history;
+  const keep = [];
+  for (let i = pending.length - 1; i >= 0; i--) {
+    const cost = estimateTokens(pending[i].text);
+    if (cost > budget && keep.length >= MIN_RECENT_TURNS) break;
+    budget -= cost;
+    keep.unshift(pending[i]);
+  }
+  const overflow = pending.slice(0, pending.length - keep.length);
+  const messages = [{ role: 'system', content: system }]
+    .concat(keep.map(m => ({ role: modelRole(m.role), content: m.text })))
+    .concat([{ role: 'user', content: message }]);
+  return { messages, overflow };
+}
+
+// Folds turns that fell out of the budget into the thread's summary
+async function summarizeOverflow(thread, overflow, usage) {
+  if (!overflow.length) return;
+  const transcript = overflow.map(m => `${modelRole(m.role) === 'assistant' ? 'Assistant' : 'Teacher'}: ${m.text}`).join('\n');
+  const summary = await callOpenAI([
+    { role: 'system', content: 'Summarize this conversation between a teacher and an AI assistant in under 150 words. Keep facts, decisions, names, numbers and open questions.' },
+    { role: 'user', content: (thread.summary ? `Earlier summary:\n${thread.summary}\n\n` : '') + truncateToTokens(transcript, CHAT_CONTEXT_TOKENS) }
+  ], { temperature: 0.2, max_tokens: 300, usage: Object.assign({}, usage, { purpose: 'summary' }) });
+  await ChatThread.updateOne({ id: thread.id }, { summary: summary.trim(), summarizedCount: (thread.summarizedCount || 0) + overflow.length });
+}
+
+// Stores a message with the same shape POST /api/chats writes
+// (threadId is left out for a bare { teacherId })
+function saveMessage(thread, role, text, meta) {
+  return Chat.create({ id: newId('msg'), role, text, meta, teacherId: thread.teacherId, threadId: thread.id, timestamp: new Date() });
+}
+
+// Messages of a thread, oldest first, after the first `skip` (summarized) ones
+function threadHistory(threadId, skip = 0) {
+  return Chat.find({ threadId }).sort({ timestamp: 1, _id: 1 }).skip(skip).limit(MAX_THREAD_MESSAGES).lean();
+}
+
+// ======================= Threads ===============================
+
+router.get('/api/chat/threads', requireAuth, requireRole('teacher'), async (req, res) => {
+  try {
+    const filter = { teacherId: req.user.id };
+    if (req.query.courseId) filter.courseId = String(req.query.courseId);
+    if (req.query.quizId) filter.quizId = String(req.query.quizId);
+    const threads = await ChatThread.find(filter).select('-summary').sort({ updatedAt: -1 }).lean();
+    const counts = await Chat.aggregate([
+      { $match: { threadId: { $in: threads.map(t => t.id) } } },
+      { $group: { _id: '$threadId', messages: { $sum: 1 }, lastMessageAt: { $max: '$timestamp' } } }
+    ]);
+    const byThread = new Map(counts.map(c => [c._id, c]));
+    res.json({ ok: true, threads: threads.map(t => Object.assign(t, { messages: (byThread.get(t.id) || {}).messages || 0, lastMessageAt: (byThread.get(t.id) || {}).lastMessageAt || null })) });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+router.post('/api/chat/threads', requireAuth, requireRole('teacher'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const attachments = await parseAttachments(req, res, body);
+    if (!attachments) return;
+    const thread = await ChatThread.create(Object.assign({ id: newId('thr'), teacherId: req.user.id, title: threadTitle(body.title) }, attachments));
+    res.status(201).json({ ok: true, thread });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// Rename and/or attach/detach a course or quiz
+router.patch('/api/chat/threads/:id', requireAuth, requireRole('teacher'), async (req, res) => {
+  try {
+    const thread = await loadOwnThread(req, res, req.params.id);
+    if (!thread) return;
+    const body = req.body || {};
+    const update = await parseAttachments(req, res, body);
+    if (!update) return;
+    if (body.title !== undefined) update.title = threadTitle(body.title);
+    update.updatedAt = new Date();
+    const saved = await ChatThread.findOneAndUpdate({ id: thread.id }, update, { new: true }).lean();
+    res.json({ ok: true, thread: saved });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+router.delete('/api/chat/threads/:id', requireAuth, requireRole('teacher'), async (req, res) => {
+  try {
+    const thread = await loadOwnThread(req, res, req.params.id);
+    if (!thread) return;
+    const { deletedCount } = await Chat.deleteMany({ threadId: thread.id });
+    await ChatThread.deleteOne({ id: thread.id });
+    res.json({ ok: true, deletedMessages: deletedCount });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+router.get('/api/chat/threads/:id/messages', requireAuth, requireRole('teacher'), async (req, res) => {
+  try {
+    const thread = await loadOwnThread(req, res, req.params.id);
+    if (!thread) return;
+    res.json({ ok: true, thread, messages: await threadHistory(thread.id) });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// ======================= Chat ==================================
+
+// Model input for a chat request: the thread's context and earlier turns
+// when a threadId is given, otherwise just the single message.
+// Answers the error itself and returns null when the request is invalid.
+async function prepareChat(req, res) {
+  const { message, threadId } = req.body;
+  if (!message || typeof message !== 'string') {
+    res.status(400).json({ ok: false, error: 'Message is required.' });
+    return null;
+  }
+  if (!threadId) {
+    return {
+      message,
+      thread: null,
+      overflow: [],
+      messages: [
+        { role: 'system', content: SYSTEM_PROMPT },
+        { role: 'user', content: message }
+      ]
+    };
+  }
+  const thread = await loadOwnThread(req, res, threadId);
+  if (!thread) return null;
+  const history = await threadHistory(thread.id, thread.summarizedCount || 0);
+  const { messages, overflow } = await buildThreadMessages(thread, history, message);
+  return { message, thread, messages, overflow };
+}
+
+// Stores the teacher's turn and the reply on the thread
+async function saveTurn(chat, reply, meta) {
+  const userMsg = await saveMessage(chat.thread, 'user', chat.message);
+  const aiMsg = await saveMessage(chat.thread, 'assistant', reply, meta);
+  if (chat.thread.id) await ChatThread.updateOne({ id: chat.thread.id }, { updatedAt: new Date() });
+  return [userMsg, aiMsg];
+}
+
+// Teacher chat with AI. With a threadId the thread's earlier turns (and its
+// attached course/quiz) are sent along and both turns are stored; without
+// one it answers the single message, as before.
+router.post('/api/chat', requireAuth, requireRole('teacher'), aiGate('chat'), async (req, res) => {
+  try {
+    const chat = await prepareChat(req, res);
+    if (!chat) return;
+    const aiResponse = await callOpenAI(chat.messages, { temperature: 0.5, max_tokens: REPLY_TOKENS, usage: Object.assign({ purpose: 'reply' }, req.aiUsage) });
+    if (!chat.thread) return res.json({ ok: true, response: aiResponse });
+    const messages = await saveTurn(chat, aiResponse);
+    // Summarizing is for the next request; a failure here must not lose the reply
+    await summarizeOverflow(chat.thread, chat.overflow, req.aiUsage).catch(err => log.error('chat summary failed', { threadId: chat.thread.id, error: err.message }));
+    res.json({ ok: true, response: aiResponse, threadId: chat.thread.id, messages });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Same request as POST /api/chat, answered as Server-Sent Events:
+//   token  { text }                              each piece of the reply
+//   done   { ok, response, threadId, messages }  after the reply is stored
+//   error  { ok: false, error, code }
+// Both turns are stored in Chat (with threadId when given, otherwise just the
+// teacher), so clients should not POST them to /api/chats again. Closing the
+// connection cancels the model request; the partial reply is kept with
+// meta.cancelled so the thread still reads in order.
+router.post('/api/chat/stream', requireAuth, requireRole('teacher'), aiGate('chat-stream'), async (req, res) => {
+  let heartbeat = null;
+  const send = (event, data) => { if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`); };
+  try {
+    const chat = await prepareChat(req, res);
+    if (!chat) return;
+    if (!chat.thread) chat.thread = { teacherId: req.user.id };
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive', 'X-Accel-Buffering': 'no' });
+    res.flushHeaders();
+    heartbeat = setInterval(() => { if (!res.writableEnded) res.write(': ping\n\n'); }, 15000);
+    // req 'close' fires once the body is read; the response closing is the disconnect
+    const controller = new AbortController();
+    res.on('close', () => { if (!res.writableEnded) controller.abort(); });
+
+    let partial = '';
+    let result;
+    try {
+      result = await streamComplete(chat.messages, {
+        temperature: 0.5,
+        max_tokens: REPLY_TOKENS,
+        signal: controller.signal,
+        usage: Object.assign({ purpose: 'reply' }, req.aiUsage),
+        onToken: text => { partial += text; send('token', { text }); }
+      });
+    } catch (err) {
+      if (!(err instanceof LLMAbortError)) throw err;
+      if (partial) await saveTurn(chat, partial, { cancelled: true });
+      return;
+    }
+    const messages = await saveTurn(chat, result.content);
+    if (chat.thread.id) await summarizeOverflow(chat.thread, chat.overflow, req.aiUsage).catch(err => log.error('chat summary failed', { threadId: chat.thread.id, error: err.message }));
+    send('done', { ok: true, response: result.content, threadId: chat.thread.id, messages });
+  } catch (err) {
+    if (!res.headersSent) return sendError(res, err);
+    send('error', { ok: false, error: err.message, code: err.code });
+  } finally {
+    clearInterval(heartbeat);
+    if (res.headersSent && !res.writableEnded) res.end();
+  }
+});
+
+// ======================= Stored Messages =======================
+
+router.post('/api/chats', requireAuth, requireRole('teacher'), async (req,res)=>{
+  try{
+    const { id, role, text, meta, timestamp, threadId } = req.body;
+    // Accept alternative payload shapes
+    const resolvedText = (typeof text === 'string' && text)
+      || (req.body && typeof req.body.content === 'string' && req.body.content)
+      || (req.body && req.body.message && typeof req.body.message.content === 'string' && req.body.message.content)
+      || (req.body && req.body.message && typeof req.body.message.text === 'string' && req.body.message.text)
+      || '';
+    const effectiveRole = (typeof role === 'string' && role)
+      || (req.body && req.body.message && typeof req.body.message.role === 'string' && req.body.message.role)
+      || 'user';
+    const effectiveTeacherId = req.user.id;
+    if (!resolvedText || (typeof resolvedText === 'string' && resolvedText.trim() === '')) {
+      return res.status(400).json({ ok:false, error:'text/content required' });
+    }
+    if (threadId && !(await loadOwnThread(req, res, threadId))) return;
+    const doc = {
+      id: id || ('msg_' + Date.now().toString(36)),
+      role: effectiveRole,
+      text: resolvedText,
+      meta,
+      teacherId: effectiveTeacherId,
+      threadId: threadId || undefined,
+      timestamp: timestamp ? new Date(timestamp) : new Date()
+    };
+    // Attach raw payload for debugging when no text provided
+    if (!doc.text) {
+      doc.meta = Object.assign({}, doc.meta || {}, { raw: req.body });
+    }
+    // Never overwrite another teacher's message that happens to share the id
+    const existingChat = await Chat.findOne({ id: doc.id }).select('teacherId').lean();
+    if (existingChat && !isOwner(req.user, existingChat.teacherId)) return forbidden(res);
+    const upsert = await Chat.findOneAndUpdate({ id: doc.id }, doc, { upsert: true, new: true, setDefaultsOnInsert: true });
+    log.debug('chat message saved', { chatId: doc.id, role: doc.role, threadId: doc.threadId, text: doc.text });
+    res.json({ ok:true, chat: upsert && upsert.toObject ? upsert.toObject() : upsert });
+  }catch(err){ serverError(res, err); }
+});
+
+// All of the teacher's messages, or one thread's with ?threadId=
+router.get('/api/chats', requireAuth, requireRole('teacher'), async (req,res)=>{
+  try{
+    const teacherId = req.user.id;
+    const filter = { teacherId };
+    if (req.query.threadId) filter.threadId = String(req.query.threadId);
+    const chats = await Chat.find(filter).sort({ timestamp: 1 }).limit(1000).lean();
+    res.json({ ok:true, chats });
+  }catch(err){ serverError(res, err); }
+});
+
+module.exports = router;
+module.exports.buildThreadMessages = buildThreadMessages;
+module.exports.summarizeOverflow = summarizeOverflow;
+module.exports.saveMessage = saveMessage;
+module.exports.threadHistory = threadHistory;
+module.exports.loadOwnThread = loadOwnThread;
@@ -1,6 +1,15 @@
 const mongoose = require('mongoose');
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
+const { requireAuth, requireRole, isOwner, forbidden } = require('./authMiddleware');
+const { log, serverError } = require('./logger');
+const { parseCsv } = require('./csv');
+const { sendInviteEmail } = require('./auth');
+
+// Archived courses stay visible to their teacher but their quizzes are
+// hidden from students (see student.js and canAccessQuiz)
+const COURSE_STATUSES = ['Active', 'Archived'];
 
 const CourseSchema = new mongoose.Schema({
   name: { type: String, required: true },
@@ -9,53 +18,299 @@ const CourseSchema = new mongoose.Schema({
   status: { type: String, default: 'Active' },
   grade: { type: String },
   students: { type: [String], default: [] },
-  createdAt: { type: Date, default: Date.now }
+  archivedAt: Date,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: Date
 });
 
 const Course = mongoose.model('Course', CourseSchema);
 
-// Get all courses for a specific teacher (requires teacherId)
-router.get('/api/courses', async (req, res) => {
+// CSV rosters are small and parsed in memory
+const csvUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 1024 * 1024 } });
+
+// ======================= Helpers ===============================
+const EMAIL_RE = /^[^\s@,;<>"]+@[^\s@,;<>"]+\.[^\s@,;<>".]+$/;
+
+// Roster emails are stored lowercase, like User.email
+function normalizeEmail(v) {
+  return typeof v === 'string' ? v.trim().toLowerCase() : '';
+}
+
+function isArchived(course) {
+  return !!course && String(course.status || '').toLowerCase() === 'archived';
+}
+
+// 'archived' -> 'Archived'; null for anything else
+function parseStatus(v) {
+  return COURSE_STATUSES.find(s => s.toLowerCase() === String(v || '').trim().toLowerCase()) || null;
+}
+
+async function loadOwnCourse(req, res) {
+  const course = await Course.findById(req.params.id).catch(() => null);
+  if (!course) { res.status(404).json({ ok: false, error: 'course not found' }); return null; }
+  if (!isOwner(req.user, course.teacherId)) { forbidden(res); return null; }
+  return course;
+}
+
+// Adds emails (lowercased) to the roster. Invalid addresses, repeats within
+// the request and students already enrolled (compared case-insensitively, as
+// older rosters may hold capitals) are reported, not added. Teacher accounts
+// cannot be enrolled. Returns one { email, status, error? } per input.
+async function addStudents(course, emails) {
+  const enrolled = new Set((course.students || []).map(e => String(e).toLowerCase()));
+  const seen = new Set();
+  const results = emails.map(raw => {
+    const email = normalizeEmail(raw);
+    if (!EMAIL_RE.test(email)) return { email, status: 'invalid', error: email ? 'not a valid email address' : 'email is empty' };
+    if (seen.has(email)) return { email, status: 'duplicate', error: 'listed more than once' };
+    seen.add(email);
+    if (enrolled.has(email)) return { email, status: 'already_enrolled' };
+    return { email, status: 'added' };
+  });
+  const toAdd = results.filter(r => r.status === 'added');
+  if (toAdd.length) {
+    const teachers = await mongoose.model('User').find({ email: { $in: toAdd.map(r => r.email) }, role: 'teacher' }).collation({ locale: 'en', strength: 2 }).select('email').lean();
+    const teacherEmails = new Set(teachers.map(u => u.email.toLowerCase()));
+    toAdd.forEach(r => {
+      if (teacherEmails.has(r.email)) Object.assign(r, { status: 'invalid', error: 'email belongs to a teacher account' });
+    });
+  }
+  const added = results.filter(r => r.status === 'added').map(r => r.email);
+  if (added.length) await Course.updateOne({ _id: course._id }, { $addToSet: { students: { $each: added } }, $set: { updatedAt: new Date() } });
+  return results;
+}
+
+// Quizzes of the course and how many attempts they have
+async function courseQuizStats(courseId) {
+  const quizzes = await mongoose.model('Quiz').find({ courseId: String(courseId) }).select('id').lean();
+  const ids = quizzes.map(q => q.id);
+  const attempts = ids.length ? await mongoose.model('Attempt').countDocuments({ quizId: { $in: ids } }) : 0;
+  return { quizIds: ids, quizzes: ids.length, attempts };
+}
+
+// ======================= Endpoints =============================
+
+// Get all courses for the authenticated teacher, optionally ?status=Active|Archived
+router.get('/api/courses', requireAuth, requireRole('teacher'), async (req, res) => {
   try {
-    // In production, get teacherId from JWT auth, here from query for simplicity
-    const teacherId = req.query.teacherId;
-    if (!teacherId) return res.status(400).json({ ok: false, error: 'teacherId required' });
-    const courses = await Course.find({ teacherId });
+    const teacherId = req.user.id;
+    const filter = { teacherId };
+    if (req.query.status) {
+      const status = parseStatus(req.query.status);
+      if (!status) return res.status(400).json({ ok: false, error: `status must be one of ${COURSE_STATUSES.join(', ')}` });
+      // Courses created before archiving existed may have other labels; they count as active
+      filter.status = status === 'Archived' ? { $regex: /^archived$/i } : { $not: /^archived$/i };
+    }
+    const courses = await Course.find(filter);
     res.json({ ok: true, courses });
   } catch (err) {
-    res.status(500).json({ ok: false, error: err.message });
+    serverError(res, err);
+  }
+});
+
+// Create a new course owned by the authenticated teacher
+router.post('/api/courses', requireAuth, requireRole('teacher'), async (req, res) => {
+  try {
+    const { name, description, status, grade, students } = req.body;
+    const teacherId = req.user.id;
+    if (!name) return res.status(400).json({ ok: false, error: 'name required' });
+    if (status !== undefined && !parseStatus(status)) return res.status(400).json({ ok: false, error: `status must be one of ${COURSE_STATUSES.join(', ')}` });
+    const course = new Course({ name, teacherId, description, status: parseStatus(status) || undefined, grade });
+    if (isArchived(course)) course.archivedAt = new Date();
+    await course.save();
+    // The initial roster goes through the same checks as later additions
+    const roster = Array.isArray(students) && students.length ? await addStudents(course, students) : [];
+    res.json({ ok: true, course: await Course.findById(course._id), roster });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+router.get('/api/courses/:id', requireAuth, requireRole('teacher'), async (req, res) => {
+  try {
+    const course = await loadOwnCourse(req, res);
+    if (!course) return;
+    const { quizzes, attempts } = await courseQuizStats(course._id);
+    res.json({ ok: true, course, quizzes, attempts });
+  } catch (err) {
+    serverError(res, err);
   }
 });
 
-// Create a new course (for testing/demo)
-router.post('/api/courses', async (req, res) => {
+// Edit name/description/grade/status. Archiving hides the course's quizzes
+// from students; setting it back to Active shows them again.
+router.patch('/api/courses/:id', requireAuth, requireRole('teacher'), async (req, res) => {
   try {
-    const { name, teacherId, description, status, grade, students } = req.body;
-    if (!name || !teacherId) return res.status(400).json({ ok: false, error: 'name and teacherId required' });
-    const course = new Course({ name, teacherId, description, status, grade, students: Array.isArray(students) ? students : [] });
+    const course = await loadOwnCourse(req, res);
+    if (!course) return;
+    const body = req.body || {};
+    if (body.name !== undefined) {
+      if (typeof body.name !== 'string' || !body.name.trim()) return res.status(400).json({ ok: false, error: 'name must be a non-empty string' });
+      course.name = body.name.trim();
+    }
+    for (const key of ['description', 'grade']) {
+      if (body[key] !== undefined) course[key] = body[key] === null ? undefined : String(body[key]);
+    }
+    if (body.status !== undefined) {
+      const status = parseStatus(body.status);
+      if (!status) return res.status(400).json({ ok: false, error: `status must be one of ${COURSE_STATUSES.join(', ')}` });
+      if (status === 'Archived' && !isArchived(course)) course.archivedAt = new Date();
+      if (status !== 'Archived') course.archivedAt = undefined;
+      course.status = status;
+    }
+    if (body.students !== undefined) return res.status(400).json({ ok: false, error: 'use the /students endpoints to change the roster' });
+    course.updatedAt = new Date();
     await course.save();
     res.json({ ok: true, course });
   } catch (err) {
-    res.status(500).json({ ok: false, error: err.message });
+    serverError(res, err);
+  }
+});
+
+// A course with quizzes is only deleted with ?cascade=true, which also
+// deletes its quizzes with their attempts, versions and gradebook data.
+// Course-specific bank questions become available to all of the teacher's
+// courses, and chat threads attached to the course are detached.
+router.delete('/api/courses/:id', requireAuth, requireRole('teacher'), async (req, res) => {
+  try {
+    const course = await loadOwnCourse(req, res);
+    if (!course) return;
+    const { quizIds, quizzes, attempts } = await courseQuizStats(course._id);
+    if (quizzes && String(req.query.cascade) !== 'true') {
+      return res.status(409).json({
+        ok: false,
+        error: `course has ${quizzes} quiz(zes) and ${attempts} attempt(s); archive it instead or delete with ?cascade=true`,
+        quizzes,
+        attempts
+      });
+    }
+    const courseId = String(course._id);
+    const models = require('./models');
+    await models.Attempt.deleteMany({ quizId: { $in: quizIds } });
+    await models.QuizVersion.deleteMany({ quizId: { $in: quizIds } });
+    await models.Quiz.deleteMany({ id: { $in: quizIds } });
+    await models.Gradebook.deleteMany({ courseId });
+    await models.BankQuestion.updateMany({ courseId }, { $unset: { courseId: 1 } });
+    await models.ChatThread.updateMany({ courseId }, { $set: { courseId: null } });
+    await models.ChatThread.updateMany({ quizId: { $in: quizIds } }, { $set: { quizId: null } });
+    await Course.deleteOne({ _id: course._id });
+    res.json({ ok: true, deleted: { course: courseId, quizzes, attempts } });
+  } catch (err) {
+    serverError(res, err);
   }
 });
 
 // Get students for a specific course
-router.get('/api/courses/:id/students', async (req, res) => {
+router.get('/api/courses/:id/students', requireAuth, requireRole('teacher'), async (req, res) => {
   try {
     const course = await Course.findOne({ _id: req.params.id });
     if (!course) return res.status(404).json({ ok: false, error: 'course not found' });
+    if (!isOwner(req.user, course.teacherId)) return forbidden(res);
     res.json({ ok: true, students: Array.isArray(course.students) ? course.students : [] });
   } catch (err) {
-    res.status(500).json({ ok: false, error: err.message });
+    serverError(res, err);
+  }
+});
+
+// Add one ({ email }) or several ({ emails: [] }) students to the roster
+router.post('/api/courses/:id/students', requireAuth, requireRole('teacher'), async (req, res) => {
+  try {
+    const course = await loadOwnCourse(req, res);
+    if (!course) return;
+    const emails = Array.isArray(req.body.emails) ? req.body.emails : (req.body.email !== undefined ? [req.body.email] : []);
+    if (!emails.length) return res.status(400).json({ ok: false, error: 'email or emails required' });
+    const results = await addStudents(course, emails);
+    // A single invalid address is a bad request; batches report per email
+    if (emails.length === 1 && results[0].status === 'invalid') return res.status(400).json({ ok: false, error: results[0].error, results });
+    const updated = await Course.findById(course._id).select('students').lean();
+    res.json({ ok: true, results, students: updated.students });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// Remove a student from the roster. Their attempts are kept, so results and
+// the gradebook history survive if they are added back.
+router.delete('/api/courses/:id/students/:email', requireAuth, requireRole('teacher'), async (req, res) => {
+  try {
+    const course = await loadOwnCourse(req, res);
+    if (!course) return;
+    const key = normalizeEmail(req.params.email);
+    const matches = (course.students || []).filter(e => String(e).toLowerCase() === key);
+    if (!matches.length) return res.status(404).json({ ok: false, error: 'student is not on the roster' });
+    await Course.updateOne({ _id: course._id }, { $pull: { students: { $in: matches } }, $set: { updatedAt: new Date() } });
+    const updated = await Course.findById(course._id).select('students').lean();
+    res.json({ ok: true, removed: matches, students: updated.students });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// Roster CSV (file field "file" or a "csv" text field): emails in the first
+// column, or in the column headed "email". Other columns are ignored.
+// Returns one report line per data row.
+router.post('/api/courses/:id/students/import', requireAuth, requireRole('teacher'), csvUpload.single('file'), async (req, res) => {
+  try {
+    const course = await loadOwnCourse(req, res);
+    if (!course) return;
+    const text = req.file ? req.file.buffer.toString('utf8') : (req.body && typeof req.body.csv === 'string' ? req.body.csv : '');
+    if (!text.trim()) return res.status(400).json({ ok: false, error: 'CSV file or csv text required' });
+    const rows = parseCsv(text);
+    const headerCol = rows.length ? rows[0].findIndex(c => /^e-?mail( address)?$/i.test(String(c).trim())) : -1;
+    const col = headerCol >= 0 ? headerCol : 0;
+    const first = headerCol >= 0 ? 1 : 0;
+    const data = rows.slice(first);
+    if (!data.length) return res.status(400).json({ ok: false, error: 'CSV has no rows' });
+    const results = await addStudents(course, data.map(cells => cells[col] || ''));
+    const report = results.map((r, i) => Object.assign({ row: i + first + 1 }, r));
+    const summary = {};
+    report.forEach(r => { summary[r.status] = (summary[r.status] || 0) + 1; });
+    const updated = await Course.findById(course._id).select('students').lean();
+    res.json({ ok: true, report, summary, students: updated.students });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// Invite a student: adds the email to the roster and creates a pending student
+// account (no password). The student gets an email with an invite token to
+// activate it through /api/signup; inviting again sends a fresh link.
+router.post('/api/courses/:id/invite', requireAuth, requireRole('teacher'), async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body.email);
+    if (!email) return res.status(400).json({ ok: false, error: 'email required' });
+    if (!EMAIL_RE.test(email)) return res.status(400).json({ ok: false, error: 'not a valid email address' });
+    const course = await loadOwnCourse(req, res);
+    if (!course) return;
+    const User = mongoose.model('User');
+    let user = await User.findOne({ email }).collation({ locale: 'en', strength: 2 });
+    if (user && user.role !== 'student') {
+      return res.status(400).json({ ok: false, error: 'email belongs to a teacher account' });
+    }
+    const invited = !user;
+    if (!user) {
+      user = new User({ email, name: req.body.name, role: 'student', invitedBy: req.user.id });
+      await user.save();
+    }
+    await addStudents(course, [email]);
+    let emailSent = false;
+    if (!user.password) {
+      // The roster entry stands even when the mail cannot be sent; invite again to retry
+      emailSent = await sendInviteEmail(user, course.name).then(() => true, err => {
+        log.error('invite email failed', { userId: String(user._id), error: err.message });
+        return false;
+      });
+    }
+    res.json({ ok: true, invited, emailSent, student: { _id: user._id, email: user.email, name: user.name, activated: !!user.password } });
+  } catch (err) {
+    serverError(res, err);
   }
 });
 
-// Get all unique students for a teacher
-router.get('/api/students', async (req, res) => {
+// Get all unique students for the authenticated teacher
+router.get('/api/students', requireAuth, requireRole('teacher'), async (req, res) => {
   try {
-    const teacherId = req.query.teacherId;
-    if (!teacherId) return res.status(400).json({ ok: false, error: 'teacherId required' });
+    const teacherId = req.user.id;
     const courses = await Course.find({ teacherId }).select('students').lean();
     const set = new Set();
     for (const c of courses) {
@@ -66,8 +321,10 @@ router.get('/api/students', async (req, res) => {
     const students = Array.from(set).sort((a,b)=> a.localeCompare(b));
     res.json({ ok: true, students });
   } catch (err) {
-    res.status(500).json({ ok: false, error: err.message });
+    serverError(res, err);
   }
 });
 
 module.exports = router;
+module.exports.isArchived = isArchived;
+module.exports.EMAIL_RE = EMAIL_RE;
@@ -0,0 +1,49 @@
+// ======================= CSV Helpers ==========================
+// Minimal RFC 4180 reader/writer: quoted fields, doubled quotes, CRLF/LF.
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  const s = String(text || '').replace(/^\uFEFF/, '');
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if (quoted) {
+      if (c === '"' && s[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field); field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && s[i + 1] === '\n') i++;
+      row.push(field); rows.push(row);
+      row = []; field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+  // Drop blank lines
+  return rows.filter(r => r.some(f => f.trim() !== ''));
+}
+
+function csvField(v) {
+  let s = v === undefined || v === null ? '' : String(v);
+  // Keep spreadsheets from evaluating text cells as formulas (a leading tab
+  // or CR is skipped by some before they look for =, + or -)
+  if (typeof v === 'string' && /^[=+\-@\t\r]/.test(s)) s = "'" + s;
+  return /[",\r\n]/.test(s) || /^\s|\s$/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+
+// Undoes csvField's formula guard on a cell read back from an export
+function unguardCsvField(s) {
+  s = String(s == null ? '' : s);
+  return /^'[=+\-@\t\r]/.test(s) ? s.slice(1) : s;
+}
+
+function toCsv(rows) {
+  return rows.map(r => r.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = { parseCsv, toCsv, csvField, unguardCsvField };
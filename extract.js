@@ -0,0 +1,267 @@
+// ======================= Text Extraction ======================
+const path = require('path');
+const os = require('os');
+const fsPromises = require('fs').promises;
+const { execFile } = require('child_process');
+const { readZip } = require('./zip');
+let pdfParse;
+try { pdfParse = require('pdf-parse'); } catch (e) { /* handled below */ }
+let Tesseract;
+try { Tesseract = require('tesseract.js'); } catch (e) { /* handled below */ }
+
+// ======================= Languages ============================
+// Tesseract language codes with the name used in generation prompts.
+// Two-letter ISO codes are accepted as aliases.
+const LANGUAGES = {
+  eng: { name: 'English', iso: 'en' },
+  deu: { name: 'German', iso: 'de' },
+  fra: { name: 'French', iso: 'fr' },
+  spa: { name: 'Spanish', iso: 'es' },
+  ita: { name: 'Italian', iso: 'it' },
+  por: { name: 'Portuguese', iso: 'pt' },
+  nld: { name: 'Dutch', iso: 'nl' },
+  pol: { name: 'Polish', iso: 'pl' },
+  ces: { name: 'Czech', iso: 'cs' },
+  swe: { name: 'Swedish', iso: 'sv' },
+  tur: { name: 'Turkish', iso: 'tr' },
+  rus: { name: 'Russian', iso: 'ru' },
+  ukr: { name: 'Ukrainian', iso: 'uk' },
+  ara: { name: 'Arabic', iso: 'ar' },
+  heb: { name: 'Hebrew', iso: 'he' },
+  hin: { name: 'Hindi', iso: 'hi' },
+  chi_sim: { name: 'Chinese (Simplified)', iso: 'zh' },
+  chi_tra: { name: 'Chinese (Traditional)' },
+  jpn: { name: 'Japanese', iso: 'ja' },
+  kor: { name: 'Korean', iso: 'ko' }
+};
+const DEFAULT_LANGUAGE = 'eng';
+
+// "de", "deu" or "deu+eng" / "de,en" -> { code: 'deu+eng' } or { error }.
+// The first language is the one quizzes are written in.
+function parseLanguage(value) {
+  const parts = String(value || '').split(/[+,\s]+/).map(s => s.trim().toLowerCase()).filter(Boolean);
+  if (!parts.length) return { code: DEFAULT_LANGUAGE };
+  const codes = [];
+  for (const part of parts) {
+    const code = LANGUAGES[part] ? part : Object.keys(LANGUAGES).find(k => LANGUAGES[k].iso === part);
+    if (!code) return { error: `unsupported language "${part}"; use one of ${Object.keys(LANGUAGES).join(', ')}` };
+    if (!codes.includes(code)) codes.push(code);
+  }
+  return { code: codes.join('+') };
+}
+
+function languageName(code) {
+  const first = String(code || DEFAULT_LANGUAGE).split('+')[0];
+  return LANGUAGES[first] ? LANGUAGES[first].name : 'English';
+}
+
+// ======================= Images ===============================
+async function extractImageText(filePath, language = DEFAULT_LANGUAGE) {
+  if (!Tesseract) throw new Error("tesseract.js is not installed. Run: npm install tesseract.js");
+  const normalized = path.resolve(String(filePath).replace(/\\/g, "/"));
+  const { data: { text } } = await Tesseract.recognize(normalized, language || DEFAULT_LANGUAGE);
+  if (!text || !text.trim()) throw new Error("No text extracted from image");
+  return text.trim();
+}
+
+// ======================= PDFs =================================
+
+// Same line-joining as pdf-parse's default renderer, but kept per page
+function renderPageText(pageData) {
+  return pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false }).then(textContent => {
+    let lastY, text = '';
+    for (const item of textContent.items) {
+      if (lastY == item.transform[5] || !lastY) text += item.str;
+      else text += '\n' + item.str;
+      lastY = item.transform[5];
+    }
+    return text;
+  });
+}
+
+// Scanned pages have no text layer; they are rendered with poppler's pdftoppm
+// (PDFTOPPM_PATH, default "pdftoppm" on the PATH) and run through Tesseract
+const PDFTOPPM = process.env.PDFTOPPM_PATH || 'pdftoppm';
+const RASTER_DPI = 200;
+const RASTER_TIMEOUT_MS = 60000;
+
+function rasterizePdfPage(filePath, page) {
+  const base = path.join(os.tmpdir(), `pdfpage-${process.pid}-${Date.now().toString(36)}-${page}`);
+  const args = ['-f', String(page), '-l', String(page), '-r', String(RASTER_DPI), '-png', '-singlefile', filePath, base];
+  return new Promise((resolve, reject) => {
+    execFile(PDFTOPPM, args, { timeout: RASTER_TIMEOUT_MS }, (err) => {
+      if (!err) return resolve(base + '.png');
+      if (err.code === 'ENOENT') return reject(new Error("Scanned PDF pages need pdftoppm for OCR. Install poppler-utils or set PDFTOPPM_PATH"));
+      reject(new Error(`Could not render PDF page ${page}: ${err.message}`));
+    });
+  });
+}
+
+// pdftoppm -v exits non-zero on some poppler versions; only a missing
+// binary (or one that hangs) counts as unavailable. Cached after the first look.
+let pdftoppmCheck = null;
+function pdftoppmAvailable() {
+  if (!pdftoppmCheck) {
+    pdftoppmCheck = new Promise(resolve => {
+      execFile(PDFTOPPM, ['-v'], { timeout: 5000 }, (err) => resolve(!err || (err.code !== 'ENOENT' && !err.killed)));
+    });
+  }
+  return pdftoppmCheck;
+}
+
+// Which extraction paths work in this install (for health checks), with what
+// to install for the ones that don't
+async function extractorStatus() {
+  const pdftoppm = await pdftoppmAvailable();
+  const problems = [];
+  if (!pdfParse) problems.push('pdf-parse is not installed: PDFs cannot be read');
+  if (!Tesseract) problems.push('tesseract.js is not installed: images and scanned PDFs cannot be read');
+  if (!pdftoppm) problems.push(`${PDFTOPPM} was not found: scanned PDF pages need poppler-utils or PDFTOPPM_PATH`);
+  return {
+    pdfText: !!pdfParse,
+    ocr: !!Tesseract,
+    pdftoppm,
+    scannedPdf: !!Tesseract && !!pdfParse && pdftoppm,
+    problems
+  };
+}
+
+async function ocrPdfPage(filePath, page, language) {
+  const image = await rasterizePdfPage(filePath, page);
+  try {
+    return await extractImageText(image, language);
+  } catch (err) {
+    // A blank scanned page is not an error
+    if (/No text extracted/.test(err.message)) return '';
+    throw err;
+  } finally {
+    fsPromises.unlink(image).catch(() => {});
+  }
+}
+
+// Returns [{ page, text }] in page order (1-based); pages with no text are kept
+// so page numbers still line up with the document. maxPage stops parsing early.
+// Pages without a text layer are OCRed one by one in `language`; when that is
+// not possible the text pages are still returned as long as there are some.
+async function extractPdfPages(filePath, { maxPage, language } = {}) {
+  if (!pdfParse) throw new Error("pdf-parse is not installed. Run: npm install pdf-parse");
+  const normalized = path.resolve(String(filePath).replace(/\\/g,"/"));
+  const buf = await fsPromises.readFile(normalized);
+  const pages = [];
+  const data = await pdfParse(buf, {
+    max: maxPage > 0 ? maxPage : 0,
+    pagerender: async (pageData) => {
+      const text = await renderPageText(pageData);
+      pages.push({ page: pageData.pageNumber || pages.length + 1, text: text.trim() });
+      return text;
+    }
+  });
+  pages.sort((a, b) => a.page - b.page);
+  let ocrError = null;
+  for (const p of pages) {
+    if (p.text || ocrError) continue;
+    try {
+      p.text = (await ocrPdfPage(normalized, p.page, language)).trim();
+      p.ocr = true;
+    } catch (err) {
+      ocrError = err;
+    }
+  }
+  if (!pages.some(p => p.text)) throw ocrError || new Error("No text extracted from PDF");
+  return { pages, totalPages: data.numpages };
+}
+
+// ======================= Office Documents =====================
+function decodeXml(s) {
+  return String(s)
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(Number(d)))
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+}
+
+// Text of the runs (<w:t>/<a:t>) in each paragraph, one paragraph per line
+function paragraphText(xml, ns) {
+  const paragraphs = String(xml).match(new RegExp(`<${ns}:p[\\s>][\\s\\S]*?</${ns}:p>`, 'g')) || [];
+  return paragraphs.map(p => {
+    const runs = p.match(new RegExp(`<${ns}:(?:t(?:\\s[^>]*)?>[\\s\\S]*?</${ns}:t>|tab/>|br/>)`, 'g')) || [];
+    return runs.map(r => (/^<\w+:tab/.test(r) ? '\t' : /^<\w+:br/.test(r) ? '\n' : decodeXml(r.replace(/<[^>]+>/g, '')))).join('');
+  }).join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+async function readOfficeZip(filePath) {
+  const buf = await fsPromises.readFile(path.resolve(String(filePath).replace(/\\/g, "/")));
+  return new Map(readZip(buf).map(f => [f.name, f.data.toString('utf8')]));
+}
+
+// Word documents have no stored pages; explicit page breaks split them,
+// otherwise the whole document is page 1
+async function extractDocxPages(filePath) {
+  const files = await readOfficeZip(filePath);
+  const xml = files.get('word/document.xml');
+  if (!xml) throw new Error("Not a Word document (word/document.xml missing)");
+  // Page breaks become form feeds so they survive paragraph extraction
+  const text = paragraphText(xml.replace(/<w:br\s[^>]*w:type="page"[^>]*\/>/g, '<w:t>\f</w:t>'), 'w');
+  const pages = text.split('\f').map((t, i) => ({ page: i + 1, text: t.trim() }));
+  if (!pages.some(p => p.text)) throw new Error("No text extracted from Word document");
+  return { pages, totalPages: pages.length };
+}
+
+// One page per slide, in presentation order (speaker notes are appended)
+async function extractPptxPages(filePath) {
+  const files = await readOfficeZip(filePath);
+  const presentation = files.get('ppt/presentation.xml') || '';
+  const rels = files.get('ppt/_rels/presentation.xml.rels') || '';
+  const targets = new Map((rels.match(/<Relationship\s[^>]*>/g) || []).map(r => [(r.match(/Id="([^"]+)"/) || [])[1], (r.match(/Target="([^"]+)"/) || [])[1]]));
+  let slides = (presentation.match(/<p:sldId\s[^>]*>/g) || [])
+    .map(tag => targets.get((tag.match(/r:id="([^"]+)"/) || [])[1]))
+    .filter(Boolean)
+    .map(t => 'ppt/' + t.replace(/^\/?(ppt\/)?/, ''));
+  if (!slides.length) {
+    slides = Array.from(files.keys()).filter(n => /^ppt\/slides\/slide\d+\.xml$/.test(n))
+      .sort((a, b) => Number(a.match(/(\d+)\.xml$/)[1]) - Number(b.match(/(\d+)\.xml$/)[1]));
+  }
+  const pages = slides.map((name, i) => {
+    const notesRels = files.get(name.replace(/slides\/(slide\d+\.xml)$/, 'slides/_rels/$1.rels')) || '';
+    const notesTarget = (notesRels.match(/Target="\.\.\/notesSlides\/([^"]+)"/) || [])[1];
+    const notes = notesTarget ? paragraphText(files.get('ppt/notesSlides/' + notesTarget) || '', 'a') : '';
+    const text = paragraphText(files.get(name) || '', 'a');
+    return { page: i + 1, text: notes ? `${text}\n\nNotes: ${notes}`.trim() : text };
+  });
+  if (!pages.some(p => p.text)) throw new Error("No text extracted from presentation");
+  return { pages, totalPages: pages.length };
+}
+
+// ======================= Plain Text ===========================
+// Form feeds split pages, as in text exported from PDFs
+async function extractTextPages(filePath) {
+  const text = (await fsPromises.readFile(path.resolve(String(filePath).replace(/\\/g, "/")), 'utf8')).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const pages = text.split('\f').map((t, i) => ({ page: i + 1, text: t.trim() }));
+  if (!pages.some(p => p.text)) throw new Error("Text file is empty");
+  return { pages, totalPages: pages.length };
+}
+
+// [{ page, text }] for any supported upload kind (see uploads.js FILE_TYPES)
+async function extractPages(filePath, kind, { maxPage, language } = {}) {
+  switch (kind) {
+    case 'pdf': return extractPdfPages(filePath, { maxPage, language });
+    case 'docx': return extractDocxPages(filePath);
+    case 'pptx': return extractPptxPages(filePath);
+    case 'text': return extractTextPages(filePath);
+    case 'image': return { pages: [{ page: 1, text: await extractImageText(filePath, language) }], totalPages: 1 };
+    default: throw new Error(`Cannot extract text from ${kind || 'unknown'} files`);
+  }
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  parseLanguage,
+  languageName,
+  extractImageText,
+  extractPdfPages,
+  extractDocxPages,
+  extractPptxPages,
+  extractTextPages,
+  extractPages,
+  extractorStatus
+};
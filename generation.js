@@ -0,0 +1,525 @@
+// ======================= Imports & Setup =======================
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const EventEmitter = require('events');
+const { GenerationJob } = require('./models');
+const { extractPages, parseLanguage, languageName } = require('./extract');
+const { cachedExtract } = require('./uploads');
+const { QUESTION_TYPES, TYPE_PROMPT, normalizeQuiz } = require('./questionTypes');
+const { validateQuiz, formatIssues } = require('./quizValidator');
+const { selectPages, buildSections, allocateCounts, dedupeQuestions, balanceQuestions } = require('./sections');
+const { callOpenAI } = require('./llm');
+const { aiGate } = require('./usage');
+const { requireAuth, requireAuthSse, requireRole, isOwner, forbidden } = require('./authMiddleware');
+const { log, withContext, serverError } = require('./logger');
+
+const HINT_CONCURRENCY = Math.max(1, parseInt(process.env.HINT_CONCURRENCY, 10) || 3);
+const SECTION_CONCURRENCY = Math.max(1, parseInt(process.env.SECTION_CONCURRENCY, 10) || 2);
+const QUIZ_REPAIR_ATTEMPTS = Math.max(0, parseInt(process.env.QUIZ_REPAIR_ATTEMPTS, 10) || 2);
+const DEFAULT_QUESTION_COUNT = 10;
+const MAX_QUESTION_COUNT = 100;
+
+// ======================= JSON Helpers ==========================
+function stripCodeFences(s) {
+  if (!s) return s;
+  return s.replace(/^```(?:html|HTML|json)?\s*/i, "").replace(/```$/i, "");
+}
+function parseJsonLenient(text){
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch(_) {}
+  try {
+    const unfenced = stripCodeFences(text);
+    return JSON.parse(unfenced);
+  } catch(_) {}
+  try {
+    // Replace smart quotes and stray control chars
+    let t = String(text).replace(/[“”]/g,'"').replace(/[‘’]/g, "'").replace(/[\u0000-\u001F\u007F-\u009F]/g, '');
+    // Extract largest JSON object block
+    const first = t.indexOf('{');
+    const last = t.lastIndexOf('}');
+    if (first !== -1 && last !== -1 && last > first) {
+      const candidate = t.slice(first, last + 1);
+      return JSON.parse(candidate);
+    }
+  } catch(_) {}
+  try {
+    const m = text.match(/```json([\s\S]*?)```/i);
+    if (m) return JSON.parse(m[1]);
+  } catch(_) {}
+  return null;
+}
+
+// ======================= Prompting =============================
+const BASE_SYSTEM_PROMPT = 'You are an expert quiz generator. Output ONLY valid JSON (no markdown, no prose). Schema: {"title": string, "description": string, "questions": [{"id": string, "type": string, "question": string, "options": string[], "correctAnswer": number, "explanation": string, "sourcePage": number}]}. ' + TYPE_PROMPT + ' Rules: 1) Do not include code fences. 2) Do not include comments. 3) Use zero-based indexes for correctAnswer/correctAnswers on choice questions. 4) Ensure JSON is syntactically valid. 5) Provide 3–6 options where applicable. 6) Keep explanations concise. 7) The source is split by [Page N] markers; set sourcePage to the page each question is based on.';
+
+// count asks for exactly that many questions; types restricts/mixes question
+// types; language (Tesseract code, see extract.js) sets the quiz language
+function buildQuizMessages(sourceText, teacherPrompt, { count, types, language } = {}) {
+  const ensureJsonLine = 'Return ONLY valid JSON per the schema above.';
+  const needsJsonReinforce = teacherPrompt && !/json/i.test(teacherPrompt);
+  let systemContent = teacherPrompt
+    ? BASE_SYSTEM_PROMPT + '\nTeacher instructions: ' + teacherPrompt + (needsJsonReinforce ? ('\n' + ensureJsonLine) : '')
+    : BASE_SYSTEM_PROMPT;
+  systemContent += types && types.length
+    ? `\nUse a mix of these question types, roughly evenly: ${types.join(', ')}.`
+    : '\nUse multiple_choice questions unless the teacher instructions ask for other types.';
+  if (count) systemContent += `\nGenerate exactly ${count} questions from this part of the document.`;
+  if (language) systemContent += `\nWrite the title, description, questions, options and explanations in ${languageName(language)}.`;
+  return [
+    { role: 'system', content: systemContent },
+    { role: 'user', content: sourceText }
+  ];
+}
+
+// Run fn over items with at most `limit` calls in flight
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Fills q.hint in place; a failed hint leaves an empty string, as before
+async function addHints(questions, { concurrency = HINT_CONCURRENCY, onProgress, language, usage } = {}) {
+  let done = 0;
+  const system = 'You are an expert teacher. Provide a helpful hint for the following quiz question.' + (language ? ` Write the hint in ${languageName(language)}.` : '');
+  await mapLimit(questions, concurrency, async (q) => {
+    const questionText = q.question || q.prompt;
+    if (questionText) {
+      const hintMessages = [
+        { role: 'system', content: system },
+        { role: 'user', content: questionText }
+      ];
+      try {
+        const hint = await callOpenAI(hintMessages, { temperature: 0.5, max_tokens: 120, usage: usage && Object.assign({}, usage, { purpose: 'hints' }) });
+        q.hint = hint.trim();
+      } catch (e) {
+        q.hint = '';
+      }
+    }
+    done++;
+    if (onProgress) await onProgress(done, questions.length);
+  });
+}
+
+// ======================= Job Runner ============================
+// Jobs are persisted in GenerationJob; progress is pushed to SSE listeners
+// through jobEvents (one event name per job id).
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+const runningJobs = new Set();
+
+function newJobId() {
+  return 'job_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+function jobProgress(job) {
+  const st = job.stages || {};
+  let pct = 0;
+  if (st.extract && st.extract.status === 'done') pct += 20;
+  if (st.generate && st.generate.status === 'done') pct += 40;
+  if (st.hints && st.hints.total) pct += Math.round(40 * (st.hints.done || 0) / st.hints.total);
+  else if (st.hints && st.hints.status === 'done') pct += 40;
+  return pct;
+}
+
+function publicJob(job) {
+  return {
+    id: job.id,
+    kind: job.kind,
+    originalName: job.originalName,
+    files: job.files ? job.files.map(f => ({ originalName: f.originalName, kind: f.kind })) : undefined,
+    status: job.status,
+    progress: jobProgress(job),
+    stages: job.stages,
+    result: job.result || null,
+    error: job.error && job.error.message ? job.error : null,
+    runs: job.runs,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+async function updateJob(id, set) {
+  set.updatedAt = new Date();
+  const job = await GenerationJob.findOneAndUpdate({ id }, { $set: set }, { new: true }).lean();
+  if (job) jobEvents.emit(id, publicJob(job));
+  return job;
+}
+
+// Extracted text is cached per file hash (uploads.js), so the same file
+// uploaded again skips OCR and PDF parsing
+function extractFile(file, opts, maxPage) {
+  const language = opts.language;
+  return cachedExtract({ filePath: file.path, hash: file.hash, kind: file.kind, maxPage, language }, () => extractPages(file.path, file.kind, { maxPage, language }));
+}
+
+// Multi-file jobs are merged in upload order into one page sequence; each
+// page remembers the file and the page within it
+async function extractSource(job) {
+  const opts = job.options || {};
+  let pages, totalPages;
+  if (job.kind === 'files') {
+    pages = [];
+    for (const file of job.files || []) {
+      const extracted = await extractFile(file, opts);
+      extracted.pages.forEach(p => pages.push({ page: pages.length + 1, text: p.text, file: file.originalName, filePage: p.page }));
+    }
+    totalPages = pages.length;
+  } else {
+    const file = { path: job.filePath, hash: job.fileHash, kind: job.kind };
+    ({ pages, totalPages } = await extractFile(file, opts, job.kind === 'pdf' ? opts.pageTo : undefined));
+  }
+  const selected = selectPages(pages, { from: opts.pageFrom, to: opts.pageTo });
+  if (!selected.some(p => p.text)) throw new Error('No text found in the requested page range');
+  return { pages: selected, totalPages };
+}
+
+function invalidQuizError(issues, raw) {
+  const notJson = issues.length === 1 && issues[0].code === 'invalid_json';
+  const err = new Error(notJson ? 'OpenAI did not return valid JSON' : 'OpenAI returned a quiz that failed validation');
+  err.code = notJson ? 'invalid_json' : 'invalid_quiz';
+  err.issues = issues;
+  err.raw = String(raw).slice(0, 4000);
+  return err;
+}
+
+// Calls the model and validates the quiz it returns. On violations the model
+// gets its own output back with the list of problems, up to
+// QUIZ_REPAIR_ATTEMPTS times, before we give up with the remaining issues.
+async function generateValidQuiz(messages, opts) {
+  let conversation = messages;
+  for (let attempt = 0; ; attempt++) {
+    const aiResponse = await callOpenAI(conversation, opts);
+    const data = parseJsonLenient(aiResponse);
+    let issues;
+    if (!data || typeof data !== 'object') {
+      issues = [{ path: '', message: 'response is not valid JSON', code: 'invalid_json' }];
+    } else {
+      // Missing ids are filled in rather than repaired; merged quizzes are renumbered anyway
+      if (Array.isArray(data.questions)) data.questions.forEach((q, i) => { if (q && typeof q === 'object' && (q.id == null || q.id === '')) q.id = 'q' + (i + 1); });
+      const quiz = normalizeQuiz(data);
+      const check = validateQuiz(quiz);
+      if (check.valid) return quiz;
+      issues = check.issues;
+    }
+    if (attempt >= QUIZ_REPAIR_ATTEMPTS) throw invalidQuizError(issues, aiResponse);
+    conversation = messages.concat([
+      { role: 'assistant', content: String(aiResponse).slice(0, 12000) },
+      { role: 'user', content: `Your JSON has these problems:\n${formatIssues(issues)}\nFix them and return the complete corrected quiz as JSON only.` }
+    ]);
+  }
+}
+
+// Ask for a few extra questions per section so de-duplication doesn't leave gaps
+function overGenerate(n) {
+  return n + Math.ceil(n / 4);
+}
+
+// One model call per section; each question is tagged with its source page
+async function generateSection(section, want, prompt, types, language, usage) {
+  const n = overGenerate(want);
+  const data = await generateValidQuiz(
+    buildQuizMessages(section.text, prompt, { count: n, types, language }),
+    { temperature: 0.2, max_tokens: Math.min(4000, 400 + n * 250), force_json: true, usage: usage && Object.assign({}, usage, { purpose: 'generate' }) }
+  );
+  const questions = data.questions.map(q => {
+    const page = Number(q.sourcePage);
+    const out = Object.assign({}, q);
+    delete out.sourcePage;
+    out.source = { page: section.pages.includes(page) ? page : section.pages[0], section: section.index };
+    return out;
+  });
+  return { title: data.title, description: data.description, questions };
+}
+
+// Model calls of a job are metered against its teacher under the endpoint that started it
+const JOB_ENDPOINTS = { image: 'parse-image', pdf: 'parse-pdf', files: 'ingest' };
+function jobUsage(job) {
+  return { teacherId: job.teacherId, endpoint: JOB_ENDPOINTS[job.kind] || 'parse-image', jobId: job.id };
+}
+
+// A section whose output still fails validation after the repair attempts
+// fails the whole job with that section's invalid_quiz/invalid_json error and
+// its issues (the job's error, in place of a 422). Sections that fail for other
+// reasons, such as the model being unavailable, are listed in
+// coverage.failedSections and the result is marked partial.
+async function generateQuiz(job, pages, onSectionDone) {
+  const sections = buildSections(pages);
+  const count = (job.options && job.options.questionCount) || DEFAULT_QUESTION_COUNT;
+  const quotas = allocateCounts(sections, count);
+  const failures = [];
+  const results = [];
+  const perSection = await mapLimit(sections, SECTION_CONCURRENCY, async (section, i) => {
+    let questions = [];
+    if (quotas[i] > 0) {
+      try {
+        const opts = job.options || {};
+        results[i] = await generateSection(section, quotas[i], job.prompt, opts.questionTypes, opts.language, jobUsage(job));
+        questions = results[i].questions;
+      } catch (err) {
+        failures.push({ section: i, pages: section.pages, err });
+      }
+    }
+    if (onSectionDone) await onSectionDone(section, sections.length);
+    return questions;
+  });
+  failures.sort((a, b) => a.section - b.section);
+  const invalid = failures.find(f => f.err.code === 'invalid_quiz' || f.err.code === 'invalid_json');
+  if (invalid) {
+    invalid.err.message = `section ${invalid.section + 1} (pages ${invalid.pages.join(', ')}): ${invalid.err.message}`;
+    throw invalid.err;
+  }
+  // Title and description come from the earliest section that produced a quiz
+  const first = results.find(Boolean);
+  if (!first) throw failures.length ? failures[0].err : new Error('No questions could be generated');
+  // De-duplicate across the whole document, then rebalance per section
+  const unique = new Set(dedupeQuestions([].concat(...perSection)));
+  const questions = balanceQuestions(perSection.map(list => list.filter(q => unique.has(q))), count, quotas);
+  questions.forEach((q, i) => { q.id = 'q' + (i + 1); });
+  // Merged pages point back to the uploaded file they came from
+  const byPage = new Map(pages.filter(p => p.file).map(p => [p.page, p]));
+  questions.forEach(q => {
+    const p = byPage.get(q.source.page);
+    if (p) Object.assign(q.source, { file: p.file, filePage: p.filePage });
+  });
+  const coveredPages = Array.from(new Set(questions.map(q => q.source.page))).sort((a, b) => a - b);
+  return {
+    title: first.title,
+    description: first.description,
+    questions,
+    coverage: {
+      pages: coveredPages,
+      pageRange: { from: pages[0].page, to: pages[pages.length - 1].page },
+      totalPages: job.totalPages,
+      sections: sections.length,
+      partial: failures.length > 0,
+      failedSections: failures.map(f => ({ section: f.section, pages: f.pages, error: f.err.message }))
+    }
+  };
+}
+
+// Log lines and model calls of a job carry its id, plus the id of the request
+// that started it when there is one
+function runJob(id) {
+  return withContext({ jobId: id }, () => executeJob(id));
+}
+
+async function executeJob(id) {
+  if (runningJobs.has(id)) return;
+  runningJobs.add(id);
+  let stage = 'extract';
+  try {
+    let job = await updateJob(id, { status: 'running', error: null });
+    if (!job) return;
+    // Extracted pages are kept on the job so a retry skips OCR
+    let pages = job.sourcePages;
+    if (!pages || !pages.length) {
+      await updateJob(id, { 'stages.extract.status': 'running', 'stages.extract.startedAt': new Date() });
+      const extracted = await extractSource(job);
+      pages = extracted.pages;
+      job = await updateJob(id, { sourcePages: pages, totalPages: extracted.totalPages, 'stages.extract.status': 'done', 'stages.extract.finishedAt': new Date() });
+    } else {
+      await updateJob(id, { 'stages.extract.status': 'done' });
+    }
+
+    stage = 'generate';
+    await updateJob(id, { 'stages.generate.status': 'running', 'stages.generate.done': 0, 'stages.generate.total': null, 'stages.generate.startedAt': new Date(), result: null });
+    let sectionsDone = 0;
+    const quizData = await generateQuiz(job, pages, (section, total) => {
+      sectionsDone++;
+      return updateJob(id, { 'stages.generate.done': sectionsDone, 'stages.generate.total': total });
+    });
+    await updateJob(id, { 'stages.generate.status': 'done', 'stages.generate.finishedAt': new Date(), result: quizData });
+
+    stage = 'hints';
+    const questions = quizData.questions;
+    await updateJob(id, { 'stages.hints.status': 'running', 'stages.hints.done': 0, 'stages.hints.total': questions.length, 'stages.hints.startedAt': new Date() });
+    // Serialize progress writes so a slow write never lands after a newer one
+    let writes = Promise.resolve();
+    await addHints(questions, {
+      language: job.options && job.options.language,
+      usage: jobUsage(job),
+      onProgress: (done) => {
+        writes = writes.then(() => updateJob(id, { 'stages.hints.done': done, result: quizData }));
+        return writes;
+      }
+    });
+    await writes;
+    // Uploads are shared by content hash; the retention sweep in uploads.js
+    // deletes the file once no quiz or unfinished job refers to it
+    await updateJob(id, { 'stages.hints.status': 'done', 'stages.hints.finishedAt': new Date(), status: 'completed', result: quizData, finishedAt: new Date() });
+    log.info('generation job completed', { questions: questions.length, failedSections: quizData.coverage.failedSections.length });
+  } catch (err) {
+    log.warn('generation job failed', { stage, code: err.code || 'job_failed', error: err.message });
+    // Failed jobs keep their upload so the job can be retried
+    await updateJob(id, {
+      status: 'failed',
+      [`stages.${stage}.status`]: 'failed',
+      error: { message: err.message, code: err.code || 'job_failed', stage, issues: err.issues, raw: err.raw },
+      finishedAt: new Date()
+    }).catch(e => log.error('failed to record job failure', { jobId: id, error: e.message }));
+  } finally {
+    runningJobs.delete(id);
+  }
+}
+
+// Reads questionCount/pageFrom/pageTo/questionTypes from a request body; returns { options } or { error }
+function parseJobOptions(body) {
+  const options = {};
+  for (const key of ['questionCount', 'pageFrom', 'pageTo']) {
+    if (body[key] === undefined || body[key] === '') continue;
+    const n = Number(body[key]);
+    if (!Number.isInteger(n) || n < 1) return { error: `${key} must be a positive integer` };
+    options[key] = n;
+  }
+  if (body.questionTypes !== undefined && body.questionTypes !== '') {
+    const types = (Array.isArray(body.questionTypes) ? body.questionTypes : String(body.questionTypes).split(','))
+      .map(t => String(t).trim()).filter(Boolean);
+    const unknown = types.filter(t => !QUESTION_TYPES.includes(t));
+    if (unknown.length) return { error: `unknown question type(s): ${unknown.join(', ')}` };
+    options.questionTypes = Array.from(new Set(types));
+  }
+  if (body.language !== undefined && body.language !== '') {
+    const { code, error } = parseLanguage(body.language);
+    if (error) return { error };
+    options.language = code;
+  }
+  if (options.questionCount > MAX_QUESTION_COUNT) return { error: `questionCount must be at most ${MAX_QUESTION_COUNT}` };
+  if (options.pageFrom && options.pageTo && options.pageFrom > options.pageTo) return { error: 'pageFrom must not be after pageTo' };
+  return { options };
+}
+
+// file for image/pdf jobs; files (in page order) for kind 'files'
+async function createJob({ teacherId, kind, file, files, prompt, options }) {
+  const job = await GenerationJob.create({
+    id: newJobId(),
+    teacherId,
+    kind,
+    filePath: file ? file.path : undefined,
+    fileHash: file ? file.hash : undefined,
+    originalName: file ? file.originalname : files.map(f => f.originalname).join(', '),
+    files: files ? files.map(f => ({ path: f.path, hash: f.hash, kind: f.kind, originalName: f.originalname })) : undefined,
+    prompt: prompt || '',
+    options: options || {},
+    runs: 1
+  });
+  setImmediate(() => runJob(job.id));
+  return job.toObject();
+}
+
+// Jobs left "running" by a previous process can never finish; mark them failed
+async function failInterruptedJobs() {
+  const r = await GenerationJob.updateMany(
+    { status: { $in: ['queued', 'running'] } },
+    { $set: { status: 'failed', error: { message: 'server restarted while the job was running', code: 'interrupted' }, finishedAt: new Date() } }
+  );
+  return r.modifiedCount || 0;
+}
+
+// ======================= Endpoints =============================
+async function loadOwnJob(req, res) {
+  const job = await GenerationJob.findOne({ id: req.params.id }).lean();
+  if (!job) { res.status(404).json({ ok: false, error: 'job not found' }); return null; }
+  if (!isOwner(req.user, job.teacherId)) { forbidden(res); return null; }
+  return job;
+}
+
+// Recent jobs for the authenticated teacher
+router.get('/api/jobs', requireAuth, requireRole('teacher'), async (req, res) => {
+  try {
+    const jobs = await GenerationJob.find({ teacherId: req.user.id }).select('-sourcePages').sort({ createdAt: -1 }).limit(50).lean();
+    res.json({ ok: true, jobs: jobs.map(publicJob) });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// Status, per-stage progress, partial result and error
+router.get('/api/jobs/:id', requireAuth, requireRole('teacher'), async (req, res) => {
+  try {
+    res.set('Cache-Control', 'no-store');
+    const job = await loadOwnJob(req, res);
+    if (!job) return;
+    res.json({ ok: true, job: publicJob(job) });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// Server-Sent Events: one "job" event per update, closed once the job finishes
+router.get('/api/jobs/:id/events', requireAuthSse, requireRole('teacher'), async (req, res) => {
+  try {
+    const job = await loadOwnJob(req, res);
+    if (!job) return;
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive', 'X-Accel-Buffering': 'no' });
+    res.flushHeaders();
+    const send = (data) => {
+      res.write(`event: job\ndata: ${JSON.stringify(data)}\n\n`);
+      if (data.status === 'completed' || data.status === 'failed') cleanup(true);
+    };
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+    let closed = false;
+    function cleanup(end) {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      jobEvents.removeListener(job.id, send);
+      if (end) res.end();
+    }
+    jobEvents.on(job.id, send);
+    req.on('close', () => cleanup(false));
+    send(publicJob(job));
+  } catch (err) {
+    if (!res.headersSent) serverError(res, err);
+    else res.end();
+  }
+});
+
+// Re-run a failed job from the stored upload (or stored text) without re-uploading
+router.post('/api/jobs/:id/retry', requireAuth, requireRole('teacher'), aiGate('retry'), async (req, res) => {
+  try {
+    const job = await loadOwnJob(req, res);
+    if (!job) return;
+    if (job.status !== 'failed' || runningJobs.has(job.id)) {
+      return res.status(409).json({ ok: false, error: `job is ${job.status}, only failed jobs can be retried` });
+    }
+    const paths = job.files ? job.files.map(f => f.path) : [job.filePath];
+    if (!(job.sourcePages && job.sourcePages.length) && !paths.every(p => p && fs.existsSync(p))) {
+      return res.status(410).json({ ok: false, error: 'uploaded file is no longer available; upload it again' });
+    }
+    const updated = await GenerationJob.findOneAndUpdate(
+      { id: job.id, status: 'failed' },
+      { $set: { status: 'queued', error: null, finishedAt: null, updatedAt: new Date() }, $inc: { runs: 1 } },
+      { new: true }
+    ).lean();
+    if (!updated) return res.status(409).json({ ok: false, error: 'job was already retried' });
+    setImmediate(() => runJob(job.id));
+    res.status(202).json({ ok: true, job: publicJob(updated) });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+module.exports = router;
+module.exports.createJob = createJob;
+module.exports.runJob = runJob;
+module.exports.failInterruptedJobs = failInterruptedJobs;
+module.exports.publicJob = publicJob;
+module.exports.parseJobOptions = parseJobOptions;
+module.exports.generateQuiz = generateQuiz;
+module.exports.parseJsonLenient = parseJsonLenient;
+module.exports.generateValidQuiz = generateValidQuiz;
+module.exports.buildQuizMessages = buildQuizMessages;
+module.exports.addHints = addHints;
+module.exports.mapLimit = mapLimit;
@@ -0,0 +1,294 @@
+// ======================= Imports & Setup =======================
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const mongoose = require('mongoose');
+const { Quiz, Attempt, Gradebook } = require('./models');
+const { requireAuth, requireRole, isOwner, forbidden } = require('./authMiddleware');
+const { serverError } = require('./logger');
+const { questionPoints } = require('./grading');
+const { parseCsv, toCsv, unguardCsvField } = require('./csv');
+const { policyScore } = require('./quizLifecycle');
+
+// CSV uploads are small and parsed in memory
+const csvUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 1024 * 1024 } });
+
+// Cell markers used in the CSV export (and understood by the import)
+const MISSING = 'MISSING';
+const IN_PROGRESS = 'IN PROGRESS';
+const CLEAR = 'CLEAR';
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+// ======================= Helpers ===============================
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function quizMaxScore(quiz) {
+  const json = quiz.finalizedJson || {};
+  const questions = Array.isArray(json.questions) ? json.questions : [];
+  // Questions drawn from the bank score draw.points (default 1) each
+  const drawn = (Array.isArray(json.draws) ? json.draws : []).reduce((sum, d) => sum + (d.count || 0) * (d.points > 0 ? d.points : 1), 0);
+  return questions.reduce((sum, q) => sum + questionPoints(q), 0) + drawn;
+}
+
+// The quiz's closeAt, or the older free-form metadata.dueDate
+function quizDueDate(quiz) {
+  const due = quiz.closeAt || (quiz.metadata && quiz.metadata.dueDate);
+  const d = due ? new Date(due) : null;
+  return d && !isNaN(d) ? d : null;
+}
+
+async function loadOwnCourse(req, res) {
+  const course = await mongoose.model('Course').findById(req.params.id).lean().catch(() => null);
+  if (!course) { res.status(404).json({ ok: false, error: 'course not found' }); return null; }
+  if (!isOwner(req.user, course.teacherId)) { forbidden(res); return null; }
+  return course;
+}
+
+function slug(s) {
+  return String(s || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'column';
+}
+
+// ======================= Gradebook Builder =====================
+// Student x column matrix. Quiz columns come from the course's quizzes and
+// their attempts; extra columns and overrides from the Gradebook document.
+async function buildGradebook(course) {
+  const courseId = String(course._id);
+  // Rosters and attempts saved before emails were lowercased may hold capitals
+  const roster = Array.from(new Set((course.students || []).map(e => String(e).trim().toLowerCase()))).sort((a, b) => a.localeCompare(b));
+  const [quizzes, book] = await Promise.all([
+    // Drafts are not given to students yet (as in student.js)
+    Quiz.find({ courseId, status: { $ne: 'draft' } }).select('id finalizedJson metadata closeAt scoringPolicy createdAt').sort({ createdAt: 1, id: 1 }).lean(),
+    Gradebook.findOne({ courseId }).lean()
+  ]);
+  const attempts = await Attempt.find({ quizId: { $in: quizzes.map(q => q.id) }, email: { $in: roster } })
+    .collation(CASE_INSENSITIVE).select('quizId email attemptNumber score maxScore submitted submittedAt reviewStatus').lean();
+
+  // quizId::email -> that student's attempts at the quiz
+  const attemptMap = new Map();
+  for (const a of attempts) {
+    const k = `${a.quizId}::${String(a.email).toLowerCase()}`;
+    if (!attemptMap.has(k)) attemptMap.set(k, []);
+    attemptMap.get(k).push(a);
+  }
+  const overrides = new Map(((book && book.entries) || []).map(e => [`${e.columnKey}::${String(e.email).toLowerCase()}`, e]));
+
+  const columns = quizzes.map(q => ({
+    key: q.id,
+    kind: 'quiz',
+    title: (q.finalizedJson && q.finalizedJson.title) || q.id,
+    maxScore: quizMaxScore(q),
+    dueDate: quizDueDate(q),
+    scoringPolicy: q.scoringPolicy || 'best'
+  })).concat(((book && book.extraColumns) || []).map(c => ({ key: c.key, kind: 'extra', title: c.title, maxScore: c.maxScore || 0, dueDate: null })));
+
+  const rows = roster.map(email => {
+    let total = 0, max = 0;
+    const cells = {};
+    for (const col of columns) {
+      const override = overrides.get(`${col.key}::${email}`);
+      const cell = { score: null, maxScore: col.maxScore, status: 'missing', late: false, overridden: false };
+      if (col.kind === 'quiz') {
+        const list = attemptMap.get(`${col.key}::${email}`) || [];
+        // Several attempts count according to the quiz's scoring policy
+        const counted = policyScore(list, col.scoringPolicy);
+        if (counted) {
+          cell.status = 'submitted';
+          cell.score = counted.score;
+          cell.attempts = counted.attempts;
+          if (counted.maxScore) cell.maxScore = counted.maxScore;
+          cell.late = !!(col.dueDate && counted.submittedAt && new Date(counted.submittedAt) > col.dueDate);
+          // Essay grades not released yet count as 0 so far
+          cell.pendingReview = list.some(a => a.submitted && a.reviewStatus === 'pending');
+        } else if (list.length) {
+          cell.status = 'in_progress';
+        }
+      }
+      if (override && typeof override.score === 'number') {
+        cell.score = override.score;
+        cell.status = col.kind === 'quiz' && cell.status === 'submitted' ? 'submitted' : 'entered';
+        cell.overridden = col.kind === 'quiz';
+        if (override.note) cell.note = override.note;
+      }
+      cell.percent = cell.score != null && cell.maxScore ? round(100 * cell.score / cell.maxScore) : null;
+      // Missing work counts as zero in the totals
+      total += cell.score || 0;
+      max += cell.maxScore || 0;
+      cells[col.key] = cell;
+    }
+    return { email, cells, total: round(total), maxScore: round(max), percent: max ? round(100 * total / max) : null };
+  });
+
+  return { courseId, name: course.name, columns, rows };
+}
+
+// Stable layout: Email, one column per quiz (creation order) then per extra
+// column, then Total, Max, Percent. Headers carry the column key in brackets
+// so an edited export can be imported again.
+function gradebookCsv(gb) {
+  const header = ['Email']
+    .concat(gb.columns.map(c => c.kind === 'quiz' ? `${c.title} [${c.key}]` : `${c.title} [ext:${c.key}][max=${c.maxScore}]`))
+    .concat(['Total', 'Max', 'Percent']);
+  const lines = gb.rows.map(r => [r.email].concat(gb.columns.map(c => {
+    const cell = r.cells[c.key];
+    if (cell.score == null) return cell.status === 'in_progress' ? IN_PROGRESS : MISSING;
+    return cell.late ? `${cell.score} (late)` : cell.score;
+  })).concat([r.total, r.maxScore, r.percent == null ? '' : r.percent]));
+  return toCsv([header].concat(lines));
+}
+
+// ======================= CSV Import ============================
+// Maps each CSV header to a target: a quiz column, an existing or new extra
+// column, or null for columns we ignore (Total/Max/Percent, unknown).
+function resolveImportColumns(header, gb) {
+  const quizKeys = new Set(gb.columns.filter(c => c.kind === 'quiz').map(c => c.key));
+  const extras = new Map(gb.columns.filter(c => c.kind === 'extra').map(c => [c.key, c]));
+  const newColumns = [];
+  const targets = header.map((raw, i) => {
+    const h = String(raw).trim();
+    if (i === 0 || /^(total|max|percent)$/i.test(h)) return null;
+    const maxMatch = h.match(/\[max=(\d+(?:\.\d+)?)\]/i);
+    const maxScore = maxMatch ? Number(maxMatch[1]) : 100;
+    const ext = h.match(/\[ext:([^\]]+)\]/i);
+    if (ext) {
+      const key = ext[1].trim();
+      if (!extras.has(key)) {
+        const col = { key, title: h.replace(/\[[^\]]*\]/g, '').trim() || key, maxScore };
+        extras.set(key, col);
+        newColumns.push(col);
+      }
+      return { kind: 'extra', key };
+    }
+    const quiz = h.match(/\[([^\]]+)\]\s*$/);
+    if (quiz && quizKeys.has(quiz[1].trim())) return { kind: 'quiz', key: quiz[1].trim() };
+    if (!h) return null;
+    // A plain header becomes an extra column keyed by its slug, so the same
+    // title imported again updates the same column
+    const title = h.replace(/\[[^\]]*\]/g, '').trim();
+    const key = slug(title);
+    if (!extras.has(key)) {
+      const col = { key, title, maxScore };
+      extras.set(key, col);
+      newColumns.push(col);
+    }
+    return { kind: 'extra', key };
+  });
+  return { targets, newColumns };
+}
+
+function parseScore(raw) {
+  const s = String(raw).trim().replace(/\s*\(late\)$/i, '');
+  if (s === '') return { skip: true };
+  if (s.toUpperCase() === MISSING || s.toUpperCase() === IN_PROGRESS) return { skip: true };
+  if (s.toUpperCase() === CLEAR) return { clear: true };
+  const n = Number(s);
+  if (!Number.isFinite(n) || n < 0) return { error: `invalid score "${raw}"` };
+  return { score: n };
+}
+
+async function importGradebookCsv(course, text) {
+  const gb = await buildGradebook(course);
+  const rows = parseCsv(text);
+  if (!rows.length) return { error: 'CSV is empty' };
+  const header = rows[0].map(unguardCsvField);
+  if (!/^e-?mail$/i.test(String(header[0]).trim())) return { error: 'first column must be "Email"' };
+  const { targets, newColumns } = resolveImportColumns(header, gb);
+  const roster = new Set(gb.rows.map(r => r.email));
+  const current = new Map(gb.rows.map(r => [r.email, r]));
+
+  const book = await Gradebook.findOne({ courseId: String(course._id) }) || new Gradebook({ courseId: String(course._id), teacherId: String(course.teacherId) });
+  newColumns.forEach(c => book.extraColumns.push(c));
+  // Entries written before emails were lowercased may hold capitals
+  const entryIndex = new Map(book.entries.map((e, i) => [`${e.columnKey}::${String(e.email).toLowerCase()}`, i]));
+  const toRemove = new Set();
+
+  const report = rows.slice(1).map((cells, r) => {
+    // Exports guard cells against formulas with a leading quote; roster emails are lowercase
+    const email = unguardCsvField(cells[0]).trim().toLowerCase();
+    const line = { row: r + 2, email, status: 'ok', applied: 0, errors: [] };
+    if (!roster.has(email)) {
+      line.status = 'error';
+      line.errors.push(email ? 'student is not on the course roster' : 'email is empty');
+      return line;
+    }
+    targets.forEach((t, i) => {
+      if (!t || i >= cells.length) return;
+      const parsed = parseScore(cells[i]);
+      if (parsed.skip) return;
+      if (parsed.error) { line.errors.push(`${header[i]}: ${parsed.error}`); return; }
+      const k = `${t.key}::${email}`;
+      if (parsed.clear) {
+        if (entryIndex.has(k)) { toRemove.add(entryIndex.get(k)); line.applied++; }
+        return;
+      }
+      // Re-importing an unchanged export must not turn computed scores into overrides
+      const existingCell = current.get(email).cells[t.key];
+      if (existingCell && existingCell.score === parsed.score && !entryIndex.has(k)) return;
+      const entry = { email, columnKey: t.key, score: parsed.score, updatedAt: new Date() };
+      if (entryIndex.has(k)) {
+        const idx = entryIndex.get(k);
+        book.entries[idx].score = parsed.score;
+        book.entries[idx].updatedAt = entry.updatedAt;
+        toRemove.delete(idx);
+      } else {
+        book.entries.push(entry);
+        entryIndex.set(k, book.entries.length - 1);
+      }
+      line.applied++;
+    });
+    if (line.errors.length) line.status = line.applied ? 'partial' : 'error';
+    else if (!line.applied) line.status = 'unchanged';
+    return line;
+  });
+
+  book.entries = book.entries.filter((_, i) => !toRemove.has(i));
+  book.updatedAt = new Date();
+  await book.save();
+  return { report, newColumns };
+}
+
+// ======================= Endpoints =============================
+
+// Student x quiz matrix with totals, percentages and missing/late markers
+router.get('/api/courses/:id/gradebook', requireAuth, requireRole('teacher'), async (req, res) => {
+  try {
+    const course = await loadOwnCourse(req, res);
+    if (!course) return;
+    res.json({ ok: true, gradebook: await buildGradebook(course) });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+router.get('/api/courses/:id/gradebook.csv', requireAuth, requireRole('teacher'), async (req, res) => {
+  try {
+    const course = await loadOwnCourse(req, res);
+    if (!course) return;
+    const csv = gradebookCsv(await buildGradebook(course));
+    const name = slug(course.name) || 'course';
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="gradebook-${name}.csv"`);
+    res.send(csv);
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// Merge a CSV (file field "file" or a "csv" text field) of score overrides and
+// extra columns. "CLEAR" removes an override; MISSING/blank cells are ignored.
+router.post('/api/courses/:id/gradebook/import', requireAuth, requireRole('teacher'), csvUpload.single('file'), async (req, res) => {
+  try {
+    const course = await loadOwnCourse(req, res);
+    if (!course) return;
+    const text = req.file ? req.file.buffer.toString('utf8') : (req.body && typeof req.body.csv === 'string' ? req.body.csv : '');
+    if (!text.trim()) return res.status(400).json({ ok: false, error: 'CSV file or csv text required' });
+    const result = await importGradebookCsv(course, text);
+    if (result.error) return res.status(400).json({ ok: false, error: result.error });
+    res.json({ ok: true, report: result.report, newColumns: result.newColumns, gradebook: await buildGradebook(course) });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,69 @@
+// ======================= Attempt Grading ======================
+// Grades submitted answers against the stored quiz. The client never
+// supplies the score; everything here is derived from finalizedJson.
+// Per-type rules live in questionTypes.js.
+const { typeOf, isAnswered, creditFor, hasRubric, needsReview } = require('./questionTypes');
+
+// A rubric question is worth the sum of its criteria (1 each when unset, as in normalizeRubric)
+function criterionPoints(c) {
+  if (!c || c.points == null || c.points === '') return 1;
+  const p = Number(c.points);
+  return Number.isFinite(p) && p > 0 ? p : 0;
+}
+
+function questionPoints(q) {
+  if (hasRubric(q)) return Math.round(q.rubric.reduce((sum, c) => sum + criterionPoints(c), 0) * 100) / 100;
+  const p = Number(q && q.points);
+  return Number.isFinite(p) && p > 0 ? p : 1;
+}
+
+// Answers are keyed by question id, falling back to q1, q2... by position
+function answerFor(answers, q, index) {
+  if (!answers || typeof answers !== 'object') return undefined;
+  if (q && q.id != null && answers[q.id] !== undefined) return answers[q.id];
+  return answers['q' + (index + 1)];
+}
+
+// Review questions score 0 and stay pending until a grade is released
+function gradeQuestion(q, value) {
+  const maxPoints = questionPoints(q);
+  if (needsReview(q)) return { type: typeOf(q), answered: isAnswered(value), correct: false, points: 0, maxPoints, pending: true };
+  const credit = creditFor(q, value);
+  const points = Math.round(credit * maxPoints * 100) / 100;
+  return { type: typeOf(q), answered: isAnswered(value), correct: credit === 1, points, maxPoints };
+}
+
+// rubricGrades (the attempt's, see review.js) fill in released review
+// scores, capped at the question's points in case its rubric changed since
+function gradeAttempt(quizJson, answers, rubricGrades) {
+  const questions = quizJson && Array.isArray(quizJson.questions) ? quizJson.questions : [];
+  const released = new Map((rubricGrades || []).filter(g => g.status === 'released').map(g => [g.questionId, g]));
+  let reviewed = false;
+  const results = questions.map((q, i) => {
+    const r = gradeQuestion(q, answerFor(answers, q, i));
+    const questionId = q.id != null ? String(q.id) : 'q' + (i + 1);
+    const grade = r.pending && released.get(questionId);
+    if (grade) {
+      r.points = Math.min(Math.max(0, Number(grade.points) || 0), r.maxPoints);
+      r.correct = r.points >= r.maxPoints;
+      r.pending = false;
+      reviewed = true;
+    }
+    return Object.assign({ questionId }, r);
+  });
+  const pending = results.some(r => r.pending);
+  const score = results.reduce((sum, r) => sum + r.points, 0);
+  const maxScore = results.reduce((sum, r) => sum + r.maxPoints, 0);
+  return {
+    results,
+    score,
+    maxScore,
+    correctCount: results.filter(r => r.correct).length,
+    totalQuestions: questions.length,
+    // pending: review questions still count 0; released: all reviews are in the score
+    reviewStatus: pending ? 'pending' : reviewed ? 'released' : null,
+    gradedAt: new Date()
+  };
+}
+
+module.exports = { gradeAttempt, gradeQuestion, answerFor, questionPoints, isAnswered };
@@ -0,0 +1,72 @@
+// ======================= Health ================================
+// GET /healthz  liveness: the process answers. Always 200 while it runs,
+//               with the state of each dependency for humans and dashboards.
+// GET /readyz   readiness: 200 only when MongoDB answers a ping and the LLM
+//               provider is configured, 503 otherwise, so a load balancer
+//               stops sending traffic. OCR is reported but optional: without
+//               it only scanned uploads fail. checks.extractors.problems says
+//               what is missing, e.g. poppler's pdftoppm for scanned PDFs.
+// Neither needs authentication or reveals secrets.
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { configStatus } = require('./llm');
+const { extractorStatus } = require('./extract');
+const { version } = require('./package.json');
+
+const PING_TIMEOUT_MS = 2000;
+const startedAt = new Date();
+
+function mongoState() {
+  const state = mongoose.connection.readyState;
+  return { state: mongoose.STATES[state] || String(state), connected: state === 1 };
+}
+
+// A connected driver can still have lost the server; ping to be sure
+async function pingMongo() {
+  const status = mongoState();
+  if (!status.connected) return status;
+  const started = Date.now();
+  let timer;
+  try {
+    await Promise.race([
+      mongoose.connection.db.admin().ping(),
+      new Promise((_, reject) => { timer = setTimeout(() => reject(new Error(`ping timed out after ${PING_TIMEOUT_MS}ms`)), PING_TIMEOUT_MS); })
+    ]);
+    return Object.assign(status, { pingMs: Date.now() - started });
+  } catch (err) {
+    return Object.assign(status, { connected: false, problem: err.message });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function checks(mongo) {
+  return { mongo, llm: configStatus(), extractors: await extractorStatus() };
+}
+
+router.get('/healthz', async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    ok: true,
+    status: 'ok',
+    version,
+    startedAt,
+    uptimeSeconds: Math.round(process.uptime()),
+    checks: await checks(mongoState())
+  });
+});
+
+router.get('/readyz', async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  const result = await checks(await pingMongo());
+  const problems = [];
+  if (!result.mongo.connected) problems.push(`mongo ${result.mongo.problem || result.mongo.state}`);
+  if (!result.llm.ready) problems.push(`llm: ${result.llm.problem}`);
+  if (problems.length) {
+    return res.status(503).json({ ok: false, status: 'unavailable', error: `not ready: ${problems.join('; ')}`, code: 'not_ready', checks: result });
+  }
+  res.json({ ok: true, status: 'ready', checks: result });
+});
+
+module.exports = router;
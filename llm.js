@@ -0,0 +1,437 @@
+// ======================= LLM Provider ==========================
+// One entry point for every model call. Talks to any OpenAI-compatible
+// chat completions API (OpenAI, Ollama, llama.cpp server, vLLM...) or to a
+// deterministic mock so the parse, hint and chat endpoints run offline.
+//
+// Environment:
+//   LLM_PROVIDER     openai (default) | mock
+//   LLM_BASE_URL     default https://api.openai.com/v1 (Ollama: http://localhost:11434/v1)
+//   LLM_API_KEY      falls back to OPENAI_API_KEY; optional for local servers
+//   LLM_MODEL        default gpt-4o-mini
+//   LLM_TIMEOUT_MS   per request, default 60000
+//   LLM_MAX_RETRIES  retries on 429/5xx/network errors, default 2
+require('dotenv').config();
+const { log, requestId, serverError } = require('./logger');
+
+let _fetch = globalThis.fetch;
+try { if (!_fetch) _fetch = require('node-fetch').default; } catch (e) {}
+
+function intFromEnv(name, fallback) {
+  const n = parseInt(process.env[name], 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+const config = {
+  provider: (process.env.LLM_PROVIDER || 'openai').toLowerCase(),
+  baseUrl: (process.env.LLM_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, ''),
+  apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || '',
+  model: process.env.LLM_MODEL || 'gpt-4o-mini',
+  timeoutMs: intFromEnv('LLM_TIMEOUT_MS', 60000),
+  maxRetries: intFromEnv('LLM_MAX_RETRIES', 2)
+};
+
+// ======================= Errors ================================
+// httpStatus is what our API answers with when the model call fails
+class LLMError extends Error {
+  constructor(message, { code = 'llm_error', httpStatus = 502, status, retryable = false } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.code = code;
+    this.httpStatus = httpStatus;
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+class LLMConfigError extends LLMError {
+  constructor(message) {
+    super(message, { code: 'llm_config', httpStatus: 503 });
+    this.name = 'LLMConfigError';
+  }
+}
+class LLMTimeoutError extends LLMError {
+  constructor(timeoutMs) {
+    super(`LLM request timed out after ${timeoutMs}ms`, { code: 'llm_timeout', httpStatus: 504, retryable: true });
+    this.name = 'LLMTimeoutError';
+  }
+}
+class LLMRateLimitError extends LLMError {
+  constructor(status, retryAfterMs) {
+    super('LLM provider rate limit reached', { code: 'llm_rate_limited', httpStatus: 503, status, retryable: true });
+    this.name = 'LLMRateLimitError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+// The caller cancelled (e.g. the browser closed a stream)
+class LLMAbortError extends LLMError {
+  constructor() {
+    super('LLM request cancelled', { code: 'llm_aborted', httpStatus: 499 });
+    this.name = 'LLMAbortError';
+  }
+}
+class LLMResponseError extends LLMError {
+  constructor(status, detail) {
+    super(`LLM provider returned HTTP ${status}${detail ? ': ' + detail : ''}`, { code: 'llm_http_error', status, retryable: status >= 500 });
+    this.name = 'LLMResponseError';
+  }
+}
+
+// Pull a short human-readable message out of an OpenAI-style error body
+function errorDetail(text) {
+  try {
+    const body = JSON.parse(text);
+    if (body && body.error) return String(body.error.message || body.error).slice(0, 300);
+  } catch (_) {}
+  return String(text || '').slice(0, 300);
+}
+
+function retryAfterMs(res) {
+  const h = res.headers && res.headers.get && res.headers.get('retry-after');
+  const secs = Number(h);
+  return Number.isFinite(secs) && secs >= 0 ? secs * 1000 : null;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// ======================= OpenAI-compatible Provider ============
+function buildPayload(messages, opts) {
+  return {
+    model: opts.model || config.model,
+    messages,
+    temperature: typeof opts.temperature === 'number' ? opts.temperature : 0.7,
+    max_tokens: typeof opts.max_tokens === 'number' ? opts.max_tokens : 800,
+    response_format: opts.force_json ? { type: 'json_object' } : undefined
+  };
+}
+
+// The request id lets provider-side logs (e.g. a local proxy) be matched with ours
+function requestHeaders() {
+  const headers = { 'Content-Type': 'application/json' };
+  if (config.apiKey) headers.Authorization = `Bearer ${config.apiKey}`;
+  const id = requestId();
+  if (id) headers['X-Request-Id'] = id;
+  return headers;
+}
+
+function logRetry(err, attempt) {
+  log.warn('llm retry', { attempt: attempt + 1, code: err.code, status: err.status });
+}
+
+// The timeout covers the whole exchange: a provider that sends headers and
+// then stalls on the body is cut off as well
+async function requestOnce(payload, opts) {
+  if (!_fetch) throw new LLMConfigError('fetch not available');
+  const timeoutMs = opts.timeoutMs || config.timeoutMs;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const headers = requestHeaders();
+  try {
+    let res;
+    try {
+      res = await _fetch(`${config.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(payload),
+        signal: controller.signal
+      });
+    } catch (err) {
+      if (err && err.name === 'AbortError') throw new LLMTimeoutError(timeoutMs);
+      throw new LLMError(`LLM provider unreachable: ${err.message}`, { code: 'llm_unreachable', retryable: true });
+    }
+    let data;
+    try {
+      if (res.status === 429) throw new LLMRateLimitError(429, retryAfterMs(res));
+      if (!res.ok) throw new LLMResponseError(res.status, errorDetail(await res.text()));
+      data = await res.json();
+    } catch (err) {
+      if (err instanceof LLMError) throw err;
+      if (err && err.name === 'AbortError') throw new LLMTimeoutError(timeoutMs);
+      throw new LLMError(`LLM provider sent an unreadable response: ${err.message}`, { code: 'llm_bad_response', retryable: true });
+    }
+    return {
+      content: data.choices?.[0]?.message?.content ?? '',
+      model: data.model || payload.model,
+      usage: data.usage || null
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function openaiComplete(messages, opts) {
+  if (config.baseUrl.includes('api.openai.com') && !config.apiKey) {
+    throw new LLMConfigError('OPENAI_API_KEY (or LLM_API_KEY) is not set');
+  }
+  const payload = buildPayload(messages, opts);
+  const maxRetries = typeof opts.maxRetries === 'number' ? opts.maxRetries : config.maxRetries;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await requestOnce(payload, opts);
+    } catch (err) {
+      if (!(err instanceof LLMError) || !err.retryable || attempt >= maxRetries) throw err;
+      logRetry(err, attempt);
+      // Exponential backoff with jitter, honouring Retry-After when the server sends it
+      const backoff = 500 * Math.pow(2, attempt) + Math.floor(Math.random() * 250);
+      await sleep(err.retryAfterMs != null ? Math.min(err.retryAfterMs, 30000) : backoff);
+    }
+  }
+}
+
+// ======================= Streaming =============================
+// Reads an OpenAI-style SSE body ("data: {...}" lines, ending with
+// "data: [DONE]") and hands each content delta to onToken.
+async function readStream(res, payload, opts, idle) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let content = '';
+  let model = payload.model;
+  let usage = null;
+  const handle = (line) => {
+    const m = line.match(/^data:\s?(.*)$/);
+    if (!m || m[1] === '[DONE]') return;
+    let chunk;
+    try { chunk = JSON.parse(m[1]); } catch (_) { return; }
+    if (chunk.model) model = chunk.model;
+    if (chunk.usage) usage = chunk.usage;
+    const delta = chunk.choices?.[0]?.delta?.content;
+    if (delta) {
+      content += delta;
+      if (opts.onToken) opts.onToken(delta);
+    }
+  };
+  for await (const part of res.body) {
+    idle();
+    buffer += typeof part === 'string' ? part : decoder.decode(part, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    lines.forEach(handle);
+  }
+  if (buffer) handle(buffer);
+  return { content, model, usage };
+}
+
+// Retries only happen before the first token; once text has been forwarded
+// a failure is reported as is. timeoutMs counts from the last chunk.
+async function openaiStream(messages, opts) {
+  if (config.baseUrl.includes('api.openai.com') && !config.apiKey) {
+    throw new LLMConfigError('OPENAI_API_KEY (or LLM_API_KEY) is not set');
+  }
+  if (!_fetch) throw new LLMConfigError('fetch not available');
+  const payload = Object.assign(buildPayload(messages, opts), { stream: true, stream_options: { include_usage: true } });
+  const maxRetries = typeof opts.maxRetries === 'number' ? opts.maxRetries : config.maxRetries;
+  const timeoutMs = opts.timeoutMs || config.timeoutMs;
+  const headers = requestHeaders();
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    let timedOut = false;
+    let timer;
+    const idle = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => { timedOut = true; controller.abort(); }, timeoutMs);
+    };
+    const cancel = () => controller.abort();
+    if (opts.signal) {
+      if (opts.signal.aborted) throw new LLMAbortError();
+      opts.signal.addEventListener('abort', cancel);
+    }
+    let started = false;
+    try {
+      idle();
+      let res;
+      try {
+        res = await _fetch(`${config.baseUrl}/chat/completions`, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify(payload),
+          signal: controller.signal
+        });
+      } catch (err) {
+        if (err && err.name === 'AbortError') throw err;
+        throw new LLMError(`LLM provider unreachable: ${err.message}`, { code: 'llm_unreachable', retryable: true });
+      }
+      if (res.status === 429) throw new LLMRateLimitError(429, retryAfterMs(res));
+      if (!res.ok) throw new LLMResponseError(res.status, errorDetail(await res.text()));
+      started = true;
+      return await readStream(res, payload, opts, idle);
+    } catch (err) {
+      if (opts.signal && opts.signal.aborted) throw new LLMAbortError();
+      if (err && err.name === 'AbortError') err = timedOut ? new LLMTimeoutError(timeoutMs) : err;
+      if (started || !(err instanceof LLMError) || !err.retryable || attempt >= maxRetries) throw err;
+      logRetry(err, attempt);
+      const backoff = 500 * Math.pow(2, attempt) + Math.floor(Math.random() * 250);
+      await sleep(err.retryAfterMs != null ? Math.min(err.retryAfterMs, 30000) : backoff);
+    } finally {
+      clearTimeout(timer);
+      if (opts.signal) opts.signal.removeEventListener('abort', cancel);
+    }
+  }
+}
+
+// ======================= Mock Provider =========================
+// Deterministic output derived from the last user message. JSON requests get
+// a small quiz built from the source sentences; everything else gets text.
+function lastUserText(messages) {
+  for (let i = messages.length - 1; i >= 0; i--) {
+    if (messages[i] && messages[i].role === 'user') return String(messages[i].content || '');
+  }
+  return '';
+}
+
+function mockQuiz(text, count) {
+  const sentences = text.split(/(?<=[.!?])\s+|\n+/).map(s => s.trim()).filter(s => s.length > 10);
+  const picked = sentences.length ? sentences.slice(0, count || 3) : ['The source text was empty.'];
+  return {
+    title: 'Mock Quiz',
+    description: 'Generated by the mock LLM provider',
+    questions: picked.map((s, i) => ({
+      id: 'q' + (i + 1),
+      question: `Which statement appears in the source (${i + 1})?`,
+      options: [s.slice(0, 120), 'None of the above', 'All of the above'],
+      correctAnswer: 0,
+      explanation: 'Taken verbatim from the source text.'
+    }))
+  };
+}
+
+let mockResponder = null;
+
+async function mockComplete(messages, opts) {
+  const text = lastUserText(messages);
+  let content;
+  if (mockResponder) content = await mockResponder(messages, opts);
+  else if (opts.force_json) {
+    // Honour "exactly N questions" from the system prompt when present
+    const m = messages.map(x => String(x.content || '')).join('\n').match(/exactly (\d+) questions/);
+    content = JSON.stringify(mockQuiz(text, m ? Number(m[1]) : 3));
+  }
+  else content = `[mock] ${text.slice(0, 200)}`;
+  const promptTokens = messages.reduce((n, m) => n + Math.ceil(String(m.content || '').length / 4), 0);
+  return {
+    content,
+    model: 'mock',
+    usage: { prompt_tokens: promptTokens, completion_tokens: Math.ceil(content.length / 4), total_tokens: promptTokens + Math.ceil(content.length / 4) }
+  };
+}
+
+// Same reply as mockComplete, delivered a word at a time
+async function mockStream(messages, opts) {
+  const result = await mockComplete(messages, opts);
+  const words = result.content.match(/\S+\s*|\s+/g) || [];
+  for (const word of words) {
+    if (opts.signal && opts.signal.aborted) throw new LLMAbortError();
+    if (opts.onToken) opts.onToken(word);
+    await sleep(0);
+  }
+  return result;
+}
+
+// Override the mock output, e.g. to feed fixtures: setMockResponder((messages, opts) => '...')
+function setMockResponder(fn) {
+  mockResponder = typeof fn === 'function' ? fn : null;
+}
+
+// ======================= Usage Reporting =======================
+// usage.js installs a recorder; calls that pass opts.usage ({ teacherId,
+// endpoint, purpose, jobId }) are reported with the provider's token counts
+let usageRecorder = null;
+
+function setUsageRecorder(fn) {
+  usageRecorder = typeof fn === 'function' ? fn : null;
+}
+
+function reportUsage(messages, opts, result) {
+  if (!usageRecorder || !opts.usage) return;
+  // Recording must never fail the model call itself
+  Promise.resolve()
+    .then(() => usageRecorder(opts.usage, result, messages))
+    .catch(err => log.error('usage recording failed', { error: err.message }));
+}
+
+// One log line per model call; the requestId comes from the logger context
+function logCall(opts, started, result, err) {
+  const fields = { provider: config.provider, model: (result && result.model) || opts.model || config.model, durationMs: Date.now() - started };
+  if (opts.usage) Object.assign(fields, { endpoint: opts.usage.endpoint, purpose: opts.usage.purpose, jobId: opts.usage.jobId });
+  if (result && result.usage) Object.assign(fields, { promptTokens: result.usage.prompt_tokens, completionTokens: result.usage.completion_tokens });
+  if (err) return log.warn('llm call failed', Object.assign(fields, { code: err.code, error: err.message }));
+  log.info('llm call', fields);
+}
+
+// ======================= Public API ============================
+// Returns { content, model, usage }
+async function complete(messages, opts = {}) {
+  const started = Date.now();
+  try {
+    const result = await (config.provider === 'mock' ? mockComplete(messages, opts) : openaiComplete(messages, opts));
+    logCall(opts, started, result);
+    reportUsage(messages, opts, result);
+    return result;
+  } catch (err) {
+    logCall(opts, started, null, err);
+    throw err;
+  }
+}
+
+// Streams the reply: opts.onToken(text) gets each delta as it arrives and
+// opts.signal (an AbortSignal) cancels the request with an LLMAbortError.
+// Resolves to the same { content, model, usage } as complete().
+async function streamComplete(messages, opts = {}) {
+  // A cancelled reply still used tokens: report what arrived, without counts
+  let partial = '';
+  const onToken = opts.onToken;
+  const streamOpts = Object.assign({}, opts, { onToken: text => { partial += text; if (onToken) onToken(text); } });
+  const started = Date.now();
+  try {
+    const result = await (config.provider === 'mock' ? mockStream(messages, streamOpts) : openaiStream(messages, streamOpts));
+    logCall(opts, started, result);
+    reportUsage(messages, opts, result);
+    return result;
+  } catch (err) {
+    logCall(opts, started, null, err);
+    if (err instanceof LLMAbortError && partial) reportUsage(messages, opts, { content: partial, model: config.model, usage: null });
+    throw err;
+  }
+}
+
+// For health checks: what the provider is and whether calls can be made.
+// Does not contact the provider.
+function configStatus() {
+  const status = { provider: config.provider, model: config.model, apiKeySet: !!config.apiKey };
+  if (config.provider === 'mock') return Object.assign(status, { ready: true });
+  // Only scheme and host: a base URL may carry credentials in its path or query
+  let url = null;
+  try { url = new URL(config.baseUrl); } catch (_) {}
+  status.baseUrl = url ? `${url.protocol}//${url.host}` : null;
+  if (!url) return Object.assign(status, { ready: false, problem: 'LLM_BASE_URL is not a valid URL' });
+  if (!_fetch) return Object.assign(status, { ready: false, problem: 'fetch not available' });
+  if (config.baseUrl.includes('api.openai.com') && !config.apiKey) return Object.assign(status, { ready: false, problem: 'OPENAI_API_KEY (or LLM_API_KEY) is not set' });
+  return Object.assign(status, { ready: true });
+}
+
+// Express helper: model failures answer with their own status/code,
+// anything else goes through logger.serverError
+function sendError(res, err) {
+  if (err instanceof LLMError) return res.status(err.httpStatus).json({ ok: false, error: err.message, code: err.code });
+  serverError(res, err);
+}
+
+// Returns just the message text, like the old inline helper did
+async function callOpenAI(messages, opts = {}) {
+  const result = await complete(messages, opts);
+  return result.content;
+}
+
+module.exports = {
+  config,
+  complete,
+  streamComplete,
+  configStatus,
+  callOpenAI,
+  sendError,
+  setMockResponder,
+  setUsageRecorder,
+  LLMError,
+  LLMConfigError,
+  LLMTimeoutError,
+  LLMRateLimitError,
+  LLMAbortError,
+  LLMResponseError
+};
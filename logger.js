@@ -0,0 +1,177 @@
+// ======================= Logging ===============================
+// One JSON object per line on stdout (stderr for warn/error):
+//   {"time":"...","level":"info","msg":"request","requestId":"...",...}
+// Every line logged while handling a request carries its requestId, also
+// from code that runs later on its behalf (model calls, generation jobs),
+// through AsyncLocalStorage. Emails and free text are redacted before
+// anything is written.
+//
+// Environment:
+//   LOG_LEVEL   debug | info (default) | warn | error
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const minLevel = LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+
+// ======================= Context ===============================
+const context = new AsyncLocalStorage();
+
+function newRequestId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+// Runs fn with extra fields (requestId, jobId...) on every log line it causes
+function withContext(fields, fn) {
+  return context.run(Object.assign({}, context.getStore(), fields), fn);
+}
+
+function currentContext() {
+  return context.getStore() || {};
+}
+
+function requestId() {
+  return currentContext().requestId;
+}
+
+// ======================= Redaction =============================
+const EMAIL_RE = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+// Values under these keys are user content or secrets: only their size is logged
+const SECRET_KEYS = /^(password|newPassword|currentPassword|token|refreshToken|accessToken|authorization|apiKey)$/i;
+const TEXT_KEYS = /^(text|message|content|prompt|body|answers|answer|response|question|summary|messages|raw)$/i;
+const MAX_DEPTH = 4;
+
+// "jane.doe@school.org" -> "j***@school.org"
+function maskEmail(email) {
+  const [local, domain] = String(email).split('@');
+  return `${local.slice(0, 1)}***@${domain}`;
+}
+
+function redact(value, key, depth = 0) {
+  if (value == null) return value;
+  if (key && SECRET_KEYS.test(key)) return '[redacted]';
+  if (key && TEXT_KEYS.test(key)) {
+    const size = typeof value === 'string' ? value.length : JSON.stringify(value).length;
+    return `[redacted ${size} chars]`;
+  }
+  if (typeof value === 'string') return value.replace(EMAIL_RE, maskEmail);
+  if (value instanceof Error) return { name: value.name, message: redact(value.message), code: value.code };
+  if (value instanceof Date || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[nested]';
+  if (Array.isArray(value)) return value.slice(0, 20).map(v => redact(v, null, depth + 1));
+  const out = {};
+  for (const k of Object.keys(value)) out[k] = redact(value[k], k, depth + 1);
+  return out;
+}
+
+// ======================= Logger ================================
+function write(level, msg, fields) {
+  if (LEVELS[level] < minLevel) return;
+  const entry = Object.assign({ time: new Date().toISOString(), level, msg }, currentContext(), redact(fields || {}));
+  const line = JSON.stringify(entry) + '\n';
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line);
+}
+
+const log = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields)
+};
+
+// ======================= Express ===============================
+// Error bodies always look like { ok: false, error, code, requestId }. Routes
+// that answer with just a status and a message get the code for that status.
+const STATUS_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  405: 'method_not_allowed',
+  409: 'conflict',
+  410: 'gone',
+  413: 'payload_too_large',
+  415: 'unsupported_type',
+  422: 'invalid_input',
+  423: 'locked',
+  429: 'rate_limited',
+  499: 'client_closed',
+  503: 'unavailable',
+  504: 'timeout'
+};
+
+function codeForStatus(status) {
+  return STATUS_CODES[status] || (status >= 500 ? 'internal_error' : 'error');
+}
+
+// Assigns the request id (a sane incoming X-Request-Id is kept, so a proxy's
+// id carries through), shapes error bodies and logs each finished request
+function requestLogger(req, res, next) {
+  const incoming = req.get('x-request-id');
+  const id = incoming && /^[\w.\-:]{1,64}$/.test(incoming) ? incoming : newRequestId();
+  req.id = id;
+  res.set('X-Request-Id', id);
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body) && body.ok !== true) {
+      body = Object.assign({ ok: false }, body, { code: body.code || codeForStatus(res.statusCode), requestId: id });
+    }
+    return json(body);
+  };
+  const started = process.hrtime.bigint();
+  res.on('finish', () => {
+    const fields = {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e6),
+      userId: req.user && req.user.id
+    };
+    const level = res.statusCode >= 500 ? 'error' : 'info';
+    // Probes would drown everything else
+    if (fields.path === '/healthz' || fields.path === '/readyz') return log.debug('request', fields);
+    log[level]('request', fields);
+  });
+  withContext({ requestId: id }, next);
+}
+
+// Database validation and cast errors are the client's fault; everything
+// else is logged in full and answered without internals
+function clientError(err) {
+  if (!err) return null;
+  if (err.name === 'ValidationError') return { status: 400, error: err.message, code: 'invalid_input' };
+  if (err.name === 'CastError') return { status: 400, error: `invalid ${err.path}`, code: 'invalid_input' };
+  if (err.type === 'entity.parse.failed') return { status: 400, error: 'request body is not valid JSON', code: 'invalid_json' };
+  if (err.type === 'entity.too.large') return { status: 413, error: 'request body too large', code: 'payload_too_large' };
+  return null;
+}
+
+function serverError(res, err) {
+  const known = clientError(err);
+  if (known) return res.status(known.status).json({ ok: false, error: known.error, code: known.code });
+  log.error('unhandled error', { error: err && err.message, name: err && err.name, stack: err && err.stack });
+  res.status(500).json({ ok: false, error: 'Internal server error', code: 'internal_error' });
+}
+
+// Last middleware: errors passed to next() or thrown by routes
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  serverError(res, err);
+}
+
+function notFound(req, res) {
+  res.status(404).json({ ok: false, error: `no route for ${req.method} ${req.originalUrl.split('?')[0]}`, code: 'not_found' });
+}
+
+module.exports = {
+  log,
+  redact,
+  withContext,
+  requestId,
+  newRequestId,
+  requestLogger,
+  serverError,
+  errorHandler,
+  notFound,
+  codeForStatus
+};
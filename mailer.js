@@ -0,0 +1,139 @@
+// ======================= Mailer ================================
+// sendMail({ to, subject, text }) through a pluggable transport:
+//   file     (default) writes each message as an .eml file to MAIL_DIR
+//   smtp     plain SMTP to SMTP_HOST:SMTP_PORT, e.g. a local catcher such as
+//            Mailpit/MailHog (localhost:1025); AUTH PLAIN when SMTP_USER is set.
+//            No TLS, so use a local relay for real delivery.
+//   console  logs that a message was sent (recipient masked, no body: the
+//            body holds sign-in links); use file or smtp to read messages
+// setTransport(fn) installs a custom one: fn(message) => Promise.
+//
+// Environment:
+//   MAIL_TRANSPORT   file | smtp | console
+//   MAIL_FROM        default "Quiz App <no-reply@localhost>"
+//   MAIL_DIR         default ./mail-outbox
+//   SMTP_HOST        default localhost
+//   SMTP_PORT        default 1025
+//   SMTP_USER, SMTP_PASS
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const net = require('net');
+const os = require('os');
+const crypto = require('crypto');
+const { log } = require('./logger');
+
+const config = {
+  transport: (process.env.MAIL_TRANSPORT || 'file').toLowerCase(),
+  from: process.env.MAIL_FROM || 'Quiz App <no-reply@localhost>',
+  dir: process.env.MAIL_DIR || path.join(__dirname, 'mail-outbox'),
+  smtpHost: process.env.SMTP_HOST || 'localhost',
+  smtpPort: parseInt(process.env.SMTP_PORT, 10) || 1025,
+  smtpUser: process.env.SMTP_USER || '',
+  smtpPass: process.env.SMTP_PASS || ''
+};
+const SMTP_TIMEOUT_MS = 15000;
+
+// ======================= Message Format ========================
+function address(s) {
+  const m = String(s).match(/<([^>]+)>/);
+  return (m ? m[1] : String(s)).trim();
+}
+
+// Non-ASCII subjects as RFC 2047 encoded-words
+function encodeHeader(s) {
+  return /^[\x20-\x7e]*$/.test(s) ? s : `=?UTF-8?B?${Buffer.from(s, 'utf8').toString('base64')}?=`;
+}
+
+function buildMessage({ from, to, subject, text }) {
+  const headers = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(String(subject || '').replace(/[\r\n]+/g, ' '))}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomBytes(12).toString('hex')}@${os.hostname()}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64'
+  ];
+  const body = Buffer.from(String(text || ''), 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+  return headers.join('\r\n') + '\r\n\r\n' + body + '\r\n';
+}
+
+// ======================= Transports ============================
+async function fileTransport(message) {
+  await fs.promises.mkdir(config.dir, { recursive: true });
+  const name = `${Date.now().toString(36)}-${address(message.to).replace(/[^a-z0-9.\-_@]/gi, '_')}.eml`;
+  const file = path.join(config.dir, name);
+  await fs.promises.writeFile(file, buildMessage(message));
+  return { transport: 'file', file };
+}
+
+async function consoleTransport(message) {
+  log.info('mail', { transport: 'console', to: message.to, subject: message.subject, bodyChars: String(message.text || '').length });
+  return { transport: 'console' };
+}
+
+// Minimal SMTP dialogue: one command at a time, checking each reply code
+function smtpTransport(message) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host: config.smtpHost, port: config.smtpPort });
+    socket.setTimeout(SMTP_TIMEOUT_MS);
+    let buffer = '';
+    let waiting = null;
+    const fail = (err) => { socket.destroy(); reject(err); };
+    socket.on('timeout', () => fail(new Error('SMTP server timed out')));
+    socket.on('error', err => fail(new Error(`SMTP connection failed: ${err.message}`)));
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      // A reply is complete at a line "NNN text" (no dash after the code)
+      const m = buffer.match(/(?:^|\r\n)(\d{3}) [^\r\n]*\r\n$/);
+      if (!m || !waiting) return;
+      const reply = buffer;
+      buffer = '';
+      const next = waiting;
+      waiting = null;
+      next(Number(m[1]), reply);
+    });
+    const expect = (codes) => new Promise((ok, ko) => {
+      waiting = (code, reply) => (codes.includes(code) ? ok(reply) : ko(new Error(`SMTP error: ${reply.trim()}`)));
+    });
+    const send = (line, codes) => { const p = expect(codes); socket.write(line + '\r\n'); return p; };
+    (async () => {
+      await expect([220]);
+      await send(`EHLO ${os.hostname()}`, [250]);
+      if (config.smtpUser) {
+        const token = Buffer.from(`\0${config.smtpUser}\0${config.smtpPass}`).toString('base64');
+        await send(`AUTH PLAIN ${token}`, [235]);
+      }
+      await send(`MAIL FROM:<${address(message.from)}>`, [250]);
+      await send(`RCPT TO:<${address(message.to)}>`, [250, 251]);
+      await send('DATA', [354]);
+      // Dot-stuffing: a line starting with "." gets a second one
+      const data = buildMessage(message).replace(/\r\n\./g, '\r\n..');
+      await send(data + '\r\n.', [250]);
+      await send('QUIT', [221]).catch(() => {});
+      socket.end();
+      resolve({ transport: 'smtp' });
+    })().catch(fail);
+  });
+}
+
+const TRANSPORTS = { file: fileTransport, smtp: smtpTransport, console: consoleTransport };
+let customTransport = null;
+
+function setTransport(fn) {
+  customTransport = typeof fn === 'function' ? fn : null;
+}
+
+// ======================= Public API ============================
+async function sendMail({ to, subject, text }) {
+  if (!to) throw new Error('mail recipient required');
+  const message = { from: config.from, to, subject, text };
+  if (customTransport) return customTransport(message);
+  const transport = TRANSPORTS[config.transport];
+  if (!transport) throw new Error(`unknown MAIL_TRANSPORT "${config.transport}"`);
+  return transport(message);
+}
+
+module.exports = { config, sendMail, setTransport, buildMessage };
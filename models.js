@@ -7,7 +7,17 @@ const QuizSchema = new mongoose.Schema({
   metadata: { type: Object },
   courseId: { type: String },
   teacherId: { type: String },
-  allowedStudents: [{ type: String }],
+  allowedStudents: [{ type: String, lowercase: true, trim: true }],
+  // Lifecycle (see quizLifecycle.js). No defaults: quizzes saved before these
+  // existed stay published with a single attempt.
+  status: { type: String, enum: ['draft', 'scheduled', 'published', 'closed'] },
+  openAt: Date,
+  closeAt: Date,
+  timeLimitMinutes: Number,
+  maxAttempts: Number, // 0 = unlimited
+  scoringPolicy: { type: String, enum: ['best', 'latest', 'average'] },
+  // Number of the QuizVersion finalizedJson was last saved as
+  version: Number,
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
@@ -15,15 +25,103 @@ const QuizSchema = new mongoose.Schema({
 const AttemptSchema = new mongoose.Schema({
   id: { type: String, required: true, unique: true },
   quizId: String,
-  email: String,
+  // Lowercased like User.email; attempts saved earlier may hold capitals
+  email: { type: String, lowercase: true, trim: true },
+  attemptNumber: { type: Number, default: 1 },
+  // Quiz version the attempt was taken (and is graded) against
+  quizVersion: Number,
   answers: Object,
   progress: Object,
   score: Number,
+  maxScore: Number,
+  correctCount: Number,
   totalQuestions: Number,
+  results: [{ questionId: String, type: String, answered: Boolean, correct: Boolean, points: Number, maxPoints: Number, pending: Boolean, _id: false }],
+  // Essay/rubric questions (see review.js): pending until the teacher releases
+  // the grades, then released. rubricGrades holds the current grade per
+  // question; gradingHistory every AI proposal, override and release.
+  reviewStatus: { type: String, enum: ['pending', 'released', null] },
+  rubricGrades: [{
+    questionId: String,
+    // pending_ai | ai_failed | pending_review | released
+    status: String,
+    points: Number,
+    maxPoints: Number,
+    criteria: [{ id: String, criterion: String, points: Number, maxPoints: Number, comment: String, _id: false }],
+    feedback: String,
+    // ai | teacher | auto (unanswered)
+    source: String,
+    model: String,
+    error: String,
+    updatedAt: Date,
+    releasedAt: Date,
+    _id: false
+  }],
+  gradingHistory: [{
+    at: Date,
+    // "ai" or the teacher's id
+    by: String,
+    // ai_proposal | ai_failed | override | release
+    kind: String,
+    questionId: String,
+    points: Number,
+    criteria: [{ id: String, points: Number, comment: String, _id: false }],
+    feedback: String,
+    model: String,
+    error: String,
+    _id: false
+  }],
+  gradedAt: Date,
   submitted: { type: Boolean, default: false },
   submittedAt: Date,
+  // Set when the server submitted the attempt because its time ran out, or
+  // when the teacher force-submitted it (forceSubmittedBy)
+  autoSubmitted: Boolean,
+  forceSubmittedBy: String,
+  // Extra time given by the teacher on top of the time limit/closeAt (see monitor.js)
+  extraMinutes: Number,
+  extensions: [{ minutes: Number, by: String, at: Date, _id: false }],
+  // Per-student question paper for quizzes drawn from the question bank or
+  // with shuffled options: { seed, questions } (see questionBank.js)
+  paper: Object,
+  // What each regrade against another version replaced (see quizVersions.js):
+  // the answers as they were keyed to fromVersion and their score, so a
+  // regrade can be audited and undone. The first entry holds the submission.
+  regradeHistory: [{ at: Date, fromVersion: Number, toVersion: Number, score: Number, maxScore: Number, answers: Object, results: Array, by: String, _id: false }],
+  startedAt: Date,
   updatedAt: { type: Date, default: Date.now }
 });
+AttemptSchema.index({ quizId: 1, email: 1, attemptNumber: 1 });
+AttemptSchema.index({ 'rubricGrades.status': 1 });
+
+// Immutable snapshot of a quiz's questions, one per saved edit
+const QuizVersionSchema = new mongoose.Schema({
+  quizId: { type: String, required: true },
+  version: { type: Number, required: true },
+  finalizedJson: Object,
+  createdBy: String,
+  note: String,
+  createdAt: { type: Date, default: Date.now }
+});
+QuizVersionSchema.index({ quizId: 1, version: 1 }, { unique: true });
+
+// Reusable question owned by a teacher, optionally scoped to one course
+const BankQuestionSchema = new mongoose.Schema({
+  teacherId: { type: String, required: true, index: true },
+  courseId: { type: String, index: true },
+  pool: String,
+  tags: { type: [String], index: true },
+  difficulty: { type: String, enum: ['easy', 'medium', 'hard'] },
+  // Normalized question in the quiz format (questionTypes.js), without an id
+  question: { type: Object, required: true },
+  // Where it came from: generated (job), quiz, import or manual
+  source: { kind: String, jobId: String, quizId: String, originalName: String, page: Number },
+  // Hash of the question text and options, used to skip duplicates
+  fingerprint: String,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+BankQuestionSchema.index({ teacherId: 1, courseId: 1, fingerprint: 1 });
 
 const ChatSchema = new mongoose.Schema({
   id: { type: String, required: true, unique: true },
@@ -31,15 +129,148 @@ const ChatSchema = new mongoose.Schema({
   text: String,
   meta: Object,
   teacherId: { type: String, index: true },
+  // Conversation the message belongs to (see chat.js); unset for legacy messages
+  threadId: { type: String, index: true },
   timestamp: { type: Date, default: Date.now }
 });
 
+// Teacher chat conversation, optionally attached to a course or quiz whose
+// questions and results are given to the assistant as context
+const ChatThreadSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  teacherId: { type: String, required: true, index: true },
+  title: String,
+  courseId: String,
+  quizId: String,
+  // Rolling summary of the oldest messages that no longer fit the context
+  summary: String,
+  summarizedCount: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Background quiz generation from an uploaded image/PDF (see generation.js)
+const JobStageSchema = new mongoose.Schema({
+  status: { type: String, default: 'pending' }, // pending | running | done | failed
+  done: Number,
+  total: Number,
+  startedAt: Date,
+  finishedAt: Date
+}, { _id: false });
+
+const GenerationJobSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  teacherId: { type: String, index: true },
+  // image/pdf: one file in filePath; files: several uploads in `files`,
+  // merged in upload order
+  kind: { type: String, enum: ['image', 'pdf', 'files'] },
+  filePath: String,
+  // sha256 of the upload; keys the extracted-text cache
+  fileHash: String,
+  originalName: String,
+  files: { type: [{ path: String, hash: String, kind: String, originalName: String, _id: false }], default: undefined },
+  prompt: String,
+  // questionCount is balanced across the document; pageFrom/pageTo restrict PDFs;
+  // questionTypes asks for a mix of types (see questionTypes.js)
+  // language is a Tesseract code list ("deu+eng"), used for OCR and the quiz text
+  options: { questionCount: Number, pageFrom: Number, pageTo: Number, questionTypes: { type: [String], default: undefined }, language: String },
+  status: { type: String, default: 'queued', index: true }, // queued | running | completed | failed
+  stages: {
+    extract: { type: JobStageSchema, default: () => ({}) },
+    generate: { type: JobStageSchema, default: () => ({}) },
+    hints: { type: JobStageSchema, default: () => ({}) }
+  },
+  // [{ page, text }] kept so a retry skips extraction
+  sourcePages: { type: [Object], default: undefined },
+  totalPages: Number,
+  result: Object,
+  error: { message: String, code: String, stage: String, issues: { type: [Object], default: undefined }, raw: String },
+  runs: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+  finishedAt: Date
+});
+
+// Text extracted from an upload, keyed by its content hash (see uploads.js).
+// complete is false when a PDF was only read up to some page.
+const ExtractedTextSchema = new mongoose.Schema({
+  // sha256 of the file, plus ":<language>" for kinds that may need OCR
+  hash: { type: String, required: true, unique: true },
+  kind: { type: String, enum: ['image', 'pdf', 'docx', 'pptx', 'text'] },
+  pages: [{ page: Number, text: String, ocr: Boolean, _id: false }],
+  totalPages: Number,
+  complete: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+  usedAt: { type: Date, default: Date.now }
+});
+// Entries nobody has used for 90 days are dropped by MongoDB
+ExtractedTextSchema.index({ usedAt: 1 }, { expireAfterSeconds: 90 * 24 * 3600 });
+
+// One row per model call (see usage.js); endpoint is the API route that
+// triggered it and purpose the step within it (reply, generate, hints...)
+const UsageRecordSchema = new mongoose.Schema({
+  teacherId: { type: String, required: true },
+  endpoint: String,
+  purpose: String,
+  jobId: String,
+  requestId: String,
+  model: String,
+  promptTokens: { type: Number, default: 0 },
+  completionTokens: { type: Number, default: 0 },
+  totalTokens: { type: Number, default: 0 },
+  // true when the provider sent no counts and they were estimated from text length
+  estimated: Boolean,
+  createdAt: { type: Date, default: Date.now }
+});
+UsageRecordSchema.index({ teacherId: 1, createdAt: -1 });
+
+// Single-use secrets for refresh, email verification and password reset
+// (see auth.js). Only a sha256 of the token is stored.
+const AuthTokenSchema = new mongoose.Schema({
+  userId: { type: String, required: true, index: true },
+  type: { type: String, enum: ['refresh', 'verify_email', 'reset_password', 'invite'], required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: Date,
+  revokedAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+// Expired tokens are removed by MongoDB a day after they lapse
+AuthTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 3600 });
+
+// Manual gradebook data per course: score overrides for quiz columns and
+// extra columns (offline tests etc.), merged into the computed gradebook
+const GradebookSchema = new mongoose.Schema({
+  courseId: { type: String, required: true, unique: true },
+  teacherId: String,
+  extraColumns: [{ key: String, title: String, maxScore: Number, _id: false }],
+  // columnKey is a quiz id or an extra column key
+  entries: [{ email: String, columnKey: String, score: Number, note: String, updatedAt: Date, _id: false }],
+  updatedAt: { type: Date, default: Date.now }
+});
+
 mongoose.model('Quiz', QuizSchema);
 mongoose.model('Attempt', AttemptSchema);
+mongoose.model('QuizVersion', QuizVersionSchema);
+mongoose.model('BankQuestion', BankQuestionSchema);
 mongoose.model('Chat', ChatSchema);
+mongoose.model('ChatThread', ChatThreadSchema);
+mongoose.model('GenerationJob', GenerationJobSchema);
+mongoose.model('ExtractedText', ExtractedTextSchema);
+mongoose.model('Gradebook', GradebookSchema);
+mongoose.model('AuthToken', AuthTokenSchema);
+mongoose.model('UsageRecord', UsageRecordSchema);
 
 module.exports = {
   Quiz: mongoose.model('Quiz'),
   Attempt: mongoose.model('Attempt'),
-  Chat: mongoose.model('Chat')
+  QuizVersion: mongoose.model('QuizVersion'),
+  BankQuestion: mongoose.model('BankQuestion'),
+  Chat: mongoose.model('Chat'),
+  ChatThread: mongoose.model('ChatThread'),
+  GenerationJob: mongoose.model('GenerationJob'),
+  ExtractedText: mongoose.model('ExtractedText'),
+  Gradebook: mongoose.model('Gradebook'),
+  AuthToken: mongoose.model('AuthToken'),
+  UsageRecord: mongoose.model('UsageRecord')
 };
@@ -0,0 +1,290 @@
+// ======================= Live Monitoring =======================
+// A teacher's live view of one quiz while students take it:
+//   GET  /api/quizzes/:id/monitor          Server-Sent Events feed
+//   GET  /api/quizzes/:id/monitor/students the same rows as JSON
+//   POST /api/quizzes/:id/attempts/extend  { email, minutes } extra time for one student
+//   POST /api/quizzes/:id/attempts/force-submit  { close } submit every open attempt
+//
+// Feed events:
+//   snapshot { now, idleSeconds, students: [row] }   on connect
+//   student  { now, student: row }                   a student opened the quiz,
+//            saved answers, started, submitted, got more time or went idle
+//   tick     { now }                                 every 15s
+// A row is one student's latest attempt: status (not_opened | opened |
+// in_progress | submitted), answered/totalQuestions, startedAt,
+// elapsedSeconds, lastActivityAt, idle, expiresAt, extraMinutes, score.
+//
+// Events and "opened the quiz" presence are kept in memory, like job
+// progress in generation.js, so every teacher and student of a quiz must be
+// served by the same process.
+//
+// Environment:
+//   MONITOR_IDLE_SECONDS   no autosave for this long marks a student idle, default 120
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const EventEmitter = require('events');
+const { Quiz, Attempt } = require('./models');
+const { gradeAttempt, answerFor, isAnswered } = require('./grading');
+const { attemptQuizJson } = require('./quizVersions');
+const { startReview } = require('./review');
+const { attemptDeadline, attemptNumberOf, isExpired } = require('./quizLifecycle');
+const { requireAuth, requireAuthSse, requireRole, isOwner, forbidden } = require('./authMiddleware');
+const { log, serverError } = require('./logger');
+
+const IDLE_SECONDS = Number(process.env.MONITOR_IDLE_SECONDS) || 120;
+const TICK_MS = 15000;
+const MAX_EXTENSION_MINUTES = 24 * 60;
+// Presence of students who opened a quiz is forgotten after this long
+const PRESENCE_TTL_MS = 12 * 3600 * 1000;
+
+// ======================= Presence & Events =====================
+// quizId -> Map(email -> { openedAt, lastSeenAt })
+const presence = new Map();
+// One event name per quiz id, carrying the changed student's row
+const quizEvents = new EventEmitter();
+quizEvents.setMaxListeners(0);
+
+function seenBy(quizId, email) {
+  const students = presence.get(quizId);
+  return (students && students.get(email)) || null;
+}
+
+setInterval(() => {
+  const cutoff = Date.now() - PRESENCE_TTL_MS;
+  for (const [quizId, students] of presence) {
+    for (const [email, p] of students) if (p.lastSeenAt.getTime() < cutoff) students.delete(email);
+    if (!students.size) presence.delete(quizId);
+  }
+}, 3600 * 1000).unref();
+
+// ======================= Rows ==================================
+// Question counts need the attempt's own version or paper; versions are
+// cached per call since a class usually shares one
+function questionsLoader(quiz) {
+  const cache = new Map();
+  return async (attempt) => {
+    if (attempt.paper) return attempt.paper.questions || [];
+    const v = attempt.quizVersion || 1;
+    if (!cache.has(v)) cache.set(v, attemptQuizJson(quiz, attempt).then(json => (json && json.questions) || []));
+    return cache.get(v);
+  };
+}
+
+function latestTime(...dates) {
+  const times = dates.filter(Boolean).map(d => new Date(d).getTime());
+  return times.length ? new Date(Math.max(...times)) : null;
+}
+
+// elapsedSeconds and idle are relative to `now`; clients tick them forward between events
+function studentRow(quiz, email, attempt, questions, now = new Date()) {
+  const seen = seenBy(quiz.id, email);
+  const row = { email, status: 'not_opened', openedAt: seen ? seen.openedAt : null, lastActivityAt: seen ? seen.lastSeenAt : null, idle: false };
+  if (seen) row.status = 'opened';
+  if (!attempt) {
+    row.idle = !!seen && now - seen.lastSeenAt > IDLE_SECONDS * 1000;
+    return row;
+  }
+  const answers = attempt.answers || {};
+  const end = attempt.submitted ? new Date(attempt.submittedAt || attempt.updatedAt) : now;
+  Object.assign(row, {
+    status: attempt.submitted ? 'submitted' : 'in_progress',
+    attemptNumber: attemptNumberOf(attempt),
+    answered: questions.filter((q, i) => isAnswered(answerFor(answers, q, i))).length,
+    totalQuestions: questions.length,
+    startedAt: attempt.startedAt || null,
+    elapsedSeconds: attempt.startedAt ? Math.max(0, Math.round((end - new Date(attempt.startedAt)) / 1000)) : null,
+    lastActivityAt: latestTime(attempt.updatedAt, seen && seen.lastSeenAt),
+    expiresAt: attempt.submitted ? null : attemptDeadline(quiz, attempt),
+    extraMinutes: attempt.extraMinutes || 0
+  });
+  if (attempt.submitted) {
+    Object.assign(row, { submittedAt: attempt.submittedAt, score: attempt.score, maxScore: attempt.maxScore, autoSubmitted: !!attempt.autoSubmitted, forceSubmitted: !!attempt.forceSubmittedBy, reviewStatus: attempt.reviewStatus || null });
+  } else {
+    row.idle = now - row.lastActivityAt > IDLE_SECONDS * 1000;
+  }
+  return row;
+}
+
+// Students who may take the quiz: its explicit list, otherwise the course roster
+async function rosterOf(quiz) {
+  if (Array.isArray(quiz.allowedStudents) && quiz.allowedStudents.length) return quiz.allowedStudents;
+  if (!quiz.courseId) return [];
+  const course = await mongoose.model('Course').findById(quiz.courseId).select('students').lean().catch(() => null);
+  return (course && course.students) || [];
+}
+
+// Every rostered student, anyone who opened the quiz and anyone with an attempt
+async function studentRows(quiz, now = new Date()) {
+  const [roster, attempts] = await Promise.all([
+    rosterOf(quiz),
+    Attempt.find({ quizId: quiz.id }).select('-results -regradeHistory').sort({ attemptNumber: 1 }).lean()
+  ]);
+  const latest = new Map();
+  attempts.forEach(a => latest.set(a.email, a));
+  const emails = new Set(roster);
+  for (const email of (presence.get(quiz.id) || new Map()).keys()) emails.add(email);
+  for (const email of latest.keys()) emails.add(email);
+  const questionsOf = questionsLoader(quiz);
+  const rows = [];
+  for (const email of emails) {
+    const attempt = latest.get(email) || null;
+    rows.push(studentRow(quiz, email, attempt, attempt ? await questionsOf(attempt) : [], now));
+  }
+  return rows.sort((a, b) => a.email.localeCompare(b.email));
+}
+
+// ======================= Publishing ============================
+// Called by the attempt endpoints. Never throws: monitoring must not break
+// a student's autosave.
+async function publish(quiz, email, attempt) {
+  try {
+    if (!quizEvents.listenerCount(quiz.id)) return;
+    const questions = attempt ? await questionsLoader(quiz)(attempt) : [];
+    quizEvents.emit(quiz.id, studentRow(quiz, email, attempt, questions));
+  } catch (err) {
+    log.error('monitor publish failed', { quizId: quiz.id, error: err.message });
+  }
+}
+
+// A student loaded the quiz (GET /api/quizzes/:id); attempt is their latest, if any
+function opened(quiz, email, attempt) {
+  if (!presence.has(quiz.id)) presence.set(quiz.id, new Map());
+  const students = presence.get(quiz.id);
+  const now = new Date();
+  const seen = students.get(email);
+  students.set(email, { openedAt: seen ? seen.openedAt : now, lastSeenAt: now });
+  return publish(quiz, email, attempt);
+}
+
+// Saved answers count as activity even when the quiz was opened elsewhere
+function attemptChanged(quiz, attempt) {
+  const seen = seenBy(quiz.id, attempt.email);
+  if (seen) seen.lastSeenAt = new Date();
+  return publish(quiz, attempt.email, attempt);
+}
+
+// ======================= Endpoints =============================
+async function loadOwnQuiz(req, res) {
+  const quiz = await Quiz.findOne({ id: req.params.id }).lean();
+  if (!quiz) { res.status(404).json({ ok: false, error: 'quiz not found' }); return null; }
+  if (!isOwner(req.user, quiz.teacherId)) { forbidden(res); return null; }
+  return quiz;
+}
+
+router.get('/api/quizzes/:id/monitor', requireAuthSse, requireRole('teacher'), async (req, res) => {
+  try {
+    const quiz = await loadOwnQuiz(req, res);
+    if (!quiz) return;
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive', 'X-Accel-Buffering': 'no' });
+    res.flushHeaders();
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    // Rows as last sent, to notice students going idle between events
+    const rows = new Map();
+    const onStudent = (row) => {
+      rows.set(row.email, row);
+      send('student', { now: new Date(), student: row });
+    };
+    const tick = setInterval(() => {
+      const now = new Date();
+      for (const row of rows.values()) {
+        if (row.idle || !row.lastActivityAt || row.status === 'submitted' || row.status === 'not_opened') continue;
+        if (now - new Date(row.lastActivityAt) > IDLE_SECONDS * 1000) onStudent(Object.assign({}, row, { idle: true }));
+      }
+      send('tick', { now });
+    }, TICK_MS);
+    let closed = false;
+    function cleanup() {
+      if (closed) return;
+      closed = true;
+      clearInterval(tick);
+      quizEvents.removeListener(quiz.id, onStudent);
+    }
+    // Listen before reading, so nothing that happens meanwhile is lost
+    quizEvents.on(quiz.id, onStudent);
+    req.on('close', cleanup);
+    const now = new Date();
+    const students = await studentRows(quiz, now);
+    students.forEach(row => { if (!rows.has(row.email)) rows.set(row.email, row); });
+    send('snapshot', { now, idleSeconds: IDLE_SECONDS, students: students.map(row => rows.get(row.email)) });
+  } catch (err) {
+    if (!res.headersSent) serverError(res, err);
+    else res.end();
+  }
+});
+
+router.get('/api/quizzes/:id/monitor/students', requireAuth, requireRole('teacher'), async (req, res) => {
+  try {
+    const quiz = await loadOwnQuiz(req, res);
+    if (!quiz) return;
+    const now = new Date();
+    res.json({ ok: true, now, idleSeconds: IDLE_SECONDS, students: await studentRows(quiz, now) });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// Extra minutes for one student's open attempt, added to their deadline
+// (time limit or closeAt). Also revives an attempt whose time ran out but
+// that has not been submitted yet.
+router.post('/api/quizzes/:id/attempts/extend', requireAuth, requireRole('teacher'), async (req, res) => {
+  try {
+    const quiz = await loadOwnQuiz(req, res);
+    if (!quiz) return;
+    const email = String((req.body && req.body.email) || '').trim();
+    const minutes = Number(req.body && req.body.minutes);
+    if (!email) return res.status(400).json({ ok: false, error: 'email required' });
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_EXTENSION_MINUTES) {
+      return res.status(400).json({ ok: false, error: `minutes must be a whole number from 1 to ${MAX_EXTENSION_MINUTES}` });
+    }
+    if (!(quiz.timeLimitMinutes > 0) && !quiz.closeAt) return res.status(409).json({ ok: false, error: 'quiz has no time limit or close time to extend' });
+    if (quiz.status === 'closed') return res.status(409).json({ ok: false, error: 'quiz is closed' });
+    const open = await Attempt.findOne({ quizId: quiz.id, email, submitted: { $ne: true } }).collation({ locale: 'en', strength: 2 }).sort({ attemptNumber: -1 }).lean();
+    if (!open) return res.status(404).json({ ok: false, error: 'student has no open attempt' });
+    const attempt = await Attempt.findOneAndUpdate(
+      { id: open.id, submitted: { $ne: true } },
+      { $inc: { extraMinutes: minutes }, $push: { extensions: { minutes, by: req.user.id, at: new Date() } }, $set: { updatedAt: new Date() } },
+      { new: true }
+    ).lean();
+    if (!attempt) return res.status(409).json({ ok: false, error: 'attempt was submitted meanwhile' });
+    attemptChanged(quiz, attempt);
+    res.json({ ok: true, attempt: { id: attempt.id, email, attemptNumber: attemptNumberOf(attempt), extraMinutes: attempt.extraMinutes, expiresAt: attemptDeadline(quiz, attempt) } });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// Ends the class: every open attempt is submitted and graded with the
+// answers saved so far. { close: true } also closes the quiz.
+router.post('/api/quizzes/:id/attempts/force-submit', requireAuth, requireRole('teacher'), async (req, res) => {
+  try {
+    const quiz = await loadOwnQuiz(req, res);
+    if (!quiz) return;
+    const close = req.body && (req.body.close === true || req.body.close === 'true');
+    const open = await Attempt.find({ quizId: quiz.id, submitted: { $ne: true } }).lean();
+    const submitted = [];
+    for (const attempt of open) {
+      // Time that already ran out counts as submitted at the deadline, as in finalizeExpired
+      const deadline = attemptDeadline(quiz, attempt);
+      const submittedAt = isExpired(quiz, attempt) && deadline ? deadline : new Date();
+      const graded = gradeAttempt(await attemptQuizJson(quiz, attempt), attempt.answers || {});
+      const update = Object.assign(graded, { submitted: true, submittedAt, autoSubmitted: true, forceSubmittedBy: req.user.id, updatedAt: new Date() });
+      const done = await Attempt.findOneAndUpdate({ id: attempt.id, submitted: { $ne: true } }, update, { new: true }).lean();
+      // The student submitted in the meantime
+      if (!done) continue;
+      submitted.push({ email: done.email, attemptNumber: attemptNumberOf(done), score: done.score, maxScore: done.maxScore });
+      attemptChanged(quiz, done);
+      await startReview(quiz, done);
+    }
+    if (close) await Quiz.updateOne({ id: quiz.id }, { status: 'closed', updatedAt: new Date() });
+    log.info('attempts force-submitted', { quizId: quiz.id, count: submitted.length, closed: close });
+    res.json({ ok: true, submitted: submitted.length, attempts: submitted, closed: close });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+module.exports = router;
+module.exports.opened = opened;
+module.exports.attemptChanged = attemptChanged;
+module.exports.studentRows = studentRows;
@@ -0,0 +1,324 @@
+// ======================= Imports & Setup =======================
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { BankQuestion, GenerationJob, Quiz } = require('./models');
+const { requireAuth, requireRole, isOwner, forbidden } = require('./authMiddleware');
+const { serverError } = require('./logger');
+const { typeOf, normalizeQuestion } = require('./questionTypes');
+const { DIFFICULTIES, validateQuiz } = require('./quizValidator');
+
+const MAX_PAGE = 200;
+const SHUFFLED_TYPES = ['multiple_choice', 'multi_select', 'ordering'];
+
+// ======================= Helpers ===============================
+function fingerprint(q) {
+  const text = s => String(s == null ? '' : s).trim().toLowerCase().replace(/\s+/g, ' ');
+  const key = [typeOf(q), text(q.question)].concat((q.options || []).map(text)).join('\u0001');
+  return crypto.createHash('sha1').update(key).digest('hex');
+}
+
+function listParam(v) {
+  if (v === undefined || v === null || v === '') return [];
+  return (Array.isArray(v) ? v : String(v).split(',')).map(s => String(s).trim()).filter(Boolean);
+}
+
+// Validates one question on its own (the validator works on whole quizzes)
+function checkQuestion(raw) {
+  const q = normalizeQuestion(Object.assign({}, raw, { id: 'bank' }));
+  const { valid, issues } = validateQuiz({ title: 'bank', questions: [q] });
+  if (!valid) return { issues: issues.map(i => ({ path: i.path.replace(/^questions\[0\]\.?/, ''), message: i.message })) };
+  delete q.id;
+  return { question: q };
+}
+
+// Generated questions carry source: { page, section }; quizzes saved before
+// that have sourcePage
+function sourcePageOf(q) {
+  const page = q && q.source && q.source.page != null ? q.source.page : q && q.sourcePage;
+  const n = Number(page);
+  return page != null && page !== '' && Number.isFinite(n) ? n : undefined;
+}
+
+// tags/pool/difficulty/courseId from a request body -> { fields, error }
+function parseMeta(body) {
+  const fields = {};
+  if (body.tags !== undefined) fields.tags = Array.from(new Set(listParam(body.tags).map(t => t.toLowerCase())));
+  if (body.pool !== undefined) fields.pool = body.pool ? String(body.pool).trim() : undefined;
+  if (body.difficulty !== undefined && body.difficulty !== null && body.difficulty !== '') {
+    if (!DIFFICULTIES.includes(body.difficulty)) return { error: `difficulty must be one of ${DIFFICULTIES.join(', ')}` };
+    fields.difficulty = body.difficulty;
+  }
+  if (body.courseId !== undefined) fields.courseId = body.courseId ? String(body.courseId) : undefined;
+  return { fields };
+}
+
+async function checkCourse(req, res, courseId) {
+  if (!courseId) return true;
+  const course = await mongoose.model('Course').findById(courseId).select('teacherId').lean().catch(() => null);
+  if (!course) { res.status(404).json({ ok: false, error: 'course not found' }); return false; }
+  if (!isOwner(req.user, course.teacherId)) { forbidden(res); return false; }
+  return true;
+}
+
+// Adds questions to the teacher's bank, skipping invalid ones and duplicates
+// of questions already banked for the same course
+async function addToBank(teacherId, questions, meta, sourceFor) {
+  const added = [], rejected = [];
+  const prints = questions.map(q => (q && typeof q === 'object' ? fingerprint(normalizeQuestion(q)) : null));
+  const existing = new Set((await BankQuestion.find({ teacherId, courseId: meta.courseId || null, fingerprint: { $in: prints.filter(Boolean) } }).select('fingerprint').lean()).map(b => b.fingerprint));
+  const docs = [];
+  questions.forEach((raw, i) => {
+    const { question, issues } = checkQuestion(raw);
+    if (!question) { rejected.push({ index: i, reason: 'invalid question', issues }); return; }
+    if (existing.has(prints[i])) { rejected.push({ index: i, reason: 'already in the bank' }); return; }
+    existing.add(prints[i]);
+    // Explanations and hints travel with the question; where it came from is
+    // kept on the bank entry's own source
+    const source = sourceFor(raw, i);
+    delete question.source;
+    delete question.sourcePage;
+    docs.push(Object.assign({ teacherId, question, source, fingerprint: prints[i] }, meta));
+  });
+  if (docs.length) (await BankQuestion.insertMany(docs)).forEach(d => added.push(d.toObject()));
+  return { added, rejected };
+}
+
+// ======================= Paper Assembly ========================
+// Quizzes can draw questions from the bank (finalizedJson.draws) and shuffle
+// questions/options. Each student's attempt gets a paper assembled once, from
+// a seed derived from quiz, student and attempt number, and stored on the
+// attempt, so autosaves see the same paper and grading uses its answer keys.
+// Ordering items are usually stored in the answer order, so any quiz with an
+// ordering question gets papers with those items shuffled
+function hasOrdering(json) {
+  return Array.isArray(json.questions) && json.questions.some(q => typeOf(q) === 'ordering');
+}
+
+function isRandomized(json) {
+  return !!(json && ((Array.isArray(json.draws) && json.draws.length) || json.shuffleQuestions || json.shuffleOptions || hasOrdering(json)));
+}
+
+// mulberry32: small deterministic PRNG
+function seededRandom(seed) {
+  let a = parseInt(crypto.createHash('sha1').update(String(seed)).digest('hex').slice(0, 8), 16);
+  return function () {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffle(list, rand) {
+  const out = list.slice();
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+// Permutes the options and remaps the answer key to the new positions
+function shuffleOptions(q, rand) {
+  if (!SHUFFLED_TYPES.includes(typeOf(q)) || !Array.isArray(q.options) || q.options.length < 2) return q;
+  const order = shuffle(q.options.map((_, i) => i), rand);
+  // Ordering items must never be shown in the answer order
+  const correct = q.correctOrder || [];
+  if (typeOf(q) === 'ordering' && correct.length === order.length && order.every((oldIdx, k) => oldIdx === correct[k])) order.push(order.shift());
+  const newIndex = new Map(order.map((oldIdx, k) => [oldIdx, k]));
+  const out = Object.assign({}, q, { options: order.map(i => q.options[i]), optionOrder: order });
+  if (typeOf(q) === 'multiple_choice') out.correctAnswer = newIndex.has(q.correctAnswer) ? newIndex.get(q.correctAnswer) : q.correctAnswer;
+  if (typeOf(q) === 'multi_select') out.correctAnswers = (q.correctAnswers || []).map(i => newIndex.get(i)).filter(i => i !== undefined);
+  if (typeOf(q) === 'ordering') out.correctOrder = (q.correctOrder || []).map(i => newIndex.get(i)).filter(i => i !== undefined);
+  return out;
+}
+
+function drawFilter(quiz, draw) {
+  const filter = { teacherId: String(quiz.teacherId), courseId: { $in: [quiz.courseId ? String(quiz.courseId) : null, null] } };
+  if (draw.tags && draw.tags.length) filter.tags = { $in: draw.tags.map(t => String(t).toLowerCase()) };
+  if (draw.pools && draw.pools.length) filter.pool = { $in: draw.pools };
+  if (draw.difficulty) filter.difficulty = { $in: [].concat(draw.difficulty) };
+  return filter;
+}
+
+// Matching bank question ids per draw, in a stable order
+async function drawCandidates(quiz, draws) {
+  return Promise.all(draws.map(d => BankQuestion.find(drawFilter(quiz, d)).select('_id').sort({ _id: 1 }).lean().then(list => list.map(b => String(b._id)))));
+}
+
+// Issues for draws the bank cannot fill (checked when the quiz is saved)
+async function checkDraws(quiz, draws) {
+  const candidates = await drawCandidates(quiz, draws || []);
+  const taken = new Set();
+  const issues = [];
+  candidates.forEach((ids, i) => {
+    const free = ids.filter(id => !taken.has(id));
+    free.slice(0, draws[i].count).forEach(id => taken.add(id));
+    if (free.length < draws[i].count) issues.push({ path: `draws[${i}].count`, message: `only ${free.length} matching bank question(s) available, ${draws[i].count} requested` });
+  });
+  return issues;
+}
+
+async function assemblePaper(quiz, json, seed) {
+  const rand = seededRandom(seed);
+  const draws = Array.isArray(json.draws) ? json.draws : [];
+  const candidates = await drawCandidates(quiz, draws);
+  const taken = new Set();
+  const picks = [];
+  draws.forEach((d, i) => {
+    // Earlier draws win questions that match several draws
+    const chosen = shuffle(candidates[i].filter(id => !taken.has(id)), rand).slice(0, d.count);
+    chosen.forEach(id => { taken.add(id); picks.push({ id, points: d.points }); });
+  });
+  const bank = new Map((picks.length ? await BankQuestion.find({ _id: { $in: picks.map(p => p.id) } }).lean() : []).map(b => [String(b._id), b]));
+  const drawn = picks.filter(p => bank.has(p.id)).map(p => Object.assign({}, bank.get(p.id).question, { id: `bank-${p.id}`, bankId: p.id }, p.points ? { points: p.points } : {}));
+  let questions = (json.questions || []).concat(drawn);
+  if (json.shuffleQuestions) questions = shuffle(questions, rand);
+  questions = questions.map(q => (json.shuffleOptions || typeOf(q) === 'ordering' ? shuffleOptions(q, rand) : q));
+  return { seed, questions };
+}
+
+// ======================= Endpoints =============================
+
+// Browse the bank: ?courseId=&tags=a,b&pool=&difficulty=&type=&q=&limit=&skip=
+router.get('/api/bank', requireAuth, requireRole('teacher'), async (req, res) => {
+  try {
+    const filter = { teacherId: req.user.id };
+    if (req.query.courseId) filter.courseId = String(req.query.courseId);
+    const tags = listParam(req.query.tags).map(t => t.toLowerCase());
+    if (tags.length) filter.tags = { $all: tags };
+    if (req.query.pool) filter.pool = String(req.query.pool);
+    if (req.query.difficulty) filter.difficulty = String(req.query.difficulty);
+    if (req.query.type) filter['question.type'] = String(req.query.type);
+    if (req.query.q) filter['question.question'] = { $regex: String(req.query.q).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    const limit = Math.min(MAX_PAGE, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const skip = Math.max(0, parseInt(req.query.skip, 10) || 0);
+    const [questions, total] = await Promise.all([
+      BankQuestion.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      BankQuestion.countDocuments(filter)
+    ]);
+    res.json({ ok: true, total, questions });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// Tags and pools in use, with question counts (optionally for one course)
+router.get('/api/bank/tags', requireAuth, requireRole('teacher'), async (req, res) => {
+  try {
+    const match = { teacherId: req.user.id };
+    if (req.query.courseId) match.courseId = String(req.query.courseId);
+    const [tags, pools] = await Promise.all([
+      BankQuestion.aggregate([{ $match: match }, { $unwind: '$tags' }, { $group: { _id: '$tags', count: { $sum: 1 } } }, { $sort: { _id: 1 } }]),
+      BankQuestion.aggregate([{ $match: Object.assign({ pool: { $nin: [null, ''] } }, match) }, { $group: { _id: '$pool', count: { $sum: 1 } } }, { $sort: { _id: 1 } }])
+    ]);
+    res.json({ ok: true, tags: tags.map(t => ({ tag: t._id, count: t.count })), pools: pools.map(p => ({ pool: p._id, count: p.count })) });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// Add questions directly: { questions: [...], courseId, tags, pool, difficulty }
+router.post('/api/bank', requireAuth, requireRole('teacher'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const questions = Array.isArray(body.questions) ? body.questions : (body.question ? [body.question] : []);
+    if (!questions.length) return res.status(400).json({ ok: false, error: 'questions required' });
+    const { fields, error } = parseMeta(body);
+    if (error) return res.status(400).json({ ok: false, error });
+    if (!(await checkCourse(req, res, fields.courseId))) return;
+    const kind = body.source === 'import' ? 'import' : 'manual';
+    const result = await addToBank(req.user.id, questions, fields, () => ({ kind }));
+    res.status(result.added.length ? 201 : 200).json(Object.assign({ ok: true }, result));
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// Save questions from a finished /api/parse-pdf or /api/parse-image job.
+// { questionIds?: [...] (default all), courseId, tags, pool, difficulty }
+router.post('/api/bank/from-job/:jobId', requireAuth, requireRole('teacher'), async (req, res) => {
+  try {
+    const job = await GenerationJob.findOne({ id: req.params.jobId }).lean();
+    if (!job) return res.status(404).json({ ok: false, error: 'job not found' });
+    if (!isOwner(req.user, job.teacherId)) return forbidden(res);
+    const all = job.result && Array.isArray(job.result.questions) ? job.result.questions : [];
+    if (!all.length) return res.status(409).json({ ok: false, error: 'job has no questions yet' });
+    const body = req.body || {};
+    const ids = listParam(body.questionIds);
+    const questions = ids.length ? all.filter(q => ids.includes(String(q.id))) : all;
+    const { fields, error } = parseMeta(body);
+    if (error) return res.status(400).json({ ok: false, error });
+    if (!(await checkCourse(req, res, fields.courseId))) return;
+    const result = await addToBank(req.user.id, questions, fields, q => ({ kind: 'generated', jobId: job.id, originalName: job.originalName, page: sourcePageOf(q) }));
+    res.status(result.added.length ? 201 : 200).json(Object.assign({ ok: true }, result));
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// Copy the questions of one of the teacher's quizzes into the bank
+router.post('/api/bank/from-quiz/:quizId', requireAuth, requireRole('teacher'), async (req, res) => {
+  try {
+    const quiz = await Quiz.findOne({ id: req.params.quizId }).lean();
+    if (!quiz) return res.status(404).json({ ok: false, error: 'quiz not found' });
+    if (!isOwner(req.user, quiz.teacherId)) return forbidden(res);
+    const body = Object.assign({ courseId: quiz.courseId }, req.body || {});
+    const ids = listParam(body.questionIds);
+    const all = quiz.finalizedJson && Array.isArray(quiz.finalizedJson.questions) ? quiz.finalizedJson.questions : [];
+    const questions = ids.length ? all.filter(q => ids.includes(String(q.id))) : all;
+    const { fields, error } = parseMeta(body);
+    if (error) return res.status(400).json({ ok: false, error });
+    if (!(await checkCourse(req, res, fields.courseId))) return;
+    const result = await addToBank(req.user.id, questions, fields, q => ({ kind: 'quiz', quizId: quiz.id, page: sourcePageOf(q) }));
+    res.status(result.added.length ? 201 : 200).json(Object.assign({ ok: true }, result));
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// Edit a bank question and/or its tags, pool, difficulty, course. Papers
+// already handed out keep their own copy.
+router.patch('/api/bank/:id', requireAuth, requireRole('teacher'), async (req, res) => {
+  try {
+    const doc = await BankQuestion.findById(req.params.id).catch(() => null);
+    if (!doc) return res.status(404).json({ ok: false, error: 'question not found' });
+    if (!isOwner(req.user, doc.teacherId)) return forbidden(res);
+    const body = req.body || {};
+    const { fields, error } = parseMeta(body);
+    if (error) return res.status(400).json({ ok: false, error });
+    if (!(await checkCourse(req, res, fields.courseId))) return;
+    if (body.question !== undefined) {
+      const { question, issues } = checkQuestion(body.question);
+      if (!question) return res.status(422).json({ ok: false, error: 'question failed validation', issues });
+      fields.question = question;
+      fields.fingerprint = fingerprint(question);
+    }
+    doc.set(Object.assign(fields, { updatedAt: new Date() }));
+    await doc.save();
+    res.json({ ok: true, question: doc });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+router.delete('/api/bank/:id', requireAuth, requireRole('teacher'), async (req, res) => {
+  try {
+    const doc = await BankQuestion.findById(req.params.id).select('teacherId').lean().catch(() => null);
+    if (!doc) return res.status(404).json({ ok: false, error: 'question not found' });
+    if (!isOwner(req.user, doc.teacherId)) return forbidden(res);
+    await BankQuestion.deleteOne({ _id: doc._id });
+    res.json({ ok: true });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+module.exports = router;
+module.exports.isRandomized = isRandomized;
+module.exports.assemblePaper = assemblePaper;
+module.exports.checkDraws = checkDraws;
+module.exports.seededRandom = seededRandom;
+module.exports.shuffleOptions = shuffleOptions;
@@ -0,0 +1,219 @@
+// ======================= Question Types =======================
+// Typed question schema shared by generation, storage and grading.
+// Questions without a `type` are legacy single-answer multiple choice.
+//
+//   multiple_choice  options[], correctAnswer: index
+//   multi_select     options[], correctAnswers: index[], partialCredit?: boolean
+//   true_false       correctAnswer: boolean, options?: [true label, false label]
+//   fill_blank       acceptedAnswers: string[], caseSensitive?: boolean
+//   short_answer     acceptedAnswers?: string[] (exact-match variants), rubric?
+//   essay            rubric?, modelAnswer?: string
+//   numeric          correctAnswer: number, tolerance?: number (absolute)
+//   ordering         options[] (items), correctOrder: index[], partialCredit?: boolean
+//
+// A rubric is [{ id, criterion, points, guidance? }]; the question is then
+// worth the sum of its criteria. Essays and short answers with a rubric are
+// not graded automatically: they wait for review (see review.js).
+
+const QUESTION_TYPES = ['multiple_choice', 'multi_select', 'true_false', 'fill_blank', 'short_answer', 'essay', 'numeric', 'ordering'];
+
+// Schema fragment for the generation prompt
+const TYPE_PROMPT = 'Each question has a "type": "multiple_choice" (options, correctAnswer: zero-based index), "multi_select" (options, correctAnswers: array of zero-based indexes), "true_false" (correctAnswer: true or false), "fill_blank" (question containing ___, acceptedAnswers: array of accepted strings), "short_answer" (acceptedAnswers: array of model answers), "essay" (open-ended; modelAnswer: string, rubric: array of {criterion, points}), "numeric" (correctAnswer: number, tolerance: number), "ordering" (options listed in the CORRECT order; they will be shuffled for students).';
+
+function typeOf(q) {
+  return q && QUESTION_TYPES.includes(q.type) ? q.type : 'multiple_choice';
+}
+
+function toBool(v) {
+  if (typeof v === 'boolean') return v;
+  const s = String(v == null ? '' : v).trim().toLowerCase();
+  if (['true', 't', 'yes'].includes(s)) return true;
+  if (['false', 'f', 'no'].includes(s)) return false;
+  return null;
+}
+
+function toNumber(v) {
+  if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+  if (typeof v !== 'string' || v.trim() === '') return null;
+  const n = Number(v.trim().replace(/,/g, ''));
+  return Number.isFinite(n) ? n : null;
+}
+
+function toIndexList(v) {
+  if (Array.isArray(v)) return v;
+  if (typeof v === 'string') return v.split(',').map(s => s.trim()).filter(Boolean);
+  if (v === undefined || v === null) return [];
+  return [v];
+}
+
+// Criteria get ids c1, c2... when none are given; points default to 1
+function normalizeRubric(rubric) {
+  if (!Array.isArray(rubric)) return rubric;
+  return rubric.map((c, i) => {
+    if (!c || typeof c !== 'object') return c;
+    const out = Object.assign({}, c, { id: c.id != null && c.id !== '' ? String(c.id) : 'c' + (i + 1) });
+    const n = toNumber(c.points);
+    out.points = n === null ? 1 : n;
+    return out;
+  });
+}
+
+function hasRubric(q) {
+  return !!q && Array.isArray(q.rubric) && q.rubric.length > 0;
+}
+
+// Questions a teacher (helped by the model) scores after submission
+function needsReview(q) {
+  const type = typeOf(q);
+  return type === 'essay' || (type === 'short_answer' && hasRubric(q));
+}
+
+// Coerces model/teacher output into the canonical shape for its type
+function normalizeQuestion(q) {
+  if (!q || typeof q !== 'object') return q;
+  const out = Object.assign({}, q, { type: typeOf(q) });
+  switch (out.type) {
+    case 'multi_select':
+      out.correctAnswers = toIndexList(out.correctAnswers).map(Number).filter(Number.isInteger);
+      break;
+    case 'true_false': {
+      const b = toBool(out.correctAnswer);
+      if (b !== null) out.correctAnswer = b;
+      // Labels in the quiz's language are kept; index 0 always means true
+      const labels = Array.isArray(out.options) && out.options.length === 2 && out.options.every(o => typeof o === 'string' && o.trim());
+      if (!labels) out.options = ['True', 'False'];
+      break;
+    }
+    case 'fill_blank':
+    case 'short_answer':
+      out.acceptedAnswers = toIndexList(out.acceptedAnswers).map(String);
+      if (out.rubric !== undefined) out.rubric = normalizeRubric(out.rubric);
+      break;
+    case 'essay':
+      if (out.rubric !== undefined) out.rubric = normalizeRubric(out.rubric);
+      break;
+    case 'numeric': {
+      const n = toNumber(out.correctAnswer);
+      if (n !== null) out.correctAnswer = n;
+      out.tolerance = Math.abs(toNumber(out.tolerance) || 0);
+      break;
+    }
+    case 'ordering':
+      // Without correctOrder the items are listed in the correct order;
+      // students get them shuffled on their paper (see questionBank.js)
+      if (!Array.isArray(out.correctOrder) && Array.isArray(out.options)) out.correctOrder = out.options.map((_, i) => i);
+      out.correctOrder = toIndexList(out.correctOrder).map(Number);
+      break;
+    default: {
+      const n = toNumber(out.correctAnswer);
+      if (n !== null) out.correctAnswer = n;
+    }
+  }
+  return out;
+}
+
+function normalizeQuiz(quiz) {
+  if (!quiz || typeof quiz !== 'object' || !Array.isArray(quiz.questions)) return quiz;
+  return Object.assign({}, quiz, { questions: quiz.questions.map(normalizeQuestion) });
+}
+
+// ======================= Grading ===============================
+// Each grader returns credit in [0, 1]
+
+// Accept an option index (number or numeric string) or the option text itself
+function resolveChoiceIndex(q, value) {
+  if (value === undefined || value === null) return -1;
+  if (typeof value === 'number') return Number.isInteger(value) ? value : -1;
+  const s = String(value).trim();
+  // Option text wins, so an option that reads "2" is not taken for index 2
+  const options = Array.isArray(q.options) ? q.options : [];
+  const byText = options.findIndex(o => String(o).trim() === s);
+  if (byText !== -1) return byText;
+  return /^\d+$/.test(s) ? Number(s) : -1;
+}
+
+function normalizeText(v, caseSensitive) {
+  const s = String(v == null ? '' : v).trim().replace(/\s+/g, ' ');
+  return caseSensitive ? s : s.toLowerCase();
+}
+
+const graders = {
+  multiple_choice(q, value) {
+    return Number.isInteger(q.correctAnswer) && resolveChoiceIndex(q, value) === q.correctAnswer ? 1 : 0;
+  },
+  multi_select(q, value) {
+    const correct = new Set(q.correctAnswers || []);
+    const chosen = new Set(toIndexList(value).map(v => resolveChoiceIndex(q, v)).filter(i => i >= 0));
+    if (!correct.size) return 0;
+    let hits = 0, misses = 0;
+    chosen.forEach(i => { if (correct.has(i)) hits++; else misses++; });
+    if (hits === correct.size && misses === 0) return 1;
+    // Partial credit: each right pick earns a share, each wrong pick cancels one
+    return q.partialCredit ? Math.max(0, (hits - misses) / correct.size) : 0;
+  },
+  true_false(q, value) {
+    let b = toBool(value);
+    // Also accept the label or index of the true/false option
+    if (b === null) {
+      const i = resolveChoiceIndex(q, value);
+      if (i === 0 || i === 1) b = i === 0;
+    }
+    return b !== null && b === q.correctAnswer ? 1 : 0;
+  },
+  fill_blank(q, value) {
+    const given = normalizeText(value, q.caseSensitive);
+    return (q.acceptedAnswers || []).some(a => normalizeText(a, q.caseSensitive) === given) ? 1 : 0;
+  },
+  short_answer(q, value) {
+    return graders.fill_blank(q, value);
+  },
+  // Scored by review, never automatically
+  essay() {
+    return 0;
+  },
+  numeric(q, value) {
+    const n = toNumber(value);
+    if (n === null || typeof q.correctAnswer !== 'number') return 0;
+    return Math.abs(n - q.correctAnswer) <= (q.tolerance || 0) + 1e-9 ? 1 : 0;
+  },
+  ordering(q, value) {
+    const expected = q.correctOrder || [];
+    const given = toIndexList(value).map(v => resolveChoiceIndex(q, v));
+    if (!expected.length || given.length !== expected.length) return 0;
+    const inPlace = expected.filter((idx, i) => given[i] === idx).length;
+    if (inPlace === expected.length) return 1;
+    return q.partialCredit ? inPlace / expected.length : 0;
+  }
+};
+
+// Fields that give the answer away; never sent to students
+const ANSWER_FIELDS = ['correctAnswer', 'correctAnswers', 'correctOrder', 'acceptedAnswers', 'modelAnswer', 'explanation', 'optionOrder'];
+
+// Copy of a quiz (or attempt paper) as a student may see it: the questions
+// without their answer key; rubrics keep only criteria and points
+function withoutAnswers(json) {
+  if (!json || typeof json !== 'object' || !Array.isArray(json.questions)) return json;
+  const questions = json.questions.map(q => {
+    if (!q || typeof q !== 'object') return q;
+    const out = Object.assign({}, q);
+    ANSWER_FIELDS.forEach(k => { delete out[k]; });
+    if (Array.isArray(out.rubric)) out.rubric = out.rubric.map(c => (c && typeof c === 'object' ? { id: c.id, criterion: c.criterion, points: c.points } : c));
+    return out;
+  });
+  return Object.assign({}, json, { questions });
+}
+
+function isAnswered(value) {
+  if (value === undefined || value === null) return false;
+  if (typeof value === 'string') return value.trim() !== '';
+  if (Array.isArray(value)) return value.length > 0;
+  return true;
+}
+
+function creditFor(q, value) {
+  if (!isAnswered(value)) return 0;
+  const nq = normalizeQuestion(q);
+  return graders[nq.type](nq, value);
+}
+
+module.exports = { QUESTION_TYPES, TYPE_PROMPT, typeOf, toBool, toIndexList, normalizeQuestion, normalizeQuiz, resolveChoiceIndex, isAnswered, creditFor, hasRubric, needsReview, withoutAnswers };
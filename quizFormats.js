@@ -0,0 +1,536 @@
+// ======================= Quiz Interchange Formats =============
+// Converts between our quiz structure (finalizedJson, see questionTypes.js)
+// and IMS QTI 2.1 (zip content package), Moodle GIFT and Aiken.
+// Exporters return { content, skipped }, importers { quiz, skipped }, where
+// skipped lists the questions that could not be converted and why.
+const { normalizeQuiz, typeOf } = require('./questionTypes');
+const { createZip, readZip, isZip } = require('./zip');
+
+const FORMATS = ['qti', 'gift', 'aiken'];
+
+function label(q, i) {
+  return q && q.id != null ? String(q.id) : 'q' + (i + 1);
+}
+
+function oneLine(s) {
+  return String(s == null ? '' : s).replace(/\s*\r?\n\s*/g, ' ').trim();
+}
+
+function finishImport(title, questions, skipped) {
+  questions.forEach((q, i) => { q.id = 'q' + (i + 1); });
+  return { quiz: normalizeQuiz({ title: title || 'Imported quiz', description: '', questions }), skipped };
+}
+
+// ======================= Aiken =================================
+// Single-answer multiple choice only:
+//   Question text
+//   A. option
+//   B. option
+//   ANSWER: B
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+function exportAiken(quizJson) {
+  const quiz = normalizeQuiz(quizJson) || {};
+  const blocks = [];
+  const skipped = [];
+  (quiz.questions || []).forEach((q, i) => {
+    const type = typeOf(q);
+    let options = q.options, answer = q.correctAnswer;
+    if (type === 'true_false') { options = q.options; answer = q.correctAnswer ? 0 : 1; }
+    else if (type !== 'multiple_choice') { skipped.push({ questionId: label(q, i), reason: `Aiken has no ${type} questions` }); return; }
+    if (!Array.isArray(options) || options.length > LETTERS.length || !Number.isInteger(answer)) {
+      skipped.push({ questionId: label(q, i), reason: 'question has no usable options/answer' });
+      return;
+    }
+    blocks.push([oneLine(q.question)].concat(options.map((o, k) => `${LETTERS[k]}. ${oneLine(o)}`), [`ANSWER: ${LETTERS[answer]}`]).join('\n'));
+  });
+  return { content: blocks.join('\n\n') + '\n', skipped };
+}
+
+function importAiken(text) {
+  const questions = [];
+  const skipped = [];
+  let current = null;
+  let index = 0;
+  const finish = (reason) => {
+    if (!current) return;
+    if (reason) skipped.push({ index, title: current.question.slice(0, 80), reason });
+    else questions.push(current);
+    current = null;
+  };
+  for (const raw of String(text).split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line) continue;
+    const opt = line.match(/^([A-Z])[.)]\s+(.*)$/);
+    const ans = line.match(/^ANSWER:\s*([A-Z])\s*$/i);
+    if (ans && current) {
+      const idx = LETTERS.indexOf(ans[1].toUpperCase());
+      if (idx < 0 || idx >= current.options.length) finish(`ANSWER ${ans[1]} does not match an option`);
+      else { current.correctAnswer = idx; finish(); }
+    } else if (opt && current) {
+      current.options.push(opt[2].trim());
+    } else {
+      // A new question starts; an unfinished one had no ANSWER line
+      if (current) finish('missing ANSWER line');
+      index++;
+      current = { type: 'multiple_choice', question: line, options: [] };
+    }
+  }
+  finish(current ? 'missing ANSWER line' : null);
+  return finishImport('', questions, skipped);
+}
+
+// ======================= GIFT ==================================
+function giftEscape(s) {
+  return String(s == null ? '' : s).replace(/([~=#{}:\\])/g, '\\$1').replace(/\r?\n/g, '\\n');
+}
+
+function giftUnescape(s) {
+  return String(s).replace(/\\n/g, '\n').replace(/\\([~=#{}:\\])/g, '$1').trim();
+}
+
+function giftAnswers(q) {
+  const fb = q.explanation ? ` ####${giftEscape(q.explanation)}` : '';
+  switch (typeOf(q)) {
+    case 'multiple_choice':
+      return '{' + q.options.map((o, k) => (k === q.correctAnswer ? ' =' : ' ~') + giftEscape(o)).join('') + fb + ' }';
+    case 'multi_select': {
+      const right = (q.correctAnswers || []).length || 1;
+      const weight = Number((100 / right).toFixed(5));
+      return '{' + q.options.map((o, k) => ` ~%${(q.correctAnswers || []).includes(k) ? weight : -100}%${giftEscape(o)}`).join('') + fb + ' }';
+    }
+    case 'true_false':
+      return `{${q.correctAnswer ? 'TRUE' : 'FALSE'}${fb}}`;
+    case 'fill_blank':
+    case 'short_answer':
+      return '{' + (q.acceptedAnswers || []).map(a => ' =' + giftEscape(a)).join('') + fb + ' }';
+    // An empty answer block is GIFT's essay
+    case 'essay':
+      return `{${fb}}`;
+    case 'numeric':
+      return `{#${q.correctAnswer}${q.tolerance ? ':' + q.tolerance : ''}${fb}}`;
+    default:
+      return null;
+  }
+}
+
+function exportGift(quizJson) {
+  const quiz = normalizeQuiz(quizJson) || {};
+  const blocks = [];
+  const skipped = [];
+  if (quiz.title) blocks.push(`// ${oneLine(quiz.title)}`);
+  (quiz.questions || []).forEach((q, i) => {
+    const answers = giftAnswers(q);
+    if (!answers) { skipped.push({ questionId: label(q, i), reason: `GIFT has no ${typeOf(q)} questions` }); return; }
+    const title = `::${giftEscape(label(q, i))}::`;
+    const stem = String(q.question || '');
+    // Fill-in-the-blank puts the answer block where the blank is
+    if (typeOf(q) === 'fill_blank' && stem.includes('___')) {
+      const [before, ...after] = stem.split(/_{3,}/);
+      blocks.push(`${title}${giftEscape(before)}${answers}${giftEscape(after.join('___'))}`);
+    } else {
+      blocks.push(`${title}${giftEscape(stem)} ${answers}`);
+    }
+  });
+  return { content: blocks.join('\n\n') + '\n', skipped };
+}
+
+// Index of the next unescaped occurrence of ch at or after from
+function findUnescaped(s, ch, from = 0) {
+  for (let i = from; i < s.length; i++) {
+    if (s[i] === '\\') { i++; continue; }
+    if (s[i] === ch) return i;
+  }
+  return -1;
+}
+
+// Splits an answer block into [{ mark: '=' | '~', weight, text, feedback }]
+function giftChoices(body) {
+  const out = [];
+  let cur = null;
+  for (let i = 0; i < body.length; i++) {
+    const c = body[i];
+    if (c === '\\') { if (cur) cur.raw += c + (body[i + 1] || ''); i++; continue; }
+    if (c === '=' || c === '~') { cur = { mark: c, raw: '' }; out.push(cur); continue; }
+    if (cur) cur.raw += c;
+  }
+  return out.map(a => {
+    let raw = a.raw;
+    let weight = null;
+    const w = raw.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+    if (w) { weight = Number(w[1]); raw = raw.slice(w[0].length); }
+    const fbAt = findUnescaped(raw, '#');
+    const text = giftUnescape(fbAt >= 0 ? raw.slice(0, fbAt) : raw);
+    return { mark: a.mark, weight, text };
+  });
+}
+
+function parseGiftQuestion(block) {
+  let s = block.trim();
+  let title = '';
+  const t = s.match(/^::((?:\\.|[^:])*)::/);
+  if (t) { title = giftUnescape(t[1]); s = s.slice(t[0].length); }
+  s = s.replace(/^\[(html|moodle|plain|markdown)\]/i, '');
+  const open = findUnescaped(s, '{');
+  const close = open >= 0 ? findUnescaped(s, '}', open) : -1;
+  if (open < 0 || close < 0) return { error: 'no answer block {...}', title };
+  const before = giftUnescape(s.slice(0, open));
+  const after = giftUnescape(s.slice(close + 1));
+  let body = s.slice(open + 1, close);
+  // General feedback becomes the explanation
+  let explanation;
+  const gf = body.indexOf('####');
+  if (gf >= 0) { explanation = giftUnescape(body.slice(gf + 4)); body = body.slice(0, gf); }
+  const q = { question: after ? `${before} ___ ${after}`.trim() : before };
+  if (explanation) q.explanation = explanation;
+  const trimmed = body.trim();
+
+  if (trimmed === '') return Object.assign(q, { type: 'essay' });
+  if (/^(T|TRUE|F|FALSE)\b/i.test(trimmed)) return Object.assign(q, { type: 'true_false', correctAnswer: /^T/i.test(trimmed) });
+  if (trimmed.startsWith('#')) {
+    const first = trimmed.slice(1).replace(/^=/, '').split(/[=~#]/)[0].trim();
+    const range = first.match(/^(-?[\d.]+)\.\.(-?[\d.]+)$/);
+    const tol = first.match(/^(-?[\d.]+)(?::([\d.]+))?$/);
+    if (range) return Object.assign(q, { type: 'numeric', correctAnswer: (Number(range[1]) + Number(range[2])) / 2, tolerance: Math.abs(Number(range[2]) - Number(range[1])) / 2 });
+    if (tol) return Object.assign(q, { type: 'numeric', correctAnswer: Number(tol[1]), tolerance: Number(tol[2] || 0) });
+    return { error: 'unreadable numeric answer', title };
+  }
+  if (trimmed.includes('->')) return { error: 'matching questions are not supported', title };
+
+  const choices = giftChoices(body);
+  if (!choices.length) return { error: 'empty answer block', title };
+  if (choices.every(c => c.mark === '=')) {
+    return Object.assign(q, { type: after || before.includes('___') ? 'fill_blank' : 'short_answer', acceptedAnswers: choices.map(c => c.text) });
+  }
+  const options = choices.map(c => c.text);
+  const weighted = choices.some(c => c.weight !== null && c.mark === '~');
+  if (weighted) {
+    const correctAnswers = choices.map((c, k) => (c.weight > 0 ? k : -1)).filter(k => k >= 0);
+    return Object.assign(q, { type: 'multi_select', options, correctAnswers, partialCredit: true });
+  }
+  const right = choices.map((c, k) => (c.mark === '=' ? k : -1)).filter(k => k >= 0);
+  if (right.length !== 1) return { error: 'multiple choice needs exactly one =correct answer', title };
+  return Object.assign(q, { type: 'multiple_choice', options, correctAnswer: right[0] });
+}
+
+function importGift(text) {
+  const lines = String(text).split(/\r?\n/).filter(l => !/^\s*\/\//.test(l) && !/^\s*\$CATEGORY:/i.test(l));
+  const blocks = lines.join('\n').split(/\n\s*\n/).map(b => b.trim()).filter(Boolean);
+  const questions = [];
+  const skipped = [];
+  blocks.forEach((block, i) => {
+    const r = parseGiftQuestion(block);
+    if (r.error) skipped.push({ index: i + 1, title: r.title || oneLine(block).slice(0, 80), reason: r.error });
+    else questions.push(r);
+  });
+  return finishImport('', questions, skipped);
+}
+
+// ======================= QTI 2.1 ===============================
+const QTI_NS = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const RP_MATCH = 'http://www.imsglobal.org/question/qti_v2p1/rptemplates/match_correct';
+const RP_MAP = 'http://www.imsglobal.org/question/qti_v2p1/rptemplates/map_response';
+
+function xmlEscape(s) {
+  return String(s == null ? '' : s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function xmlId(s) {
+  const id = String(s).replace(/[^A-Za-z0-9_.-]/g, '_');
+  return /^[A-Za-z_]/.test(id) ? id : 'ID_' + id;
+}
+
+function itemXml(id, q, inner) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="${QTI_NS}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="${QTI_NS} http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd" identifier="${id}" title="${xmlEscape(oneLine(q.question).slice(0, 100))}" adaptive="false" timeDependent="false">
+${inner}
+</assessmentItem>
+`;
+}
+
+const SCORE_DECL = '  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"><defaultValue><value>0</value></defaultValue></outcomeDeclaration>';
+
+function choicesXml(q) {
+  return q.options.map((o, k) => `      <simpleChoice identifier="choice_${k}">${xmlEscape(o)}</simpleChoice>`).join('\n');
+}
+
+function qtiItem(q, id) {
+  const prompt = `<prompt>${xmlEscape(q.question)}</prompt>`;
+  switch (typeOf(q)) {
+    case 'multiple_choice':
+    case 'true_false': {
+      const options = q.options;
+      const correct = typeOf(q) === 'true_false' ? (q.correctAnswer ? 0 : 1) : q.correctAnswer;
+      return itemXml(id, q, `  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier">
+    <correctResponse><value>choice_${correct}</value></correctResponse>
+  </responseDeclaration>
+${SCORE_DECL}
+  <itemBody>
+    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="1">
+      ${prompt}
+${choicesXml({ options })}
+    </choiceInteraction>
+  </itemBody>
+  <responseProcessing template="${RP_MATCH}"/>`);
+    }
+    case 'multi_select':
+      return itemXml(id, q, `  <responseDeclaration identifier="RESPONSE" cardinality="multiple" baseType="identifier">
+    <correctResponse>${(q.correctAnswers || []).map(k => `<value>choice_${k}</value>`).join('')}</correctResponse>
+  </responseDeclaration>
+${SCORE_DECL}
+  <itemBody>
+    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="0">
+      ${prompt}
+${choicesXml(q)}
+    </choiceInteraction>
+  </itemBody>
+  <responseProcessing template="${RP_MATCH}"/>`);
+    case 'ordering':
+      return itemXml(id, q, `  <responseDeclaration identifier="RESPONSE" cardinality="ordered" baseType="identifier">
+    <correctResponse>${(q.correctOrder || []).map(k => `<value>choice_${k}</value>`).join('')}</correctResponse>
+  </responseDeclaration>
+${SCORE_DECL}
+  <itemBody>
+    <orderInteraction responseIdentifier="RESPONSE" shuffle="true">
+      ${prompt}
+${choicesXml(q)}
+    </orderInteraction>
+  </itemBody>
+  <responseProcessing template="${RP_MATCH}"/>`);
+    case 'fill_blank':
+    case 'short_answer':
+    case 'essay': {
+      const accepted = (q.acceptedAnswers || []).filter(a => String(a).trim());
+      if (!accepted.length) {
+        return itemXml(id, q, `  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string"/>
+${SCORE_DECL}
+  <itemBody>
+    <extendedTextInteraction responseIdentifier="RESPONSE">
+      ${prompt}
+    </extendedTextInteraction>
+  </itemBody>`);
+      }
+      const entry = '<textEntryInteraction responseIdentifier="RESPONSE" expectedLength="20"/>';
+      const stem = String(q.question || '');
+      const body = stem.includes('___')
+        ? `<p>${stem.split(/_{3,}/).map(xmlEscape).join(entry)}</p>`
+        : `<p>${xmlEscape(stem)}</p>\n    <p>${entry}</p>`;
+      return itemXml(id, q, `  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string">
+    <correctResponse><value>${xmlEscape(accepted[0])}</value></correctResponse>
+    <mapping defaultValue="0">${accepted.map(a => `<mapEntry mapKey="${xmlEscape(a)}" mappedValue="1" caseSensitive="${q.caseSensitive ? 'true' : 'false'}"/>`).join('')}</mapping>
+  </responseDeclaration>
+${SCORE_DECL}
+  <itemBody>
+    ${body}
+  </itemBody>
+  <responseProcessing template="${RP_MAP}"/>`);
+    }
+    case 'numeric': {
+      const tol = q.tolerance || 0;
+      return itemXml(id, q, `  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="float">
+    <correctResponse><value>${q.correctAnswer}</value></correctResponse>
+  </responseDeclaration>
+${SCORE_DECL}
+  <itemBody>
+    <p>${xmlEscape(q.question)}</p>
+    <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="10"/></p>
+  </itemBody>
+  <responseProcessing>
+    <responseCondition>
+      <responseIf>
+        <equal toleranceMode="absolute" tolerance="${tol} ${tol}"><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></equal>
+        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">1</baseValue></setOutcomeValue>
+      </responseIf>
+    </responseCondition>
+  </responseProcessing>`);
+    }
+    default:
+      return null;
+  }
+}
+
+// Zip package: imsmanifest.xml, assessment.xml (keeps order and title) and one item per question
+function exportQti(quizJson, quizId) {
+  const quiz = normalizeQuiz(quizJson) || {};
+  const testId = xmlId(quizId || 'quiz');
+  const files = [];
+  const refs = [];
+  const skipped = [];
+  const used = new Set();
+  (quiz.questions || []).forEach((q, i) => {
+    let id = xmlId(label(q, i));
+    if (used.has(id)) id += '_' + (i + 1);
+    used.add(id);
+    const xml = qtiItem(q, id);
+    if (!xml) { skipped.push({ questionId: label(q, i), reason: `no QTI mapping for ${typeOf(q)}` }); return; }
+    const href = `items/${id}.xml`;
+    files.push({ name: href, data: xml });
+    refs.push({ id, href });
+  });
+  const title = xmlEscape(quiz.title || 'Quiz');
+  const test = `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentTest xmlns="${QTI_NS}" identifier="${testId}" title="${title}">
+  <testPart identifier="part1" navigationMode="linear" submissionMode="individual">
+    <assessmentSection identifier="section1" title="${title}" visible="true">
+${refs.map(r => `      <assessmentItemRef identifier="${r.id}" href="${r.href}"/>`).join('\n')}
+    </assessmentSection>
+  </testPart>
+</assessmentTest>
+`;
+  const manifest = `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="MANIFEST-${testId}">
+  <metadata><schema>QTIv2.1 Package</schema><schemaversion>1.0.0</schemaversion></metadata>
+  <organizations/>
+  <resources>
+    <resource identifier="TEST-${testId}" type="imsqti_test_xmlv2p1" href="assessment.xml">
+      <file href="assessment.xml"/>
+${refs.map(r => `      <dependency identifierref="ITEM-${r.id}"/>`).join('\n')}
+    </resource>
+${refs.map(r => `    <resource identifier="ITEM-${r.id}" type="imsqti_item_xmlv2p1" href="${r.href}"><file href="${r.href}"/></resource>`).join('\n')}
+  </resources>
+</manifest>
+`;
+  files.unshift({ name: 'imsmanifest.xml', data: manifest }, { name: 'assessment.xml', data: test });
+  return { content: createZip(files), skipped };
+}
+
+// --- Minimal XML reading for the QTI subset we understand ---
+function decodeXml(s) {
+  return String(s)
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (_, c) => c.replace(/&/g, '&amp;').replace(/</g, '&lt;'))
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(Number(d)))
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+}
+
+function textOf(xml) {
+  return decodeXml(String(xml).replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+function attrs(tag) {
+  const out = {};
+  String(tag).replace(/([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g, (_, k, __, a, b) => { out[k.replace(/^\w+:/, '')] = decodeXml(a !== undefined ? a : b); });
+  return out;
+}
+
+// All elements named `name` (any namespace prefix): [{ attrs, inner }]
+function elements(xml, name) {
+  const re = new RegExp(`<(?:\\w+:)?${name}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</(?:\\w+:)?${name}>)`, 'g');
+  const out = [];
+  let m;
+  while ((m = re.exec(xml))) out.push({ attrs: attrs(m[1]), inner: m[2] || '', raw: m[0] });
+  return out;
+}
+
+function parseQtiItem(xml) {
+  const item = elements(xml, 'assessmentItem')[0];
+  if (!item) return { error: 'no assessmentItem element' };
+  const title = item.attrs.title || item.attrs.identifier;
+  const decls = {};
+  for (const d of elements(item.inner, 'responseDeclaration')) {
+    const correct = elements(d.inner, 'correctResponse').map(c => elements(c.inner, 'value').map(v => textOf(v.inner)))[0] || [];
+    const mapping = elements(d.inner, 'mapEntry').map(e => e.attrs);
+    decls[d.attrs.identifier] = Object.assign({ correct, mapping }, d.attrs);
+  }
+  const body = (elements(item.inner, 'itemBody')[0] || {}).inner || '';
+  const unsupported = ['matchInteraction', 'associateInteraction', 'gapMatchInteraction', 'hotspotInteraction', 'inlineChoiceInteraction', 'graphicGapMatchInteraction', 'sliderInteraction', 'uploadInteraction', 'drawingInteraction', 'hottextInteraction']
+    .find(n => new RegExp(`<(?:\\w+:)?${n}\\b`).test(body));
+  if (unsupported) return { error: `${unsupported} is not supported`, title };
+
+  const choice = elements(body, 'choiceInteraction')[0] || elements(body, 'orderInteraction')[0];
+  if (choice) {
+    const decl = decls[choice.attrs.responseIdentifier] || {};
+    const prompt = textOf((elements(choice.inner, 'prompt')[0] || {}).inner || '') || textOf(body.replace(choice.raw, ''));
+    const choices = elements(choice.inner, 'simpleChoice').map(c => ({ id: c.attrs.identifier, text: textOf(c.inner) }));
+    const indexOf = id => choices.findIndex(c => c.id === id);
+    const options = choices.map(c => c.text);
+    const correct = decl.correct.map(indexOf).filter(k => k >= 0);
+    if (!choices.length) return { error: 'interaction has no choices', title };
+    if (/orderInteraction/.test(choice.raw.slice(0, 40))) {
+      return { question: prompt, type: 'ordering', options, correctOrder: correct };
+    }
+    if (decl.cardinality === 'multiple' || choice.attrs.maxChoices === '0' || Number(choice.attrs.maxChoices) > 1) {
+      return { question: prompt, type: 'multi_select', options, correctAnswers: correct };
+    }
+    if (correct.length !== 1) return { error: 'no correct response declared', title };
+    if (options.length === 2 && /^true$/i.test(options[0]) && /^false$/i.test(options[1])) {
+      return { question: prompt, type: 'true_false', correctAnswer: correct[0] === 0 };
+    }
+    return { question: prompt, type: 'multiple_choice', options, correctAnswer: correct[0] };
+  }
+
+  const entry = elements(body, 'textEntryInteraction')[0];
+  if (entry) {
+    const decl = decls[entry.attrs.responseIdentifier] || {};
+    const prompt = textOf(body.replace(/<(?:\w+:)?textEntryInteraction\b[^>]*\/>/, ' ___ '));
+    if (decl.baseType === 'float' || decl.baseType === 'integer') {
+      const tol = (xml.match(/tolerance="([^"]+)"/) || [])[1];
+      return { question: prompt.replace(/\s*___\s*$/, ''), type: 'numeric', correctAnswer: Number(decl.correct[0]), tolerance: tol ? Number(tol.split(/\s+/)[0]) : 0 };
+    }
+    const accepted = Array.from(new Set(decl.correct.concat(decl.mapping.filter(m => Number(m.mappedValue) > 0).map(m => m.mapKey))));
+    if (!accepted.length) return { error: 'no accepted answers declared', title };
+    const caseSensitive = decl.mapping.some(m => m.caseSensitive === 'true');
+    // A blank at the end of the stem is really a short answer box
+    return /___\s*$/.test(prompt)
+      ? { question: prompt.replace(/\s*___\s*$/, ''), type: 'short_answer', acceptedAnswers: accepted, caseSensitive }
+      : { question: prompt, type: 'fill_blank', acceptedAnswers: accepted, caseSensitive };
+  }
+
+  const extended = elements(body, 'extendedTextInteraction')[0];
+  if (extended) {
+    const prompt = textOf((elements(extended.inner, 'prompt')[0] || {}).inner || '') || textOf(body.replace(extended.raw, ''));
+    return { question: prompt, type: 'essay' };
+  }
+  return { error: 'no supported interaction found', title };
+}
+
+// Accepts a zip package or a single item XML
+function importQti(input) {
+  let files;
+  if (isZip(input)) files = readZip(input).filter(f => /\.xml$/i.test(f.name)).map(f => ({ name: f.name, xml: f.data.toString('utf8') }));
+  else files = [{ name: 'item.xml', xml: Buffer.isBuffer(input) ? input.toString('utf8') : String(input) }];
+
+  // Question order: assessmentTest item refs, else manifest resources, else file order
+  const byName = new Map(files.map(f => [f.name.replace(/^\.?\//, ''), f]));
+  let order = [];
+  let title = '';
+  const testFile = files.find(f => /<(?:\w+:)?assessmentTest\b/.test(f.xml));
+  if (testFile) {
+    title = (elements(testFile.xml, 'assessmentTest')[0] || { attrs: {} }).attrs.title || '';
+    const base = testFile.name.includes('/') ? testFile.name.slice(0, testFile.name.lastIndexOf('/') + 1) : '';
+    order = elements(testFile.xml, 'assessmentItemRef').map(r => base + r.attrs.href);
+  } else {
+    const manifest = files.find(f => /imsmanifest\.xml$/i.test(f.name));
+    if (manifest) order = elements(manifest.xml, 'resource').filter(r => /imsqti_item/.test(r.attrs.type || '')).map(r => r.attrs.href);
+  }
+  if (!order.length) order = files.filter(f => /<(?:\w+:)?assessmentItem\b/.test(f.xml)).map(f => f.name);
+
+  const questions = [];
+  const skipped = [];
+  order.forEach((name, i) => {
+    const f = byName.get(String(name).replace(/^\.?\//, ''));
+    if (!f) { skipped.push({ index: i + 1, title: name, reason: 'referenced item file is missing' }); return; }
+    const r = parseQtiItem(f.xml);
+    if (r.error) skipped.push({ index: i + 1, title: r.title || name, reason: r.error });
+    else questions.push(r);
+  });
+  return finishImport(title, questions, skipped);
+}
+
+// ======================= Dispatch ==============================
+function exportQuiz(format, quizJson, quizId) {
+  if (format === 'qti') return exportQti(quizJson, quizId);
+  if (format === 'gift') return exportGift(quizJson);
+  if (format === 'aiken') return exportAiken(quizJson);
+  throw new Error(`unknown format ${format}`);
+}
+
+function importQuiz(format, input) {
+  if (format === 'qti') return importQti(input);
+  const text = Buffer.isBuffer(input) ? input.toString('utf8') : String(input);
+  if (format === 'gift') return importGift(text);
+  if (format === 'aiken') return importAiken(text);
+  throw new Error(`unknown format ${format}`);
+}
+
+module.exports = { FORMATS, exportQuiz, importQuiz, exportQti, importQti, exportGift, importGift, exportAiken, importAiken };
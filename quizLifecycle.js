@@ -0,0 +1,156 @@
+// ======================= Quiz Lifecycle =======================
+// Status, availability window, time limit and attempt rules for quizzes.
+// Stored status is draft | scheduled | published | closed; the effective
+// status also folds in openAt/closeAt, so a published quiz past its closeAt
+// reads as closed. Quizzes saved before statuses existed count as published.
+
+const QUIZ_STATUSES = ['draft', 'scheduled', 'published', 'closed'];
+const SCORING_POLICIES = ['best', 'latest', 'average'];
+
+// Requests that arrive this long after the deadline still count (network lag)
+const DEADLINE_GRACE_MS = Number(process.env.ATTEMPT_GRACE_SECONDS || 30) * 1000;
+const MAX_TIME_LIMIT_MINUTES = 7 * 24 * 60;
+const MAX_ATTEMPTS_LIMIT = 100;
+
+function effectiveStatus(quiz, now = new Date()) {
+  const status = quiz.status || 'published';
+  if (status === 'draft' || status === 'closed') return status;
+  if (quiz.openAt && now < new Date(quiz.openAt)) return 'scheduled';
+  if (quiz.closeAt && now >= new Date(quiz.closeAt)) return 'closed';
+  return 'published';
+}
+
+// Why a student cannot open/start the quiz right now, or null. A student
+// whose open attempt was given extra time may keep working past closeAt
+// (but not after the teacher closes the quiz by hand).
+function availabilityError(quiz, now = new Date(), attempt = null) {
+  const status = effectiveStatus(quiz, now);
+  if (status === 'closed' && quiz.status !== 'closed' && attempt && !attempt.submitted && attempt.extraMinutes > 0 && !isExpired(quiz, attempt, now)) return null;
+  if (status === 'draft') return 'quiz is not published';
+  if (status === 'scheduled') return `quiz opens at ${new Date(quiz.openAt).toISOString()}`;
+  if (status === 'closed') return 'quiz is closed';
+  return null;
+}
+
+// 0/empty means unlimited; quizzes from before attempt limits allowed one
+function maxAttemptsOf(quiz) {
+  if (quiz.maxAttempts === undefined) return 1;
+  return quiz.maxAttempts > 0 ? quiz.maxAttempts : null;
+}
+
+function attemptNumberOf(attempt) {
+  return attempt.attemptNumber || 1;
+}
+
+// The first attempt keeps the original quizId::email id
+function attemptId(quizId, email, n) {
+  return n > 1 ? `${quizId}::${email}::${n}` : `${quizId}::${email}`;
+}
+
+// Time limit from the attempt's start, capped by the quiz's closeAt, plus
+// any extra minutes the teacher gave this attempt
+function attemptDeadline(quiz, attempt) {
+  const limits = [];
+  if (quiz.timeLimitMinutes > 0 && attempt.startedAt) limits.push(new Date(attempt.startedAt).getTime() + quiz.timeLimitMinutes * 60000);
+  if (quiz.closeAt) limits.push(new Date(quiz.closeAt).getTime());
+  return limits.length ? new Date(Math.min(...limits) + (attempt.extraMinutes || 0) * 60000) : null;
+}
+
+function isExpired(quiz, attempt, now = new Date()) {
+  if (attempt.submitted) return false;
+  // A teacher closing the quiz by hand ends attempts in progress too
+  if ((quiz.status || 'published') === 'closed') return true;
+  const deadline = attemptDeadline(quiz, attempt);
+  return !!deadline && now.getTime() > deadline.getTime() + DEADLINE_GRACE_MS;
+}
+
+// The score a student's attempts earn under the quiz's policy
+function policyScore(attempts, policy) {
+  const done = attempts.filter(a => a.submitted).sort((a, b) => attemptNumberOf(a) - attemptNumberOf(b));
+  if (!done.length) return null;
+  const pct = a => (a.maxScore ? a.score / a.maxScore : 0);
+  if (policy === 'average') {
+    const score = done.reduce((s, a) => s + (a.score || 0), 0) / done.length;
+    const maxScore = done.reduce((s, a) => s + (a.maxScore || 0), 0) / done.length;
+    const last = done[done.length - 1];
+    return { score: Math.round(score * 100) / 100, maxScore, attempts: done.length, submittedAt: last.submittedAt, attemptNumber: null };
+  }
+  const chosen = policy === 'latest' ? done[done.length - 1] : done.reduce((best, a) => (pct(a) > pct(best) ? a : best));
+  return { score: chosen.score, maxScore: chosen.maxScore, attempts: done.length, submittedAt: chosen.submittedAt, attemptNumber: attemptNumberOf(chosen) };
+}
+
+function optionalDate(v) {
+  if (v === null || v === '') return { value: null };
+  const d = new Date(v);
+  return isNaN(d) ? { error: true } : { value: d };
+}
+
+function optionalNumber(v) {
+  if (v === null || v === '') return { value: null };
+  const n = Number(v);
+  return Number.isFinite(n) ? { value: n } : { error: true };
+}
+
+// Lifecycle fields present in a request body -> { fields, error }. Absent
+// fields are left out so partial updates keep the stored values; null or ''
+// clears a date/limit. `current` is the stored quiz, for cross-field checks.
+function parseLifecycle(body, current = {}) {
+  const fields = {};
+  const has = k => body[k] !== undefined;
+  if (has('status')) {
+    if (!QUIZ_STATUSES.includes(body.status)) return { error: `status must be one of ${QUIZ_STATUSES.join(', ')}` };
+    fields.status = body.status;
+  }
+  for (const k of ['openAt', 'closeAt']) {
+    if (!has(k)) continue;
+    const r = optionalDate(body[k]);
+    if (r.error) return { error: `${k} must be a date` };
+    fields[k] = r.value;
+  }
+  if (has('timeLimitMinutes')) {
+    const r = optionalNumber(body.timeLimitMinutes);
+    if (r.error || (r.value !== null && (r.value <= 0 || r.value > MAX_TIME_LIMIT_MINUTES))) return { error: `timeLimitMinutes must be between 1 and ${MAX_TIME_LIMIT_MINUTES}` };
+    fields.timeLimitMinutes = r.value;
+  }
+  if (has('maxAttempts')) {
+    const r = optionalNumber(body.maxAttempts);
+    if (r.error || (r.value !== null && (!Number.isInteger(r.value) || r.value < 0 || r.value > MAX_ATTEMPTS_LIMIT))) return { error: `maxAttempts must be an integer from 0 (unlimited) to ${MAX_ATTEMPTS_LIMIT}` };
+    fields.maxAttempts = r.value || 0;
+  }
+  if (has('scoringPolicy')) {
+    if (!SCORING_POLICIES.includes(body.scoringPolicy)) return { error: `scoringPolicy must be one of ${SCORING_POLICIES.join(', ')}` };
+    fields.scoringPolicy = body.scoringPolicy;
+  }
+  const merged = Object.assign({}, current, fields);
+  if (merged.openAt && merged.closeAt && new Date(merged.closeAt) <= new Date(merged.openAt)) return { error: 'closeAt must be after openAt' };
+  if (merged.status === 'scheduled' && !merged.openAt) return { error: 'a scheduled quiz needs openAt' };
+  return { fields };
+}
+
+// Lifecycle summary sent to clients
+function lifecycleOf(quiz, now = new Date()) {
+  return {
+    status: effectiveStatus(quiz, now),
+    openAt: quiz.openAt || null,
+    closeAt: quiz.closeAt || null,
+    timeLimitMinutes: quiz.timeLimitMinutes || null,
+    maxAttempts: maxAttemptsOf(quiz),
+    scoringPolicy: quiz.scoringPolicy || 'best'
+  };
+}
+
+module.exports = {
+  QUIZ_STATUSES,
+  SCORING_POLICIES,
+  DEADLINE_GRACE_MS,
+  effectiveStatus,
+  availabilityError,
+  maxAttemptsOf,
+  attemptNumberOf,
+  attemptId,
+  attemptDeadline,
+  isExpired,
+  policyScore,
+  parseLifecycle,
+  lifecycleOf
+};
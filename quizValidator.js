@@ -0,0 +1,166 @@
+// ======================= Quiz Validation ======================
+// Strict checks for the stored quiz format. Run it on normalized quizzes
+// (questionTypes.normalizeQuiz); every violation is reported, not just the first.
+const { QUESTION_TYPES } = require('./questionTypes');
+
+function isNonEmptyString(v) {
+  return typeof v === 'string' && v.trim() !== '';
+}
+
+function checkOptions(q, at, issues, min = 2) {
+  if (!Array.isArray(q.options) || q.options.length < min) {
+    issues.push({ path: `${at}.options`, message: `must have at least ${min} options` });
+    return false;
+  }
+  const seen = new Set();
+  q.options.forEach((o, i) => {
+    if (!isNonEmptyString(typeof o === 'number' ? String(o) : o)) {
+      issues.push({ path: `${at}.options[${i}]`, message: 'must be a non-empty string' });
+      return;
+    }
+    const key = String(o).trim().toLowerCase();
+    if (seen.has(key)) issues.push({ path: `${at}.options[${i}]`, message: `duplicate option "${String(o).trim()}"` });
+    seen.add(key);
+  });
+  return true;
+}
+
+// Optional; when present every criterion needs a name, positive points and a unique id
+function checkRubric(q, at, issues) {
+  if (q.rubric === undefined || q.rubric === null) return;
+  if (!Array.isArray(q.rubric) || !q.rubric.length) {
+    issues.push({ path: `${at}.rubric`, message: 'must be a non-empty array of criteria' });
+    return;
+  }
+  const ids = new Set();
+  q.rubric.forEach((c, k) => {
+    const cat = `${at}.rubric[${k}]`;
+    if (!c || typeof c !== 'object') return issues.push({ path: cat, message: 'must be an object' });
+    if (!isNonEmptyString(c.criterion)) issues.push({ path: `${cat}.criterion`, message: 'must be a non-empty string' });
+    if (!(typeof c.points === 'number' && c.points > 0)) issues.push({ path: `${cat}.points`, message: 'must be a positive number' });
+    // Missing ids become c1, c2... as in normalizeRubric
+    const id = c.id != null && c.id !== '' ? String(c.id) : 'c' + (k + 1);
+    if (ids.has(id)) issues.push({ path: `${cat}.id`, message: `duplicate criterion id "${id}"` });
+    ids.add(id);
+  });
+}
+
+function inRange(i, q) {
+  return Number.isInteger(i) && i >= 0 && i < q.options.length;
+}
+
+const typeChecks = {
+  multiple_choice(q, at, issues) {
+    if (checkOptions(q, at, issues) && !inRange(q.correctAnswer, q)) {
+      issues.push({ path: `${at}.correctAnswer`, message: `must be an option index between 0 and ${q.options.length - 1}` });
+    }
+  },
+  multi_select(q, at, issues) {
+    const hasOptions = checkOptions(q, at, issues);
+    if (!Array.isArray(q.correctAnswers) || q.correctAnswers.length === 0) {
+      issues.push({ path: `${at}.correctAnswers`, message: 'must list at least one correct option index' });
+    } else if (hasOptions) {
+      q.correctAnswers.forEach((i, k) => {
+        if (!inRange(i, q)) issues.push({ path: `${at}.correctAnswers[${k}]`, message: `must be an option index between 0 and ${q.options.length - 1}` });
+      });
+      if (new Set(q.correctAnswers).size !== q.correctAnswers.length) issues.push({ path: `${at}.correctAnswers`, message: 'contains duplicates' });
+    }
+  },
+  true_false(q, at, issues) {
+    if (typeof q.correctAnswer !== 'boolean') issues.push({ path: `${at}.correctAnswer`, message: 'must be true or false' });
+  },
+  fill_blank(q, at, issues) {
+    if (!Array.isArray(q.acceptedAnswers) || !q.acceptedAnswers.some(isNonEmptyString)) {
+      issues.push({ path: `${at}.acceptedAnswers`, message: 'must list at least one accepted answer' });
+    }
+  },
+  short_answer(q, at, issues) {
+    if (q.acceptedAnswers !== undefined && !Array.isArray(q.acceptedAnswers)) {
+      issues.push({ path: `${at}.acceptedAnswers`, message: 'must be an array of strings' });
+    }
+    checkRubric(q, at, issues);
+  },
+  essay(q, at, issues) {
+    if (q.modelAnswer !== undefined && q.modelAnswer !== null && typeof q.modelAnswer !== 'string') issues.push({ path: `${at}.modelAnswer`, message: 'must be a string' });
+    checkRubric(q, at, issues);
+  },
+  numeric(q, at, issues) {
+    if (typeof q.correctAnswer !== 'number' || !Number.isFinite(q.correctAnswer)) issues.push({ path: `${at}.correctAnswer`, message: 'must be a number' });
+    if (q.tolerance !== undefined && !(typeof q.tolerance === 'number' && q.tolerance >= 0)) issues.push({ path: `${at}.tolerance`, message: 'must be a non-negative number' });
+  },
+  ordering(q, at, issues) {
+    if (!checkOptions(q, at, issues)) return;
+    const order = Array.isArray(q.correctOrder) ? q.correctOrder : [];
+    const isPermutation = order.length === q.options.length && order.every(i => inRange(i, q)) && new Set(order).size === order.length;
+    if (!isPermutation) issues.push({ path: `${at}.correctOrder`, message: `must be an ordering of all option indexes 0..${q.options.length - 1}` });
+  }
+};
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+function isStringList(v) {
+  return Array.isArray(v) && v.every(isNonEmptyString);
+}
+
+// A draw pulls `count` bank questions matching its tags/pools/difficulty
+// into each student's paper (see questionBank.js)
+function checkDraw(d, at, issues) {
+  if (!d || typeof d !== 'object' || Array.isArray(d)) {
+    issues.push({ path: at, message: 'must be an object' });
+    return;
+  }
+  if (!Number.isInteger(d.count) || d.count < 1 || d.count > 100) issues.push({ path: `${at}.count`, message: 'must be an integer from 1 to 100' });
+  for (const f of ['tags', 'pools']) {
+    if (d[f] !== undefined && !isStringList(d[f])) issues.push({ path: `${at}.${f}`, message: 'must be an array of non-empty strings' });
+  }
+  if (d.difficulty !== undefined) {
+    const list = Array.isArray(d.difficulty) ? d.difficulty : [d.difficulty];
+    if (!list.length || !list.every(x => DIFFICULTIES.includes(x))) issues.push({ path: `${at}.difficulty`, message: `must be one or more of ${DIFFICULTIES.join(', ')}` });
+  }
+  if (d.points !== undefined && !(typeof d.points === 'number' && d.points > 0)) issues.push({ path: `${at}.points`, message: 'must be a positive number' });
+}
+
+// Returns { valid, issues: [{ path, message }] }
+function validateQuiz(quiz) {
+  const issues = [];
+  if (!quiz || typeof quiz !== 'object' || Array.isArray(quiz)) {
+    return { valid: false, issues: [{ path: '', message: 'quiz must be a JSON object' }] };
+  }
+  if (!isNonEmptyString(quiz.title)) issues.push({ path: 'title', message: 'must be a non-empty string' });
+  if (quiz.description !== undefined && quiz.description !== null && typeof quiz.description !== 'string') {
+    issues.push({ path: 'description', message: 'must be a string' });
+  }
+  if (quiz.draws !== undefined && !Array.isArray(quiz.draws)) issues.push({ path: 'draws', message: 'must be an array' });
+  const draws = Array.isArray(quiz.draws) ? quiz.draws : [];
+  draws.forEach((d, i) => checkDraw(d, `draws[${i}]`, issues));
+  // Fixed questions may be left out when every question is drawn from the bank
+  if (!Array.isArray(quiz.questions) || (quiz.questions.length === 0 && !draws.length)) {
+    issues.push({ path: 'questions', message: draws.length ? 'must be an array' : 'must be a non-empty array' });
+    return { valid: false, issues };
+  }
+  const ids = new Set();
+  quiz.questions.forEach((q, i) => {
+    const at = `questions[${i}]`;
+    if (!q || typeof q !== 'object') {
+      issues.push({ path: at, message: 'must be an object' });
+      return;
+    }
+    if (q.id === undefined || q.id === null || String(q.id).trim() === '') issues.push({ path: `${at}.id`, message: 'is required' });
+    else if (ids.has(String(q.id))) issues.push({ path: `${at}.id`, message: `duplicate id "${q.id}"` });
+    else ids.add(String(q.id));
+    if (!isNonEmptyString(q.question)) issues.push({ path: `${at}.question`, message: 'must be a non-empty string' });
+    if (q.points !== undefined && !(typeof q.points === 'number' && q.points > 0)) issues.push({ path: `${at}.points`, message: 'must be a positive number' });
+    if (q.type !== undefined && !QUESTION_TYPES.includes(q.type)) {
+      issues.push({ path: `${at}.type`, message: `must be one of ${QUESTION_TYPES.join(', ')}` });
+      return;
+    }
+    typeChecks[q.type || 'multiple_choice'](q, at, issues);
+  });
+  return { valid: issues.length === 0, issues };
+}
+
+function formatIssues(issues) {
+  return issues.map(i => `- ${i.path || '(root)'}: ${i.message}`).join('\n');
+}
+
+module.exports = { DIFFICULTIES, validateQuiz, formatIssues };
@@ -0,0 +1,337 @@
+// ======================= Imports & Setup =======================
+const express = require('express');
+const router = express.Router();
+const { Quiz, Attempt, QuizVersion } = require('./models');
+const { requireAuth, requireRole, isOwner, forbidden } = require('./authMiddleware');
+const { serverError } = require('./logger');
+const { typeOf, toIndexList, resolveChoiceIndex } = require('./questionTypes');
+const { gradeAttempt, answerFor } = require('./grading');
+
+// Every saved change to a quiz's questions becomes an immutable QuizVersion;
+// attempts are pinned to the version they were started against. Quizzes saved
+// before versioning have no version number and count as version 1.
+const CHOICE_TYPES = ['multiple_choice', 'multi_select', 'ordering'];
+// Fields that decide how an answer is graded
+const KEY_FIELDS = ['type', 'correctAnswer', 'correctAnswers', 'correctOrder', 'acceptedAnswers', 'caseSensitive', 'tolerance', 'partialCredit', 'points', 'rubric'];
+
+// ======================= Helpers ===============================
+// JSON with sorted keys, so key order never looks like an edit
+function stableStringify(v) {
+  if (Array.isArray(v)) return '[' + v.map(stableStringify).join(',') + ']';
+  if (v && typeof v === 'object' && !(v instanceof Date)) {
+    return '{' + Object.keys(v).filter(k => v[k] !== undefined).sort().map(k => JSON.stringify(k) + ':' + stableStringify(v[k])).join(',') + '}';
+  }
+  return JSON.stringify(v === undefined ? null : v);
+}
+
+function currentVersion(quiz) {
+  return quiz.version || 1;
+}
+
+function questionsOf(json) {
+  return json && Array.isArray(json.questions) ? json.questions : [];
+}
+
+function questionKey(q, i) {
+  return q && q.id != null ? String(q.id) : 'q' + (i + 1);
+}
+
+// Called before a quiz's finalizedJson is overwritten; stores `json` as a new
+// version when it differs and returns the version number to save on the quiz
+async function recordVersion(existing, quizId, json, user, note) {
+  if (!json) return existing ? existing.version : undefined;
+  let current = existing ? existing.version : null;
+  if (existing && existing.finalizedJson && !current) {
+    // Quiz saved before versioning: its content so far becomes version 1
+    await QuizVersion.updateOne(
+      { quizId, version: 1 },
+      { $setOnInsert: { finalizedJson: existing.finalizedJson, createdBy: existing.teacherId, note: 'initial version', createdAt: existing.updatedAt || existing.createdAt || new Date() } },
+      { upsert: true }
+    );
+    current = 1;
+  }
+  if (current && stableStringify(existing.finalizedJson) === stableStringify(json)) return current;
+  const version = (current || 0) + 1;
+  await QuizVersion.create({ quizId, version, finalizedJson: json, createdBy: user && user.id, note });
+  return version;
+}
+
+// finalizedJson of version n (the live quiz when n is current or unknown)
+async function versionJson(quiz, n) {
+  if (!n || !quiz.version || n === quiz.version) return quiz.finalizedJson;
+  const v = await QuizVersion.findOne({ quizId: quiz.id, version: n }).lean();
+  return v ? v.finalizedJson : null;
+}
+
+// The quiz an attempt is graded against: its own paper for randomized
+// quizzes, otherwise the version it was started on
+async function attemptQuizJson(quiz, attempt) {
+  const json = (await versionJson(quiz, attempt.quizVersion || 1)) || quiz.finalizedJson;
+  return attempt.paper ? Object.assign({}, json, { questions: attempt.paper.questions }) : json;
+}
+
+// ======================= Diff ==================================
+function changed(a, b) {
+  return stableStringify(a) !== stableStringify(b);
+}
+
+// Correct answers as option text, so reordering options is not a key change
+function answerKey(q) {
+  const type = typeOf(q);
+  const options = Array.isArray(q.options) ? q.options.map(o => String(o).trim()) : [];
+  const text = i => (options[i] !== undefined ? options[i] : i);
+  const key = {};
+  for (const f of KEY_FIELDS) if (q[f] !== undefined) key[f] = q[f];
+  if (type === 'multiple_choice') key.correctAnswer = text(q.correctAnswer);
+  if (type === 'multi_select') key.correctAnswers = (q.correctAnswers || []).map(text).sort();
+  if (type === 'ordering') key.correctOrder = (q.correctOrder || []).map(text);
+  return key;
+}
+
+function diffQuizzes(from, to) {
+  const fromQs = questionsOf(from), toQs = questionsOf(to);
+  const toByKey = new Map(toQs.map((q, i) => [questionKey(q, i), { q, index: i }]));
+  const seen = new Set();
+  const diff = { added: [], removed: [], changed: [], unchanged: 0 };
+  for (const f of ['title', 'description']) {
+    if (changed((from || {})[f], (to || {})[f])) diff[f] = { from: (from || {})[f], to: (to || {})[f] };
+  }
+  fromQs.forEach((q, i) => {
+    const key = questionKey(q, i);
+    const match = toByKey.get(key);
+    if (!match) { diff.removed.push({ questionId: key, index: i, question: q.question }); return; }
+    seen.add(key);
+    const fields = Array.from(new Set(Object.keys(q).concat(Object.keys(match.q)))).filter(f => f !== 'id' && changed(q[f], match.q[f]));
+    if (!fields.length && i === match.index) { diff.unchanged++; return; }
+    const sameOptions = Array.isArray(q.options) && Array.isArray(match.q.options) &&
+      stableStringify(q.options.slice().sort()) === stableStringify(match.q.options.slice().sort());
+    diff.changed.push({
+      questionId: key,
+      fromIndex: i,
+      toIndex: match.index,
+      changes: fields.map(field => ({ field, from: q[field], to: match.q[field] })),
+      answerKeyChanged: changed(answerKey(q), answerKey(match.q)),
+      optionsReordered: fields.includes('options') && sameOptions
+    });
+  });
+  toQs.forEach((q, i) => {
+    const key = questionKey(q, i);
+    if (!seen.has(key)) diff.added.push({ questionId: key, index: i, question: q.question });
+  });
+  return diff;
+}
+
+// ======================= Regrade ===============================
+// Carries answers from one version to another: questions are matched by id
+// (or position) and choice answers follow their option text, so a reordered
+// option list keeps pointing at what the student actually picked
+function translateValue(fromQ, toQ, value) {
+  const type = typeOf(fromQ);
+  if (!CHOICE_TYPES.includes(type) || typeOf(toQ) !== type) return value;
+  const fromOptions = Array.isArray(fromQ.options) ? fromQ.options : [];
+  const toOptions = Array.isArray(toQ.options) ? toQ.options : [];
+  const map = v => {
+    const idx = resolveChoiceIndex(fromQ, v);
+    if (idx < 0 || idx >= fromOptions.length) return v;
+    const j = toOptions.findIndex(o => String(o).trim() === String(fromOptions[idx]).trim());
+    // An option whose text was edited keeps its position
+    return j >= 0 ? j : idx;
+  };
+  return type === 'multiple_choice' ? map(value) : toIndexList(value).map(map);
+}
+
+function translateAnswers(fromJson, toJson, answers) {
+  const toQs = questionsOf(toJson);
+  const toByKey = new Map(toQs.map((q, i) => [questionKey(q, i), { q, index: i }]));
+  const out = {};
+  questionsOf(fromJson).forEach((q, i) => {
+    const value = answerFor(answers, q, i);
+    const match = toByKey.get(questionKey(q, i));
+    if (value === undefined || !match) return;
+    out[questionKey(match.q, match.index)] = translateValue(q, match.q, value);
+  });
+  return out;
+}
+
+// Regrades submitted attempts taken against other versions (or only
+// fromVersion) against toVersion and re-pins them to it. answers are
+// translated to the new version; the replaced answers and score go to
+// regradeHistory.
+async function regradeAttempts(quiz, { toVersion, fromVersion, dryRun, user }) {
+  const target = await versionJson(quiz, toVersion);
+  if (!target) return { error: `version ${toVersion} not found` };
+  const attempts = (await Attempt.find({ quizId: quiz.id, submitted: true }).lean())
+    .filter(a => (fromVersion ? (a.quizVersion || 1) === fromVersion : (a.quizVersion || 1) !== toVersion));
+  const sources = new Map();
+  const results = [];
+  const skipped = [];
+  for (const a of attempts) {
+    // Bank-drawn/shuffled papers carry their own questions; a version has no
+    // answer key for them
+    if (a.paper) { skipped.push({ attemptId: a.id, email: a.email, reason: 'randomized paper' }); continue; }
+    const from = a.quizVersion || 1;
+    if (!sources.has(from)) sources.set(from, await versionJson(quiz, from));
+    const source = sources.get(from);
+    const answers = source && from !== toVersion ? translateAnswers(source, target, a.answers || {}) : (a.answers || {});
+    // Released review grades carry over (by question id)
+    const graded = gradeAttempt(target, answers, a.rubricGrades);
+    results.push({
+      attemptId: a.id,
+      email: a.email,
+      attemptNumber: a.attemptNumber || 1,
+      fromVersion: from,
+      oldScore: a.score,
+      newScore: graded.score,
+      oldMaxScore: a.maxScore,
+      newMaxScore: graded.maxScore,
+      changed: graded.score !== a.score || graded.maxScore !== a.maxScore
+    });
+    if (dryRun) continue;
+    await Attempt.updateOne({ id: a.id }, {
+      $set: Object.assign(graded, { answers, quizVersion: toVersion, updatedAt: new Date() }),
+      $push: { regradeHistory: { at: new Date(), fromVersion: from, toVersion, score: a.score, maxScore: a.maxScore, answers: a.answers || {}, results: a.results || [], by: user.id } }
+    });
+  }
+  return { toVersion, dryRun: !!dryRun, attempts: results.length, changed: results.filter(r => r.changed).length, results, skipped };
+}
+
+// ======================= Endpoints =============================
+async function loadOwnQuiz(req, res) {
+  const quiz = await Quiz.findOne({ id: req.params.id }).lean();
+  if (!quiz) { res.status(404).json({ ok: false, error: 'quiz not found' }); return null; }
+  if (!isOwner(req.user, quiz.teacherId)) { forbidden(res); return null; }
+  return quiz;
+}
+
+function versionParam(v, fallback) {
+  if (v === undefined || v === null || v === '') return fallback;
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 ? n : NaN;
+}
+
+// Version history with how many submitted attempts are pinned to each
+router.get('/api/quizzes/:id/versions', requireAuth, requireRole('teacher'), async (req, res) => {
+  try {
+    const quiz = await loadOwnQuiz(req, res);
+    if (!quiz) return;
+    const [versions, counts] = await Promise.all([
+      QuizVersion.find({ quizId: quiz.id }).select('version createdBy note createdAt finalizedJson.questions').sort({ version: -1 }).lean(),
+      Attempt.aggregate([
+        { $match: { quizId: quiz.id } },
+        { $group: { _id: { $ifNull: ['$quizVersion', 1] }, attempts: { $sum: 1 }, submitted: { $sum: { $cond: ['$submitted', 1, 0] } } } }
+      ])
+    ]);
+    const byVersion = new Map(counts.map(c => [c._id, c]));
+    // A quiz never edited since versioning only has its live content
+    const list = versions.length ? versions : [{ version: 1, createdBy: quiz.teacherId, createdAt: quiz.createdAt, finalizedJson: quiz.finalizedJson }];
+    res.json({
+      ok: true,
+      current: currentVersion(quiz),
+      versions: list.map(v => ({
+        version: v.version,
+        createdBy: v.createdBy,
+        note: v.note,
+        createdAt: v.createdAt,
+        questionCount: questionsOf(v.finalizedJson).length,
+        attempts: (byVersion.get(v.version) || {}).attempts || 0,
+        submitted: (byVersion.get(v.version) || {}).submitted || 0
+      }))
+    });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// What changed between two versions (default: previous -> current)
+router.get('/api/quizzes/:id/versions/diff', requireAuth, requireRole('teacher'), async (req, res) => {
+  try {
+    const quiz = await loadOwnQuiz(req, res);
+    if (!quiz) return;
+    const to = versionParam(req.query.to, currentVersion(quiz));
+    const from = versionParam(req.query.from, to - 1);
+    if (!(from > 0) || !(to > 0)) return res.status(400).json({ ok: false, error: 'from and to must be version numbers' });
+    const [a, b] = await Promise.all([versionJson(quiz, from), versionJson(quiz, to)]);
+    if (!a || !b) return res.status(404).json({ ok: false, error: `version ${!a ? from : to} not found` });
+    res.json({ ok: true, from, to, diff: diffQuizzes(a, b) });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+router.get('/api/quizzes/:id/versions/:version', requireAuth, requireRole('teacher'), async (req, res) => {
+  try {
+    const quiz = await loadOwnQuiz(req, res);
+    if (!quiz) return;
+    const n = versionParam(req.params.version);
+    if (!(n > 0)) return res.status(400).json({ ok: false, error: 'version must be a positive integer' });
+    const json = await versionJson(quiz, n);
+    if (!json || n > currentVersion(quiz)) return res.status(404).json({ ok: false, error: 'version not found' });
+    res.json({ ok: true, version: n, current: n === currentVersion(quiz), finalizedJson: json });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// Regrade submitted attempts against a version (default: current), e.g.
+// after fixing an answer key. { fromVersion, toVersion, dryRun }
+router.post('/api/quizzes/:id/regrade', requireAuth, requireRole('teacher'), async (req, res) => {
+  try {
+    const quiz = await loadOwnQuiz(req, res);
+    if (!quiz) return;
+    const body = req.body || {};
+    const toVersion = versionParam(body.toVersion, currentVersion(quiz));
+    const fromVersion = versionParam(body.fromVersion, null);
+    if (!(toVersion > 0) || Number.isNaN(fromVersion)) return res.status(400).json({ ok: false, error: 'fromVersion and toVersion must be version numbers' });
+    const dryRun = body.dryRun === true || body.dryRun === 'true';
+    const result = await regradeAttempts(quiz, { toVersion, fromVersion, dryRun, user: req.user });
+    if (result.error) return res.status(404).json({ ok: false, error: result.error });
+    res.json(Object.assign({ ok: true }, result));
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// Undoes the latest regrade of submitted attempts ({ attemptIds } or all of
+// the quiz's): answers and version pin go back to what it replaced and the
+// attempt is graded against that version again
+router.post('/api/quizzes/:id/regrade/undo', requireAuth, requireRole('teacher'), async (req, res) => {
+  try {
+    const quiz = await loadOwnQuiz(req, res);
+    if (!quiz) return;
+    const ids = req.body && req.body.attemptIds;
+    if (ids !== undefined && !(Array.isArray(ids) && ids.every(id => typeof id === 'string'))) {
+      return res.status(400).json({ ok: false, error: 'attemptIds must be an array of attempt ids' });
+    }
+    const filter = { quizId: quiz.id, submitted: true, 'regradeHistory.0': { $exists: true } };
+    if (ids) filter.id = { $in: ids };
+    const attempts = await Attempt.find(filter).lean();
+    const versions = new Map();
+    const restored = [];
+    const skipped = [];
+    for (const a of attempts) {
+      const last = a.regradeHistory[a.regradeHistory.length - 1];
+      // Entries from before answers were kept cannot be undone
+      if (!last.answers) { skipped.push({ attemptId: a.id, email: a.email, reason: 'regrade predates undo' }); continue; }
+      if (!versions.has(last.fromVersion)) versions.set(last.fromVersion, await versionJson(quiz, last.fromVersion));
+      const source = versions.get(last.fromVersion);
+      if (!source) { skipped.push({ attemptId: a.id, email: a.email, reason: `version ${last.fromVersion} not found` }); continue; }
+      const graded = gradeAttempt(source, last.answers, a.rubricGrades);
+      await Attempt.updateOne({ id: a.id }, {
+        $set: Object.assign(graded, { answers: last.answers, quizVersion: last.fromVersion, updatedAt: new Date() }),
+        $pop: { regradeHistory: 1 }
+      });
+      restored.push({ attemptId: a.id, email: a.email, version: last.fromVersion, oldScore: a.score, newScore: graded.score });
+    }
+    res.json({ ok: true, restored: restored.length, attempts: restored, skipped });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+module.exports = router;
+module.exports.recordVersion = recordVersion;
+module.exports.versionJson = versionJson;
+module.exports.attemptQuizJson = attemptQuizJson;
+module.exports.diffQuizzes = diffQuizzes;
+module.exports.translateAnswers = translateAnswers;
+module.exports.regradeAttempts = regradeAttempts;
@@ -1,69 +1,208 @@
-const path = require('path');
 // ======================= Imports & Setup =======================
 const express = require('express');
+const path = require('path');
 const router = express.Router();
 const multer = require('multer');
-const fs = require('fs');
 const mongoose = require('mongoose');
 require('./models');
-const { extractImageText, extractPdfText, callOpenAI } = require('./server');
+const { normalizeQuiz } = require('./questionTypes');
+const { validateQuiz } = require('./quizValidator');
+const { FORMATS, exportQuiz, importQuiz } = require('./quizFormats');
+const { parseLifecycle, lifecycleOf, effectiveStatus } = require('./quizLifecycle');
+const { recordVersion } = require('./quizVersions');
+const { checkDraws } = require('./questionBank');
+const { UPLOAD_DIR, uploadSingle, relativeUploadPath } = require('./uploads');
+const { requireAuth, requireAuthSse, requireRole, isOwner, isAdmin, canAccessQuiz, forbidden } = require('./authMiddleware');
+const { log, serverError } = require('./logger');
 
-// ======================= Multer Setup ==========================
-const UPLOAD_DIR = path.join(__dirname, 'uploads');
-if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR);
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, UPLOAD_DIR);
-  },
-  filename: function (req, file, cb) {
-    const name = Date.now().toString(36) + '-' + file.originalname.replace(/[^a-z0-9.\-_]/gi, '_');
-    cb(null, name);
-  }
-});
-const upload = multer({ storage });
+// ======================= Upload Setup ==========================
+// Interchange files (QTI zips, GIFT/Aiken text) are parsed in memory
+const importUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
+
+const EXPORT_TYPES = {
+  qti: { ext: 'zip', contentType: 'application/zip' },
+  gift: { ext: 'gift.txt', contentType: 'text/plain; charset=utf-8' },
+  aiken: { ext: 'aiken.txt', contentType: 'text/plain; charset=utf-8' }
+};
+
+// Format from ?format= / body.format, else guessed from the uploaded file
+function importFormat(req) {
+  const f = String((req.query && req.query.format) || (req.body && req.body.format) || '').toLowerCase();
+  if (f) return f;
+  const name = req.file ? req.file.originalname.toLowerCase() : '';
+  if (/\.(zip|xml)$/.test(name)) return 'qti';
+  if (/\.gift(\.txt)?$/.test(name)) return 'gift';
+  if (/\.aiken(\.txt)?$/.test(name)) return 'aiken';
+  return '';
+}
 
 // ======================= Models ================================
 const Quiz = mongoose.model('Quiz');
 
 // ======================= Endpoints =============================
 
-// Get quizzes by courseId and teacherId
-router.get('/api/quizzes', async (req, res) => {
+// Get the authenticated teacher's quizzes for a course
+router.get('/api/quizzes', requireAuth, requireRole('teacher'), async (req, res) => {
   try {
-    const { courseId, teacherId } = req.query;
-    if (!courseId || !teacherId) {
-      return res.status(400).json({ ok: false, error: 'courseId and teacherId required' });
+    const { courseId } = req.query;
+    const teacherId = req.user.id;
+    if (!courseId) {
+      return res.status(400).json({ ok: false, error: 'courseId required' });
     }
     const quizzes = await Quiz.find({ courseId, teacherId });
     res.json({ ok: true, quizzes });
   } catch (err) {
-    res.status(500).json({ ok: false, error: err.message });
+    serverError(res, err);
   }
 });
 
 // Create or update a quiz
-router.post('/api/quizzes', upload.single('file'), async (req, res) => {
+router.post('/api/quizzes', requireAuth, requireRole('teacher'), uploadSingle('file'), async (req, res) => {
   try {
-    const { id, finalizedJson, metadata, courseId, teacherId } = req.body;
+    const { id, finalizedJson, metadata, courseId } = req.body;
+    const teacherId = req.user.id;
+    if (!id) return res.status(400).json({ ok: false, error: 'id required' });
+    // Only the owning teacher may overwrite an existing quiz or attach one to a
+    // course; quizzes from before owners were recorded can only be claimed by an admin
+    const existing = await Quiz.findOne({ id }).select('teacherId status openAt closeAt finalizedJson version filePath createdAt updatedAt').lean();
+    if (existing && !(existing.teacherId ? isOwner(req.user, existing.teacherId) : isAdmin(req.user))) return forbidden(res);
+    // Optional lifecycle fields; without a status the quiz stays visible as
+    // before statuses existed (see quizLifecycle.js), so send 'draft' to hide it
+    const lifecycle = parseLifecycle(req.body, existing || {});
+    if (lifecycle.error) return res.status(400).json({ ok: false, error: lifecycle.error });
+    if (courseId) {
+      const course = await mongoose.model('Course').findById(courseId).select('teacherId').lean().catch(() => null);
+      if (!course) return res.status(404).json({ ok: false, error: 'course not found' });
+      if (!isOwner(req.user, course.teacherId)) return forbidden(res);
+    }
     let parsedJson = null;
     if (finalizedJson) {
       if (typeof finalizedJson === 'string') {
-        try { parsedJson = JSON.parse(finalizedJson); } catch(e) { parsedJson = null; }
+        try { parsedJson = JSON.parse(finalizedJson); } catch(e) {
+          return res.status(400).json({ ok: false, error: 'finalizedJson is not valid JSON' });
+        }
       } else if (typeof finalizedJson === 'object') {
         parsedJson = finalizedJson;
       }
     }
-    const filePath = req.file ? path.relative(__dirname, req.file.path).replace(/\\/g, '/') : null;
-    console.log('[API] POST /api/quizzes id=', id, 'courseId=', courseId, 'teacherId=', teacherId, 'hasFile=', !!req.file, 'title=', parsedJson && parsedJson.title);
+    // Store questions in their canonical typed shape (see questionTypes.js)
+    parsedJson = normalizeQuiz(parsedJson);
+    if (parsedJson) {
+      const { valid, issues } = validateQuiz(parsedJson);
+      if (!valid) return res.status(422).json({ ok: false, error: 'quiz failed validation', issues });
+      // Bank draws must be satisfiable from the teacher's bank
+      const drawIssues = await checkDraws({ teacherId, courseId }, parsedJson.draws);
+      if (drawIssues.length) return res.status(422).json({ ok: false, error: 'quiz failed validation', issues: drawIssues });
+    }
+    // Edits become a new immutable version; attempts stay pinned to theirs
+    let version;
+    try {
+      version = await recordVersion(existing, id, parsedJson, req.user, req.body.versionNote);
+    } catch (e) {
+      if (e && e.code === 11000) return res.status(409).json({ ok: false, error: 'quiz was saved concurrently, reload and try again' });
+      throw e;
+    }
+    // Saving without a new upload keeps the attached file (the retention sweep
+    // in uploads.js deletes files no quiz points at)
+    const filePath = req.file ? relativeUploadPath(req.file) : (existing && existing.filePath) || null;
+    log.info('quiz saved', { quizId: id, courseId, version, hasFile: !!req.file });
     const upsert = await Quiz.findOneAndUpdate(
       { id },
-      { id, finalizedJson: parsedJson, filePath, metadata, courseId, teacherId, updatedAt: new Date() },
+      Object.assign(
+        { id, finalizedJson: parsedJson, version, filePath, metadata, courseId, teacherId, updatedAt: new Date() },
+        lifecycle.fields
+      ),
       { upsert: true, new: true, setDefaultsOnInsert: true }
     );
     res.json({ ok: true, quiz: upsert });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ ok: false, error: err.message });
+    serverError(res, err);
+  }
+});
+
+// Change status, availability window, time limit, attempt limit or scoring
+// policy without resending the questions, e.g. { status: 'published' }
+router.patch('/api/quizzes/:id/settings', requireAuth, requireRole('teacher'), async (req, res) => {
+  try {
+    const quiz = await Quiz.findOne({ id: req.params.id });
+    if (!quiz) return res.status(404).json({ ok: false, error: 'quiz not found' });
+    if (!isOwner(req.user, quiz.teacherId)) return forbidden(res);
+    const { fields, error } = parseLifecycle(req.body || {}, quiz.toObject());
+    if (error) return res.status(400).json({ ok: false, error });
+    if (!Object.keys(fields).length) return res.status(400).json({ ok: false, error: 'nothing to update' });
+    if (fields.status && fields.status !== 'draft' && !quiz.finalizedJson) return res.status(409).json({ ok: false, error: 'a quiz without questions cannot be published' });
+    quiz.set(Object.assign(fields, { updatedAt: new Date() }));
+    await quiz.save();
+    res.json({ ok: true, quiz, lifecycle: lifecycleOf(quiz) });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// Download a quiz as QTI 2.1 (zip), GIFT or Aiken. Questions the format
+// cannot express are left out and listed in the X-Skipped-Questions header.
+router.get('/api/quizzes/:id/export', requireAuth, requireRole('teacher'), async (req, res) => {
+  try {
+    const format = String(req.query.format || '').toLowerCase();
+    if (!FORMATS.includes(format)) return res.status(400).json({ ok: false, error: `format must be one of ${FORMATS.join(', ')}` });
+    const quiz = await Quiz.findOne({ id: req.params.id }).lean();
+    if (!quiz) return res.status(404).json({ ok: false, error: 'quiz not found' });
+    if (!isOwner(req.user, quiz.teacherId)) return forbidden(res);
+    if (!quiz.finalizedJson) return res.status(409).json({ ok: false, error: 'quiz has no questions to export' });
+    const { content, skipped } = exportQuiz(format, quiz.finalizedJson, quiz.id);
+    const name = String(quiz.id).replace(/[^a-z0-9.\-_]/gi, '_');
+    res.set('Content-Type', EXPORT_TYPES[format].contentType);
+    res.set('Content-Disposition', `attachment; filename="${name}.${EXPORT_TYPES[format].ext}"`);
+    res.set('X-Skipped-Questions', JSON.stringify(skipped).replace(/[^\x20-\x7e]/g, c => '\\u' + c.charCodeAt(0).toString(16).padStart(4, '0')));
+    res.send(content);
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// Parse an uploaded QTI/GIFT/Aiken file (field "file") or pasted text (field
+// "text") into our quiz structure. Nothing is saved: the teacher reviews the
+// result and stores it with POST /api/quizzes.
+router.post('/api/quizzes/import', requireAuth, requireRole('teacher'), importUpload.single('file'), async (req, res) => {
+  try {
+    const format = importFormat(req);
+    if (!FORMATS.includes(format)) return res.status(400).json({ ok: false, error: `format must be one of ${FORMATS.join(', ')}` });
+    const input = req.file ? req.file.buffer : (req.body && typeof req.body.text === 'string' ? req.body.text : '');
+    if (!input.length) return res.status(400).json({ ok: false, error: 'file or text required' });
+    let result;
+    try {
+      result = importQuiz(format, input);
+    } catch (e) {
+      return res.status(400).json({ ok: false, error: `could not read ${format} input: ${e.message}` });
+    }
+    const { quiz, skipped } = result;
+    if (!quiz.questions.length) return res.status(422).json({ ok: false, error: 'no questions could be imported', skipped });
+    const { valid, issues } = validateQuiz(quiz);
+    res.json({ ok: true, format, quiz, skipped, valid, issues });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// ======================= Files =================================
+// The file attached to a quiz, for its owner and the students who may open it
+// (drafts stay private). Image tags cannot send headers, so ?access_token=
+// works too.
+router.get('/api/quizzes/:id/file', requireAuthSse, async (req, res) => {
+  try {
+    const quiz = await Quiz.findOne({ id: req.params.id }).select('teacherId courseId allowedStudents status filePath').lean();
+    if (!quiz || !quiz.filePath) return res.status(404).json({ ok: false, error: 'file not found' });
+    if (!isOwner(req.user, quiz.teacherId)) {
+      if (!(await canAccessQuiz(req.user, quiz)) || effectiveStatus(quiz) === 'draft') return forbidden(res, 'not allowed');
+    }
+    const file = path.join(UPLOAD_DIR, path.basename(quiz.filePath));
+    res.sendFile(file, { headers: { 'Cache-Control': 'private, no-store', 'X-Content-Type-Options': 'nosniff' } }, err => {
+      if (!err) return;
+      if (err.code === 'ENOENT' && !res.headersSent) return res.status(404).json({ ok: false, error: 'file not found' });
+      if (!res.headersSent) serverError(res, err);
+    });
+  } catch (err) {
+    serverError(res, err);
   }
 });
 
@@ -0,0 +1,104 @@
+// ======================= Document Sections ====================
+// Splits extracted pages into model-sized sections and merges the questions
+// generated per section back into one balanced, de-duplicated quiz.
+
+const MAX_SECTION_CHARS = Math.max(1000, parseInt(process.env.MAX_SECTION_CHARS, 10) || 6000);
+
+// Keep pages inside [from, to] (1-based, inclusive); either bound may be omitted
+function selectPages(pages, { from, to } = {}) {
+  return pages.filter(p => (!from || p.page >= from) && (!to || p.page <= to));
+}
+
+// Consecutive pages are packed into sections of at most maxChars. A page that
+// is longer than that on its own is cut into several sections.
+function buildSections(pages, maxChars = MAX_SECTION_CHARS) {
+  const sections = [];
+  let current = null;
+  const flush = () => { if (current) sections.push(current); current = null; };
+  for (const p of pages) {
+    const text = (p.text || '').trim();
+    if (!text) continue;
+    if (text.length > maxChars) {
+      flush();
+      for (let i = 0; i < text.length; i += maxChars) {
+        sections.push({ pages: [p.page], text: `[Page ${p.page}]\n${text.slice(i, i + maxChars)}` });
+      }
+      continue;
+    }
+    const block = `[Page ${p.page}]\n${text}`;
+    if (current && current.text.length + block.length + 2 > maxChars) flush();
+    if (!current) current = { pages: [], text: '' };
+    current.pages.push(p.page);
+    current.text = current.text ? current.text + '\n\n' + block : block;
+  }
+  flush();
+  return sections.map((s, index) => Object.assign({ index }, s));
+}
+
+// Split `total` questions across sections in proportion to their text length
+// (largest remainder). With fewer questions than sections, spread them evenly.
+function allocateCounts(sections, total) {
+  const n = sections.length;
+  if (!n || total <= 0) return sections.map(() => 0);
+  if (total < n) {
+    const counts = sections.map(() => 0);
+    for (let k = 0; k < total; k++) counts[Math.floor((k + 0.5) * n / total)] = 1;
+    return counts;
+  }
+  const lengths = sections.map(s => s.text.length);
+  const sum = lengths.reduce((a, b) => a + b, 0) || 1;
+  // Everyone gets one, the rest is proportional
+  const extra = total - n;
+  const raw = lengths.map(l => extra * l / sum);
+  const counts = raw.map(r => 1 + Math.floor(r));
+  let left = total - counts.reduce((a, b) => a + b, 0);
+  const order = raw.map((r, i) => [r - Math.floor(r), i]).sort((a, b) => b[0] - a[0]);
+  for (let k = 0; left > 0; k = (k + 1) % n, left--) counts[order[k][1]]++;
+  return counts;
+}
+
+// Letters and digits of any script, so non-Latin questions compare too
+function tokens(text) {
+  return new Set(String(text || '').toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').split(/\s+/).filter(w => w.length > 2));
+}
+
+function similarity(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const w of a) if (b.has(w)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+// Drops questions whose wording (stem + options) overlaps an earlier one by >= threshold (Jaccard)
+function dedupeQuestions(questions, threshold = 0.8) {
+  const kept = [];
+  const seen = [];
+  for (const q of questions) {
+    const t = tokens([q.question || q.prompt].concat(Array.isArray(q.options) ? q.options : []).join(' '));
+    if (seen.some(s => similarity(s, t) >= threshold)) continue;
+    seen.push(t);
+    kept.push(q);
+  }
+  return kept;
+}
+
+// Takes each section's quota first, then tops up round-robin from whatever is
+// left (sections that lost questions to de-duplication). Keeps document order.
+function balanceQuestions(perSection, count, quotas) {
+  const queues = perSection.map(list => list.slice());
+  const picked = perSection.map(() => []);
+  let total = 0;
+  queues.forEach((q, i) => {
+    const take = Math.min(q.length, quotas ? quotas[i] : 0, count - total);
+    picked[i].push(...q.splice(0, take));
+    total += take;
+  });
+  while (total < count && queues.some(q => q.length)) {
+    for (let i = 0; i < queues.length && total < count; i++) {
+      if (queues[i].length) { picked[i].push(queues[i].shift()); total++; }
+    }
+  }
+  return [].concat(...picked);
+}
+
+module.exports = { MAX_SECTION_CHARS, selectPages, buildSections, allocateCounts, dedupeQuestions, balanceQuestions };
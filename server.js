@@ -1,301 +1,121 @@
 // ======================= Imports ==============================
 const path = require('path');
-const fs = require('fs');
 const express = require('express');
 const mongoose = require('mongoose');
-const multer = require('multer');
 const cors = require('cors');
 require("dotenv").config();
 
 // ======================= App Setup ============================
+// Request ids, error-body shape and request logs come first (see logger.js)
+const { log, requestLogger, serverError, errorHandler, notFound } = require('./logger');
 const app = express();
+app.use(requestLogger);
 app.use(express.json());
 
-// ======================= Multer Setup =========================
-const UPLOAD_DIR = path.join(__dirname, 'uploads');
-if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR);
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, UPLOAD_DIR);
-  },
-  filename: function (req, file, cb) {
-    const name = Date.now().toString(36) + '-' + file.originalname.replace(/[^a-z0-9.\-_]/gi, '_');
-    cb(null, name);
-  }
-});
-const upload = multer({ storage });
+// ======================= Upload Setup =========================
+// Size/type limits, dedup by content hash and retention live in uploads.js
+const { uploadSingle, uploadArray, startRetention } = require('./uploads');
+const { aiGate } = require('./usage');
 
 // ======================= Utility Functions ====================
-let _fetch = globalThis.fetch;
-try { if (!_fetch) _fetch = require("node-fetch").default; } catch (e) {}
-const fsPromises = require("fs").promises;
-let pdfParse;
-try { pdfParse = require("pdf-parse"); } catch (e) { /* handled below */ }
-let Tesseract;
-try { Tesseract = require("tesseract.js"); } catch (e) { /* handled below */ }
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-function stripCodeFences(s) {
-  if (!s) return s;
-  return s.replace(/^```(?:html|HTML|json)?\s*/i, "").replace(/```$/i, "");
-}
-function looksLikeHtml(s) {
-  if (!s) return false;
-  const t = s.trim();
-  return /^<!DOCTYPE html>/i.test(t) || /<html[\s>]/i.test(t);
-}
-function wrapIfNotHtml(content) {
-  const safe = (content || "").replace(/</g,"&lt;").replace(/>/g,"&gt;");
-  return `<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"/><meta name="viewport" content="width=device-width,initial-scale=1"/><title>Worksheet (fallback)</title><style>body{font-family:system-ui;padding:20px;background:#fff}pre{white-space:pre-wrap}</style></head><body><h2>Model output (not valid HTML)</h2><pre>${safe}</pre></body></html>`;
-}
-function parseJsonLenient(text){
-  if (!text) return null;
-  try {
-    return JSON.parse(text);
-  } catch(_) {}
-  try {
-    const unfenced = stripCodeFences(text);
-    return JSON.parse(unfenced);
-  } catch(_) {}
-  try {
-    // Replace smart quotes and stray control chars
-    let t = String(text).replace(/[“”]/g,'"').replace(/[‘’]/g, "'").replace(/[\u0000-\u001F\u007F-\u009F]/g, '');
-    // Extract largest JSON object block
-    const first = t.indexOf('{');
-    const last = t.lastIndexOf('}');
-    if (first !== -1 && last !== -1 && last > first) {
-      const candidate = t.slice(first, last + 1);
-      return JSON.parse(candidate);
-    }
-  } catch(_) {}
-  try {
-    const m = text.match(/```json([\s\S]*?)```/i);
-    if (m) return JSON.parse(m[1]);
-  } catch(_) {}
-  return null;
-}
-async function extractImageText(filePath) {
-  if (!Tesseract) throw new Error("tesseract.js is not installed. Run: npm install tesseract.js");
-  const normalized = path.resolve(String(filePath).replace(/\\/g, "/"));
-  const { data: { text } } = await Tesseract.recognize(normalized, "eng");
-  if (!text || !text.trim()) throw new Error("No text extracted from image");
-  return text.trim();
-}
-async function extractPdfText(filePath) {
-  if (!pdfParse) throw new Error("pdf-parse is not installed. Run: npm install pdf-parse");
-  const normalized = path.resolve(String(filePath).replace(/\\/g,"/"));
-  const buf = await fsPromises.readFile(normalized);
-  const data = await pdfParse(buf);
-  const text = (data.text || "").trim();
-  if (!text) throw new Error("No text extracted from PDF");
-  return text;
-}
-async function callOpenAI(messages, opts = {}) {
-  if (!_fetch) throw new Error("fetch not available");
-    const payload = {
-      model: opts.model || "gpt-4o-mini",
-      messages,
-      temperature: typeof opts.temperature === 'number' ? opts.temperature : 0.7,
-      max_tokens: typeof opts.max_tokens === 'number' ? opts.max_tokens : 800,
-      response_format: (opts && opts.force_json) ? { type: 'json_object' } : undefined,
-  };
-  const res = await _fetch("https://api.openai.com/v1/chat/completions", {
-    method: "POST",
-    headers: { "Content-Type": "application/json", "Authorization": `Bearer ${OPENAI_API_KEY}` },
-    body: JSON.stringify(payload),
-  });
-  if (!res.ok) {
-    const txt = await res.text();
-    throw new Error(`OpenAI API error (${res.status}): ${txt}`);
-  }
-  const data = await res.json();
-  return data.choices?.[0]?.message?.content ?? "";
-}
+const { sendError } = require('./llm');
 
 // ======================= CORS Setup ===========================
 app.use(cors({ origin: true, credentials: true }));
 
 // ======================= Routers ==============================
+const healthRouter = require('./health');
+app.use(healthRouter);
 const quizzesRouter = require('./quizzes');
 app.use(quizzesRouter);
 const coursesRouter = require('./courses');
 app.use(coursesRouter);
 const authRouter = require('./auth');
 app.use(authRouter);
+const studentRouter = require('./student');
+app.use(studentRouter);
+const generationRouter = require('./generation');
+app.use(generationRouter);
+const { createJob, publicJob, parseJobOptions, failInterruptedJobs } = generationRouter;
+const analyticsRouter = require('./analytics');
+app.use(analyticsRouter);
+const gradebookRouter = require('./gradebook');
+app.use(gradebookRouter);
+const quizVersionsRouter = require('./quizVersions');
+app.use(quizVersionsRouter);
+const { attemptQuizJson } = quizVersionsRouter;
+const questionBankRouter = require('./questionBank');
+app.use(questionBankRouter);
+const { isRandomized, assemblePaper } = questionBankRouter;
+const chatRouter = require('./chat');
+app.use(chatRouter);
+const worksheetRouter = require('./worksheet');
+app.use(worksheetRouter);
+const usageRouter = require('./usage');
+app.use(usageRouter);
+const monitorRouter = require('./monitor');
+app.use(monitorRouter);
+const reviewRouter = require('./review');
+app.use(reviewRouter);
 
 // ======================= MongoDB Setup ========================
-const { Quiz, Attempt, Chat } = require('./models');
+const { Quiz, Attempt } = require('./models');
+const { gradeAttempt } = require('./grading');
+const { withoutAnswers } = require('./questionTypes');
+const { availabilityError, maxAttemptsOf, attemptNumberOf, attemptId, attemptDeadline, isExpired, policyScore, lifecycleOf } = require('./quizLifecycle');
+const { requireAuth, requireRole, isOwner, canAccessQuiz, forbidden } = require('./authMiddleware');
+
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/quizDB';
 mongoose.connect(MONGODB_URI, { useNewUrlParser: true, useUnifiedTopology: true }).then(()=>{
-  console.log('Connected to MongoDB');
+  log.info('connected to MongoDB');
+  startRetention();
+  return failInterruptedJobs().then(n => { if (n) log.warn('marked interrupted generation jobs as failed', { count: n }); })
+    .then(() => reviewRouter.resumeReviews())
+    .then(n => { if (n) log.info('resumed rubric grading', { attempts: n }); });
 }).catch(err=>{
-  console.error('MongoDB connection error:', err.message);
+  log.error('MongoDB connection error', { error: err.message });
 });
 
 // ======================= Endpoints ============================
-// Parse endpoints
-app.post('/api/parse-image', upload.single('file'), async (req, res) => {
-  try {
-    if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
-    const filePath = req.file.path;
-    let imageText = await extractImageText(filePath);
-    if (imageText && imageText.length > 6000) imageText = imageText.slice(0, 6000);
-    const baseSystemPrompt = 'You are an expert quiz generator. Output ONLY valid JSON (no markdown, no prose). Schema: {"title": string, "description": string, "questions": [{"id": string, "question": string, "options": string[], "correctAnswer": number, "explanation": string}]}. Rules: 1) Do not include code fences. 2) Do not include comments. 3) Use zero-based index for correctAnswer. 4) Ensure JSON is syntactically valid. 5) Provide 3–6 options where applicable. 6) Keep explanations concise.';
-    const teacherPrompt = req.body && req.body.prompt ? String(req.body.prompt) : '';
-    const ensureJsonLine = 'Return ONLY valid JSON per the schema above.';
-    const needsJsonReinforce = teacherPrompt && !/json/i.test(teacherPrompt);
-    const systemContent = teacherPrompt
-      ? baseSystemPrompt + '\nTeacher instructions: ' + teacherPrompt + (needsJsonReinforce ? ('\n' + ensureJsonLine) : '')
-      : baseSystemPrompt;
-    const messages = [
-      { role: 'system', content: systemContent },
-      { role: 'user', content: imageText }
-    ];
-    const aiResponse = await callOpenAI(messages, { temperature: 0.2, max_tokens: 1200, model: "gpt-4o-mini", force_json: true });
-    const quizData = parseJsonLenient(aiResponse);
-    if (!quizData || typeof quizData !== 'object') {
-      return res.status(422).json({ ok: false, error: 'OpenAI did not return valid JSON', raw: String(aiResponse).slice(0, 4000) });
-    }
-    // Generate hint for each question using OpenAI
-    if (quizData && Array.isArray(quizData.questions)) {
-      for (const q of quizData.questions) {
-        const questionText = q.question || q.prompt;
-        if (questionText) {
-          const hintMessages = [
-            { role: 'system', content: 'You are an expert teacher. Provide a helpful hint for the following quiz question.' },
-            { role: 'user', content: questionText }
-          ];
-          try {
-            const hint = await callOpenAI(hintMessages, { temperature: 0.5, max_tokens: 120, model: "gpt-4o-mini" });
-            q.hint = hint.trim();
-          } catch (e) {
-            q.hint = '';
-          }
-        }
-      }
+// Parse endpoints: both start a background generation job and return its id;
+// poll GET /api/jobs/:id or stream GET /api/jobs/:id/events for progress.
+// Validation errors come back on the job, not as a 422: it ends "failed" with
+// error.code invalid_quiz or invalid_json and the remaining error.issues
+function startGenerationJob(kind) {
+  return async (req, res) => {
+    try {
+      if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+      const prompt = req.body && req.body.prompt ? String(req.body.prompt) : '';
+      const { options, error } = parseJobOptions(req.body || {});
+      if (error) return res.status(400).json({ ok: false, error });
+      if (req.file.kind !== kind) return res.status(415).json({ ok: false, error: `expected ${kind === 'pdf' ? 'a PDF' : 'an image'} file`, code: 'unsupported_type' });
+      const job = await createJob({ teacherId: req.user.id, kind, file: req.file, prompt, options });
+      res.status(202).json({ ok: true, jobId: job.id, job: publicJob(job) });
+    } catch (err) {
+      sendError(res, err);
     }
-    // Remove uploaded file after processing
-    if (req.file && req.file.path) {
-      fs.unlink(req.file.path, (err) => {
-        if (err) console.error('Error deleting uploaded file:', err);
-      });
-    }
-    res.json({ ok: true, quiz: quizData });
-  } catch (err) {
-    res.status(500).json({ ok: false, error: err.message });
-  }
-});
+  };
+}
+app.post('/api/parse-image', requireAuth, requireRole('teacher'), aiGate('parse-image'), uploadSingle('file'), startGenerationJob('image'));
+app.post('/api/parse-pdf', requireAuth, requireRole('teacher'), aiGate('parse-pdf'), uploadSingle('file'), startGenerationJob('pdf'));
 
-app.post('/api/parse-pdf', upload.single('file'), async (req, res) => {
+// Several sources at once (field "files"): photographed pages, PDFs (scanned
+// pages are OCRed), DOCX, PPTX, text/Markdown. They are merged in upload
+// order into one source; `language` (e.g. "de" or "deu+eng") drives OCR and
+// the language the quiz is written in.
+const INGEST_MAX_FILES = 30;
+app.post('/api/ingest', requireAuth, requireRole('teacher'), aiGate('ingest'), uploadArray('files', INGEST_MAX_FILES), async (req, res) => {
   try {
-    if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
-    const filePath = req.file.path;
-    let pdfText = await extractPdfText(filePath);
-    if (pdfText && pdfText.length > 6000) pdfText = pdfText.slice(0, 6000);
-    const baseSystemPrompt = 'You are an expert quiz generator. Output ONLY valid JSON (no markdown, no prose). Schema: {"title": string, "description": string, "questions": [{"id": string, "question": string, "options": string[], "correctAnswer": number, "explanation": string}]}. Rules: 1) Do not include code fences. 2) Do not include comments. 3) Use zero-based index for correctAnswer. 4) Ensure JSON is syntactically valid. 5) Provide 3–6 options where applicable. 6) Keep explanations concise.';
-    const teacherPrompt = req.body && req.body.prompt ? String(req.body.prompt) : '';
-    const ensureJsonLine = 'Return ONLY valid JSON per the schema above.';
-    const needsJsonReinforce = teacherPrompt && !/json/i.test(teacherPrompt);
-    const systemContent = teacherPrompt
-      ? baseSystemPrompt + '\nTeacher instructions: ' + teacherPrompt + (needsJsonReinforce ? ('\n' + ensureJsonLine) : '')
-      : baseSystemPrompt;
-    const messages = [
-      { role: 'system', content: systemContent },
-      { role: 'user', content: pdfText }
-    ];
-    const aiResponse = await callOpenAI(messages, { temperature: 0.2, max_tokens: 1200, model: "gpt-4o-mini", force_json: true });
-    const quizData = parseJsonLenient(aiResponse);
-    if (!quizData || typeof quizData !== 'object') {
-      return res.status(422).json({ ok: false, error: 'OpenAI did not return valid JSON', raw: String(aiResponse).slice(0, 4000) });
-    }
-    // Generate hint for each question using OpenAI
-    if (quizData && Array.isArray(quizData.questions)) {
-      for (const q of quizData.questions) {
-        const questionText = q.question || q.prompt;
-        if (questionText) {
-          const hintMessages = [
-            { role: 'system', content: 'You are an expert teacher. Provide a helpful hint for the following quiz question.' },
-            { role: 'user', content: questionText }
-          ];
-          try {
-            const hint = await callOpenAI(hintMessages, { temperature: 0.5, max_tokens: 120, model: "gpt-4o-mini" });
-            q.hint = hint.trim();
-          } catch (e) {
-            q.hint = '';
-          }
-        }
-      }
-    }
-    // Remove uploaded file after processing
-    if (req.file && req.file.path) {
-      fs.unlink(req.file.path, (err) => {
-        if (err) console.error('Error deleting uploaded file:', err);
-      });
-    }
-    res.json({ ok: true, quiz: quizData });
+    if (!req.files || !req.files.length) return res.status(400).json({ ok: false, error: 'No files uploaded' });
+    const prompt = req.body && req.body.prompt ? String(req.body.prompt) : '';
+    const { options, error } = parseJobOptions(req.body || {});
+    if (error) return res.status(400).json({ ok: false, error });
+    const job = await createJob({ teacherId: req.user.id, kind: 'files', files: req.files, prompt, options });
+    res.status(202).json({ ok: true, jobId: job.id, job: publicJob(job) });
   } catch (err) {
-    res.status(500).json({ ok: false, error: err.message });
+    sendError(res, err);
   }
 });
-// Define UPLOAD_DIR for static file serving
-// --- OpenAI utility functions (moved from frontend/openai.js) ---
-// require("dotenv").config();
-// let _fetch = globalThis.fetch;
-// try { if (!_fetch) _fetch = require("node-fetch").default; } catch (e) {}
-// const fsPromises = require("fs").promises;
-// let pdfParse;
-// try { pdfParse = require("pdf-parse"); } catch (e) { /* handled below */ }
-// let Tesseract;
-// try { Tesseract = require("tesseract.js"); } catch (e) { /* handled below */ }
-// const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-// function stripCodeFences(s) {
-//   if (!s) return s;
-//   return s.replace(/^```(?:html|HTML|json)?\s*/i, "").replace(/```$/i, "");
-// }
-function looksLikeHtml(s) {
-  if (!s) return false;
-  const t = s.trim();
-  return /^<!DOCTYPE html>/i.test(t) || /<html[\s>]/i.test(t);
-}
-function wrapIfNotHtml(content) {
-  const safe = (content || "").replace(/</g,"&lt;").replace(/>/g,"&gt;");
-  return `<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"/><meta name="viewport" content="width=device-width,initial-scale=1"/><title>Worksheet (fallback)</title><style>body{font-family:system-ui;padding:20px;background:#fff}pre{white-space:pre-wrap}</style></head><body><h2>Model output (not valid HTML)</h2><pre>${safe}</pre></body></html>`;
-}
-async function extractImageText(filePath) {
-  if (!Tesseract) throw new Error("tesseract.js is not installed. Run: npm install tesseract.js");
-  const normalized = path.resolve(String(filePath).replace(/\\/g, "/"));
-  const { data: { text } } = await Tesseract.recognize(normalized, "eng");
-  if (!text || !text.trim()) throw new Error("No text extracted from image");
-  return text.trim();
-}
-async function extractPdfText(filePath) {
-  if (!pdfParse) throw new Error("pdf-parse is not installed. Run: npm install pdf-parse");
-  const normalized = path.resolve(String(filePath).replace(/\\/g,"/"));
-  const buf = await fsPromises.readFile(normalized);
-  const data = await pdfParse(buf);
-  const text = (data.text || "").trim();
-  if (!text) throw new Error("No text extracted from PDF");
-  return text;
-}
-async function callOpenAI(messages, opts = {}) {
-  if (!_fetch) throw new Error("fetch not available");
-    const payload = {
-      model: opts.model || "gpt-5",
-      messages,
-  };
-  const res = await _fetch("https://api.openai.com/v1/chat/completions", {
-    method: "POST",
-    headers: { "Content-Type": "application/json", "Authorization": `Bearer ${OPENAI_API_KEY}` },
-    body: JSON.stringify(payload),
-  });
-  if (!res.ok) {
-    const txt = await res.text();
-    throw new Error(`OpenAI API error (${res.status}): ${txt}`);
-  }
-  const data = await res.json();
-  return data.choices?.[0]?.message?.content ?? "";
-}
-
-
 
 // Start the frontend server (openai.js) as a child process
 const { spawn } = require('child_process');
@@ -306,58 +126,138 @@ const frontendProcess = spawn('node', [FRONTEND_PATH], {
   shell: true
 });
 frontendProcess.on('error', (err) => {
-  console.error('Failed to start frontend server:', err);
+  log.error('failed to start frontend server', { error: err.message });
 });
 frontendProcess.on('exit', (code) => {
-  console.log('Frontend server exited with code', code);
+  log.warn('frontend server exited', { exitCode: code });
 });
 
 
-// Teacher chat with AI endpoint
-app.post('/api/chat', async (req, res) => {
+// ======================= Attempts =============================
+// Each quiz/student pair can have several numbered attempts (see
+// quizLifecycle.js for status, windows, time limits and scoring policy).
+function attemptsOf(quizId, email) {
+  // Attempts saved before emails were lowercased may hold capitals
+  return Attempt.find({ quizId, email }).collation({ locale: 'en', strength: 2 }).sort({ attemptNumber: 1 }).lean();
+}
+
+// Submits an attempt whose time ran out, graded on the answers saved so far
+async function finalizeExpired(quiz, attempt) {
+  const deadline = attemptDeadline(quiz, attempt);
+  const submittedAt = deadline && deadline < new Date() ? deadline : new Date();
+  const json = await attemptQuizJson(quiz, attempt);
+  const update = Object.assign(gradeAttempt(json, attempt.answers || {}), { submitted: true, submittedAt, autoSubmitted: true, updatedAt: new Date() });
+  const done = await Attempt.findOneAndUpdate({ id: attempt.id, submitted: { $ne: true } }, update, { new: true }).lean();
+  if (done) {
+    monitorRouter.attemptChanged(quiz, done);
+    await reviewRouter.startReview(quiz, done);
+  }
+  return done || Attempt.findOne({ id: attempt.id }).lean();
+}
+
+// A student's attempts, oldest first, after closing out an expired last one
+async function loadAttempts(quiz, email) {
+  const attempts = await attemptsOf(quiz.id, email);
+  const last = attempts[attempts.length - 1];
+  if (!last || !isExpired(quiz, last)) return { attempts, expired: false };
+  attempts[attempts.length - 1] = await finalizeExpired(quiz, last);
+  return { attempts, expired: true };
+}
+
+// Students only see released review grades (see review.js) and their paper
+// without its answer key
+function attemptView(quiz, attempt, user) {
+  const view = isOwner(user, quiz.teacherId) ? attempt : Object.assign(reviewRouter.studentView(attempt), { paper: withoutAnswers(attempt.paper) });
+  return Object.assign({}, view, { expiresAt: attempt.submitted ? null : attemptDeadline(quiz, attempt) });
+}
+
+// Opens the next attempt when the quiz is open and the attempt limit allows
+async function startAttempt(user, quiz, attempts) {
+  if (!isOwner(user, quiz.teacherId)) {
+    const closed = availabilityError(quiz);
+    if (closed) return { status: 403, error: closed };
+  }
+  const max = maxAttemptsOf(quiz);
+  if (max && attempts.length >= max) return { status: 409, error: `attempt limit reached (${max})` };
+  const n = attempts.length ? attemptNumberOf(attempts[attempts.length - 1]) + 1 : 1;
+  const now = new Date();
+  // Randomized quizzes fix the student's questions and option order up front
+  const paper = isRandomized(quiz.finalizedJson) ? await assemblePaper(quiz, quiz.finalizedJson, `${quiz.id}:${user.email}:${n}`) : undefined;
   try {
-    const { message } = req.body;
-    if (!message || typeof message !== 'string') {
-      return res.status(400).json({ ok: false, error: 'Message is required.' });
-    }
-    // Compose OpenAI chat messages
-    const messages = [
-      { role: 'system', content: 'You are a helpful AI assistant for teachers.' },
-      { role: 'user', content: message }
-    ];
-    const aiResponse = await callOpenAI(messages, { temperature: 0.5, max_tokens: 1000 });
-    res.json({ ok: true, response: aiResponse });
+    const doc = await Attempt.create({ id: attemptId(quiz.id, user.email, n), quizId: quiz.id, email: user.email, attemptNumber: n, quizVersion: quiz.version || 1, paper, answers: {}, progress: {}, submitted: false, startedAt: now, updatedAt: now });
+    return { attempt: doc.toObject() };
   } catch (err) {
-    res.status(500).json({ ok: false, error: err.message });
+    // Two tabs starting at once: the other request won
+    if (err && err.code === 11000) return { status: 409, error: 'attempt already started' };
+    throw err;
   }
-});
+}
 
-app.get('/api/quizzes/:id', (req, res, next) => {
+app.get('/api/quizzes/:id', requireAuth, (req, res, next) => {
   res.set('Cache-Control', 'no-store');
   next();
 }, async (req,res)=>{
   try{
     const q = await Quiz.findOne({ id: req.params.id });
     if(!q) return res.status(404).json({ ok:false, error:'not found' });
-    // Check allowed students if set
-    if (q.allowedStudents && q.allowedStudents.length > 0) {
-      const email = req.query.email;
-      if (!email || !q.allowedStudents.includes(email)) {
-        return res.status(403).json({ ok:false, error:'not allowed' });
+    // Owner or an allowed student (identity comes from the token, not the query)
+    if (!(await canAccessQuiz(req.user, q))) return forbidden(res, 'not allowed');
+    // Return stored quiz as-is to avoid latency from enrichment on GET
+    const quizObj = q.toObject();
+    // Students only see open quizzes, and timed ones only inside a running attempt
+    if (!isOwner(req.user, q.teacherId)) {
+      const { attempts } = await loadAttempts(q, req.user.email);
+      const last = attempts[attempts.length - 1];
+      const closed = availabilityError(q, new Date(), last);
+      if (closed) return forbidden(res, closed);
+      monitorRouter.opened(q, req.user.email, last);
+      const randomized = isRandomized(q.finalizedJson);
+      if ((q.timeLimitMinutes > 0 || randomized) && (!last || last.submitted)) {
+        return forbidden(res, `${randomized ? 'randomized' : 'timed'} quiz: start an attempt with POST /api/attempts/start first`);
       }
+      // An attempt in progress keeps showing its own paper / the version it was started on
+      if (last && !last.submitted && (last.paper || (last.quizVersion || 1) !== (q.version || 1))) {
+        const pinned = await attemptQuizJson(q, last);
+        if (pinned) Object.assign(quizObj, { finalizedJson: pinned, version: last.quizVersion || 1 });
+      }
+      // Grading happens here; the answer key stays here too
+      quizObj.finalizedJson = withoutAnswers(quizObj.finalizedJson);
     }
-    // if filePath present, serve full URL
+    // Attached files are served behind the same access check (quizzes.js)
     const host = req.get('origin') || `${req.protocol}://${req.get('host')}`;
-    const fileUrl = q.filePath ? `${host}/server/uploads/${path.basename(q.filePath)}` : null;
-    // Return stored quiz as-is to avoid latency from enrichment on GET
-    const quizObj = q.toObject();
-    res.json({ ok:true, quiz: quizObj, fileUrl });
-  }catch(err){ res.status(500).json({ ok:false, error:err.message }); }
+    const fileUrl = q.filePath ? `${host}/api/quizzes/${encodeURIComponent(q.id)}/file` : null;
+    res.json({ ok:true, quiz: quizObj, lifecycle: lifecycleOf(q), fileUrl });
+  }catch(err){ serverError(res, err); }
+});
+
+// Explicitly start (or resume) an attempt; the time limit runs from here
+app.post('/api/attempts/start', requireAuth, async (req,res)=>{
+  try{
+    const { quizId } = req.body || {};
+    if (!quizId) return res.status(400).json({ ok:false, error:'quizId required' });
+    const quiz = await Quiz.findOne({ id: quizId }).lean();
+    if (!quiz) return res.status(404).json({ ok:false, error:'quiz not found' });
+    if (!(await canAccessQuiz(req.user, quiz))) return forbidden(res, 'not allowed');
+    const { attempts } = await loadAttempts(quiz, req.user.email);
+    const last = attempts[attempts.length - 1];
+    if (last && !last.submitted) return res.json({ ok:true, attempt: attemptView(quiz, last, req.user), lifecycle: lifecycleOf(quiz) });
+    const started = await startAttempt(req.user, quiz, attempts);
+    if (started.error) return res.status(started.status).json({ ok:false, error: started.error });
+    monitorRouter.attemptChanged(quiz, started.attempt);
+    res.status(201).json({ ok:true, attempt: attemptView(quiz, started.attempt, req.user), lifecycle: lifecycleOf(quiz) });
+  }catch(err){ serverError(res, err); }
 });
 
-app.post('/api/attempts', async (req,res)=>{
-  const { quizId, email, score, totalQuestions,submitted } = req.body;
+app.post('/api/attempts', requireAuth, async (req,res)=>{
+  // score/totalQuestions from the client are ignored; the server grades on submit
+  const { quizId, submitted, newAttempt } = req.body;
+  // Students can only write their own attempt
+  const email = req.user.email;
     try{
+    if (!quizId) return res.status(400).json({ ok:false, error:'quizId required' });
+    const quiz = await Quiz.findOne({ id: quizId }).lean();
+    if (!quiz) return res.status(404).json({ ok:false, error:'quiz not found' });
+    if (!(await canAccessQuiz(req.user, quiz))) return forbidden(res, 'not allowed');
     // Collect incoming answers: prefer req.body.answers but also include top-level qN keys
     const incoming = req.body || {};
     const incomingAnswers = {};
@@ -369,11 +269,29 @@ app.post('/api/attempts', async (req,res)=>{
 
     const incomingProgress = (incoming.progress && typeof incoming.progress === 'object') ? incoming.progress : {};
 
-    const id = `${quizId}::${email}`;
-    // Merge incoming answers/progress with existing attempt to avoid overwriting previous autosaves
-    const existing = await Attempt.findOne({ id }).lean();
+    const { attempts, expired } = await loadAttempts(quiz, email);
+    const last = attempts[attempts.length - 1];
+    // Answers that arrive after the deadline are not accepted
+    if (expired) {
+      return res.status(409).json({ ok:false, error:'time is up; the attempt was submitted with the answers saved before the deadline', attempt: attemptView(quiz, last, req.user) });
+    }
+    if (!isOwner(req.user, quiz.teacherId)) {
+      const closed = availabilityError(quiz, new Date(), last);
+      if (closed) return forbidden(res, closed);
+    }
+    let existing = last && !last.submitted ? last : null;
+    if (!existing) {
+      // A finished attempt is never reopened; another one must be asked for
+      if (last && !(newAttempt === true || newAttempt === 'true')) {
+        return res.status(409).json({ ok:false, error:'attempt already submitted', attempt: attemptView(quiz, last, req.user) });
+      }
+      const started = await startAttempt(req.user, quiz, attempts);
+      if (started.error) return res.status(started.status).json({ ok:false, error: started.error, attempt: last && attemptView(quiz, last, req.user) });
+      existing = started.attempt;
+    }
 
-    const mergedAnswers = Object.assign({}, existing && existing.answers ? existing.answers : {});
+    // Merge incoming answers/progress with existing attempt to avoid overwriting previous autosaves
+    const mergedAnswers = Object.assign({}, existing.answers || {});
     // apply incoming per-key, skipping empty-string/null to preserve prior values
     Object.keys(incomingAnswers).forEach(k=>{
       const v = incomingAnswers[k];
@@ -381,83 +299,55 @@ app.post('/api/attempts', async (req,res)=>{
       if(typeof v === 'string' && v.trim() === '') return; // skip empty strings
       mergedAnswers[k] = v;
     });
-    const mergedProgress = Object.assign({}, existing && existing.progress ? existing.progress : {});
+    const mergedProgress = Object.assign({}, existing.progress || {});
     Object.keys(incomingProgress).forEach(k=>{
       const v = incomingProgress[k];
       if(v === null) return;
       mergedProgress[k] = v;
     });
-    const doc = { id, quizId, email, answers: mergedAnswers, progress: mergedProgress, score, totalQuestions,submitted, submittedAt: new Date() };
-  const upsert = await Attempt.findOneAndUpdate({ id }, doc, { upsert: true, new: true, setDefaultsOnInsert: true });
-  res.json({ ok:true, attempt: upsert });
-  }catch(err){ res.status(500).json({ ok:false, error:err.message }); }
-});
-
-// Chat endpoints
-app.post('/api/chats', async (req,res)=>{
-  try{
-    const { id, role, text, meta, timestamp, teacherId } = req.body;
-    console.log('[POST /api/chats] raw body =', req.body);
-    // Accept alternative payload shapes
-    const resolvedText = (typeof text === 'string' && text)
-      || (req.body && typeof req.body.content === 'string' && req.body.content)
-      || (req.body && req.body.message && typeof req.body.message.content === 'string' && req.body.message.content)
-      || (req.body && req.body.message && typeof req.body.message.text === 'string' && req.body.message.text)
-      || '';
-    const effectiveRole = (typeof role === 'string' && role)
-      || (req.body && req.body.message && typeof req.body.message.role === 'string' && req.body.message.role)
-      || 'user';
-    const effectiveTeacherId = teacherId || (req.body && req.body.message && req.body.message.teacherId) || (meta && meta.teacherId);
-    if (!effectiveTeacherId) return res.status(400).json({ ok:false, error:'teacherId required' });
-    if (!resolvedText || (typeof resolvedText === 'string' && resolvedText.trim() === '')) {
-      return res.status(400).json({ ok:false, error:'text/content required' });
-    }
-    const doc = {
-      id: id || ('msg_' + Date.now().toString(36)),
-      role: effectiveRole,
-      text: resolvedText,
-      meta,
-      teacherId: effectiveTeacherId,
-      timestamp: timestamp ? new Date(timestamp) : new Date()
-    };
-    console.log('[POST /api/chats] resolvedText =', resolvedText, 'role =', effectiveRole, 'teacherId =', effectiveTeacherId);
-    // Attach raw payload for debugging when no text provided
-    if (!doc.text) {
-      doc.meta = Object.assign({}, doc.meta || {}, { raw: req.body });
+    const doc = { answers: mergedAnswers, progress: mergedProgress, updatedAt: new Date() };
+    // Grade once, when the attempt flips to submitted; the result is frozen after that
+    if (submitted === true || submitted === 'true') {
+      // Graded against the attempt's paper or the version it was started on
+      Object.assign(doc, gradeAttempt(await attemptQuizJson(quiz, existing), mergedAnswers), { submitted: true, submittedAt: new Date() });
     }
-    const upsert = await Chat.findOneAndUpdate({ id: doc.id }, doc, { upsert: true, new: true, setDefaultsOnInsert: true });
-    console.log('[POST /api/chats] saved chat =', upsert && upsert.toObject ? upsert.toObject() : upsert);
-    res.json({ ok:true, chat: upsert && upsert.toObject ? upsert.toObject() : upsert });
-  }catch(err){ res.status(500).json({ ok:false, error:err.message }); }
+  const upsert = await Attempt.findOneAndUpdate({ id: existing.id, submitted: { $ne: true } }, doc, { new: true }).lean();
+  if (!upsert) return res.status(409).json({ ok:false, error:'attempt already submitted' });
+  monitorRouter.attemptChanged(quiz, upsert);
+  if (upsert.submitted) await reviewRouter.startReview(quiz, upsert);
+  res.json({ ok:true, attempt: attemptView(quiz, upsert, req.user) });
+  }catch(err){ serverError(res, err); }
 });
 
-app.get('/api/chats', async (req,res)=>{
+// Latest attempt (or ?attempt=N) with the student's attempt history and the
+// score counted under the quiz's scoring policy
+app.get('/api/attempts', requireAuth, async (req,res)=>{
   try{
-    const teacherId = req.query.teacherId;
-    if (!teacherId) return res.status(400).json({ ok:false, error:'teacherId required' });
-    const chats = await Chat.find({ teacherId }).sort({ timestamp: 1 }).limit(1000).lean();
-    res.json({ ok:true, chats });
-  }catch(err){ res.status(500).json({ ok:false, error:err.message }); }
-});
-
-app.get('/api/test', (req, res) => {
-  res.json({ message: 'Chats route working!' });
-});
-app.get('/api/attempts', async (req,res)=>{
-  try{
-    const { quizId, email } = req.query;
-    const id = `${quizId}::${email}`;
-    const a = await Attempt.findOne({ id });
+    const { quizId } = req.query;
+    if (!quizId) return res.status(400).json({ ok:false, error:'quizId required' });
+    const email = String(req.query.email || req.user.email).toLowerCase();
+    const quiz = await Quiz.findOne({ id: quizId }).lean();
+    if (!quiz) return res.status(404).json({ ok:false, error:'quiz not found' });
+    // Students read their own attempt; the quiz owner may read any student's
+    if (email !== String(req.user.email).toLowerCase() && !isOwner(req.user, quiz.teacherId)) return forbidden(res);
+    const { attempts } = await loadAttempts(quiz, email);
+    const n = req.query.attempt ? Number(req.query.attempt) : null;
+    const a = n ? attempts.find(x => attemptNumberOf(x) === n) : attempts[attempts.length - 1];
     if(!a) return res.status(404).json({ ok:false, error:'not found' });
-    res.json({ ok:true, attempt: a.toObject() });
-  }catch(err){ res.status(500).json({ ok:false, error:err.message }); }
+    res.json({
+      ok:true,
+      attempt: attemptView(quiz, a, req.user),
+      attempts: attempts.map(x => ({ attemptNumber: attemptNumberOf(x), submitted: !!x.submitted, autoSubmitted: !!x.autoSubmitted, score: x.score, maxScore: x.maxScore, reviewStatus: x.reviewStatus || null, startedAt: x.startedAt, submittedAt: x.submittedAt })),
+      counted: policyScore(attempts, quiz.scoringPolicy || 'best'),
+      lifecycle: lifecycleOf(quiz)
+    });
+  }catch(err){ serverError(res, err); }
 });
 
-// static file serving for uploaded files
-app.use('/server/uploads', express.static(UPLOAD_DIR));
-
-// Serve frontend static files from project root (one level up)
+// Serve frontend static files from project root (one level up). This directory
+// sits inside it, so its source and uploads are kept out.
 const FRONTEND_ROOT = path.join(__dirname, '..');
+app.use(`/${path.basename(__dirname)}`, (req, res) => res.sendStatus(404));
 app.use(express.static(FRONTEND_ROOT));
 
 // root route -> index.html
@@ -465,9 +355,13 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(FRONTEND_ROOT, 'index.html'));
 });
 
+// Unknown API routes and uncaught route errors answer in the usual error shape
+app.use('/api', notFound);
+app.use(errorHandler);
+
 const PORT = process.env.PORT || 3004;
 const HOST = process.env.HOST || "127.0.0.1";
 app.listen(PORT, HOST, () => {
-  console.log(`Server running at http://${HOST}:${PORT}/`);
+  log.info('server listening', { url: `http://${HOST}:${PORT}/` });
 });
 
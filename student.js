@@ -0,0 +1,142 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+require('./models');
+const { requireAuth, requireRole } = require('./authMiddleware');
+const { serverError } = require('./logger');
+const { lifecycleOf, maxAttemptsOf, attemptNumberOf, policyScore } = require('./quizLifecycle');
+const { isArchived } = require('./courses');
+const { studentView } = require('./review');
+
+// ======================= Models ================================
+const Quiz = mongoose.model('Quiz');
+const Attempt = mongoose.model('Attempt');
+
+// ======================= Helpers ===============================
+// Email lists are matched case-insensitively; older ones may hold capitals
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+// Students are linked to courses by the email listed in Course.students;
+// until the address is verified it links to nothing
+async function coursesFor(user) {
+  if (!user.emailVerified) return [];
+  return mongoose.model('Course').find({ students: user.email }).collation(CASE_INSENSITIVE).lean();
+}
+
+// Quizzes from the student's courses (unless restricted to other students)
+// plus any quiz that lists the student explicitly; drafts and quizzes of
+// archived courses stay hidden
+async function assignedQuizzes(user) {
+  if (!user.emailVerified) return { courses: [], quizzes: [] };
+  const email = user.email;
+  const courses = await coursesFor(user);
+  const courseIds = courses.filter(c => !isArchived(c)).map(c => String(c._id));
+  const quizzes = await Quiz.find({
+    status: { $ne: 'draft' },
+    $or: [
+      { courseId: { $in: courseIds }, $or: [{ allowedStudents: { $size: 0 } }, { allowedStudents: { $exists: false } }] },
+      { allowedStudents: email }
+    ]
+  }).collation(CASE_INSENSITIVE).select('id finalizedJson.title finalizedJson.description courseId status openAt closeAt timeLimitMinutes maxAttempts scoringPolicy createdAt updatedAt').lean();
+  // Explicitly assigned quizzes can belong to courses the student is not on
+  const otherIds = Array.from(new Set(quizzes.map(q => q.courseId).filter(id => id && !courseIds.includes(String(id)))));
+  const archived = otherIds.length
+    ? new Set((await mongoose.model('Course').find({ _id: { $in: otherIds } }).select('status').lean().catch(() => [])).filter(isArchived).map(c => String(c._id)))
+    : new Set();
+  return { courses, quizzes: quizzes.filter(q => !archived.has(String(q.courseId))) };
+}
+
+function attemptStatus(attempt) {
+  if (!attempt) return 'not_started';
+  return attempt.submitted ? 'submitted' : 'in_progress';
+}
+
+// ======================= Endpoints =============================
+
+// Courses whose roster lists the authenticated student
+router.get('/api/student/courses', requireAuth, requireRole('student'), async (req, res) => {
+  try {
+    const courses = await coursesFor(req.user);
+    res.json({ ok: true, courses: courses.map(c => ({ _id: c._id, name: c.name, description: c.description, grade: c.grade, status: c.status })) });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// Assigned quizzes with not_started / in_progress / submitted status of the
+// latest attempt, plus availability and attempts left
+router.get('/api/student/quizzes', requireAuth, requireRole('student'), async (req, res) => {
+  try {
+    const email = req.user.email;
+    const { courses, quizzes } = await assignedQuizzes(req.user);
+    const courseNames = new Map(courses.map(c => [String(c._id), c.name]));
+    const attempts = await Attempt.find({ email, quizId: { $in: quizzes.map(q => q.id) } })
+      .collation(CASE_INSENSITIVE).select('quizId attemptNumber score maxScore submitted submittedAt updatedAt').lean();
+    const byQuiz = new Map();
+    attempts.sort((x, y) => attemptNumberOf(x) - attemptNumberOf(y)).forEach(a => {
+      if (!byQuiz.has(a.quizId)) byQuiz.set(a.quizId, []);
+      byQuiz.get(a.quizId).push(a);
+    });
+    res.json({
+      ok: true,
+      quizzes: quizzes.map(q => {
+        const list = byQuiz.get(q.id) || [];
+        const a = list[list.length - 1];
+        const max = maxAttemptsOf(q);
+        const counted = policyScore(list, q.scoringPolicy || 'best');
+        return {
+          id: q.id,
+          title: q.finalizedJson && q.finalizedJson.title,
+          description: q.finalizedJson && q.finalizedJson.description,
+          courseId: q.courseId,
+          courseName: courseNames.get(String(q.courseId)),
+          status: attemptStatus(a),
+          submittedAt: a && a.submittedAt,
+          lastSavedAt: a && a.updatedAt,
+          lifecycle: lifecycleOf(q),
+          attemptsUsed: list.length,
+          attemptsLeft: max ? Math.max(0, max - list.length) : null,
+          score: counted && counted.score,
+          maxScore: counted && counted.maxScore
+        };
+      })
+    });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+// Graded results of the student's submitted attempts
+router.get('/api/student/results', requireAuth, requireRole('student'), async (req, res) => {
+  try {
+    const attempts = await Attempt.find({ email: req.user.email, submitted: true }).collation(CASE_INSENSITIVE).sort({ submittedAt: -1 }).lean();
+    const quizzes = await Quiz.find({ id: { $in: attempts.map(a => a.quizId) } }).select('id finalizedJson.title courseId').lean();
+    const byId = new Map(quizzes.map(q => [q.id, q]));
+    res.json({
+      ok: true,
+      results: attempts.map(a => {
+        const q = byId.get(a.quizId);
+        return {
+          quizId: a.quizId,
+          attemptNumber: attemptNumberOf(a),
+          title: q && q.finalizedJson && q.finalizedJson.title,
+          courseId: q && q.courseId,
+          score: a.score,
+          maxScore: a.maxScore,
+          correctCount: a.correctCount,
+          totalQuestions: a.totalQuestions,
+          results: a.results,
+          // Essay grades count once the teacher releases them; then with feedback
+          reviewStatus: a.reviewStatus || null,
+          reviews: studentView(a).rubricGrades,
+          autoSubmitted: !!a.autoSubmitted,
+          submittedAt: a.submittedAt
+        };
+      })
+    });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,43 @@
+const { fakeModel } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { courseAnalytics } = require('../analytics');
+
+const course = { _id: '64b000000000000000000010', name: 'Biology', students: ['Ann@Example.com', 'bob@example.com'] };
+
+// Stands in for the two course pipelines: latest submissions per student and
+// who started which quiz (MongoDB lowercases the emails via $toLower)
+function fakeAttempts(t, { perStudent, startedByQuiz }) {
+  const pipelines = [];
+  t.mock.method(mongoose.model('Attempt'), 'aggregate', async pipeline => {
+    pipelines.push(pipeline);
+    return pipelines.length === 1 ? perStudent : startedByQuiz;
+  });
+  return pipelines;
+}
+
+test('course analytics leave out drafts and match students by lowercased email', async t => {
+  fakeModel(t, 'Quiz', [
+    { id: 'published', courseId: course._id, status: 'published', finalizedJson: { title: 'Cells' } },
+    { id: 'legacy', courseId: course._id, finalizedJson: { title: 'No status' } },
+    { id: 'draft', courseId: course._id, status: 'draft', finalizedJson: { title: 'Unfinished' } }
+  ]);
+  const pipelines = fakeAttempts(t, {
+    perStudent: [{ _id: 'ann@example.com', average: 80, scores: [{ quizId: 'published', percent: 80, submittedAt: new Date() }] }],
+    startedByQuiz: [{ _id: 'published', emails: ['ann@example.com'] }]
+  });
+  const a = await courseAnalytics(course);
+  assert.deepEqual(a.quizzes.map(q => q.quizId).sort(), ['legacy', 'published']);
+  assert.deepEqual(a.notStarted.map(q => [q.quizId, q.students]).sort(), [['legacy', ['ann@example.com', 'bob@example.com']], ['published', ['bob@example.com']]]);
+  assert.deepEqual(a.students.map(s => [s.email, s.quizzesSubmitted]), [['ann@example.com', 1], ['bob@example.com', 0]]);
+  assert.deepEqual(pipelines[0][0].$match.quizId.$in.sort(), ['legacy', 'published']);
+  assert.ok(JSON.stringify(pipelines).includes('"$toLower":"$email"'));
+});
+
+test('a quiz with allowedStudents only expects those students', async t => {
+  fakeModel(t, 'Quiz', [{ id: 'extra', courseId: course._id, status: 'published', allowedStudents: ['bob@example.com'] }]);
+  fakeAttempts(t, { perStudent: [], startedByQuiz: [] });
+  const a = await courseAnalytics(course);
+  assert.deepEqual(a.notStarted, [{ quizId: 'extra', title: undefined, students: ['bob@example.com'] }]);
+});
@@ -0,0 +1,147 @@
+process.env.JWT_SECRET = 'test-secret';
+process.env.LOG_LEVEL = 'error';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { requireAuth, requireAuthSse, issuedBeforePasswordChange } = require('../authMiddleware');
+const { isLocked, lockAfterFailures, passwordError, hashToken, consumeToken } = require('../auth');
+const { AuthToken } = require('../models');
+
+const USER_ID = new mongoose.Types.ObjectId().toString();
+
+function request(headers = {}, query = {}) {
+  return { get: name => headers[name.toLowerCase()], query };
+}
+
+function response() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+// Runs the middleware and reports whether it let the request through
+async function authenticate(token, middleware = requireAuth) {
+  const req = request(token ? { authorization: 'Bearer ' + token } : {});
+  const res = response();
+  let passed = false;
+  await middleware(req, res, () => { passed = true; });
+  return { req, res, passed };
+}
+
+// Stands in for User.findById(...).select(...).lean()
+function fakeUsers(t, user) {
+  t.mock.method(mongoose.model('User'), 'findById', () => ({ select: () => ({ lean: async () => user }) }));
+}
+
+// ======================= Access Tokens =========================
+test('requests without a token are refused', async () => {
+  const { res, passed } = await authenticate(null);
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 401);
+  assert.deepEqual(res.body, { ok: false, error: 'authentication required' });
+});
+
+test('forged, expired and malformed tokens are refused', async () => {
+  const forged = jwt.sign({ id: USER_ID }, 'another-secret');
+  assert.equal((await authenticate(forged)).res.body.error, 'invalid token');
+  const expired = jwt.sign({ id: USER_ID, exp: Math.floor(Date.now() / 1000) - 60 }, 'test-secret');
+  assert.equal((await authenticate(expired)).res.body.error, 'token expired');
+  const badId = jwt.sign({ id: 'not-an-object-id' }, 'test-secret');
+  const r = await authenticate(badId);
+  assert.equal(r.passed, false);
+  assert.equal(r.res.statusCode, 401);
+});
+
+test('a valid token sets req.user from the current user record', async t => {
+  fakeUsers(t, { _id: USER_ID, email: 'ann@example.com', role: 'student', emailVerifiedAt: new Date() });
+  const token = jwt.sign({ id: USER_ID, email: 'old@example.com', role: 'teacher' }, 'test-secret');
+  const { req, passed } = await authenticate(token);
+  assert.equal(passed, true);
+  assert.deepEqual(req.user, { id: USER_ID, email: 'ann@example.com', role: 'student', emailVerified: true });
+});
+
+test('tokens of deleted users are refused', async t => {
+  fakeUsers(t, null);
+  const { res, passed } = await authenticate(jwt.sign({ id: USER_ID }, 'test-secret'));
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 401);
+});
+
+test('tokens issued before a password change are revoked', async t => {
+  const iat = Math.floor(Date.now() / 1000) - 120;
+  fakeUsers(t, { _id: USER_ID, email: 'ann@example.com', passwordChangedAt: new Date() });
+  const { res, passed } = await authenticate(jwt.sign({ id: USER_ID, iat }, 'test-secret'));
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.error, 'token revoked');
+});
+
+test('issuedBeforePasswordChange compares whole seconds', () => {
+  const changed = new Date('2026-01-01T10:00:00.900Z');
+  const second = Math.floor(changed.getTime() / 1000);
+  assert.equal(issuedBeforePasswordChange({ iat: second - 1 }, { passwordChangedAt: changed }), true);
+  // A token issued in the same second as the change (the new session) stays valid
+  assert.equal(issuedBeforePasswordChange({ iat: second }, { passwordChangedAt: changed }), false);
+  assert.equal(issuedBeforePasswordChange({ iat: second - 1 }, {}), false);
+});
+
+test('streaming endpoints also accept ?access_token=', async t => {
+  fakeUsers(t, { _id: USER_ID, email: 'ann@example.com', role: 'teacher' });
+  const req = request({}, { access_token: jwt.sign({ id: USER_ID }, 'test-secret') });
+  let passed = false;
+  await requireAuthSse(req, response(), () => { passed = true; });
+  assert.equal(passed, true);
+  assert.equal(req.user.emailVerified, false);
+});
+
+// ======================= Single-use Tokens =====================
+test('consumeToken looks up an unused, unexpired token by its hash', async t => {
+  const calls = [];
+  t.mock.method(AuthToken, 'findOneAndUpdate', (filter, update) => {
+    calls.push({ filter, update });
+    return { lean: async () => ({ userId: USER_ID, type: filter.type }) };
+  });
+  const found = await consumeToken('secret-token', 'reset_password');
+  assert.deepEqual(found, { userId: USER_ID, type: 'reset_password' });
+  const { filter, update } = calls[0];
+  assert.equal(filter.tokenHash, hashToken('secret-token'));
+  assert.notEqual(filter.tokenHash, 'secret-token');
+  assert.equal(filter.type, 'reset_password');
+  assert.equal(filter.usedAt, null);
+  assert.equal(filter.revokedAt, null);
+  assert.ok(filter.expiresAt.$gt instanceof Date);
+  assert.ok(update.$set.usedAt instanceof Date);
+});
+
+test('consumeToken ignores missing and non-string tokens', async t => {
+  const findOneAndUpdate = t.mock.method(AuthToken, 'findOneAndUpdate');
+  assert.equal(await consumeToken(undefined, 'invite'), null);
+  assert.equal(await consumeToken({ $ne: null }, 'invite'), null);
+  assert.equal(findOneAndUpdate.mock.callCount(), 0);
+});
+
+// ======================= Lockout & Passwords ===================
+test('the fifth failed login locks the account for 15 minutes', () => {
+  const now = new Date('2026-01-01T10:00:00Z');
+  assert.equal(lockAfterFailures(4, now), null);
+  const lock = lockAfterFailures(5, now);
+  assert.equal(lock.failedLogins, 0);
+  assert.equal(lock.lockedUntil.getTime(), now.getTime() + 15 * 60 * 1000);
+});
+
+test('isLocked holds until lockedUntil has passed', () => {
+  const now = new Date('2026-01-01T10:00:00Z');
+  assert.equal(isLocked({ lockedUntil: new Date(now.getTime() + 1000) }, now), true);
+  assert.equal(isLocked({ lockedUntil: new Date(now.getTime() - 1000) }, now), false);
+  assert.equal(isLocked({}, now), false);
+});
+
+test('passwordError asks for at least 8 characters', () => {
+  assert.match(passwordError('short'), /at least 8/);
+  assert.match(passwordError(undefined), /at least 8/);
+  assert.equal(passwordError('long enough'), null);
+});
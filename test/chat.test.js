@@ -0,0 +1,224 @@
+const { fakeModel, serve, objectId, tokenFor } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const chatRouter = require('../chat');
+// Registers the Course model chat.js looks up
+require('../courses');
+const { setMockResponder, setUsageRecorder } = require('../llm');
+const { Attempt } = require('../models');
+
+const teacher = { _id: '64b000000000000000000001', email: 'teacher@example.com', role: 'teacher', emailVerifiedAt: new Date() };
+const other = { _id: '64b000000000000000000002', email: 'other@example.com', role: 'teacher', emailVerifiedAt: new Date() };
+
+setUsageRecorder(null);
+test.afterEach(() => setMockResponder(null));
+
+async function setup(t, { courses = [], quizzes = [] } = {}) {
+  fakeModel(t, 'User', [teacher, other]);
+  fakeModel(t, 'UsageRecord');
+  fakeModel(t, 'Course', courses);
+  fakeModel(t, 'Quiz', quizzes);
+  const chats = fakeModel(t, 'Chat');
+  const threads = fakeModel(t, 'ChatThread');
+  const { base, request } = await serve(t, chatRouter);
+  return { chats, threads, base, request };
+}
+
+const at = minutes => new Date(Date.UTC(2026, 0, 1, 9, minutes));
+
+// ======================= Threads ===============================
+test('teachers create, list, rename and delete their own threads', async t => {
+  const course = { _id: objectId(), teacherId: teacher._id, name: 'Biology' };
+  const foreign = { _id: objectId(), teacherId: other._id, name: 'History' };
+  const { chats, request } = await setup(t, { courses: [course, foreign] });
+
+  const created = await request('POST', '/api/chat/threads', { user: teacher, body: { title: '  Planning   week 3 ', courseId: String(course._id) } });
+  assert.equal(created.status, 201);
+  const { id } = created.body.thread;
+  assert.equal(created.body.thread.title, 'Planning week 3');
+  assert.equal(created.body.thread.courseId, String(course._id));
+  assert.equal((await request('POST', '/api/chat/threads', { user: teacher, body: {} })).body.thread.title, 'New conversation');
+  assert.equal((await request('POST', '/api/chat/threads', { user: teacher, body: { courseId: String(foreign._id) } })).status, 403);
+  assert.equal((await request('POST', '/api/chat/threads', { user: teacher, body: { quizId: 'missing' } })).status, 404);
+
+  chats.push({ id: 'm1', threadId: id, teacherId: teacher._id, role: 'user', text: 'Hi', timestamp: at(1) }, { id: 'm2', threadId: id, teacherId: teacher._id, role: 'assistant', text: 'Hello', timestamp: at(2) });
+  const list = await request('GET', `/api/chat/threads?courseId=${course._id}`, { user: teacher });
+  assert.deepEqual(list.body.threads.map(th => [th.id, th.messages, new Date(th.lastMessageAt).getTime()]), [[id, 2, at(2).getTime()]]);
+  assert.deepEqual((await request('GET', '/api/chat/threads', { user: other })).body.threads, []);
+
+  const renamed = await request('PATCH', `/api/chat/threads/${id}`, { user: teacher, body: { title: 'Week 3', courseId: '' } });
+  assert.equal(renamed.body.thread.title, 'Week 3');
+  assert.equal(renamed.body.thread.courseId, null);
+  assert.equal((await request('PATCH', `/api/chat/threads/${id}`, { user: other, body: { title: 'Mine' } })).status, 403);
+  assert.equal((await request('GET', `/api/chat/threads/${id}/messages`, { user: other })).status, 403);
+  assert.deepEqual((await request('GET', `/api/chat/threads/${id}/messages`, { user: teacher })).body.messages.map(m => m.text), ['Hi', 'Hello']);
+
+  const deleted = await request('DELETE', `/api/chat/threads/${id}`, { user: teacher });
+  assert.equal(deleted.body.deletedMessages, 2);
+  assert.equal(chats.length, 0);
+  assert.equal((await request('GET', `/api/chat/threads/${id}/messages`, { user: teacher })).status, 404);
+});
+
+// ======================= Threaded chat =========================
+test('a threaded request sends the earlier turns and stores both new ones', async t => {
+  const { chats, threads, request } = await setup(t);
+  const { id } = (await request('POST', '/api/chat/threads', { user: teacher, body: { title: 'Cells' } })).body.thread;
+  let sent;
+  setMockResponder(messages => { sent = messages; return messages.length > 2 ? 'The nucleus, as above.' : 'Mitochondria and the nucleus.'; });
+
+  await request('POST', '/api/chat', { user: teacher, body: { threadId: id, message: 'Which organelles should I cover?' } });
+  const res = await request('POST', '/api/chat', { user: teacher, body: { threadId: id, message: 'Which one first?' } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.threadId, id);
+  assert.deepEqual(sent.slice(1).map(m => [m.role, m.content]), [
+    ['user', 'Which organelles should I cover?'],
+    ['assistant', 'Mitochondria and the nucleus.'],
+    ['user', 'Which one first?']
+  ]);
+  assert.deepEqual(res.body.messages.map(m => m.role), ['user', 'assistant']);
+  assert.equal(chats.length, 4);
+  assert.ok(chats.every(c => c.threadId === id && c.teacherId === teacher._id));
+  assert.ok(threads[0].updatedAt > threads[0].createdAt);
+
+  assert.equal((await request('POST', '/api/chat', { user: other, body: { threadId: id, message: 'Hi' } })).status, 403);
+  assert.equal((await request('POST', '/api/chat', { user: teacher, body: { threadId: id } })).status, 400);
+  // Without a thread nothing is stored
+  await request('POST', '/api/chat', { user: teacher, body: { message: 'One-off' } });
+  assert.equal(chats.length, 4);
+});
+
+test('turns over the token budget are summarized and replaced by the summary', async t => {
+  const { chats, threads, request } = await setup(t);
+  const { id } = (await request('POST', '/api/chat/threads', { user: teacher, body: {} })).body.thread;
+  // Six turns of ~1000 tokens against the default 4000-token budget
+  for (let i = 0; i < 6; i++) {
+    chats.push({ id: `old${i}`, threadId: id, teacherId: teacher._id, role: i % 2 ? 'assistant' : 'user', text: `turn ${i} ` + 'x'.repeat(3990), timestamp: at(i) });
+  }
+  const calls = [];
+  setMockResponder(messages => {
+    calls.push(messages);
+    return /^Summarize/.test(messages[0].content) ? 'They planned a cells unit.' : 'Sure.';
+  });
+
+  await request('POST', '/api/chat', { user: teacher, body: { threadId: id, message: 'Next?' } });
+  const [reply, summary] = calls;
+  const kept = reply.slice(1, -1).map(m => m.content.split(' ').slice(0, 2).join(' '));
+  assert.deepEqual(kept, ['turn 3', 'turn 4', 'turn 5']);
+  assert.match(summary[1].content, /Teacher: turn 0[\s\S]*Assistant: turn 1[\s\S]*Teacher: turn 2/);
+  assert.equal(threads[0].summary, 'They planned a cells unit.');
+  assert.equal(threads[0].summarizedCount, 3);
+
+  // The next request starts after the summarized turns and carries the summary
+  calls.length = 0;
+  await request('POST', '/api/chat', { user: teacher, body: { threadId: id, message: 'And then?' } });
+  assert.match(calls[0][0].content, /Summary of the earlier conversation:\nThey planned a cells unit\./);
+  assert.ok(!calls[0].some(m => /^turn [0-2] /.test(m.content)));
+});
+
+test('a failed summary still returns and stores the reply', async t => {
+  const { chats, threads, request } = await setup(t);
+  const { id } = (await request('POST', '/api/chat/threads', { user: teacher, body: {} })).body.thread;
+  for (let i = 0; i < 6; i++) chats.push({ id: `old${i}`, threadId: id, teacherId: teacher._id, role: 'user', text: 'y'.repeat(4000), timestamp: at(i) });
+  setMockResponder(messages => {
+    if (/^Summarize/.test(messages[0].content)) throw new Error('summary model down');
+    return 'Still here.';
+  });
+  const res = await request('POST', '/api/chat', { user: teacher, body: { threadId: id, message: 'Hello?' } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.response, 'Still here.');
+  assert.equal(chats.length, 8);
+  assert.equal(threads[0].summarizedCount, 0);
+});
+
+// ======================= Attached class data ===================
+test('a thread attached to a quiz sees its questions and how the class did', async t => {
+  const quiz = {
+    id: 'cells', teacherId: teacher._id, allowedStudents: ['a@example.com', 'b@example.com'],
+    finalizedJson: { title: 'Cells quiz', questions: [
+      { id: 'q1', question: 'What holds the DNA?', options: ['Nucleus', 'Ribosome'], correctAnswer: 0 },
+      { id: 'q4', question: 'Powerhouse of the cell?', options: ['Nucleus', 'Mitochondria'], correctAnswer: 1 }
+    ] }
+  };
+  const { request } = await setup(t, { quizzes: [quiz, { id: 'theirs', teacherId: other._id }] });
+  // The analytics pipelines need a real MongoDB; answer them with two submissions
+  const replies = [
+    [{ started: [{ n: 2 }], submitted: [{ n: 2, average: 50, min: 50, max: 50 }], distribution: [] }],
+    [{ pct: 50 }, { pct: 50 }],
+    [{
+      all: [{ _id: 'q1', attempts: 2, answered: 2, correct: 2, points: 2 }, { _id: 'q4', attempts: 2, answered: 2, correct: 0, points: 0 }],
+      lower: [], upper: [],
+      selections: [{ _id: { key: 'q4', value: 0 }, count: 2 }]
+    }]
+  ];
+  t.mock.method(Attempt, 'aggregate', async () => replies.shift());
+
+  assert.equal((await request('POST', '/api/chat/threads', { user: teacher, body: { quizId: 'theirs' } })).status, 403);
+  const { id } = (await request('POST', '/api/chat/threads', { user: teacher, body: { quizId: 'cells' } })).body.thread;
+  let system;
+  setMockResponder(messages => { system = messages[0].content; return 'Most picked Nucleus.'; });
+  await request('POST', '/api/chat', { user: teacher, body: { threadId: id, message: 'Why did my class miss question 2?' } });
+  assert.match(system, /Quiz "Cells quiz": 2 question\(s\)\. 2 submission\(s\) of 2 assigned; average 50%/);
+  assert.match(system, /Question 2 \[multiple_choice\]: Powerhouse of the cell\?\n {2}A\. Nucleus - chosen 2x\n {2}B\. Mitochondria \(correct\) - chosen 0x\n {2}Class: 0% correct of 2 submission\(s\)/);
+});
+
+// ======================= Streaming =============================
+function events(text) {
+  return text.split('\n\n').filter(Boolean).map(block => {
+    const [, event, data] = block.match(/^event: (\w+)\ndata: (.*)$/);
+    return { event, data: JSON.parse(data) };
+  });
+}
+
+test('a streamed reply is stored on the thread like POST /api/chats stores messages', async t => {
+  const { chats, request } = await setup(t);
+  const { id } = (await request('POST', '/api/chat/threads', { user: teacher, body: {} })).body.thread;
+  setMockResponder(() => 'Start with a diagram.');
+  const res = await request('POST', '/api/chat/stream', { user: teacher, body: { threadId: id, message: 'How to start?' } });
+  assert.match(res.headers.get('content-type'), /^text\/event-stream/);
+  const stream = events(res.body);
+  const done = stream.pop();
+  assert.equal(stream.map(e => e.data.text).join(''), 'Start with a diagram.');
+  assert.equal(done.event, 'done');
+  assert.equal(done.data.threadId, id);
+  assert.deepEqual(done.data.messages.map(m => [m.role, m.text]), [['user', 'How to start?'], ['assistant', 'Start with a diagram.']]);
+  assert.deepEqual(chats.map(c => Object.keys(c).filter(k => k !== '_id' && k !== '__v').sort()), [
+    ['id', 'role', 'teacherId', 'text', 'threadId', 'timestamp'],
+    ['id', 'role', 'teacherId', 'text', 'threadId', 'timestamp']
+  ]);
+});
+
+test('closing the stream cancels the reply and keeps what arrived', async t => {
+  const { chats, base } = await setup(t);
+  setMockResponder(() => Array.from({ length: 2000 }, (_, i) => `word${i}`).join(' '));
+  const controller = new AbortController();
+  const res = await fetch(`${base}/api/chat/stream`, {
+    method: 'POST',
+    headers: { authorization: 'Bearer ' + tokenFor(teacher), 'content-type': 'application/json' },
+    body: JSON.stringify({ message: 'Long answer please' }),
+    signal: controller.signal
+  });
+  const reader = res.body.getReader();
+  await reader.read();
+  controller.abort();
+  for (let i = 0; i < 200 && chats.length < 2; i++) await new Promise(resolve => setTimeout(resolve, 10));
+  const [question, partial] = chats;
+  assert.equal(question.text, 'Long answer please');
+  assert.equal(partial.role, 'assistant');
+  assert.deepEqual(partial.meta, { cancelled: true });
+  assert.match(partial.text, /^word0 /);
+  assert.ok(!partial.text.includes('word1999'));
+});
+
+test('stream errors come back as JSON before the stream starts and as an event after', async t => {
+  const { chats, request } = await setup(t);
+  const missing = await request('POST', '/api/chat/stream', { user: teacher, body: {} });
+  assert.equal(missing.status, 400);
+  assert.equal(missing.body.ok, false);
+  assert.equal((await request('POST', '/api/chat/stream', { user: teacher, body: { threadId: 'thr_missing', message: 'Hi' } })).status, 404);
+
+  setMockResponder(() => { throw Object.assign(new Error('model unavailable'), { code: 'llm_http_error' }); });
+  const res = await request('POST', '/api/chat/stream', { user: teacher, body: { message: 'Hi' } });
+  assert.equal(res.status, 200);
+  assert.deepEqual(events(res.body), [{ event: 'error', data: { ok: false, error: 'model unavailable', code: 'llm_http_error' } }]);
+  assert.equal(chats.length, 0);
+});
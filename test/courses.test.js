@@ -0,0 +1,131 @@
+const { fakeModel, serve, objectId } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const coursesRouter = require('../courses');
+
+const teacher = { _id: '64b000000000000000000001', email: 'teacher@example.com', role: 'teacher', emailVerifiedAt: new Date() };
+const other = { _id: '64b000000000000000000002', email: 'other@example.com', role: 'teacher', emailVerifiedAt: new Date() };
+
+async function setup(t, courses = []) {
+  fakeModel(t, 'User', [teacher, other]);
+  const store = fakeModel(t, 'Course', courses);
+  const { request } = await serve(t, coursesRouter);
+  return { courses: store, request };
+}
+
+const course = fields => Object.assign({ _id: objectId(), teacherId: teacher._id, name: 'Biology', status: 'Active', students: [] }, fields);
+
+// ======================= Courses ===============================
+test('courses are created with a checked roster, edited, archived and filtered by status', async t => {
+  const legacy = course({ name: 'Old', status: 'active' });
+  const { courses, request } = await setup(t, [legacy, course({ teacherId: other._id, name: 'Theirs' })]);
+
+  const created = await request('POST', '/api/courses', { user: teacher, body: { name: 'Chemistry', grade: '9', students: ['Ann@Example.com ', 'ann@example.com', 'nope', 'other@example.com'] } });
+  assert.equal(created.status, 200);
+  assert.deepEqual(created.body.roster.map(r => r.status), ['added', 'duplicate', 'invalid', 'invalid']);
+  assert.equal(created.body.roster[3].error, 'email belongs to a teacher account');
+  assert.deepEqual(created.body.course.students, ['ann@example.com']);
+  const id = created.body.course._id;
+  assert.equal((await request('POST', '/api/courses', { user: teacher, body: { name: 'X', status: 'Closed' } })).status, 400);
+
+  const archived = await request('PATCH', `/api/courses/${id}`, { user: teacher, body: { name: '  Chemistry II ', status: 'archived', description: 'Labs' } });
+  assert.equal(archived.status, 200);
+  assert.deepEqual([archived.body.course.name, archived.body.course.status, archived.body.course.description], ['Chemistry II', 'Archived', 'Labs']);
+  assert.ok(archived.body.course.archivedAt);
+  assert.equal((await request('PATCH', `/api/courses/${id}`, { user: teacher, body: { name: ' ' } })).status, 400);
+  assert.equal((await request('PATCH', `/api/courses/${id}`, { user: teacher, body: { students: [] } })).status, 400);
+  assert.equal((await request('PATCH', `/api/courses/${id}`, { user: other, body: { name: 'Mine' } })).status, 403);
+
+  // Courses with older status labels count as active
+  const names = async status => (await request('GET', `/api/courses?status=${status}`, { user: teacher })).body.courses.map(c => c.name);
+  assert.deepEqual(await names('Archived'), ['Chemistry II']);
+  assert.deepEqual(await names('active'), ['Old']);
+  assert.equal((await request('GET', '/api/courses?status=gone', { user: teacher })).status, 400);
+
+  const restored = await request('PATCH', `/api/courses/${id}`, { user: teacher, body: { status: 'Active' } });
+  assert.equal(restored.body.course.archivedAt, undefined);
+  assert.equal(courses.find(c => String(c._id) === id).status, 'Active');
+  assert.equal((await request('GET', `/api/courses/${objectId()}`, { user: teacher })).status, 404);
+  assert.equal((await request('GET', '/api/courses/not-an-id', { user: teacher })).status, 404);
+});
+
+// ======================= Roster ================================
+test('students are added and removed one at a time, whatever their casing', async t => {
+  const bio = course({ students: ['Ann@Example.com', 'bob@example.com'] });
+  const { courses, request } = await setup(t, [bio]);
+  const url = `/api/courses/${bio._id}/students`;
+
+  const single = await request('POST', url, { user: teacher, body: { email: 'Cid@example.com' } });
+  assert.deepEqual(single.body.results, [{ email: 'cid@example.com', status: 'added' }]);
+  const invalid = await request('POST', url, { user: teacher, body: { email: 'cid@' } });
+  assert.deepEqual([invalid.status, invalid.body.error], [400, 'not a valid email address']);
+  const batch = await request('POST', url, { user: teacher, body: { emails: ['ann@example.com', 'dee@example.com', ''] } });
+  assert.deepEqual(batch.body.results.map(r => r.status), ['already_enrolled', 'added', 'invalid']);
+  assert.equal((await request('POST', url, { user: teacher, body: {} })).status, 400);
+
+  const removed = await request('DELETE', `${url}/ANN%40example.com`, { user: teacher });
+  assert.deepEqual(removed.body.removed, ['Ann@Example.com']);
+  assert.deepEqual(courses[0].students, ['bob@example.com', 'cid@example.com', 'dee@example.com']);
+  assert.equal((await request('DELETE', `${url}/ann%40example.com`, { user: teacher })).status, 404);
+  assert.equal((await request('DELETE', `${url}/bob%40example.com`, { user: other })).status, 403);
+  assert.deepEqual((await request('GET', url, { user: teacher })).body.students, courses[0].students);
+});
+
+test('a CSV roster import reports every row', async t => {
+  const bio = course({ students: ['ann@example.com'] });
+  const { courses, request } = await setup(t, [bio]);
+  const url = `/api/courses/${bio._id}/students/import`;
+  const csv = 'Name,E-mail\nAnn,ann@example.com\nBob,"BOB@example.com"\nCid,not-an-email\nBob again,bob@example.com\nTeacher,teacher@example.com\n';
+
+  const form = new FormData();
+  form.append('file', new Blob([csv], { type: 'text/csv' }), 'roster.csv');
+  const res = await request('POST', url, { user: teacher, form });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.report.map(r => [r.row, r.email, r.status]), [
+    [2, 'ann@example.com', 'already_enrolled'],
+    [3, 'bob@example.com', 'added'],
+    [4, 'not-an-email', 'invalid'],
+    [5, 'bob@example.com', 'duplicate'],
+    [6, 'teacher@example.com', 'invalid']
+  ]);
+  assert.deepEqual(res.body.summary, { already_enrolled: 1, added: 1, invalid: 2, duplicate: 1 });
+  assert.deepEqual(courses[0].students, ['ann@example.com', 'bob@example.com']);
+
+  // Without a header the first column holds the emails; text works as well as a file
+  const text = await request('POST', url, { user: teacher, body: { csv: 'dee@example.com,Dee\n' } });
+  assert.deepEqual(text.body.report, [{ row: 1, email: 'dee@example.com', status: 'added' }]);
+  assert.equal((await request('POST', url, { user: teacher, body: { csv: '  ' } })).status, 400);
+  assert.equal((await request('POST', url, { user: teacher, body: { csv: 'email\n' } })).status, 400);
+});
+
+// ======================= Deleting ==============================
+test('a course with quizzes is only deleted with cascade, which removes its data', async t => {
+  const bio = course();
+  const empty = course({ name: 'Empty' });
+  const { courses, request } = await setup(t, [bio, empty]);
+  const courseId = String(bio._id);
+  const quizzes = fakeModel(t, 'Quiz', [{ id: 'q1', teacherId: teacher._id, courseId }, { id: 'q2', teacherId: teacher._id, courseId: 'elsewhere' }]);
+  const attempts = fakeModel(t, 'Attempt', [{ id: 'a1', quizId: 'q1' }, { id: 'a2', quizId: 'q1' }, { id: 'a3', quizId: 'q2' }]);
+  const versions = fakeModel(t, 'QuizVersion', [{ quizId: 'q1', version: 1 }, { quizId: 'q2', version: 1 }]);
+  const gradebooks = fakeModel(t, 'Gradebook', [{ courseId }]);
+  const bank = fakeModel(t, 'BankQuestion', [{ id: 'b1', teacherId: teacher._id, courseId }]);
+  const threads = fakeModel(t, 'ChatThread', [{ id: 't1', teacherId: teacher._id, courseId }, { id: 't2', teacherId: teacher._id, quizId: 'q1' }]);
+
+  const refused = await request('DELETE', `/api/courses/${courseId}`, { user: teacher });
+  assert.equal(refused.status, 409);
+  assert.deepEqual([refused.body.quizzes, refused.body.attempts], [1, 2]);
+  assert.equal((await request('GET', `/api/courses/${courseId}`, { user: teacher })).body.attempts, 2);
+  assert.equal((await request('DELETE', `/api/courses/${courseId}?cascade=true`, { user: other })).status, 403);
+
+  const deleted = await request('DELETE', `/api/courses/${courseId}?cascade=true`, { user: teacher });
+  assert.deepEqual(deleted.body.deleted, { course: courseId, quizzes: 1, attempts: 2 });
+  assert.deepEqual(quizzes.map(q => q.id), ['q2']);
+  assert.deepEqual(attempts.map(a => a.id), ['a3']);
+  assert.deepEqual(versions.map(v => v.quizId), ['q2']);
+  assert.equal(gradebooks.length, 0);
+  assert.equal(bank[0].courseId, undefined);
+  assert.deepEqual(threads.map(th => [th.courseId, th.quizId]), [[null, undefined], [undefined, null]]);
+
+  assert.equal((await request('DELETE', `/api/courses/${empty._id}`, { user: teacher })).status, 200);
+  assert.equal(courses.length, 0);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, toCsv, csvField, unguardCsvField } = require('../csv');
+
+test('csvField quotes separators, quotes, line breaks and edge spaces', () => {
+  assert.equal(csvField('plain'), 'plain');
+  assert.equal(csvField('a,b'), '"a,b"');
+  assert.equal(csvField('say "hi"'), '"say ""hi"""');
+  assert.equal(csvField('two\nlines'), '"two\nlines"');
+  assert.equal(csvField(' padded'), '" padded"');
+  assert.equal(csvField(null), '');
+  assert.equal(csvField(undefined), '');
+});
+
+test('csvField defuses text that a spreadsheet would run as a formula', () => {
+  assert.equal(csvField('=SUM(A1:A2)'), "'=SUM(A1:A2)");
+  assert.equal(csvField('+1'), "'+1");
+  assert.equal(csvField('-2+3'), "'-2+3");
+  assert.equal(csvField('@cmd'), "'@cmd");
+  assert.equal(csvField('\t=1+1'), "'\t=1+1");
+  assert.equal(csvField('\r=1+1'), '"\'\r=1+1"');
+  assert.equal(csvField('=HYPERLINK("x")'), '"\'=HYPERLINK(""x"")"');
+});
+
+test('csvField leaves numbers alone, including negative ones', () => {
+  assert.equal(csvField(-5), '-5');
+  assert.equal(csvField(0), '0');
+  assert.equal(csvField(2.5), '2.5');
+});
+
+test('toCsv output reads back with parseCsv', () => {
+  const rows = [['name', 'score'], ['Smith, Ann', 7], ['say "hi"', -1], ['multi\nline', '']];
+  const csv = toCsv(rows);
+  assert.ok(csv.endsWith('\r\n'));
+  assert.deepEqual(parseCsv(csv), rows.map(r => r.map(String)));
+});
+
+test('parseCsv drops a BOM and blank lines', () => {
+  assert.deepEqual(parseCsv('\uFEFFa,b\r\n\r\n1,2\n'), [['a', 'b'], ['1', '2']]);
+});
+
+test('unguardCsvField undoes the formula guard only', () => {
+  for (const v of ['-ann@example.com', '=1+1', '@home', '\tx']) assert.equal(unguardCsvField(parseCsv(toCsv([[v]]))[0][0]), v);
+  assert.equal(unguardCsvField("'quoted'"), "'quoted'");
+  assert.equal(unguardCsvField(undefined), '');
+});
@@ -0,0 +1,48 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+// A binary that cannot exist, so the missing-poppler path is what gets reported
+process.env.PDFTOPPM_PATH = path.join(os.tmpdir(), 'no-such-dir', 'pdftoppm');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createZip } = require('../zip');
+const { parseLanguage, languageName, extractPages, extractorStatus } = require('../extract');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'extract-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function write(name, data) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, data);
+  return file;
+}
+
+test('languages accept Tesseract codes, ISO aliases and combinations', () => {
+  assert.deepEqual(parseLanguage(''), { code: 'eng' });
+  assert.deepEqual(parseLanguage('de+EN'), { code: 'deu+eng' });
+  assert.deepEqual(parseLanguage('fra, fra'), { code: 'fra' });
+  assert.match(parseLanguage('klingon').error, /unsupported language "klingon"/);
+  assert.equal(languageName('deu+eng'), 'German');
+});
+
+test('text files split into pages at form feeds', async () => {
+  const file = write('notes.txt', '\uFEFFFirst page\r\n\fSecond page\n');
+  assert.deepEqual(await extractPages(file, 'text'), { pages: [{ page: 1, text: 'First page' }, { page: 2, text: 'Second page' }], totalPages: 2 });
+  await assert.rejects(extractPages(write('empty.txt', ' \f '), 'text'), /Text file is empty/);
+});
+
+test('Word documents split into pages at page breaks', async () => {
+  const xml = '<w:document><w:body><w:p><w:r><w:t>Cells &amp; tissues</w:t></w:r></w:p>'
+    + '<w:p><w:r><w:br w:type="page"/></w:r></w:p><w:p><w:r><w:t>Organs</w:t></w:r></w:p></w:body></w:document>';
+  const file = write('doc.docx', createZip([{ name: 'word/document.xml', data: xml }]));
+  const { pages } = await extractPages(file, 'docx');
+  assert.deepEqual(pages.map(p => p.text), ['Cells & tissues', 'Organs']);
+  await assert.rejects(extractPages(write('other.docx', createZip([{ name: 'a.txt', data: 'x' }])), 'docx'), /Not a Word document/);
+});
+
+test('a missing pdftoppm is reported with what to install', async () => {
+  const status = await extractorStatus();
+  assert.equal(status.pdftoppm, false);
+  assert.equal(status.scannedPdf, false);
+  assert.ok(status.problems.some(p => /pdftoppm was not found: scanned PDF pages need poppler-utils or PDFTOPPM_PATH/.test(p)));
+});
@@ -0,0 +1,206 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { fakeModel, serve, tokenFor } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const generationRouter = require('../generation');
+const { generateQuiz, generateValidQuiz, createJob, failInterruptedJobs } = generationRouter;
+const { setMockResponder, setUsageRecorder, LLMResponseError } = require('../llm');
+
+setUsageRecorder(null);
+test.afterEach(() => setMockResponder(null));
+
+const job = { id: 'job-1', teacherId: 't1', prompt: '', options: { questionCount: 4 } };
+// Two pages long enough to land in separate sections
+const pages = [1, 2].map(page => ({ page, text: `Page ${page} facts. `.repeat(400) }));
+const sectionOf = messages => Number(messages.map(m => m.content).join('\n').match(/\[Page (\d+)\]/)[1]);
+
+const topics = ['cells', 'rivers', 'volcanoes', 'planets', 'magnets', 'forests', 'bridges', 'comets', 'glaciers', 'deserts'];
+function quizFor(page, n = 5) {
+  return {
+    title: `Title ${page}`,
+    description: `About page ${page}`,
+    questions: Array.from({ length: n }, (_, i) => ({ question: `Why do ${topics[(page - 1) * 5 + i]} matter?`, options: ['yes', 'no'], correctAnswer: 0, sourcePage: page }))
+  };
+}
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// ======================= Validation & repair ===================
+test('invalid output is sent back with its issues and repaired', async () => {
+  const calls = [];
+  setMockResponder(messages => {
+    calls.push(messages);
+    return calls.length === 1 ? JSON.stringify({ questions: [{ question: 'Q?', options: ['a'], correctAnswer: 3 }] }) : JSON.stringify(quizFor(1, 1));
+  });
+  const quiz = await generateValidQuiz([{ role: 'user', content: 'source' }], { force_json: true });
+  assert.equal(quiz.questions.length, 1);
+  assert.equal(calls.length, 2);
+  assert.match(calls[1][calls[1].length - 1].content, /Your JSON has these problems/);
+});
+
+test('output that stays invalid fails with the remaining issues', async () => {
+  let calls = 0;
+  setMockResponder(() => { calls++; return 'not json at all'; });
+  await assert.rejects(generateValidQuiz([{ role: 'user', content: 'source' }], { force_json: true }), err => {
+    assert.equal(err.code, 'invalid_json');
+    assert.equal(err.issues[0].code, 'invalid_json');
+    assert.equal(err.raw, 'not json at all');
+    return true;
+  });
+  assert.equal(calls, 3);
+});
+
+// ======================= Sections ==============================
+test('the title comes from the first section even when it finishes last', async () => {
+  setMockResponder(async messages => {
+    const page = sectionOf(messages);
+    if (page === 1) await delay(30);
+    return JSON.stringify(quizFor(page));
+  });
+  const quiz = await generateQuiz(job, pages);
+  assert.equal(quiz.title, 'Title 1');
+  assert.equal(quiz.description, 'About page 1');
+  assert.equal(quiz.coverage.sections, 2);
+  assert.equal(quiz.coverage.partial, false);
+  assert.deepEqual(quiz.coverage.pages, [1, 2]);
+});
+
+test('a section that never validates fails the generation with its issues', async () => {
+  setMockResponder(messages => (sectionOf(messages) === 2
+    ? JSON.stringify({ questions: [{ question: 'Q?', options: ['a', 'b'], correctAnswer: 5 }] })
+    : JSON.stringify(quizFor(1))));
+  await assert.rejects(generateQuiz(job, pages), err => {
+    assert.equal(err.code, 'invalid_quiz');
+    assert.match(err.message, /^section 2 \(pages 2\): /);
+    assert.ok(err.issues.length > 0);
+    return true;
+  });
+});
+
+test('a section the model could not answer is reported and the result marked partial', async () => {
+  setMockResponder(messages => {
+    if (sectionOf(messages) === 1) throw new LLMResponseError(500, 'down');
+    return JSON.stringify(quizFor(2));
+  });
+  const quiz = await generateQuiz(job, pages);
+  assert.equal(quiz.title, 'Title 2');
+  assert.equal(quiz.coverage.partial, true);
+  assert.deepEqual(quiz.coverage.failedSections.map(f => [f.section, f.pages]), [[0, [1]]]);
+  assert.ok(quiz.questions.every(q => q.source.page === 2));
+});
+
+// ======================= Job runner ============================
+const teacher = { _id: '64b000000000000000000001', email: 'teacher@example.com', role: 'teacher', emailVerifiedAt: new Date() };
+const other = { _id: '64b000000000000000000002', email: 'other@example.com', role: 'teacher', emailVerifiedAt: new Date() };
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'generation-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+async function setupJobs(t) {
+  fakeModel(t, 'User', [teacher, other]);
+  fakeModel(t, 'UsageRecord');
+  fakeModel(t, 'ExtractedText');
+  const jobs = fakeModel(t, 'GenerationJob');
+  const { base, request } = await serve(t, generationRouter);
+  return { jobs, base, request };
+}
+
+function textUpload(name, text) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, text);
+  return { path: file, kind: 'text', originalname: name };
+}
+
+// Hints are plain text, quizzes JSON
+function answer(quiz) {
+  return (messages, opts) => (opts.force_json ? JSON.stringify(quiz) : 'Think it through.');
+}
+
+async function finished(jobs, id) {
+  for (let i = 0; i < 200; i++) {
+    const job = jobs.find(j => j.id === id);
+    if (job && (job.status === 'completed' || job.status === 'failed')) return job;
+    await delay(10);
+  }
+  throw new Error(`job ${id} did not finish`);
+}
+
+test('a job extracts, generates and adds hints, then reports the quiz', async t => {
+  const { jobs, request } = await setupJobs(t);
+  setMockResponder(answer(quizFor(1, 2)));
+  const job = await createJob({ teacherId: teacher._id, kind: 'files', files: [textUpload('a.txt', 'Page one'), textUpload('b.txt', 'Page two')], options: { questionCount: 2 } });
+  assert.equal(job.status, 'queued');
+  await finished(jobs, job.id);
+  const res = await request('GET', `/api/jobs/${job.id}`, { user: teacher });
+  assert.equal(res.status, 200);
+  const out = res.body.job;
+  assert.equal(out.status, 'completed');
+  assert.equal(out.progress, 100);
+  assert.deepEqual(Object.values(out.stages).map(s => s.status), ['done', 'done', 'done']);
+  assert.equal(out.result.questions.length, 2);
+  assert.ok(out.result.questions.every(q => q.hint === 'Think it through.' && q.source.file === 'a.txt'));
+  assert.equal(out.error, null);
+  assert.equal((await request('GET', '/api/jobs', { user: teacher })).body.jobs.length, 1);
+});
+
+test('a job whose quiz never validates fails with the issues', async t => {
+  const { jobs, request } = await setupJobs(t);
+  setMockResponder(() => 'not json');
+  const job = await createJob({ teacherId: teacher._id, kind: 'files', files: [textUpload('c.txt', 'Some text')] });
+  await finished(jobs, job.id);
+  const { body } = await request('GET', `/api/jobs/${job.id}`, { user: teacher });
+  assert.equal(body.job.status, 'failed');
+  assert.equal(body.job.stages.generate.status, 'failed');
+  assert.equal(body.job.error.code, 'invalid_json');
+  assert.equal(body.job.error.stage, 'generate');
+  assert.match(body.job.error.message, /^section 1 \(pages 1\): /);
+  assert.equal(body.job.error.issues[0].code, 'invalid_json');
+
+  // The extracted text is kept, so a retry runs without the upload
+  fs.rmSync(path.join(dir, 'c.txt'));
+  setMockResponder(answer(quizFor(1, 1)));
+  const retry = await request('POST', `/api/jobs/${job.id}/retry`, { user: teacher });
+  assert.equal(retry.status, 202);
+  assert.equal(retry.body.job.runs, 2);
+  assert.equal((await finished(jobs, job.id)).status, 'completed');
+  assert.equal((await request('POST', `/api/jobs/${job.id}/retry`, { user: teacher })).status, 409);
+});
+
+test('jobs belong to the teacher who started them', async t => {
+  const { request } = await setupJobs(t);
+  const job = await createJob({ teacherId: teacher._id, kind: 'files', files: [textUpload('d.txt', 'Text')] });
+  assert.equal((await request('GET', `/api/jobs/${job.id}`, { user: other })).status, 403);
+  assert.equal((await request('GET', `/api/jobs/${job.id}/events`, { user: other })).status, 403);
+  assert.equal((await request('GET', '/api/jobs/job_missing', { user: teacher })).status, 404);
+  assert.deepEqual((await request('GET', '/api/jobs', { user: other })).body.jobs, []);
+});
+
+test('job events stream every update and end when the job finishes', async t => {
+  const { jobs, base } = await setupJobs(t);
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  setMockResponder(async (messages, opts) => { await gate; return answer(quizFor(1, 1))(messages, opts); });
+  const job = await createJob({ teacherId: teacher._id, kind: 'files', files: [textUpload('e.txt', 'Text')] });
+  // EventSource passes the token in the query
+  const res = await fetch(`${base}/api/jobs/${job.id}/events?access_token=${tokenFor(teacher)}`);
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/event-stream/);
+  release();
+  const events = (await res.text()).split('\n\n').filter(Boolean).map(block => {
+    const [event, data] = block.split('\n');
+    assert.equal(event, 'event: job');
+    return JSON.parse(data.slice('data: '.length));
+  });
+  assert.ok(events.length > 2);
+  assert.equal(events[events.length - 1].status, 'completed');
+  const progress = events.map(e => e.progress);
+  assert.deepEqual(progress, [...progress].sort((a, b) => a - b));
+  assert.equal((await finished(jobs, job.id)).status, 'completed');
+});
+
+test('jobs left running by a previous process are marked failed', async t => {
+  const { jobs } = await setupJobs(t);
+  jobs.push({ id: 'j1', status: 'running' }, { id: 'j2', status: 'queued' }, { id: 'j3', status: 'completed' });
+  assert.equal(await failInterruptedJobs(), 2);
+  assert.deepEqual(jobs.map(j => [j.status, j.error && j.error.code]), [['failed', 'interrupted'], ['failed', 'interrupted'], ['completed', undefined]]);
+});
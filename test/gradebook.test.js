@@ -0,0 +1,130 @@
+const { fakeModel, serve } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const coursesRouter = require('../courses');
+const gradebookRouter = require('../gradebook');
+const { parseCsv } = require('../csv');
+
+const teacher = { _id: '64b000000000000000000001', email: 'teacher@example.com', role: 'teacher', emailVerifiedAt: new Date() };
+const COURSE_ID = '64b000000000000000000010';
+const quizJson = { title: 'Cells', questions: [{ id: 'q1', options: ['a', 'b'], correctAnswer: 0, points: 4 }] };
+
+function seed(t, { students, attempts = [], entries = [], closeAt }) {
+  fakeModel(t, 'User', [teacher]);
+  fakeModel(t, 'Course', [{ _id: COURSE_ID, name: 'Biology', teacherId: teacher._id, students }]);
+  fakeModel(t, 'Quiz', [
+    { id: 'cells', courseId: COURSE_ID, status: 'published', finalizedJson: quizJson, closeAt, createdAt: new Date('2026-01-01') },
+    { id: 'draft', courseId: COURSE_ID, status: 'draft', finalizedJson: quizJson, createdAt: new Date('2026-01-02') }
+  ]);
+  // Pushed as stored by older versions, bypassing the lowercasing schema
+  fakeModel(t, 'Attempt').push(...attempts);
+  const books = fakeModel(t, 'Gradebook');
+  if (entries.length) books.push({ courseId: COURSE_ID, teacherId: teacher._id, extraColumns: [], entries });
+  return books;
+}
+
+test('a legacy mixed-case roster and attempts still fill the gradebook', async t => {
+  seed(t, {
+    students: ['Ann@Example.com', 'bob@example.com'],
+    attempts: [
+      { id: 'a1', quizId: 'cells', email: 'ANN@example.com', attemptNumber: 1, score: 3, maxScore: 4, submitted: true, submittedAt: new Date() },
+      { id: 'a2', quizId: 'cells', email: 'bob@example.com', attemptNumber: 1, submitted: false }
+    ],
+    entries: [{ email: 'Bob@Example.com', columnKey: 'cells', score: 2, note: 'paper copy' }]
+  });
+  const { request } = await serve(t, coursesRouter, gradebookRouter);
+  const res = await request('GET', `/api/courses/${COURSE_ID}/gradebook`, { user: teacher });
+  assert.equal(res.status, 200);
+  const gb = res.body.gradebook;
+  assert.deepEqual(gb.columns.map(c => c.key), ['cells']);
+  const [ann, bob] = gb.rows;
+  assert.equal(ann.email, 'ann@example.com');
+  assert.equal(ann.cells.cells.status, 'submitted');
+  assert.equal(ann.cells.cells.score, 3);
+  assert.equal(bob.email, 'bob@example.com');
+  assert.equal(bob.cells.cells.score, 2);
+  assert.equal(bob.cells.cells.note, 'paper copy');
+});
+
+test('only the course owner may read the gradebook', async t => {
+  seed(t, { students: [] });
+  const other = { _id: '64b000000000000000000002', email: 'other@example.com', role: 'teacher' };
+  fakeModel(t, 'User', [teacher, other]);
+  const { request } = await serve(t, coursesRouter, gradebookRouter);
+  assert.equal((await request('GET', `/api/courses/${COURSE_ID}/gradebook`, { user: other })).status, 403);
+  assert.equal((await request('GET', '/api/courses/64b0000000000000000000ff/gradebook', { user: teacher })).status, 404);
+});
+
+test('attempt emails are stored lowercased', () => {
+  const { Attempt } = require('../models');
+  assert.equal(new Attempt({ id: 'x', email: ' Ann@Example.COM ' }).email, 'ann@example.com');
+});
+
+test('import matches exported emails whatever their case or formula guard', async t => {
+  const books = seed(t, {
+    students: ['-ann@example.com', 'Bob@Example.com'],
+    entries: [{ email: 'Bob@Example.com', columnKey: 'cells', score: 2 }]
+  });
+  const { request } = await serve(t, coursesRouter, gradebookRouter);
+  const csv = "Email,Cells [cells]\r\n'-Ann@Example.com,3\r\nBOB@example.com,CLEAR\r\ncarol@example.com,1\r\n";
+  const res = await request('POST', `/api/courses/${COURSE_ID}/gradebook/import`, { user: teacher, body: { csv } });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.report.map(l => [l.email, l.status]), [
+    ['-ann@example.com', 'ok'],
+    ['bob@example.com', 'ok'],
+    ['carol@example.com', 'error']
+  ]);
+  assert.deepEqual(books[0].entries.map(e => [e.email, e.columnKey, e.score]), [['-ann@example.com', 'cells', 3]]);
+});
+
+test('the CSV export marks late, missing and unfinished work', async t => {
+  seed(t, {
+    students: ['ann@example.com', 'bob@example.com', 'cid@example.com'],
+    closeAt: new Date('2026-03-01'),
+    attempts: [
+      { id: 'a1', quizId: 'cells', email: 'ann@example.com', attemptNumber: 1, score: 3, maxScore: 4, submitted: true, submittedAt: new Date('2026-03-02') },
+      { id: 'a2', quizId: 'cells', email: 'bob@example.com', attemptNumber: 1, submitted: false }
+    ]
+  });
+  const { request } = await serve(t, coursesRouter, gradebookRouter);
+  const res = await request('GET', `/api/courses/${COURSE_ID}/gradebook.csv`, { user: teacher });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('content-disposition'), 'attachment; filename="gradebook-biology.csv"');
+  assert.deepEqual(parseCsv(res.body), [
+    ['Email', 'Cells [cells]', 'Total', 'Max', 'Percent'],
+    ['ann@example.com', '3 (late)', '3', '4', '75'],
+    ['bob@example.com', 'IN PROGRESS', '0', '4', '0'],
+    ['cid@example.com', 'MISSING', '0', '4', '0']
+  ]);
+});
+
+test('re-importing an unchanged export changes nothing, edits become overrides and columns', async t => {
+  const books = seed(t, {
+    students: ['ann@example.com', 'bob@example.com'],
+    attempts: [{ id: 'a1', quizId: 'cells', email: 'ann@example.com', attemptNumber: 1, score: 3, maxScore: 4, submitted: true, submittedAt: new Date() }]
+  });
+  const { request } = await serve(t, coursesRouter, gradebookRouter);
+  const exported = (await request('GET', `/api/courses/${COURSE_ID}/gradebook.csv`, { user: teacher })).body;
+  const same = await request('POST', `/api/courses/${COURSE_ID}/gradebook/import`, { user: teacher, body: { csv: exported } });
+  assert.deepEqual(same.body.report.map(l => l.status), ['unchanged', 'unchanged']);
+  assert.deepEqual(books[0].entries, []);
+
+  const csv = 'Email,Cells [cells],Lab [ext:lab][max=10],Homework\nann@example.com,4,8,\nbob@example.com,MISSING,x,5\n';
+  const res = await request('POST', `/api/courses/${COURSE_ID}/gradebook/import`, { user: teacher, body: { csv } });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.newColumns, [{ key: 'lab', title: 'Lab', maxScore: 10 }, { key: 'homework', title: 'Homework', maxScore: 100 }]);
+  assert.deepEqual(res.body.report.map(l => [l.status, l.applied, l.errors]), [['ok', 2, []], ['partial', 1, ['Lab [ext:lab][max=10]: invalid score "x"']]]);
+  const [ann, bob] = res.body.gradebook.rows;
+  assert.deepEqual([ann.cells.cells.score, ann.cells.cells.overridden, ann.cells.lab.score, ann.cells.lab.status], [4, true, 8, 'entered']);
+  assert.equal(bob.cells.homework.score, 5);
+  assert.equal(ann.total, 12);
+});
+
+test('import refuses files without an Email column', async t => {
+  seed(t, { students: [] });
+  const { request } = await serve(t, coursesRouter, gradebookRouter);
+  const res = await request('POST', `/api/courses/${COURSE_ID}/gradebook/import`, { user: teacher, body: { csv: 'Name,Score\nAnn,3\n' } });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, 'first column must be "Email"');
+  assert.equal((await request('POST', `/api/courses/${COURSE_ID}/gradebook/import`, { user: teacher, body: { csv: ' ' } })).status, 400);
+});
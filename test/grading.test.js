@@ -0,0 +1,186 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { creditFor, normalizeQuestion, withoutAnswers } = require('../questionTypes');
+const { gradeAttempt, gradeQuestion, questionPoints } = require('../grading');
+const { isRandomized, assemblePaper } = require('../questionBank');
+
+// ======================= Graders ===============================
+test('multiple_choice accepts the index, its string form or the option text', () => {
+  const q = { options: ['red', 'green', 'blue'], correctAnswer: 1 };
+  assert.equal(creditFor(q, 1), 1);
+  assert.equal(creditFor(q, '1'), 1);
+  assert.equal(creditFor(q, ' green '), 1);
+  assert.equal(creditFor(q, 2), 0);
+  assert.equal(creditFor(q, undefined), 0);
+});
+
+test('option text that looks like a number is matched as text before an index', () => {
+  const q = { options: ['3', '4', '5', '6'], correctAnswer: 1 };
+  assert.equal(creditFor(q, '4'), 1);
+  assert.equal(creditFor(q, 1), 1);
+  assert.equal(creditFor({ options: ['1', '2', '3'], correctAnswer: 0 }, '1'), 1);
+  assert.equal(creditFor({ options: ['10', '20'], correctAnswer: 1 }, '1'), 1);
+  const multi = { type: 'multi_select', options: ['0', '1', '5', '7'], correctAnswers: [2, 3] };
+  assert.equal(creditFor(multi, ['5', '7']), 1);
+  assert.equal(creditFor(multi, '0,1'), 0);
+  assert.equal(creditFor(multi, [2, 3]), 1);
+});
+
+test('multi_select needs the exact set unless partialCredit is on', () => {
+  const q = { type: 'multi_select', options: ['a', 'b', 'c', 'd'], correctAnswers: [0, 2] };
+  assert.equal(creditFor(q, [2, 0]), 1);
+  assert.equal(creditFor(q, '0,2'), 1);
+  assert.equal(creditFor(q, [0]), 0);
+  assert.equal(creditFor(q, [0, 1, 2]), 0);
+  const partial = Object.assign({}, q, { partialCredit: true });
+  assert.equal(creditFor(partial, [0]), 0.5);
+  assert.equal(creditFor(partial, [0, 1]), 0);
+  assert.equal(creditFor(partial, [0, 1, 2]), 0.5);
+});
+
+test('true_false accepts booleans, words and option indexes', () => {
+  const q = normalizeQuestion({ type: 'true_false', correctAnswer: 'false' });
+  assert.equal(q.correctAnswer, false);
+  assert.equal(creditFor(q, false), 1);
+  assert.equal(creditFor(q, 'No'), 1);
+  assert.equal(creditFor(q, 1), 1);
+  assert.equal(creditFor(q, 'true'), 0);
+  assert.equal(creditFor(q, 'maybe'), 0);
+});
+
+test('true_false keeps the labels of the quiz language and grades them', () => {
+  const q = normalizeQuestion({ type: 'true_false', options: ['Wahr', 'Falsch'], correctAnswer: true });
+  assert.deepEqual(q.options, ['Wahr', 'Falsch']);
+  assert.equal(creditFor(q, 'Wahr'), 1);
+  assert.equal(creditFor(q, 'Falsch'), 0);
+  assert.equal(creditFor(q, 0), 1);
+  assert.deepEqual(normalizeQuestion({ type: 'true_false', options: ['Yes'], correctAnswer: true }).options, ['True', 'False']);
+});
+
+test('fill_blank ignores case and extra spaces unless caseSensitive', () => {
+  const q = { type: 'fill_blank', acceptedAnswers: ['Mitochondria', 'mitochondrion'] };
+  assert.equal(creditFor(q, '  mitochondria '), 1);
+  assert.equal(creditFor(q, 'MITOCHONDRION'), 1);
+  assert.equal(creditFor(q, 'nucleus'), 0);
+  assert.equal(creditFor(Object.assign({}, q, { caseSensitive: true }), 'mitochondria'), 0);
+});
+
+test('numeric compares within the tolerance', () => {
+  const q = normalizeQuestion({ type: 'numeric', correctAnswer: '3.14', tolerance: '-0.01' });
+  assert.equal(q.tolerance, 0.01);
+  assert.equal(creditFor(q, 3.15), 1);
+  assert.equal(creditFor(q, '3.13'), 1);
+  assert.equal(creditFor(q, 3.16), 0);
+  assert.equal(creditFor(q, 'pi'), 0);
+  assert.equal(creditFor({ type: 'numeric', correctAnswer: 1000 }, '1,000'), 1);
+});
+
+test('ordering gives credit per item in place when partialCredit is on', () => {
+  const q = normalizeQuestion({ type: 'ordering', options: ['a', 'b', 'c', 'd'] });
+  assert.deepEqual(q.correctOrder, [0, 1, 2, 3]);
+  assert.equal(creditFor(q, [0, 1, 2, 3]), 1);
+  assert.equal(creditFor(q, ['a', 'b', 'c', 'd']), 1);
+  assert.equal(creditFor(q, [0, 1, 3, 2]), 0);
+  assert.equal(creditFor(q, [0, 1, 2]), 0);
+  assert.equal(creditFor(Object.assign({}, q, { partialCredit: true }), [0, 1, 3, 2]), 0.5);
+});
+
+test('essay is never graded automatically', () => {
+  const q = { type: 'essay', rubric: [{ criterion: 'Thesis', points: 2 }] };
+  assert.equal(creditFor(q, 'A long answer'), 0);
+  const r = gradeQuestion(q, 'A long answer');
+  assert.equal(r.pending, true);
+  assert.equal(r.answered, true);
+  assert.equal(r.points, 0);
+  assert.equal(r.maxPoints, 2);
+});
+
+test('questionPoints sums rubric criteria, 1 each when unset', () => {
+  assert.equal(questionPoints({ points: 3 }), 3);
+  assert.equal(questionPoints({ points: -1 }), 1);
+  assert.equal(questionPoints({ type: 'essay', rubric: [{ criterion: 'a', points: 2.5 }, { criterion: 'b' }] }), 3.5);
+});
+
+// ======================= gradeAttempt ==========================
+const quiz = {
+  questions: [
+    { id: 'mc', options: ['x', 'y'], correctAnswer: 0 },
+    { id: 'num', type: 'numeric', correctAnswer: 42, points: 2 },
+    { id: 'essay', type: 'essay', rubric: [{ criterion: 'Argument', points: 3 }, { criterion: 'Style', points: 2 }] }
+  ]
+};
+
+test('gradeAttempt scores auto-graded questions and leaves reviews pending', () => {
+  const g = gradeAttempt(quiz, { mc: 0, num: '41', essay: 'Because...' });
+  assert.equal(g.score, 1);
+  assert.equal(g.maxScore, 8);
+  assert.equal(g.correctCount, 1);
+  assert.equal(g.totalQuestions, 3);
+  assert.equal(g.reviewStatus, 'pending');
+  assert.deepEqual(g.results.map(r => r.questionId), ['mc', 'num', 'essay']);
+  assert.equal(g.results[2].pending, true);
+});
+
+test('gradeAttempt falls back to q1, q2... answer keys', () => {
+  const g = gradeAttempt({ questions: [{ options: ['x', 'y'], correctAnswer: 1 }] }, { q1: 1 });
+  assert.equal(g.score, 1);
+  assert.equal(g.results[0].questionId, 'q1');
+  assert.equal(g.reviewStatus, null);
+});
+
+test('gradeAttempt adds released review grades, capped at the rubric total', () => {
+  const answers = { mc: 0, num: 42, essay: 'Because...' };
+  const proposed = gradeAttempt(quiz, answers, [{ questionId: 'essay', status: 'pending_review', points: 4 }]);
+  assert.equal(proposed.score, 3);
+  assert.equal(proposed.reviewStatus, 'pending');
+
+  const released = gradeAttempt(quiz, answers, [{ questionId: 'essay', status: 'released', points: 4 }]);
+  assert.equal(released.score, 7);
+  assert.equal(released.reviewStatus, 'released');
+  assert.equal(released.results[2].pending, false);
+  assert.equal(released.results[2].correct, false);
+
+  const capped = gradeAttempt(quiz, answers, [{ questionId: 'essay', status: 'released', points: 9 }]);
+  assert.equal(capped.results[2].points, 5);
+  assert.equal(capped.results[2].correct, true);
+});
+
+test('regrading old answers against an edited key changes only affected questions', () => {
+  const answers = { mc: 1, num: 42 };
+  const v1 = gradeAttempt(quiz, answers);
+  const v2 = gradeAttempt({ questions: [Object.assign({}, quiz.questions[0], { correctAnswer: 1 }), quiz.questions[1]] }, answers);
+  assert.equal(v1.score, 2);
+  assert.equal(v2.score, 3);
+  assert.equal(v2.results[1].points, v1.results[1].points);
+});
+
+// ======================= Student copies ========================
+test('withoutAnswers strips the answer key and rubric guidance', () => {
+  const json = {
+    title: 'T',
+    questions: [
+      { id: 'a', options: ['x', 'y'], correctAnswer: 1, explanation: 'because' },
+      { id: 'b', type: 'essay', modelAnswer: 'M', rubric: [{ id: 'r1', criterion: 'Clear', points: 2, guidance: 'look for X' }] },
+      { id: 'c', type: 'ordering', options: ['p', 'q'], correctOrder: [1, 0], optionOrder: [1, 0] }
+    ]
+  };
+  const out = withoutAnswers(json);
+  assert.deepEqual(out.questions[0], { id: 'a', options: ['x', 'y'] });
+  assert.deepEqual(out.questions[1], { id: 'b', type: 'essay', rubric: [{ id: 'r1', criterion: 'Clear', points: 2 }] });
+  assert.deepEqual(out.questions[2], { id: 'c', type: 'ordering', options: ['p', 'q'] });
+  assert.equal(json.questions[0].correctAnswer, 1);
+});
+
+// ======================= Papers ================================
+test('ordering items are shuffled on every paper and graded against its key', async () => {
+  const json = { questions: [normalizeQuestion({ id: 'o', type: 'ordering', options: ['one', 'two', 'three'] })] };
+  assert.equal(isRandomized(json), true);
+  for (let i = 0; i < 20; i++) {
+    const paper = await assemblePaper({ id: 'quiz' }, json, 'seed-' + i);
+    const q = paper.questions[0];
+    assert.notDeepEqual(q.options, ['one', 'two', 'three']);
+    const inOrder = q.correctOrder.map(k => q.options[k]);
+    assert.deepEqual(inOrder, ['one', 'two', 'three']);
+    assert.equal(creditFor(q, q.correctOrder), 1);
+  }
+});
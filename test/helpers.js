@@ -0,0 +1,335 @@
+// ======================= Test Helpers ==========================
+// Routes run against in-memory stand-ins for the Mongoose models, so the
+// suite needs no MongoDB. Require this before any app module: it sets the
+// JWT secret, the mock LLM provider and a quiet log level.
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.LLM_PROVIDER = process.env.LLM_PROVIDER || 'mock';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.UPLOAD_SWEEP_HOURS = process.env.UPLOAD_SWEEP_HOURS || '0';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+require('../models');
+require('../auth');
+const { requestLogger, errorHandler, notFound } = require('../logger');
+
+// ======================= Fake Models ===========================
+// Enough of the query language for the routes under test: equality, dotted
+// paths into arrays, $in/$nin/$ne/$exists/$gt/$gte/$lt/$lte/$all/$regex/
+// $elemMatch/$not, regular expressions, $or/$and, and case-insensitive
+// matching under a collation.
+function plain(v) {
+  if (v && v._bsontype === 'ObjectId') return String(v);
+  if (v instanceof Date) return v.getTime();
+  return v;
+}
+
+function clone(v) {
+  if (v === undefined) return v;
+  if (v && v._bsontype === 'ObjectId') return new mongoose.Types.ObjectId(String(v));
+  if (v instanceof Date) return new Date(v);
+  if (Array.isArray(v)) return v.map(clone);
+  if (v && typeof v === 'object') return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, clone(x)]));
+  return v;
+}
+
+// Values at a dotted path; arrays along the way fan out
+function valuesAt(doc, path) {
+  let values = [doc];
+  for (const part of path.split('.')) {
+    const next = [];
+    for (const v of values) {
+      if (v == null) { next.push(undefined); continue; }
+      if (Array.isArray(v) && !/^\d+$/.test(part)) v.forEach(x => next.push(x == null ? undefined : x[part]));
+      else next.push(v[part]);
+    }
+    values = next;
+  }
+  return values;
+}
+
+function equal(a, b, ci) {
+  a = plain(a); b = plain(b);
+  if (a == null || b == null) return a == null && b == null;
+  if (ci && typeof a === 'string' && typeof b === 'string') return a.toLowerCase() === b.toLowerCase();
+  if (typeof a === 'object' || typeof b === 'object') return JSON.stringify(a) === JSON.stringify(b);
+  return a === b;
+}
+
+// One value against one condition; arrays match when any element does
+function matchValue(value, cond, ci) {
+  const isOps = cond && typeof cond === 'object' && !Array.isArray(cond) && !(cond instanceof Date) && !cond._bsontype &&
+    Object.keys(cond).length && Object.keys(cond).every(k => k.startsWith('$'));
+  if (cond instanceof RegExp) return (Array.isArray(value) ? value : [value]).some(v => typeof v === 'string' && cond.test(v));
+  if (!isOps) {
+    if (Array.isArray(value) && !Array.isArray(cond)) return value.some(v => equal(v, cond, ci));
+    return equal(value, cond, ci);
+  }
+  const any = fn => (Array.isArray(value) ? value.some(fn) || fn(value) : fn(value));
+  return Object.entries(cond).every(([op, arg]) => {
+    switch (op) {
+      case '$in': return arg.some(a => matchValue(value, a, ci));
+      case '$nin': return !arg.some(a => matchValue(value, a, ci));
+      case '$ne': return !matchValue(value, arg, ci);
+      case '$exists': return (value !== undefined) === !!arg;
+      case '$gt': return any(v => v != null && plain(v) > plain(arg));
+      case '$gte': return any(v => v != null && plain(v) >= plain(arg));
+      case '$lt': return any(v => v != null && plain(v) < plain(arg));
+      case '$lte': return any(v => v != null && plain(v) <= plain(arg));
+      case '$size': return Array.isArray(value) && value.length === arg;
+      case '$all': return Array.isArray(value) && arg.every(a => value.some(v => equal(v, a, ci)));
+      case '$regex': return any(v => typeof v === 'string' && (arg instanceof RegExp && !cond.$options ? arg : new RegExp(arg, cond.$options || '')).test(v));
+      case '$options': return true;
+      case '$elemMatch': return Array.isArray(value) && value.some(v => matches(v, arg, ci));
+      case '$not': return !matchValue(value, arg, ci);
+      default: throw new Error(`fake model: unsupported query operator ${op}`);
+    }
+  });
+}
+
+function matches(doc, filter, ci) {
+  return Object.entries(filter || {}).every(([key, cond]) => {
+    if (key === '$or') return cond.some(f => matches(doc, f, ci));
+    if (key === '$and') return cond.every(f => matches(doc, f, ci));
+    const values = valuesAt(doc, key);
+    const value = values.length === 1 ? values[0] : values.flat();
+    if (cond && typeof cond === 'object' && '$exists' in cond && values.length > 1) return matchValue(values.find(v => v !== undefined), cond, ci);
+    return matchValue(value, cond, ci);
+  });
+}
+
+function setPath(doc, path, value) {
+  const parts = path.split('.');
+  let o = doc;
+  parts.slice(0, -1).forEach(p => { if (o[p] == null || typeof o[p] !== 'object') o[p] = {}; o = o[p]; });
+  o[parts[parts.length - 1]] = value;
+}
+
+function getPath(doc, path) {
+  return path.split('.').reduce((o, p) => (o == null ? undefined : o[p]), doc);
+}
+
+function unsetPath(doc, path) {
+  const parts = path.split('.');
+  const o = getPath(doc, parts.slice(0, -1).join('.')) || (parts.length === 1 ? doc : null);
+  if (o) delete o[parts[parts.length - 1]];
+}
+
+// Resolves "list.$.field" to the index of the element the filter matched
+function positional(doc, path, filter) {
+  if (!path.includes('.$')) return path;
+  const arrayPath = path.slice(0, path.indexOf('.$'));
+  const list = getPath(doc, arrayPath) || [];
+  const cond = filter[arrayPath];
+  const i = list.findIndex(el => (cond && cond.$elemMatch ? matches(el, cond.$elemMatch) : Object.keys(filter)
+    .filter(k => k.startsWith(arrayPath + '.')).every(k => matchValue(getPath(el, k.slice(arrayPath.length + 1)), filter[k]))));
+  return path.replace('.$', '.' + Math.max(i, 0));
+}
+
+function applyUpdate(doc, update, filter, inserting) {
+  const ops = Object.keys(update).some(k => k.startsWith('$')) ? update : { $set: update };
+  for (const [op, fields] of Object.entries(ops)) {
+    for (const [rawPath, arg] of Object.entries(fields || {})) {
+      const path = positional(doc, rawPath, filter);
+      const current = getPath(doc, path);
+      switch (op) {
+        case '$set': setPath(doc, path, clone(arg)); break;
+        case '$setOnInsert': if (inserting) setPath(doc, path, clone(arg)); break;
+        case '$unset': unsetPath(doc, path); break;
+        case '$inc': setPath(doc, path, (current || 0) + arg); break;
+        case '$push': setPath(doc, path, (current || []).concat(arg && arg.$each ? clone(arg.$each) : [clone(arg)])); break;
+        case '$addToSet': {
+          const list = current || [];
+          (arg && arg.$each ? arg.$each : [arg]).forEach(v => { if (!list.some(x => equal(x, v))) list.push(clone(v)); });
+          setPath(doc, path, list);
+          break;
+        }
+        case '$pull': setPath(doc, path, (current || []).filter(x => !matchValue(x, arg))); break;
+        case '$pop': setPath(doc, path, arg === -1 ? (current || []).slice(1) : (current || []).slice(0, -1)); break;
+        default: throw new Error(`fake model: unsupported update operator ${op}`);
+      }
+    }
+  }
+  return doc;
+}
+
+function compare(a, b, sort) {
+  for (const [key, dir] of Object.entries(sort)) {
+    const x = plain(getPath(a, key)), y = plain(getPath(b, key));
+    if (x === y) continue;
+    if (x === undefined || x === null) return -dir;
+    if (y === undefined || y === null) return dir;
+    return (x < y ? -1 : 1) * dir;
+  }
+  return 0;
+}
+
+// Mocks the model's statics (restored after the test) and returns its store:
+// an array of plain documents the test can seed and inspect
+function fakeModel(t, name, docs = []) {
+  const Model = mongoose.model(name);
+  const store = docs.map(d => new Model(d).toObject());
+
+  function query(run) {
+    const state = { lean: false, sort: null, skip: 0, limit: 0, ci: false };
+    const q = {
+      select() { return q; },
+      populate() { return q; },
+      session() { return q; },
+      lean() { state.lean = true; return q; },
+      sort(s) { state.sort = s; return q; },
+      skip(n) { state.skip = n; return q; },
+      limit(n) { state.limit = n; return q; },
+      collation(c) { state.ci = !!(c && c.strength <= 2); return q; },
+      exec() { return Promise.resolve().then(() => run(state)); },
+      then(ok, fail) { return q.exec().then(ok, fail); },
+      catch(fail) { return q.exec().catch(fail); }
+    };
+    return q;
+  }
+
+  const out = (doc, state) => (doc ? (state.lean ? clone(doc) : Model.hydrate(clone(doc))) : null);
+  const select = (filter, state) => {
+    let list = store.filter(d => matches(d, filter, state.ci));
+    if (state.sort) list = list.slice().sort((a, b) => compare(a, b, state.sort));
+    if (state.skip) list = list.slice(state.skip);
+    if (state.limit) list = list.slice(0, state.limit);
+    return list;
+  };
+  const upsertDoc = (filter, update) => {
+    const seed = {};
+    Object.entries(filter).forEach(([k, v]) => { if (!k.startsWith('$') && (typeof v !== 'object' || v === null || v instanceof Date || v._bsontype)) setPath(seed, k, v); });
+    const doc = new Model(applyUpdate(seed, update, filter, true)).toObject();
+    store.push(doc);
+    return doc;
+  };
+
+  t.mock.method(Model, 'find', (filter = {}) => query(state => select(filter, state).map(d => out(d, state))));
+  t.mock.method(Model, 'findOne', (filter = {}) => query(state => out(select(filter, Object.assign({}, state, { limit: 1 }))[0], state)));
+  t.mock.method(Model, 'findById', id => query(state => out(store.find(d => equal(d._id, id)), state)));
+  t.mock.method(Model, 'exists', filter => query(state => (store.some(d => matches(d, filter, state.ci)) ? { _id: store.find(d => matches(d, filter, state.ci))._id } : null)));
+  t.mock.method(Model, 'countDocuments', (filter = {}) => query(state => store.filter(d => matches(d, filter, state.ci)).length));
+  t.mock.method(Model, 'distinct', (field, filter = {}) => query(state => Array.from(new Set(store.filter(d => matches(d, filter, state.ci)).flatMap(d => valuesAt(d, field).flat())))));
+  t.mock.method(Model, 'create', async input => {
+    const created = [].concat(input).map(d => {
+      const doc = new Model(d);
+      const err = doc.validateSync();
+      if (err) throw err;
+      return doc.toObject();
+    });
+    created.forEach(d => {
+      const unique = Object.entries(Model.schema.paths).filter(([, p]) => p.options && p.options.unique).map(([k]) => k);
+      if (unique.some(k => d[k] !== undefined && store.some(x => equal(x[k], d[k])))) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      store.push(d);
+    });
+    const docs = created.map(d => Model.hydrate(clone(d)));
+    return Array.isArray(input) ? docs : docs[0];
+  });
+  t.mock.method(Model, 'insertMany', input => Model.create([].concat(input)));
+  t.mock.method(Model, 'updateOne', (filter, update, opts = {}) => query(state => {
+    const doc = store.find(d => matches(d, filter, state.ci));
+    if (doc) { applyUpdate(doc, update, filter, false); return { matchedCount: 1, modifiedCount: 1 }; }
+    if (opts.upsert) { upsertDoc(filter, update); return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1 }; }
+    return { matchedCount: 0, modifiedCount: 0 };
+  }));
+  t.mock.method(Model, 'updateMany', (filter, update) => query(state => {
+    const list = store.filter(d => matches(d, filter, state.ci));
+    list.forEach(d => applyUpdate(d, update, filter, false));
+    return { matchedCount: list.length, modifiedCount: list.length };
+  }));
+  t.mock.method(Model, 'findOneAndUpdate', (filter, update, opts = {}) => query(state => {
+    const doc = store.find(d => matches(d, filter, state.ci));
+    if (!doc) return opts.upsert ? out(upsertDoc(filter, update), state) : null;
+    const before = clone(doc);
+    applyUpdate(doc, update, filter, false);
+    return out(opts.new || opts.returnDocument === 'after' ? doc : before, state);
+  }));
+  t.mock.method(Model, 'findByIdAndUpdate', (id, update, opts) => Model.findOneAndUpdate({ _id: id }, update, opts));
+  t.mock.method(Model, 'deleteOne', filter => query(state => {
+    const i = store.findIndex(d => matches(d, filter, state.ci));
+    if (i >= 0) store.splice(i, 1);
+    return { deletedCount: i >= 0 ? 1 : 0 };
+  }));
+  t.mock.method(Model, 'deleteMany', filter => query(state => {
+    const keep = store.filter(d => !matches(d, filter, state.ci));
+    const deletedCount = store.length - keep.length;
+    store.splice(0, store.length, ...keep);
+    return { deletedCount };
+  }));
+  // $match, $group (by null or a field, with $sum or $max) and $sort/$limit only
+  t.mock.method(Model, 'aggregate', async pipeline => {
+    let rows = store.map(clone);
+    for (const stage of pipeline) {
+      const [op, arg] = Object.entries(stage)[0];
+      if (op === '$match') rows = rows.filter(d => matches(d, arg));
+      else if (op === '$sort') rows.sort((a, b) => compare(a, b, arg));
+      else if (op === '$limit') rows = rows.slice(0, arg);
+      else if (op === '$group') {
+        const groups = new Map();
+        rows.forEach(d => {
+          const key = typeof arg._id === 'string' ? getPath(d, arg._id.slice(1)) : null;
+          if (!groups.has(plain(key))) groups.set(plain(key), { _id: key });
+          const g = groups.get(plain(key));
+          Object.entries(arg).filter(([k]) => k !== '_id').forEach(([k, acc]) => {
+            if ('$max' in acc) {
+              const v = getPath(d, acc.$max.slice(1));
+              if (v != null && (g[k] == null || v > g[k])) g[k] = v;
+              return;
+            }
+            if (!('$sum' in acc)) throw new Error(`fake model: unsupported accumulator in ${name}.aggregate`);
+            g[k] = (g[k] || 0) + (typeof acc.$sum === 'string' ? Number(getPath(d, acc.$sum.slice(1))) || 0 : acc.$sum);
+          });
+        });
+        rows = Array.from(groups.values());
+      } else throw new Error(`fake model: ${name}.aggregate does not support ${op}; mock it in the test`);
+    }
+    return rows;
+  });
+  // Documents (non-lean results) save back into the store
+  t.mock.method(Model.prototype, 'save', async function () {
+    const doc = this.toObject();
+    const i = store.findIndex(d => equal(d._id, doc._id));
+    if (i >= 0) store[i] = doc; else store.push(doc);
+    return this;
+  });
+  return store;
+}
+
+// ======================= Requests ==============================
+function tokenFor(user) {
+  return jwt.sign({ id: String(user._id), email: user.email, role: user.role || 'teacher' }, process.env.JWT_SECRET, { expiresIn: '1h' });
+}
+
+// Mounts the routers like server.js does and listens on a free port;
+// request() resolves to { status, headers, body } (JSON parsed when it is)
+async function serve(t, ...routers) {
+  const app = express();
+  app.use(requestLogger);
+  app.use(express.json());
+  routers.forEach(r => app.use(r));
+  app.use('/api', notFound);
+  app.use(errorHandler);
+  const server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+  t.after(() => new Promise(resolve => { server.closeAllConnections(); server.close(resolve); }));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  async function request(method, url, { user, body, form, headers = {} } = {}) {
+    const h = Object.assign({}, headers);
+    if (user) h.authorization = 'Bearer ' + tokenFor(user);
+    let payload;
+    if (form) payload = form;
+    else if (body !== undefined) { h['content-type'] = 'application/json'; payload = JSON.stringify(body); }
+    const res = await fetch(base + url, { method, headers: h, body: payload });
+    const text = await res.text();
+    let parsed = text;
+    try { parsed = JSON.parse(text); } catch (e) { /* not JSON */ }
+    return { status: res.status, headers: res.headers, body: parsed };
+  }
+  return { base, request };
+}
+
+function objectId() {
+  return new mongoose.Types.ObjectId();
+}
+
+module.exports = { fakeModel, serve, tokenFor, objectId, matches };
@@ -0,0 +1,226 @@
+const { fakeModel, serve } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const llm = require('../llm');
+const { addHints, generateValidQuiz } = require('../generation');
+const chatRouter = require('../chat');
+
+const { config, complete, streamComplete, sendError, setMockResponder, setUsageRecorder, LLMError, LLMTimeoutError, LLMRateLimitError, LLMAbortError, LLMResponseError } = llm;
+const teacher = { _id: '64b000000000000000000001', email: 'teacher@example.com', role: 'teacher', emailVerifiedAt: new Date() };
+
+// usage.js records every call in MongoDB; tests that care install their own
+setUsageRecorder(null);
+test.afterEach(() => setMockResponder(null));
+
+// ======================= Provider stand-in =====================
+// OpenAI-compatible server: replies[i] answers the i-th request. A reply is
+// { status, headers, body } or a function (req, res) for streams and stalls.
+async function fakeProvider(t, replies) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', c => { body += c; });
+    req.on('end', () => {
+      requests.push({ at: Date.now(), headers: req.headers, body: JSON.parse(body || '{}') });
+      const reply = replies[Math.min(requests.length, replies.length) - 1];
+      if (typeof reply === 'function') return reply(req, res);
+      res.writeHead(reply.status || 200, Object.assign({ 'Content-Type': 'application/json' }, reply.headers));
+      res.end(typeof reply.body === 'string' ? reply.body : JSON.stringify(reply.body));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const saved = Object.assign({}, config);
+  Object.assign(config, { provider: 'openai', baseUrl: `http://127.0.0.1:${server.address().port}/v1`, apiKey: 'test-key', timeoutMs: 2000, maxRetries: 2 });
+  t.after(() => {
+    Object.assign(config, saved);
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+  });
+  return requests;
+}
+
+const ok = content => ({ body: { model: 'test-model', choices: [{ message: { content } }], usage: { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 } } });
+
+function sseChunks(res, pieces, { end = true } = {}) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  pieces.forEach(p => res.write(`data: ${JSON.stringify({ model: 'test-model', choices: [{ delta: { content: p } }] })}\n\n`));
+  if (end) res.end('data: [DONE]\n\n');
+}
+
+// ======================= Mock provider =========================
+test('the mock provider answers offline, from setMockResponder when set', async () => {
+  const plain = await complete([{ role: 'user', content: 'Hello there' }]);
+  assert.equal(plain.model, 'mock');
+  assert.match(plain.content, /^\[mock\] Hello there/);
+  const quiz = JSON.parse((await complete([{ role: 'system', content: 'Generate exactly 2 questions' }, { role: 'user', content: 'Cells have walls. Mitochondria make energy.' }], { force_json: true })).content);
+  assert.equal(quiz.questions.length, 2);
+  setMockResponder(messages => `echo: ${messages.length}`);
+  assert.equal((await complete([{ role: 'user', content: 'x' }])).content, 'echo: 1');
+});
+
+test('chat replies come from the model through POST /api/chat', async t => {
+  fakeModel(t, 'User', [teacher]);
+  fakeModel(t, 'UsageRecord');
+  let sent;
+  setMockResponder(messages => { sent = messages; return 'Try a concept map.'; });
+  const { request } = await serve(t, chatRouter);
+  const res = await request('POST', '/api/chat', { user: teacher, body: { message: 'How do I teach photosynthesis?' } });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, { ok: true, response: 'Try a concept map.' });
+  assert.equal(sent[sent.length - 1].content, 'How do I teach photosynthesis?');
+});
+
+test('the chat stream forwards tokens and ends with done', async t => {
+  fakeModel(t, 'User', [teacher]);
+  fakeModel(t, 'UsageRecord');
+  const chats = fakeModel(t, 'Chat');
+  setMockResponder(() => 'Use real leaves');
+  const { request } = await serve(t, chatRouter);
+  const res = await request('POST', '/api/chat/stream', { user: teacher, body: { message: 'Idea?' } });
+  assert.equal(res.status, 200);
+  const events = res.body.split('\n\n').filter(Boolean).map(block => block.match(/^event: (\w+)/)[1]);
+  assert.deepEqual(events, ['token', 'token', 'token', 'done']);
+  assert.deepEqual(chats.map(c => [c.role, c.text]), [['user', 'Idea?'], ['assistant', 'Use real leaves']]);
+});
+
+test('hints and quiz generation run on the mock', async () => {
+  setMockResponder((messages, opts) => (opts.force_json
+    ? JSON.stringify({ title: 'Cells', questions: [{ question: 'What makes energy?', options: ['Mitochondria', 'Nucleus'], correctAnswer: 0 }] })
+    : `Think about ${messages[1].content.split(' ').pop()}`));
+  const quiz = await generateValidQuiz([{ role: 'user', content: 'source' }], { force_json: true });
+  assert.equal(quiz.questions[0].id, 'q1');
+  const progress = [];
+  await addHints(quiz.questions, { onProgress: (done, total) => progress.push([done, total]) });
+  assert.equal(quiz.questions[0].hint, 'Think about energy?');
+  assert.deepEqual(progress, [[1, 1]]);
+});
+
+test('a failed hint leaves an empty hint instead of failing the job', async () => {
+  setMockResponder(() => { throw new LLMError('model down'); });
+  const questions = [{ question: 'Q?' }];
+  await addHints(questions);
+  assert.equal(questions[0].hint, '');
+});
+
+// ======================= OpenAI-compatible provider ============
+test('complete sends the key, request id and JSON mode and reads the reply', async t => {
+  const requests = await fakeProvider(t, [ok('{"a":1}')]);
+  const result = await complete([{ role: 'user', content: 'hi' }], { force_json: true, temperature: 0 });
+  assert.deepEqual(result, { content: '{"a":1}', model: 'test-model', usage: { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 } });
+  assert.equal(requests[0].headers.authorization, 'Bearer test-key');
+  assert.deepEqual(requests[0].body.response_format, { type: 'json_object' });
+  assert.equal(requests[0].body.temperature, 0);
+});
+
+test('5xx replies are retried with exponential backoff', async t => {
+  const requests = await fakeProvider(t, [{ status: 502, body: { error: { message: 'bad gateway' } } }, { status: 503, body: 'busy' }, ok('third time')]);
+  const result = await complete([{ role: 'user', content: 'hi' }]);
+  assert.equal(result.content, 'third time');
+  assert.equal(requests.length, 3);
+  // 500 ms, then 1000 ms, each plus up to 250 ms of jitter
+  assert.ok(requests[1].at - requests[0].at >= 450);
+  assert.ok(requests[2].at - requests[1].at >= 950);
+});
+
+test('retries stop after maxRetries with the provider error', async t => {
+  const requests = await fakeProvider(t, [{ status: 500, body: { error: { message: 'exploded' } } }]);
+  await assert.rejects(complete([{ role: 'user', content: 'hi' }], { maxRetries: 0 }), err => {
+    assert.ok(err instanceof LLMResponseError);
+    assert.equal(err.status, 500);
+    assert.match(err.message, /HTTP 500: exploded/);
+    return true;
+  });
+  assert.equal(requests.length, 1);
+});
+
+test('4xx replies other than 429 are not retried', async t => {
+  const requests = await fakeProvider(t, [{ status: 400, body: { error: { message: 'bad request' } } }]);
+  await assert.rejects(complete([{ role: 'user', content: 'hi' }]), err => err instanceof LLMResponseError && err.retryable === false);
+  assert.equal(requests.length, 1);
+});
+
+test('a 429 waits for Retry-After before retrying', async t => {
+  const requests = await fakeProvider(t, [{ status: 429, headers: { 'Retry-After': '1' }, body: {} }, ok('after the wait')]);
+  assert.equal((await complete([{ role: 'user', content: 'hi' }])).content, 'after the wait');
+  assert.ok(requests[1].at - requests[0].at >= 950);
+});
+
+test('a 429 that persists becomes a rate-limit error', async t => {
+  await fakeProvider(t, [{ status: 429, headers: { 'Retry-After': '0' }, body: {} }]);
+  await assert.rejects(complete([{ role: 'user', content: 'hi' }], { maxRetries: 1 }), err => err instanceof LLMRateLimitError && err.retryAfterMs === 0);
+});
+
+test('a provider that stalls after the headers times out', async t => {
+  await fakeProvider(t, [(req, res) => { res.writeHead(200, { 'Content-Type': 'application/json' }); res.write('{"choices":'); }]);
+  const started = Date.now();
+  await assert.rejects(complete([{ role: 'user', content: 'hi' }], { timeoutMs: 200, maxRetries: 0 }), err => err instanceof LLMTimeoutError && err.httpStatus === 504);
+  assert.ok(Date.now() - started < 1500);
+});
+
+test('an unreadable body is reported as a bad response', async t => {
+  await fakeProvider(t, [{ body: 'not json' }]);
+  await assert.rejects(complete([{ role: 'user', content: 'hi' }], { maxRetries: 0 }), err => err.code === 'llm_bad_response');
+});
+
+test('a missing API key for api.openai.com fails without a request', async t => {
+  const saved = Object.assign({}, config);
+  t.after(() => Object.assign(config, saved));
+  Object.assign(config, { provider: 'openai', baseUrl: 'https://api.openai.com/v1', apiKey: '' });
+  await assert.rejects(complete([{ role: 'user', content: 'hi' }]), err => err.code === 'llm_config' && err.httpStatus === 503);
+});
+
+// ======================= Streaming =============================
+test('streamComplete hands over each delta', async t => {
+  await fakeProvider(t, [(req, res) => sseChunks(res, ['Hel', 'lo'])]);
+  const tokens = [];
+  const result = await streamComplete([{ role: 'user', content: 'hi' }], { onToken: text => tokens.push(text) });
+  assert.deepEqual(tokens, ['Hel', 'lo']);
+  assert.equal(result.content, 'Hello');
+});
+
+test('aborting a stream rejects with LLMAbortError and reports the partial reply', async t => {
+  await fakeProvider(t, [(req, res) => sseChunks(res, ['partial '], { end: false })]);
+  const recorded = [];
+  setUsageRecorder((meter, result) => { recorded.push(result.content); });
+  t.after(() => setUsageRecorder(null));
+  const controller = new AbortController();
+  const call = streamComplete([{ role: 'user', content: 'hi' }], { signal: controller.signal, usage: { teacherId: teacher._id }, onToken: () => controller.abort() });
+  await assert.rejects(call, err => err instanceof LLMAbortError && err.httpStatus === 499);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(recorded, ['partial ']);
+});
+
+test('the mock stream stops when its signal is aborted', async () => {
+  setMockResponder(() => 'one two three four');
+  const controller = new AbortController();
+  const tokens = [];
+  await assert.rejects(streamComplete([{ role: 'user', content: 'x' }], { signal: controller.signal, onToken: text => { tokens.push(text); controller.abort(); } }), LLMAbortError);
+  assert.deepEqual(tokens, ['one ']);
+});
+
+// ======================= sendError =============================
+function response() {
+  return { statusCode: 200, body: null, headersSent: false, status(c) { this.statusCode = c; return this; }, json(b) { this.body = b; return this; } };
+}
+
+test('sendError answers model failures with their own status and code', () => {
+  const cases = [
+    [new LLMTimeoutError(100), 504, 'llm_timeout'],
+    [new LLMRateLimitError(429, 0), 503, 'llm_rate_limited'],
+    [new LLMResponseError(500, 'x'), 502, 'llm_http_error'],
+    [new LLMAbortError(), 499, 'llm_aborted']
+  ];
+  for (const [err, status, code] of cases) {
+    const res = response();
+    sendError(res, err);
+    assert.equal(res.statusCode, status);
+    assert.equal(res.body.code, code);
+    assert.equal(res.body.ok, false);
+  }
+  const res = response();
+  sendError(res, new Error('database is down'));
+  assert.equal(res.statusCode, 500);
+  assert.equal(res.body.ok, false);
+  assert.doesNotMatch(JSON.stringify(res.body), /database is down/);
+});
@@ -0,0 +1,99 @@
+const { fakeModel, serve } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { redact, requestId, log, serverError } = require('../logger');
+const { setMockResponder, setUsageRecorder } = require('../llm');
+const chatRouter = require('../chat');
+
+const teacher = { _id: '64b000000000000000000001', email: 'teacher@example.com', role: 'teacher', emailVerifiedAt: new Date() };
+
+// Lines written to stderr (warn and error) while fn runs
+async function captureErrors(t, fn) {
+  const lines = [];
+  t.mock.method(process.stderr, 'write', line => { lines.push(JSON.parse(line)); return true; });
+  await fn();
+  t.mock.restoreAll();
+  return lines;
+}
+
+// ======================= Redaction =============================
+test('emails are masked and secrets and user text are never logged', () => {
+  const out = redact({
+    email: 'jane.doe@school.org',
+    note: 'sent to a@b.co and C.D@E.org',
+    password: 'hunter2',
+    Authorization: 'Bearer abc',
+    message: 'my private question',
+    answers: { q1: 2 },
+    err: Object.assign(new Error('no user bob@x.io'), { code: 'E1' }),
+    deep: { a: { b: { c: { d: 1 } } } },
+    list: Array.from({ length: 30 }, (_, i) => i)
+  });
+  assert.equal(out.email, 'j***@school.org');
+  assert.equal(out.note, 'sent to a***@b.co and C***@E.org');
+  assert.equal(out.password, '[redacted]');
+  assert.equal(out.Authorization, '[redacted]');
+  assert.equal(out.message, '[redacted 19 chars]');
+  assert.equal(out.answers, '[redacted 8 chars]');
+  assert.deepEqual(out.err, { name: 'Error', message: 'no user b***@x.io', code: 'E1' });
+  assert.deepEqual(out.deep, { a: { b: { c: '[nested]' } } });
+  assert.equal(out.list.length, 20);
+});
+
+// ======================= Requests ==============================
+function probe() {
+  const router = express.Router();
+  router.post('/echo', (req, res) => res.json({ ok: true, requestId: requestId() }));
+  router.get('/missing', (req, res) => res.status(404).json({ error: 'nothing here' }));
+  router.get('/boom', (req, res) => {
+    log.warn('about to fail', { email: 'ann@example.com' });
+    serverError(res, new Error('db password is hunter2'));
+  });
+  return router;
+}
+
+test('every request gets an id, kept from a sane X-Request-Id', async t => {
+  const { request } = await serve(t, probe());
+  const fresh = await request('POST', '/echo', { body: {} });
+  assert.match(fresh.headers.get('x-request-id'), /^[0-9a-f]{16}$/);
+  assert.equal(fresh.body.requestId, fresh.headers.get('x-request-id'));
+  const kept = await request('POST', '/echo', { body: {}, headers: { 'x-request-id': 'lb-1234.5' } });
+  assert.equal(kept.body.requestId, 'lb-1234.5');
+  const replaced = await request('POST', '/echo', { body: {}, headers: { 'x-request-id': 'no spaces <allowed>' } });
+  assert.match(replaced.body.requestId, /^[0-9a-f]{16}$/);
+});
+
+test('error bodies share one shape and hide internals', async t => {
+  const { request } = await serve(t, probe());
+  const missing = await request('GET', '/missing');
+  assert.deepEqual(missing.body, { ok: false, error: 'nothing here', code: 'not_found', requestId: missing.headers.get('x-request-id') });
+  const noRoute = await request('GET', '/api/nowhere');
+  assert.deepEqual([noRoute.status, noRoute.body.code, noRoute.body.error], [404, 'not_found', 'no route for GET /api/nowhere']);
+  const badJson = await request('POST', '/echo', { headers: { 'content-type': 'application/json' }, form: '{"a":' });
+  assert.deepEqual([badJson.status, badJson.body.code], [400, 'invalid_json']);
+
+  let boom;
+  const lines = await captureErrors(t, async () => { boom = await request('GET', '/boom'); });
+  assert.deepEqual([boom.status, boom.body.error, boom.body.code], [500, 'Internal server error', 'internal_error']);
+  const id = boom.headers.get('x-request-id');
+  assert.ok(lines.every(l => l.requestId === id));
+  const errors = lines.filter(l => l.level === 'error');
+  assert.deepEqual(errors.map(l => l.msg), ['unhandled error', 'request']);
+  assert.equal(errors[0].error, 'db password is hunter2');
+  assert.deepEqual([errors[1].status, errors[1].path], [500, '/boom']);
+});
+
+test('the request id follows the request into its model calls', async t => {
+  fakeModel(t, 'User', [teacher]);
+  fakeModel(t, 'UsageRecord');
+  const seen = [];
+  setUsageRecorder(() => { seen.push(requestId()); });
+  setMockResponder(() => { seen.push(requestId()); return 'ok'; });
+  t.after(() => { setUsageRecorder(null); setMockResponder(null); });
+  const { request } = await serve(t, chatRouter);
+  const res = await request('POST', '/api/chat', { user: teacher, body: { message: 'Hi' }, headers: { 'x-request-id': 'trace-1' } });
+  assert.equal(res.status, 200);
+  for (let i = 0; i < 100 && seen.length < 2; i++) await new Promise(resolve => setTimeout(resolve, 5));
+  assert.deepEqual(seen, ['trace-1', 'trace-1']);
+});
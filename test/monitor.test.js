@@ -0,0 +1,174 @@
+const { fakeModel, serve, tokenFor } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const monitorRouter = require('../monitor');
+const { opened, attemptChanged } = monitorRouter;
+const { Quiz } = require('../models');
+
+const teacher = { _id: '64b000000000000000000001', email: 'teacher@example.com', role: 'teacher', emailVerifiedAt: new Date() };
+const other = { _id: '64b000000000000000000002', email: 'other@example.com', role: 'teacher', emailVerifiedAt: new Date() };
+const minutesAgo = n => new Date(Date.now() - n * 60000);
+
+// Presence is kept per quiz id in memory, so each test uses its own quiz
+let nextQuiz = 1;
+function quizFor(fields) {
+  return Object.assign({
+    id: `live-${nextQuiz++}`,
+    teacherId: teacher._id,
+    allowedStudents: ['ann@example.com', 'bob@example.com', 'cid@example.com', 'dee@example.com'],
+    finalizedJson: { title: 'Cells', questions: [
+      { id: 'q1', question: 'Powerhouse?', options: ['Nucleus', 'Mitochondria'], correctAnswer: 1 },
+      { id: 'q2', question: 'DNA lives in the?', options: ['Nucleus', 'Ribosome'], correctAnswer: 0 }
+    ] }
+  }, fields);
+}
+
+async function setup(t, quiz, attempts = []) {
+  fakeModel(t, 'User', [teacher, other]);
+  fakeModel(t, 'Quiz', [quiz]);
+  fakeModel(t, 'QuizVersion');
+  const store = fakeModel(t, 'Attempt', attempts);
+  const { base, request } = await serve(t, monitorRouter);
+  return { attempts: store, base, request };
+}
+
+// ======================= Rows ==================================
+test('each student shows as not opened, opened, in progress, idle or submitted', async t => {
+  const quiz = quizFor({ timeLimitMinutes: 30 });
+  quiz.allowedStudents.push('fay@example.com');
+  const bobStarted = minutesAgo(5);
+  const { request } = await setup(t, quiz, [
+    { id: 'a-bob', quizId: quiz.id, email: 'bob@example.com', startedAt: bobStarted, updatedAt: minutesAgo(1), answers: { q1: 1 } },
+    { id: 'a-cid', quizId: quiz.id, email: 'cid@example.com', startedAt: minutesAgo(20), updatedAt: minutesAgo(10), answers: {} },
+    { id: 'a-dee', quizId: quiz.id, email: 'dee@example.com', startedAt: minutesAgo(12), submitted: true, submittedAt: minutesAgo(2), score: 2, maxScore: 2, answers: { q1: 1, q2: 0 } },
+    { id: 'a-eve', quizId: quiz.id, email: 'eve@example.com', startedAt: minutesAgo(3), updatedAt: minutesAgo(3), answers: { q1: 0, q2: 1 } }
+  ]);
+  await opened(quiz, 'ann@example.com', null);
+
+  const res = await request('GET', `/api/quizzes/${quiz.id}/monitor/students`, { user: teacher });
+  assert.equal(res.status, 200);
+  const rows = Object.fromEntries(res.body.students.map(r => [r.email.split('@')[0], r]));
+  assert.deepEqual(Object.keys(rows), ['ann', 'bob', 'cid', 'dee', 'eve', 'fay']);
+  assert.deepEqual([rows.fay.status, rows.fay.openedAt, rows.fay.idle], ['not_opened', null, false]);
+  assert.deepEqual([rows.ann.status, rows.ann.idle, !!rows.ann.openedAt], ['opened', false, true]);
+  assert.deepEqual([rows.bob.status, rows.bob.answered, rows.bob.totalQuestions, rows.bob.idle], ['in_progress', 1, 2, false]);
+  assert.ok(Math.abs(rows.bob.elapsedSeconds - 300) < 5);
+  assert.equal(new Date(rows.bob.expiresAt).getTime(), bobStarted.getTime() + 30 * 60000);
+  assert.deepEqual([rows.cid.status, rows.cid.idle], ['in_progress', true]);
+  assert.deepEqual([rows.dee.status, rows.dee.score, rows.dee.idle, rows.dee.expiresAt], ['submitted', 2, false, null]);
+  assert.ok(Math.abs(rows.dee.elapsedSeconds - 600) < 5);
+  // Students off the roster who have an attempt are listed too
+  assert.equal(rows.eve.answered, 2);
+
+  assert.equal((await request('GET', `/api/quizzes/${quiz.id}/monitor/students`, { user: other })).status, 403);
+  assert.equal((await request('GET', '/api/quizzes/missing/monitor/students', { user: teacher })).status, 404);
+});
+
+// ======================= Feed ==================================
+// Reads Server-Sent Events from a fetch response one at a time
+function eventReader(res) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  return async function next() {
+    while (!buffer.includes('\n\n')) {
+      const { value, done } = await reader.read();
+      if (done) throw new Error('stream ended');
+      buffer += decoder.decode(value, { stream: true });
+    }
+    const block = buffer.slice(0, buffer.indexOf('\n\n'));
+    buffer = buffer.slice(block.length + 2);
+    const [, event, data] = block.match(/^event: (\w+)\ndata: (.*)$/);
+    return { event, data: JSON.parse(data) };
+  };
+}
+
+test('the feed starts with a snapshot and follows students as they work', async t => {
+  const quiz = quizFor({ timeLimitMinutes: 20 });
+  const { base } = await setup(t, quiz);
+  const controller = new AbortController();
+  t.after(() => controller.abort());
+  const res = await fetch(`${base}/api/quizzes/${quiz.id}/monitor?access_token=${tokenFor(teacher)}`, { signal: controller.signal });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/event-stream/);
+  const next = eventReader(res);
+
+  const snapshot = await next();
+  assert.equal(snapshot.event, 'snapshot');
+  assert.equal(snapshot.data.idleSeconds, 120);
+  assert.ok(snapshot.data.students.every(r => r.status === 'not_opened'));
+
+  await opened(quiz, 'ann@example.com', null);
+  const open = await next();
+  assert.deepEqual([open.event, open.data.student.email, open.data.student.status], ['student', 'ann@example.com', 'opened']);
+
+  const attempt = { id: 'a1', quizId: quiz.id, email: 'ann@example.com', startedAt: new Date(), updatedAt: new Date(), answers: { q2: 0 } };
+  await attemptChanged(quiz, attempt);
+  const saved = (await next()).data.student;
+  assert.deepEqual([saved.status, saved.answered, saved.totalQuestions], ['in_progress', 1, 2]);
+
+  await attemptChanged(quiz, Object.assign({}, attempt, { submitted: true, submittedAt: new Date(), score: 1, maxScore: 2 }));
+  const done = (await next()).data.student;
+  assert.deepEqual([done.status, done.score], ['submitted', 1]);
+});
+
+test('only the quiz owner can watch the feed', async t => {
+  const quiz = quizFor();
+  const { base } = await setup(t, quiz);
+  assert.equal((await fetch(`${base}/api/quizzes/${quiz.id}/monitor?access_token=${tokenFor(other)}`)).status, 403);
+  assert.equal((await fetch(`${base}/api/quizzes/${quiz.id}/monitor`)).status, 401);
+});
+
+// ======================= Extra time ============================
+test('a student with an open attempt can be given extra time', async t => {
+  const started = minutesAgo(25);
+  const quiz = quizFor({ timeLimitMinutes: 20 });
+  const { attempts, request } = await setup(t, quiz, [
+    { id: 'a-ann', quizId: quiz.id, email: 'ann@example.com', startedAt: started, answers: {} },
+    { id: 'a-bob', quizId: quiz.id, email: 'bob@example.com', startedAt: started, submitted: true }
+  ]);
+  const url = `/api/quizzes/${quiz.id}/attempts/extend`;
+  const res = await request('POST', url, { user: teacher, body: { email: 'Ann@Example.com', minutes: 10 } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.attempt.extraMinutes, 10);
+  assert.equal(new Date(res.body.attempt.expiresAt).getTime(), started.getTime() + 30 * 60000);
+  await request('POST', url, { user: teacher, body: { email: 'ann@example.com', minutes: 5 } });
+  assert.equal(attempts[0].extraMinutes, 15);
+  assert.deepEqual(attempts[0].extensions.map(e => [e.minutes, e.by]), [[10, teacher._id], [5, teacher._id]]);
+
+  assert.equal((await request('POST', url, { user: teacher, body: { email: 'bob@example.com', minutes: 5 } })).status, 404);
+  assert.equal((await request('POST', url, { user: teacher, body: { email: 'ann@example.com', minutes: 0 } })).status, 400);
+  assert.equal((await request('POST', url, { user: teacher, body: { email: 'ann@example.com', minutes: 2.5 } })).status, 400);
+  assert.equal((await request('POST', url, { user: teacher, body: { minutes: 5 } })).status, 400);
+  assert.equal((await request('POST', url, { user: other, body: { email: 'ann@example.com', minutes: 5 } })).status, 403);
+});
+
+test('extra time needs a time limit or close time on an open quiz', async t => {
+  const untimed = quizFor();
+  const { request } = await setup(t, untimed, [{ id: 'a1', quizId: untimed.id, email: 'ann@example.com', startedAt: new Date() }]);
+  const res = await request('POST', `/api/quizzes/${untimed.id}/attempts/extend`, { user: teacher, body: { email: 'ann@example.com', minutes: 5 } });
+  assert.deepEqual([res.status, res.body.error], [409, 'quiz has no time limit or close time to extend']);
+});
+
+// ======================= Ending the class ======================
+test('force-submit grades every open attempt with its saved answers', async t => {
+  const expiredStart = minutesAgo(60);
+  const quiz = quizFor({ timeLimitMinutes: 20 });
+  const { attempts, request } = await setup(t, quiz, [
+    { id: 'a-ann', quizId: quiz.id, email: 'ann@example.com', startedAt: minutesAgo(5), answers: { q1: 1 } },
+    { id: 'a-bob', quizId: quiz.id, email: 'bob@example.com', startedAt: expiredStart, answers: { q1: 1, q2: 0 } },
+    { id: 'a-cid', quizId: quiz.id, email: 'cid@example.com', startedAt: minutesAgo(9), submitted: true, submittedAt: minutesAgo(1), score: 0, maxScore: 2, answers: {} }
+  ]);
+  assert.equal((await request('POST', `/api/quizzes/${quiz.id}/attempts/force-submit`, { user: other, body: {} })).status, 403);
+
+  const res = await request('POST', `/api/quizzes/${quiz.id}/attempts/force-submit`, { user: teacher, body: { close: true } });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.attempts.map(a => [a.email, a.score, a.maxScore]), [['ann@example.com', 1, 2], ['bob@example.com', 2, 2]]);
+  assert.equal(res.body.closed, true);
+  const [ann, bob, cid] = attempts;
+  assert.deepEqual([ann.submitted, ann.autoSubmitted, ann.forceSubmittedBy], [true, true, teacher._id]);
+  // Time that had already run out counts as submitted at the deadline
+  assert.equal(new Date(bob.submittedAt).getTime(), expiredStart.getTime() + 20 * 60000);
+  assert.equal(cid.forceSubmittedBy, undefined);
+  assert.equal((await Quiz.findOne({ id: quiz.id }).lean()).status, 'closed');
+});
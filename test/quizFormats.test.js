@@ -0,0 +1,117 @@
+const { fakeModel, serve } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { exportQti, importQti, exportGift, importGift, exportAiken, importAiken } = require('../quizFormats');
+const { createZip } = require('../zip');
+const { normalizeQuestion } = require('../questionTypes');
+const quizzesRouter = require('../quizzes');
+
+const quiz = {
+  title: 'Cells & <things>',
+  questions: [
+    { id: 'mc', question: 'Powerhouse of the cell?', options: ['Nucleus', 'Mitochondria {x}'], correctAnswer: 1, explanation: 'It makes ATP.' },
+    { id: 'ms', type: 'multi_select', question: 'Which are organelles?', options: ['Ribosome', 'Atom', 'Vacuole'], correctAnswers: [0, 2] },
+    { id: 'tf', type: 'true_false', question: 'Cells have walls: always?', correctAnswer: false },
+    { id: 'fb', type: 'fill_blank', question: 'The ___ holds DNA.', acceptedAnswers: ['nucleus', 'cell nucleus'] },
+    { id: 'sa', type: 'short_answer', question: 'Name a plant pigment.', acceptedAnswers: ['chlorophyll'] },
+    { id: 'es', type: 'essay', question: 'Explain osmosis.' },
+    { id: 'nu', type: 'numeric', question: 'How many chromosomes do humans have?', correctAnswer: 46, tolerance: 0.5 },
+    { id: 'or', type: 'ordering', question: 'Order the stages of mitosis.', options: ['Prophase', 'Metaphase', 'Anaphase', 'Telophase'] }
+  ]
+};
+
+// The fields each type is graded on
+function essentials(q) {
+  const keys = ['type', 'question', 'options', 'correctAnswer', 'correctAnswers', 'acceptedAnswers', 'tolerance', 'correctOrder'];
+  return Object.fromEntries(keys.filter(k => q[k] !== undefined).map(k => [k, q[k]]));
+}
+
+// ======================= QTI ===================================
+test('QTI packages carry every question type through a round trip', () => {
+  const { content, skipped } = exportQti(quiz, 'cells quiz');
+  assert.deepEqual(skipped, []);
+  const back = importQti(content);
+  assert.deepEqual(back.skipped, []);
+  assert.equal(back.quiz.title, 'Cells & <things>');
+  assert.deepEqual(back.quiz.questions.map(q => q.id), ['q1', 'q2', 'q3', 'q4', 'q5', 'q6', 'q7', 'q8']);
+  const expected = quiz.questions.map(q => essentials(normalizeQuestion(q)));
+  assert.deepEqual(back.quiz.questions.map(essentials), expected);
+});
+
+test('QTI import reads a single item and reports what it cannot use', () => {
+  const item = '<assessmentItem identifier="m1" title="Match"><itemBody><matchInteraction responseIdentifier="R"/></itemBody></assessmentItem>';
+  assert.deepEqual(importQti(item).skipped, [{ index: 1, title: 'Match', reason: 'matchInteraction is not supported' }]);
+  const assessment = '<assessmentTest title="T"><assessmentItemRef identifier="a" href="items/a.xml"/></assessmentTest>';
+  const missing = importQti(createZip([{ name: 'assessment.xml', data: assessment }]));
+  assert.deepEqual(missing.skipped, [{ index: 1, title: 'items/a.xml', reason: 'referenced item file is missing' }]);
+});
+
+// ======================= GIFT ==================================
+test('GIFT keeps everything but ordering, escaping its special characters', () => {
+  const { content, skipped } = exportGift(quiz);
+  assert.deepEqual(skipped, [{ questionId: 'or', reason: 'GIFT has no ordering questions' }]);
+  assert.ok(content.includes('{ ~Nucleus =Mitochondria \\{x\\} ####It makes ATP. }'));
+  const back = importGift(content);
+  assert.deepEqual(back.skipped, []);
+  const expected = quiz.questions.slice(0, 7).map(q => essentials(normalizeQuestion(q)));
+  assert.deepEqual(back.quiz.questions.map(essentials), expected);
+  assert.equal(back.quiz.questions[0].explanation, 'It makes ATP.');
+  // Multi-select comes back as weighted answers
+  assert.equal(back.quiz.questions[1].partialCredit, true);
+});
+
+test('GIFT import reads ranges, skips comments and reports unsupported blocks', () => {
+  const text = [
+    '$CATEGORY: biology',
+    '// a comment',
+    '::Boiling:: Water boils at {#99..101}',
+    '',
+    '::Match:: Pair them {=a -> 1 =b -> 2}',
+    '',
+    'Two right answers? {=a =b ~c}',
+    '',
+    'No answers here'
+  ].join('\n');
+  const { quiz: out, skipped } = importGift(text);
+  assert.deepEqual(out.questions.map(essentials), [{ type: 'numeric', question: 'Water boils at', correctAnswer: 100, tolerance: 1 }]);
+  assert.deepEqual(skipped.map(s => s.reason), ['matching questions are not supported', 'multiple choice needs exactly one =correct answer', 'no answer block {...}']);
+});
+
+// ======================= Aiken =================================
+test('Aiken exports single-answer questions and reads them back', () => {
+  const { content, skipped } = exportAiken(quiz);
+  assert.deepEqual(skipped.map(s => s.questionId), ['ms', 'fb', 'sa', 'es', 'nu', 'or']);
+  assert.equal(content.split('\n\n')[1].trim(), 'Cells have walls: always?\nA. True\nB. False\nANSWER: B');
+  const back = importAiken(content + 'Orphan question\nA. yes\n\nBad answer\nA. one\nANSWER: C\n');
+  assert.deepEqual(back.quiz.questions.map(q => [q.options.length, q.correctAnswer]), [[2, 1], [2, 1]]);
+  assert.deepEqual(back.skipped.map(s => s.reason), ['missing ANSWER line', 'ANSWER C does not match an option']);
+});
+
+// ======================= Endpoints =============================
+const teacher = { _id: '64b000000000000000000001', email: 'teacher@example.com', role: 'teacher', emailVerifiedAt: new Date() };
+const other = { _id: '64b000000000000000000002', email: 'other@example.com', role: 'teacher', emailVerifiedAt: new Date() };
+
+test('export downloads the owner quiz and lists skipped questions in a header', async t => {
+  fakeModel(t, 'User', [teacher, other]);
+  fakeModel(t, 'Quiz', [{ id: 'cells', teacherId: teacher._id, finalizedJson: quiz }]);
+  const { request } = await serve(t, quizzesRouter);
+  const res = await request('GET', '/api/quizzes/cells/export?format=gift', { user: teacher });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('content-disposition'), 'attachment; filename="cells.gift.txt"');
+  assert.deepEqual(JSON.parse(res.headers.get('x-skipped-questions')), [{ questionId: 'or', reason: 'GIFT has no ordering questions' }]);
+  assert.equal((await request('GET', '/api/quizzes/cells/export?format=gift', { user: other })).status, 403);
+  assert.equal((await request('GET', '/api/quizzes/cells/export?format=docx', { user: teacher })).status, 400);
+});
+
+test('import parses pasted text without saving it', async t => {
+  fakeModel(t, 'User', [teacher]);
+  const quizzes = fakeModel(t, 'Quiz');
+  const { request } = await serve(t, quizzesRouter);
+  const res = await request('POST', '/api/quizzes/import', { user: teacher, body: { format: 'aiken', text: 'Q?\nA. x\nB. y\nANSWER: A\n' } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.valid, true);
+  assert.deepEqual(res.body.quiz.questions[0].options, ['x', 'y']);
+  assert.equal(quizzes.length, 0);
+  const empty = await request('POST', '/api/quizzes/import', { user: teacher, body: { format: 'gift', text: '// nothing' } });
+  assert.equal(empty.status, 422);
+});
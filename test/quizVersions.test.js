@@ -0,0 +1,100 @@
+const { fakeModel, serve } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const quizzesRouter = require('../quizzes');
+const versionsRouter = require('../quizVersions');
+const { diffQuizzes, translateAnswers } = versionsRouter;
+const { Attempt } = require('../models');
+
+const teacher = { _id: '64b000000000000000000001', email: 'teacher@example.com', role: 'teacher', emailVerifiedAt: new Date() };
+const other = { _id: '64b000000000000000000002', email: 'other@example.com', role: 'teacher', emailVerifiedAt: new Date() };
+
+// v1 has the wrong key; v2 fixes it and reorders the options
+const v1 = { title: 'Cells', questions: [
+  { id: 'mc', question: 'Powerhouse of the cell?', options: ['Nucleus', 'Mitochondria'], correctAnswer: 0 },
+  { id: 'num', type: 'numeric', question: 'Chromosomes?', correctAnswer: 46 }
+] };
+const v2 = { title: 'Cells', questions: [
+  { id: 'mc', question: 'Powerhouse of the cell?', options: ['Mitochondria', 'Nucleus'], correctAnswer: 0 },
+  { id: 'num', type: 'numeric', question: 'Chromosomes?', correctAnswer: 46 },
+  { id: 'new', question: 'Added later?', options: ['yes', 'no'], correctAnswer: 0 }
+] };
+
+// ======================= Diff ==================================
+test('diffQuizzes tells key changes from reordered options', () => {
+  const diff = diffQuizzes(v1, v2);
+  assert.equal(diff.unchanged, 1);
+  assert.deepEqual(diff.added, [{ questionId: 'new', index: 2, question: 'Added later?' }]);
+  assert.deepEqual(diff.removed, []);
+  assert.equal(diff.changed.length, 1);
+  assert.equal(diff.changed[0].answerKeyChanged, true);
+  assert.equal(diff.changed[0].optionsReordered, true);
+
+  // Same key, options swapped along with it
+  const reordered = { questions: [Object.assign({}, v1.questions[0], { options: ['Mitochondria', 'Nucleus'], correctAnswer: 1 })] };
+  assert.equal(diffQuizzes({ questions: [v1.questions[0]] }, reordered).changed[0].answerKeyChanged, false);
+});
+
+test('translateAnswers follows the option text to its new position', () => {
+  assert.deepEqual(translateAnswers(v1, v2, { mc: 1, num: '46' }), { mc: 0, num: '46' });
+  assert.deepEqual(translateAnswers(v1, v2, { mc: 'Nucleus' }), { mc: 1 });
+});
+
+// ======================= Endpoints =============================
+async function setup(t) {
+  fakeModel(t, 'User', [teacher, other]);
+  fakeModel(t, 'Quiz');
+  const versions = fakeModel(t, 'QuizVersion');
+  const attempts = fakeModel(t, 'Attempt');
+  const { request } = await serve(t, quizzesRouter, versionsRouter);
+  await request('POST', '/api/quizzes', { user: teacher, body: { id: 'cells', finalizedJson: v1 } });
+  attempts.push(
+    { id: 'a1', quizId: 'cells', email: 'ann@example.com', quizVersion: 1, submitted: true, answers: { mc: 1, num: 46 }, score: 1, maxScore: 2 },
+    { id: 'a2', quizId: 'cells', email: 'bob@example.com', quizVersion: 1, submitted: true, answers: { mc: 0, num: 46 }, score: 2, maxScore: 2 },
+    { id: 'a3', quizId: 'cells', email: 'cid@example.com', quizVersion: 1, submitted: false, answers: { mc: 1 } }
+  );
+  await request('POST', '/api/quizzes', { user: teacher, body: { id: 'cells', finalizedJson: v2, versionNote: 'fix key' } });
+  return { versions, attempts, request };
+}
+
+test('saving new questions records a version; history, diff and old versions can be read', async t => {
+  const { versions, request } = await setup(t);
+  assert.deepEqual(versions.map(v => [v.version, v.note]), [[1, undefined], [2, 'fix key']]);
+  // The per-version counts come from an aggregation the fake models do not run
+  t.mock.method(Attempt, 'aggregate', async () => [{ _id: 1, attempts: 3, submitted: 2 }]);
+  const history = await request('GET', '/api/quizzes/cells/versions', { user: teacher });
+  assert.equal(history.body.current, 2);
+  assert.deepEqual(history.body.versions.map(v => [v.version, v.questionCount, v.submitted]), [[2, 3, 0], [1, 2, 2]]);
+
+  const diff = await request('GET', '/api/quizzes/cells/versions/diff', { user: teacher });
+  assert.deepEqual([diff.body.from, diff.body.to, diff.body.diff.added.length], [1, 2, 1]);
+  const old = await request('GET', '/api/quizzes/cells/versions/1', { user: teacher });
+  assert.equal(old.body.current, false);
+  assert.equal(old.body.finalizedJson.questions[0].correctAnswer, 0);
+  assert.equal((await request('GET', '/api/quizzes/cells/versions/3', { user: teacher })).status, 404);
+  assert.equal((await request('GET', '/api/quizzes/cells/versions/x', { user: teacher })).status, 400);
+  assert.equal((await request('GET', '/api/quizzes/cells/versions', { user: other })).status, 403);
+});
+
+test('regrade re-scores submitted attempts on the new version, and undo restores them', async t => {
+  const { attempts, request } = await setup(t);
+  const dry = await request('POST', '/api/quizzes/cells/regrade', { user: teacher, body: { dryRun: true } });
+  assert.equal(dry.status, 200);
+  assert.deepEqual(dry.body.results.map(r => [r.email, r.oldScore, r.newScore, r.newMaxScore]), [['ann@example.com', 1, 2, 3], ['bob@example.com', 2, 1, 3]]);
+  assert.equal(attempts[0].quizVersion, 1);
+
+  const done = await request('POST', '/api/quizzes/cells/regrade', { user: teacher, body: {} });
+  assert.equal(done.body.changed, 2);
+  const [ann, bob, cid] = attempts;
+  assert.deepEqual([ann.quizVersion, ann.score, ann.answers], [2, 2, { mc: 0, num: 46 }]);
+  assert.equal(ann.regradeHistory.length, 1);
+  assert.equal(bob.score, 1);
+  assert.equal(cid.quizVersion, 1);
+
+  const undo = await request('POST', '/api/quizzes/cells/regrade/undo', { user: teacher, body: { attemptIds: ['a1'] } });
+  assert.equal(undo.body.restored, 1);
+  assert.deepEqual([ann.quizVersion, ann.score, ann.answers, ann.regradeHistory.length], [1, 1, { mc: 1, num: 46 }, 0]);
+  assert.equal(bob.quizVersion, 2);
+  assert.equal((await request('POST', '/api/quizzes/cells/regrade/undo', { user: teacher, body: { attemptIds: 'a2' } })).status, 400);
+  assert.equal((await request('POST', '/api/quizzes/cells/regrade', { user: teacher, body: { toVersion: 9 } })).status, 404);
+});
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+process.env.UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'quizzes-test-'));
+const { fakeModel, serve, tokenFor, objectId } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { UPLOAD_DIR } = require('../uploads');
+const quizzesRouter = require('../quizzes');
+const { isAdmin } = require('../authMiddleware');
+const { effectiveStatus } = require('../quizLifecycle');
+
+const teacher = { _id: '64b000000000000000000001', email: 'teacher@example.com', role: 'teacher', emailVerifiedAt: new Date() };
+const other = { _id: '64b000000000000000000002', email: 'other@example.com', role: 'teacher', emailVerifiedAt: new Date() };
+const admin = { _id: '64b000000000000000000003', email: 'Admin@Example.com', role: 'teacher', emailVerifiedAt: new Date() };
+const student = { _id: '64b000000000000000000004', email: 'student@example.com', role: 'student', emailVerifiedAt: new Date() };
+const quizJson = { title: 'Cells', questions: [{ id: 'q1', question: 'Powerhouse of the cell?', options: ['Nucleus', 'Mitochondria'], correctAnswer: 1 }] };
+
+test.after(() => fs.rmSync(UPLOAD_DIR, { recursive: true, force: true }));
+
+async function setup(t, quizzes = []) {
+  fakeModel(t, 'User', [teacher, other, admin, student]);
+  fakeModel(t, 'QuizVersion');
+  const store = fakeModel(t, 'Quiz', quizzes);
+  const { request } = await serve(t, quizzesRouter);
+  return { store, request };
+}
+
+function withAdmins(t, value) {
+  const saved = process.env.ADMIN_EMAILS;
+  process.env.ADMIN_EMAILS = value;
+  t.after(() => { if (saved === undefined) delete process.env.ADMIN_EMAILS; else process.env.ADMIN_EMAILS = saved; });
+}
+
+// ======================= Status on save ========================
+test('a new quiz saved without a status stays visible as before', async t => {
+  const { store, request } = await setup(t);
+  const res = await request('POST', '/api/quizzes', { user: teacher, body: { id: 'quiz-1', finalizedJson: quizJson } });
+  assert.equal(res.status, 200);
+  assert.equal(store[0].status, undefined);
+  assert.equal(effectiveStatus(store[0]), 'published');
+});
+
+test('a new quiz saved as a draft stays a draft through later saves', async t => {
+  const { store, request } = await setup(t);
+  await request('POST', '/api/quizzes', { user: teacher, body: { id: 'quiz-1', finalizedJson: quizJson, status: 'draft' } });
+  assert.equal(store[0].status, 'draft');
+  const res = await request('POST', '/api/quizzes', { user: teacher, body: { id: 'quiz-1', finalizedJson: Object.assign({}, quizJson, { title: 'Cells 2' }) } });
+  assert.equal(res.status, 200);
+  assert.equal(store[0].status, 'draft');
+  assert.equal(store[0].version, 2);
+});
+
+// ======================= Ownership =============================
+test("another teacher's quiz cannot be overwritten", async t => {
+  withAdmins(t, 'admin@example.com');
+  const { store, request } = await setup(t, [{ _id: objectId(), id: 'quiz-1', teacherId: teacher._id, finalizedJson: quizJson }]);
+  for (const user of [other, admin]) {
+    const res = await request('POST', '/api/quizzes', { user, body: { id: 'quiz-1', finalizedJson: quizJson } });
+    assert.equal(res.status, 403);
+  }
+  assert.equal(store[0].teacherId, teacher._id);
+});
+
+test('a quiz without an owner can only be claimed by an admin', async t => {
+  withAdmins(t, ' admin@example.com ,someone@example.com');
+  const { store, request } = await setup(t, [{ _id: objectId(), id: 'legacy', finalizedJson: quizJson }]);
+  const refused = await request('POST', '/api/quizzes', { user: teacher, body: { id: 'legacy', finalizedJson: quizJson } });
+  assert.equal(refused.status, 403);
+  assert.equal(store[0].teacherId, undefined);
+  const claimed = await request('POST', '/api/quizzes', { user: admin, body: { id: 'legacy', finalizedJson: quizJson } });
+  assert.equal(claimed.status, 200);
+  assert.equal(store[0].teacherId, admin._id);
+});
+
+test('isAdmin needs a verified address listed in ADMIN_EMAILS', t => {
+  withAdmins(t, 'admin@example.com');
+  assert.equal(isAdmin({ email: 'ADMIN@example.com', emailVerified: true }), true);
+  assert.equal(isAdmin({ email: 'admin@example.com', emailVerified: false }), false);
+  assert.equal(isAdmin({ email: 'teacher@example.com', emailVerified: true }), false);
+  process.env.ADMIN_EMAILS = '';
+  assert.equal(isAdmin({ email: 'admin@example.com', emailVerified: true }), false);
+});
+
+// ======================= Files =================================
+function withFile(t, quiz) {
+  fs.writeFileSync(path.join(UPLOAD_DIR, 'sheet.png'), 'png bytes');
+  t.after(() => fs.rmSync(path.join(UPLOAD_DIR, 'sheet.png'), { force: true }));
+  return setup(t, [Object.assign({ _id: objectId(), id: 'quiz-1', teacherId: teacher._id, finalizedJson: quizJson, filePath: 'uploads/sheet.png' }, quiz)]);
+}
+
+test('the owner and allowed students can download the attached file', async t => {
+  const { request } = await withFile(t, { allowedStudents: ['Student@Example.com'] });
+  for (const user of [teacher, student]) {
+    const res = await request('GET', '/api/quizzes/quiz-1/file', { user });
+    assert.equal(res.status, 200);
+    assert.equal(res.body, 'png bytes');
+    assert.equal(res.headers.get('cache-control'), 'private, no-store');
+  }
+  // Image tags pass the token in the query
+  const viaQuery = await request('GET', `/api/quizzes/quiz-1/file?access_token=${tokenFor(student)}`);
+  assert.equal(viaQuery.status, 200);
+});
+
+test('the file stays private to others, drafts and anonymous requests', async t => {
+  const { store, request } = await withFile(t, { allowedStudents: ['student@example.com'] });
+  assert.equal((await request('GET', '/api/quizzes/quiz-1/file')).status, 401);
+  assert.equal((await request('GET', '/api/quizzes/quiz-1/file', { user: other })).status, 403);
+  store[0].status = 'draft';
+  assert.equal((await request('GET', '/api/quizzes/quiz-1/file', { user: student })).status, 403);
+  assert.equal((await request('GET', '/api/quizzes/quiz-1/file', { user: teacher })).status, 200);
+});
+
+test('a quiz without a file, or whose file is gone, answers 404', async t => {
+  const { store, request } = await withFile(t, {});
+  fs.rmSync(path.join(UPLOAD_DIR, 'sheet.png'));
+  assert.equal((await request('GET', '/api/quizzes/quiz-1/file', { user: teacher })).status, 404);
+  store[0].filePath = null;
+  const res = await request('GET', '/api/quizzes/quiz-1/file', { user: teacher });
+  assert.equal(res.status, 404);
+  assert.equal(res.body.error, 'file not found');
+});
@@ -0,0 +1,86 @@
+process.env.LLM_PROVIDER = 'mock';
+process.env.LOG_LEVEL = 'error';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setMockResponder, setUsageRecorder } = require('../llm');
+const { studentView, proposeGrade } = require('../review');
+const { gradeAttempt } = require('../grading');
+
+// usage.js records every call in MongoDB; there is none here
+setUsageRecorder(null);
+test.afterEach(() => setMockResponder(null));
+
+const quiz = { id: 'quiz-1', teacherId: 'teacher-1' };
+const essay = {
+  id: 'e1',
+  type: 'essay',
+  question: 'Why do leaves change colour?',
+  modelAnswer: 'Chlorophyll breaks down.',
+  rubric: [{ id: 'c1', criterion: 'Names chlorophyll', points: 2 }, { id: 'c2', criterion: 'Explains breakdown', points: 3, guidance: 'mentions shorter days' }]
+};
+
+// ======================= Proposals =============================
+test('proposeGrade scores each criterion, clamped to its maximum', async () => {
+  let prompt;
+  setMockResponder(messages => {
+    prompt = messages;
+    return JSON.stringify({ criteria: [{ id: 'c1', points: 5, comment: 'Named.' }, { id: 'c2', points: '1.5', comment: 'Partly.' }], feedback: 'Good start.' });
+  });
+  const grade = await proposeGrade(quiz, essay, 'Chlorophyll goes away.');
+  assert.equal(grade.points, 3.5);
+  assert.deepEqual(grade.criteria.map(c => [c.id, c.points, c.maxPoints]), [['c1', 2, 2], ['c2', 1.5, 3]]);
+  assert.equal(grade.feedback, 'Good start.');
+  assert.equal(grade.model, 'mock');
+  const text = prompt.map(m => m.content).join('\n');
+  assert.match(text, /mentions shorter days/);
+  assert.match(text, /Chlorophyll goes away\./);
+});
+
+test('proposeGrade rejects replies that skip a criterion', async () => {
+  setMockResponder(() => JSON.stringify({ criteria: [{ id: 'c1', points: 1 }], feedback: '' }));
+  await assert.rejects(proposeGrade(quiz, essay, 'x'), /no score for criterion c2/);
+  setMockResponder(() => 'not json at all');
+  await assert.rejects(proposeGrade(quiz, essay, 'x'), /no criteria scores/);
+});
+
+test('a question without a rubric is scored as one overall criterion', async () => {
+  setMockResponder(() => JSON.stringify({ criteria: [{ id: 'overall', points: 0.5 }] }));
+  const grade = await proposeGrade(quiz, { id: 's1', type: 'short_answer', question: 'Q', points: 2 }, 'A');
+  assert.deepEqual(grade.criteria.map(c => [c.id, c.points, c.maxPoints]), [['overall', 0.5, 2]]);
+});
+
+// ======================= Release ===============================
+test('students only see released grades and never the grading history', () => {
+  const attempt = {
+    id: 'a1',
+    score: 1,
+    rubricGrades: [
+      { questionId: 'e1', status: 'released', points: 4, maxPoints: 5, source: 'teacher', model: 'mock', criteria: [{ id: 'c1', criterion: 'Names chlorophyll', points: 2, maxPoints: 2, comment: 'ok' }], feedback: 'Well done' },
+      { questionId: 'e2', status: 'pending_review', points: 1, maxPoints: 5, source: 'ai', feedback: 'draft' }
+    ],
+    gradingHistory: [{ kind: 'ai_proposal', by: 'ai', questionId: 'e1', points: 3 }]
+  };
+  const view = studentView(attempt);
+  assert.equal(view.gradingHistory, undefined);
+  assert.deepEqual(view.rubricGrades, [{
+    questionId: 'e1',
+    points: 4,
+    maxPoints: 5,
+    criteria: [{ id: 'c1', criterion: 'Names chlorophyll', points: 2, maxPoints: 2, comment: 'ok' }],
+    feedback: 'Well done'
+  }]);
+  assert.equal(attempt.gradingHistory.length, 1);
+});
+
+test('a proposal only counts towards the score once it is released', () => {
+  const json = { questions: [{ id: 'm', options: ['a', 'b'], correctAnswer: 0 }, essay] };
+  const answers = { m: 0, e1: 'Chlorophyll goes away.' };
+  const proposal = { questionId: 'e1', status: 'pending_review', points: 3.5, maxPoints: 5 };
+  const before = gradeAttempt(json, answers, [proposal]);
+  assert.equal(before.score, 1);
+  assert.equal(before.reviewStatus, 'pending');
+  const after = gradeAttempt(json, answers, [Object.assign({}, proposal, { status: 'released' })]);
+  assert.equal(after.score, 4.5);
+  assert.equal(after.maxScore, 6);
+  assert.equal(after.reviewStatus, 'released');
+});
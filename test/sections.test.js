@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { selectPages, buildSections, allocateCounts, dedupeQuestions, balanceQuestions } = require('../sections');
+
+const page = (n, length) => ({ page: n, text: 'x'.repeat(length) });
+
+test('selectPages keeps the requested range', () => {
+  const pages = [1, 2, 3, 4].map(n => page(n, 10));
+  assert.deepEqual(selectPages(pages, { from: 2, to: 3 }).map(p => p.page), [2, 3]);
+  assert.deepEqual(selectPages(pages, { from: 3 }).map(p => p.page), [3, 4]);
+  assert.equal(selectPages(pages, {}).length, 4);
+});
+
+test('buildSections packs pages, skips empty ones and cuts long ones', () => {
+  const sections = buildSections([page(1, 400), page(2, 400), { page: 3, text: '  ' }, page(4, 400), page(5, 2500)], 1000);
+  assert.deepEqual(sections.map(s => [s.index, s.pages]), [[0, [1, 2]], [1, [4]], [2, [5]], [3, [5]], [4, [5]]]);
+  assert.ok(sections[0].text.startsWith('[Page 1]\n'));
+  assert.ok(sections[0].text.includes('\n\n[Page 2]\n'));
+  assert.ok(sections.every(s => s.text.length <= 1000 + '[Page 5]\n'.length));
+});
+
+test('allocateCounts follows text length and gives every section one', () => {
+  const sections = [{ text: 'x'.repeat(100) }, { text: 'x'.repeat(300) }, { text: 'x'.repeat(600) }];
+  const counts = allocateCounts(sections, 13);
+  assert.equal(counts.reduce((a, b) => a + b, 0), 13);
+  assert.deepEqual(counts, [2, 4, 7]);
+  assert.deepEqual(allocateCounts(sections, 2), [1, 0, 1]);
+  assert.deepEqual(allocateCounts([], 5), []);
+  assert.deepEqual(allocateCounts(sections, 0), [0, 0, 0]);
+});
+
+test('dedupeQuestions drops near-identical wording in any script', () => {
+  const questions = [
+    { question: 'What organelle produces energy in the cell?', options: ['Mitochondria', 'Nucleus'] },
+    { question: 'What organelle produces energy in the cell', options: ['Mitochondria', 'Nucleus'] },
+    { question: 'Which planet is closest to the sun?', options: ['Mercury', 'Venus'] },
+    { question: 'Какая органелла производит энергию?', options: ['Митохондрия'] },
+    { question: 'Какая органелла производит энергию?', options: ['Митохондрия'] }
+  ];
+  assert.deepEqual(dedupeQuestions(questions).map(q => questions.indexOf(q)), [0, 2, 3]);
+});
+
+test('balanceQuestions takes quotas first and tops up in document order', () => {
+  const perSection = [['a1', 'a2', 'a3'], ['b1'], ['c1', 'c2']];
+  assert.deepEqual(balanceQuestions(perSection, 4, [1, 2, 1]), ['a1', 'a2', 'b1', 'c1']);
+  assert.deepEqual(balanceQuestions(perSection, 10, [1, 1, 1]), ['a1', 'a2', 'a3', 'b1', 'c1', 'c2']);
+  assert.deepEqual(perSection[0], ['a1', 'a2', 'a3']);
+});
@@ -0,0 +1,81 @@
+const { fakeModel, serve } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const studentRouter = require('../student');
+
+const teacher = { _id: '64b000000000000000000001', email: 'teacher@example.com', role: 'teacher', emailVerifiedAt: new Date() };
+const student = { _id: '64b000000000000000000002', email: 'ann@example.com', role: 'student', emailVerifiedAt: new Date() };
+const unverified = { _id: '64b000000000000000000003', email: 'bob@example.com', role: 'student' };
+const BIOLOGY = '64b000000000000000000010';
+const HISTORY = '64b000000000000000000011';
+const ARCHIVED = '64b000000000000000000012';
+const quiz = (id, fields) => Object.assign({ id, teacherId: teacher._id, finalizedJson: { title: id, questions: [] }, createdAt: new Date() }, fields);
+
+async function setup(t, attempts = []) {
+  fakeModel(t, 'User', [teacher, student, unverified]);
+  fakeModel(t, 'Course', [
+    // Rosters saved before emails were lowercased may hold capitals
+    { _id: BIOLOGY, name: 'Biology', teacherId: teacher._id, students: ['Ann@Example.com', 'bob@example.com'] },
+    { _id: HISTORY, name: 'History', teacherId: teacher._id, students: ['carl@example.com'] },
+    { _id: ARCHIVED, name: 'Old', teacherId: teacher._id, students: ['ann@example.com'], status: 'archived' }
+  ]);
+  fakeModel(t, 'Quiz', [
+    quiz('open', { courseId: BIOLOGY, status: 'published', maxAttempts: 2 }),
+    quiz('legacy', { courseId: BIOLOGY }),
+    quiz('draft', { courseId: BIOLOGY, status: 'draft' }),
+    quiz('for-carl', { courseId: BIOLOGY, allowedStudents: ['carl@example.com'] }),
+    quiz('listed', { courseId: HISTORY, allowedStudents: ['ANN@example.com'] }),
+    quiz('archived', { courseId: ARCHIVED }),
+    quiz('other-course', { courseId: HISTORY })
+  ]);
+  fakeModel(t, 'Attempt', attempts);
+  return serve(t, studentRouter);
+}
+
+test('students see the quizzes of their courses and those listing them', async t => {
+  const { request } = await setup(t, [
+    { id: 'a1', quizId: 'open', email: 'ann@example.com', attemptNumber: 1, submitted: true, score: 1, maxScore: 2, submittedAt: new Date() },
+    { id: 'a2', quizId: 'open', email: 'ann@example.com', attemptNumber: 2, submitted: false }
+  ]);
+  const res = await request('GET', '/api/student/quizzes', { user: student });
+  assert.equal(res.status, 200);
+  const byId = Object.fromEntries(res.body.quizzes.map(q => [q.id, q]));
+  assert.deepEqual(Object.keys(byId).sort(), ['legacy', 'listed', 'open']);
+  assert.equal(byId.open.status, 'in_progress');
+  assert.equal(byId.open.courseName, 'Biology');
+  assert.equal(byId.open.attemptsUsed, 2);
+  assert.equal(byId.open.attemptsLeft, 0);
+  assert.equal(byId.open.score, 1);
+  assert.equal(byId.legacy.status, 'not_started');
+  assert.equal(byId.legacy.attemptsLeft, 1);
+});
+
+test('courses list the rosters the student is on, archived ones included', async t => {
+  const { request } = await setup(t);
+  const res = await request('GET', '/api/student/courses', { user: student });
+  assert.deepEqual(res.body.courses.map(c => c.name).sort(), ['Biology', 'Old']);
+});
+
+test('an unverified address links to no course or quiz', async t => {
+  const { request } = await setup(t);
+  assert.deepEqual((await request('GET', '/api/student/courses', { user: unverified })).body.courses, []);
+  assert.deepEqual((await request('GET', '/api/student/quizzes', { user: unverified })).body.quizzes, []);
+});
+
+test('results list submitted attempts, newest first', async t => {
+  const { request } = await setup(t, [
+    { id: 'a1', quizId: 'open', email: 'Ann@Example.com', attemptNumber: 1, submitted: true, score: 1, maxScore: 2, submittedAt: new Date('2026-01-01') },
+    { id: 'a2', quizId: 'legacy', email: 'ann@example.com', attemptNumber: 1, submitted: true, score: 2, maxScore: 2, submittedAt: new Date('2026-02-01') },
+    { id: 'a3', quizId: 'listed', email: 'ann@example.com', attemptNumber: 1, submitted: false }
+  ]);
+  const res = await request('GET', '/api/student/results', { user: student });
+  assert.deepEqual(res.body.results.map(r => [r.quizId, r.score, r.title]), [['legacy', 2, 'legacy'], ['open', 1, 'open']]);
+});
+
+test('the student API is for students only', async t => {
+  const { request } = await setup(t);
+  const res = await request('GET', '/api/student/quizzes', { user: teacher });
+  assert.equal(res.status, 403);
+  assert.equal(res.body.error, 'student role required');
+  assert.equal((await request('GET', '/api/student/quizzes')).status, 401);
+});
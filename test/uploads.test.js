@@ -0,0 +1,155 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+process.env.UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-test-'));
+// About 10 KB, so the size limit can be hit without large fixtures
+process.env.UPLOAD_MAX_MB = '0.01';
+const { fakeModel, serve } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { UPLOAD_DIR, MAX_UPLOAD_BYTES, sweepUploads, uploadSingle, uploadArray, cachedExtract } = require('../uploads');
+const quizzesRouter = require('../quizzes');
+
+const teacher = { _id: '64b000000000000000000001', email: 'teacher@example.com', role: 'teacher', emailVerifiedAt: new Date() };
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.from('rest of a png')]);
+const quizJson = { title: 'Cells', questions: [{ id: 'q1', question: 'Powerhouse of the cell?', options: ['Nucleus', 'Mitochondria'], correctAnswer: 1 }] };
+const DAY = 24 * 3600 * 1000;
+
+test.beforeEach(() => fs.readdirSync(UPLOAD_DIR).forEach(n => fs.rmSync(path.join(UPLOAD_DIR, n))));
+test.after(() => fs.rmSync(UPLOAD_DIR, { recursive: true, force: true }));
+
+// Older than the retention window, so only a reference keeps it
+function age(name) {
+  const old = new Date(Date.now() - 2 * DAY);
+  fs.utimesSync(path.join(UPLOAD_DIR, name), old, old);
+}
+
+function saveForm(fields, file) {
+  const form = new FormData();
+  Object.entries(fields).forEach(([k, v]) => form.append(k, typeof v === 'string' ? v : JSON.stringify(v)));
+  if (file) form.append('file', new Blob([file]), 'worksheet.png');
+  return form;
+}
+
+test('saving a quiz without a new upload keeps its file through the sweep', async t => {
+  fakeModel(t, 'User', [teacher]);
+  const quizzes = fakeModel(t, 'Quiz');
+  fakeModel(t, 'QuizVersion');
+  fakeModel(t, 'GenerationJob');
+  const { request } = await serve(t, quizzesRouter);
+
+  const first = await request('POST', '/api/quizzes', { user: teacher, form: saveForm({ id: 'quiz-1', finalizedJson: quizJson }, PNG) });
+  assert.equal(first.status, 200);
+  const stored = path.basename(quizzes[0].filePath);
+  assert.ok(fs.existsSync(path.join(UPLOAD_DIR, stored)));
+
+  const edited = Object.assign({}, quizJson, { title: 'Cells (edited)' });
+  const second = await request('POST', '/api/quizzes', { user: teacher, form: saveForm({ id: 'quiz-1', finalizedJson: edited }) });
+  assert.equal(second.status, 200);
+  assert.equal(quizzes.length, 1);
+  assert.equal(path.basename(quizzes[0].filePath), stored);
+  assert.equal(quizzes[0].finalizedJson.title, 'Cells (edited)');
+  assert.equal(quizzes[0].version, 2);
+
+  fs.writeFileSync(path.join(UPLOAD_DIR, 'orphan.png'), PNG);
+  age(stored);
+  age('orphan.png');
+  const swept = await sweepUploads();
+  assert.deepEqual(swept.removed, ['orphan.png']);
+  assert.ok(fs.existsSync(path.join(UPLOAD_DIR, stored)));
+});
+
+test('the sweep keeps recent files and files unfinished jobs need', async t => {
+  fakeModel(t, 'Quiz');
+  fakeModel(t, 'GenerationJob', [
+    { id: 'job-1', status: 'failed', filePath: 'uploads/retry.pdf' },
+    { id: 'job-2', status: 'queued', kind: 'files', files: [{ path: 'uploads/part.pdf' }] },
+    { id: 'job-3', status: 'completed', filePath: 'uploads/done.pdf' }
+  ]);
+  for (const name of ['retry.pdf', 'part.pdf', 'done.pdf', 'fresh.pdf']) fs.writeFileSync(path.join(UPLOAD_DIR, name), '%PDF-');
+  ['retry.pdf', 'part.pdf', 'done.pdf'].forEach(age);
+
+  const preview = await sweepUploads({ dryRun: true });
+  assert.deepEqual(preview.removed, ['done.pdf']);
+  assert.ok(fs.existsSync(path.join(UPLOAD_DIR, 'done.pdf')));
+
+  const swept = await sweepUploads();
+  assert.deepEqual(swept.removed, ['done.pdf']);
+  assert.deepEqual(fs.readdirSync(UPLOAD_DIR).filter(n => n.endsWith('.pdf')).sort(), ['fresh.pdf', 'part.pdf', 'retry.pdf']);
+});
+
+test('uploads that are not what their type claims are refused', async t => {
+  fakeModel(t, 'User', [teacher]);
+  fakeModel(t, 'Quiz');
+  const { request } = await serve(t, quizzesRouter);
+  const res = await request('POST', '/api/quizzes', { user: teacher, form: saveForm({ id: 'quiz-2' }, Buffer.from('not an image')) });
+  assert.equal(res.status, 415);
+  assert.equal(res.body.ok, false);
+});
+
+// ======================= Limits & dedup ========================
+// Echoes what the upload middleware put on the request
+async function echo(t) {
+  const router = express.Router();
+  router.post('/single', uploadSingle('file'), (req, res) => res.json({ ok: true, file: req.file }));
+  router.post('/array', uploadArray('files', 2), (req, res) => res.json({ ok: true, files: req.files }));
+  fakeModel(t, 'User', [teacher]);
+  return (await serve(t, router)).request;
+}
+
+function fileForm(field, ...files) {
+  const form = new FormData();
+  files.forEach(([content, name, type]) => form.append(field, new Blob([content], type ? { type } : {}), name));
+  return form;
+}
+
+test('the same file uploaded twice is stored once under its hash', async t => {
+  const request = await echo(t);
+  const first = (await request('POST', '/single', { form: fileForm('file', [PNG, 'screenshot.png', 'image/png']) })).body.file;
+  const second = (await request('POST', '/single', { form: fileForm('file', [PNG, 'screenshot (1).png', 'image/png']) })).body.file;
+  const hash = require('crypto').createHash('sha256').update(PNG).digest('hex');
+  assert.equal(first.filename, hash + '.png');
+  assert.equal(first.kind, 'image');
+  assert.deepEqual([first.deduplicated, second.deduplicated], [false, true]);
+  assert.equal(second.path, first.path);
+  assert.deepEqual(fs.readdirSync(UPLOAD_DIR), [hash + '.png']);
+});
+
+test('size, count and type limits answer with their own codes', async t => {
+  const request = await echo(t);
+  const big = Buffer.concat([PNG, Buffer.alloc(MAX_UPLOAD_BYTES)]);
+  const tooLarge = await request('POST', '/single', { form: fileForm('file', [big, 'big.png', 'image/png']) });
+  assert.deepEqual([tooLarge.status, tooLarge.body.code], [413, 'limit_file_size']);
+  const tooMany = await request('POST', '/array', { form: fileForm('files', [PNG, 'a.png', 'image/png'], [PNG, 'b.png', 'image/png'], [PNG, 'c.png', 'image/png']) });
+  assert.deepEqual([tooMany.status, tooMany.body.error], [400, 'too many files']);
+  const zip = await request('POST', '/single', { form: fileForm('file', ['PK', 'notes.zip', 'application/zip']) });
+  assert.deepEqual([zip.status, zip.body.code], [415, 'unsupported_type']);
+  // Generic MIME types fall back to the extension
+  const markdown = await request('POST', '/single', { form: fileForm('file', ['# Cells', 'notes.md', 'application/octet-stream']) });
+  assert.equal(markdown.status, 200);
+  assert.deepEqual([markdown.body.file.fileType, markdown.body.file.kind], ['text/markdown', 'text']);
+  // Nothing half-written is left behind
+  assert.deepEqual(fs.readdirSync(UPLOAD_DIR).filter(n => n.startsWith('.tmp-')), []);
+});
+
+// ======================= Extracted text cache ==================
+test('extracted text is cached per hash and OCR language', async t => {
+  const cache = fakeModel(t, 'ExtractedText');
+  let runs = 0;
+  const extract = pages => async () => { runs++; return { pages: pages.map(page => ({ page, text: `page ${page}` })), totalPages: 3 }; };
+
+  const partial = await cachedExtract({ hash: 'abc', kind: 'pdf', maxPage: 2 }, extract([1, 2]));
+  assert.deepEqual([partial.cached, cache[0].hash, cache[0].complete], [false, 'abc:eng', false]);
+  // Within the pages already read, the partial entry is enough
+  assert.equal((await cachedExtract({ hash: 'abc', kind: 'pdf', maxPage: 1 }, extract([1]))).cached, true);
+  await cachedExtract({ hash: 'abc', kind: 'pdf' }, extract([1, 2, 3]));
+  assert.deepEqual([cache.length, cache[0].complete, cache[0].pages.length], [1, true, 3]);
+  const hit = await cachedExtract({ hash: 'abc', kind: 'pdf' }, extract([]));
+  assert.deepEqual([hit.cached, hit.pages.length, runs], [true, 3, 2]);
+
+  await cachedExtract({ hash: 'abc', kind: 'pdf', language: 'deu' }, extract([1, 2, 3]));
+  await cachedExtract({ hash: 'def', kind: 'docx' }, extract([1, 2, 3]));
+  assert.deepEqual(cache.map(c => c.hash), ['abc:eng', 'abc:deu', 'def']);
+  assert.equal(runs, 4);
+});
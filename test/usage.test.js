@@ -0,0 +1,118 @@
+const { fakeModel, serve } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const usageRouter = require('../usage');
+const { config, recordUsage, quotaStatus } = usageRouter;
+const chatRouter = require('../chat');
+const { setMockResponder } = require('../llm');
+const { UsageRecord } = require('../models');
+
+// Each test gets its own teacher: the rate limit window is kept per teacher
+let nextId = 1;
+function newTeacher(fields) {
+  return Object.assign({ _id: '64b0000000000000000000' + String(nextId++).padStart(2, '0'), email: `t${nextId}@example.com`, role: 'teacher', emailVerifiedAt: new Date() }, fields);
+}
+
+const saved = Object.assign({}, config);
+test.afterEach(() => { Object.assign(config, saved); setMockResponder(null); });
+
+async function setup(t, teachers, records = []) {
+  fakeModel(t, 'User', teachers);
+  const usage = fakeModel(t, 'UsageRecord', records);
+  const { request } = await serve(t, usageRouter, chatRouter);
+  return { usage, request };
+}
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// ======================= Recording =============================
+test('model calls are recorded with the provider counts, or estimated without them', async t => {
+  const teacher = newTeacher();
+  const { usage, request } = await setup(t, [teacher]);
+  setMockResponder(() => 'Use a model cell.');
+  await request('POST', '/api/chat', { user: teacher, body: { message: 'Ideas?' } });
+  for (let i = 0; i < 100 && !usage.length; i++) await delay(5);
+  assert.deepEqual([usage[0].teacherId, usage[0].endpoint, usage[0].purpose, usage[0].model], [teacher._id, 'chat', 'reply', 'mock']);
+  assert.equal(usage[0].totalTokens, usage[0].promptTokens + usage[0].completionTokens);
+  assert.ok(usage[0].requestId);
+
+  const counted = await recordUsage({ teacherId: teacher._id, endpoint: 'parse' }, { model: 'm', usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 } });
+  assert.deepEqual([counted.promptTokens, counted.completionTokens, counted.totalTokens, counted.estimated], [10, 5, 15, undefined]);
+  const estimated = await recordUsage({ teacherId: teacher._id }, { content: 'x'.repeat(40) }, [{ role: 'user', content: 'y'.repeat(20) }]);
+  assert.deepEqual([estimated.promptTokens, estimated.completionTokens, estimated.totalTokens, estimated.estimated], [5, 10, 15, true]);
+  assert.equal(await recordUsage({}, { content: 'x' }), null);
+});
+
+// ======================= Quotas ================================
+test('an exhausted daily or monthly quota stops AI requests until it resets', async t => {
+  const teacher = newTeacher();
+  const generous = newTeacher({ aiQuota: { dailyTokens: 0, monthlyTokens: 10000 } });
+  const lastMonth = new Date(Date.UTC(new Date().getUTCFullYear(), new Date().getUTCMonth(), 1) - 1000);
+  const { request } = await setup(t, [teacher, generous], [
+    { teacherId: teacher._id, totalTokens: 600, createdAt: new Date() },
+    { teacherId: teacher._id, totalTokens: 5000, createdAt: lastMonth },
+    { teacherId: generous._id, totalTokens: 900, createdAt: new Date() }
+  ]);
+  Object.assign(config, { dailyTokens: 500, monthlyTokens: 0 });
+
+  const res = await request('POST', '/api/chat', { user: teacher, body: { message: 'Hi' } });
+  assert.equal(res.status, 429);
+  assert.equal(res.body.code, 'quota_exceeded');
+  assert.deepEqual([res.body.quota.period, res.body.quota.used, res.body.quota.limit], ['daily', 600, 500]);
+  const retryAfter = Number(res.headers.get('retry-after'));
+  assert.ok(retryAfter > 0 && retryAfter <= 24 * 3600);
+
+  // A teacher's own quota replaces the defaults, 0 meaning unlimited
+  const status = await quotaStatus(generous._id);
+  assert.deepEqual([status.daily.limit, status.monthly.limit, status.monthly.remaining], [null, 10000, 9100]);
+  assert.equal((await request('POST', '/api/chat', { user: generous, body: { message: 'Hi' } })).status, 200);
+
+  Object.assign(config, { dailyTokens: 0, monthlyTokens: 600 });
+  const monthly = await request('POST', '/api/chat', { user: teacher, body: { message: 'Hi' } });
+  assert.deepEqual([monthly.status, monthly.body.quota.period, monthly.body.quota.used], [429, 'monthly', 600]);
+});
+
+test('more AI requests per minute than allowed are refused with Retry-After', async t => {
+  const teacher = newTeacher();
+  const colleague = newTeacher();
+  const { request } = await setup(t, [teacher, colleague]);
+  config.ratePerMinute = 2;
+  assert.equal((await request('POST', '/api/chat', { user: teacher, body: { message: 'one' } })).status, 200);
+  assert.equal((await request('POST', '/api/chat', { user: teacher, body: { message: 'two' } })).status, 200);
+  const res = await request('POST', '/api/chat', { user: teacher, body: { message: 'three' } });
+  assert.deepEqual([res.status, res.body.code], [429, 'rate_limited']);
+  assert.ok(Number(res.headers.get('retry-after')) >= 59);
+  // Other teachers have their own window
+  assert.equal((await request('POST', '/api/chat', { user: colleague, body: { message: 'one' } })).status, 200);
+});
+
+// ======================= Summary ===============================
+test('the usage summary checks its range and reports totals with the quota', async t => {
+  const teacher = newTeacher();
+  const { request } = await setup(t, [teacher]);
+  assert.equal((await request('GET', '/api/usage?from=2026-13-01', { user: teacher })).status, 400);
+  assert.equal((await request('GET', '/api/usage?from=2026-03-02&to=2026-03-01', { user: teacher })).status, 400);
+  assert.equal((await request('GET', '/api/usage?from=2024-01-01&to=2026-01-01', { user: teacher })).status, 400);
+
+  // The breakdowns are one $facet aggregation, which needs a real MongoDB
+  let pipeline;
+  t.mock.method(UsageRecord, 'aggregate', async p => {
+    pipeline = p;
+    if (!p[1] || !p[1].$facet) return [{ tokens: 0 }];
+    return [{
+      total: [{ _id: null, requests: 2, promptTokens: 30, completionTokens: 10, totalTokens: 40 }],
+      byDay: [{ _id: '2026-03-01', requests: 2, promptTokens: 30, completionTokens: 10, totalTokens: 40 }],
+      byEndpoint: [{ _id: 'chat', requests: 2, promptTokens: 30, completionTokens: 10, totalTokens: 40 }],
+      byModel: [{ _id: null, requests: 2, promptTokens: 30, completionTokens: 10, totalTokens: 40 }]
+    }];
+  });
+  const res = await request('GET', '/api/usage?from=2026-03-01&to=2026-03-31', { user: teacher });
+  assert.equal(res.status, 200);
+  assert.deepEqual([res.body.from, res.body.to], ['2026-03-01', '2026-03-31']);
+  assert.deepEqual(res.body.total, { requests: 2, promptTokens: 30, completionTokens: 10, totalTokens: 40 });
+  assert.deepEqual(res.body.byEndpoint.map(r => [r.endpoint, r.totalTokens]), [['chat', 40]]);
+  assert.equal(res.body.byModel[0].model, null);
+  assert.equal(res.body.rateLimit.perMinute, 20);
+  assert.ok(res.body.quota.daily && res.body.quota.monthly);
+  assert.equal(pipeline[0].$match.teacherId, teacher._id);
+});
@@ -0,0 +1,95 @@
+const { fakeModel, serve } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const worksheetRouter = require('../worksheet');
+const { renderWorksheet, renderAnswerKey } = worksheetRouter;
+
+const teacher = { _id: '64b000000000000000000001', email: 'teacher@example.com', role: 'teacher', emailVerifiedAt: new Date() };
+const other = { _id: '64b000000000000000000002', email: 'other@example.com', role: 'teacher', emailVerifiedAt: new Date() };
+
+const json = {
+  title: 'Cells & <Life>',
+  description: 'Unit 3',
+  questions: [
+    { id: 'mc', question: 'Powerhouse of the cell?', options: ['Nucleus', 'Mitochondria'], correctAnswer: 1, explanation: 'It makes ATP.' },
+    { id: 'tf', type: 'true_false', question: 'Plants have cell walls.', options: ['Wahr', 'Falsch'], correctAnswer: true },
+    { id: 'fb', type: 'fill_blank', question: 'DNA is kept in the ___.', acceptedAnswers: ['nucleus'] },
+    { id: 'num', type: 'numeric', question: 'Chromosome pairs?', correctAnswer: 23, tolerance: 0, points: 2 },
+    { id: 'ms', type: 'multi_select', question: 'Organelles?', options: ['Ribosome', 'Cell', 'Vacuole'], correctAnswers: [0, 2] },
+    { id: 'es', type: 'essay', question: 'Explain osmosis.', rubric: [{ criterion: 'Defines osmosis', points: 2 }, { criterion: 'Gives an example', points: 1 }] }
+  ]
+};
+
+// ======================= Rendering =============================
+test('the worksheet has name and date fields, numbered questions and no answers', () => {
+  const html = renderWorksheet(json, json.questions, { fontSize: 14 });
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.match(html, /html\{font-size:14pt\}/);
+  assert.match(html, /<h1>Cells &amp; &lt;Life&gt;<\/h1><p class="subtitle">Unit 3<\/p>/);
+  assert.match(html, /<span>Name:<\/span><span>Date:<\/span>/);
+  assert.deepEqual(html.match(/<span class="num">\d+\.<\/span>/g).map(s => s.match(/\d+/)[0]), ['1', '2', '3', '4', '5', '6']);
+  assert.match(html, /&#9711;<\/span> Wahr &nbsp;&nbsp; <span class="box">&#9711;<\/span> Falsch/);
+  assert.match(html, /DNA is kept in the <span class="blank"><\/span>\./);
+  assert.match(html, /Select all that apply\./);
+  assert.match(html, /\(2 pts\)/);
+  assert.equal((html.match(/class="line"/g) || []).length, 10);
+  assert.doesNotMatch(html, /It makes ATP|Answer:<\/b>|Defines osmosis/);
+});
+
+test('the answer key spells out each answer with explanations and rubrics', () => {
+  const html = renderAnswerKey(json, json.questions);
+  assert.match(html, /<h1>Cells &amp; &lt;Life&gt; — Answer Key<\/h1>/);
+  assert.match(html, /Total: 9 points/);
+  const answers = html.match(/<b>Answer:<\/b> [^<]*/g).map(s => s.slice('<b>Answer:</b> '.length));
+  assert.deepEqual(answers, ['B. Mitochondria', 'Wahr', 'nucleus', '23', 'A. Ribosome; C. Vacuole', 'Teacher graded']);
+  assert.match(html, /<p class="explanation">It makes ATP\.<\/p>/);
+  assert.match(html, /<li>Defines osmosis <span class="points">\(2 pts\)<\/span><\/li><li>Gives an example <span class="points">\(1 pt\)<\/span><\/li>/);
+});
+
+// ======================= Endpoints =============================
+async function setup(t, quizzes) {
+  fakeModel(t, 'User', [teacher, other]);
+  fakeModel(t, 'Quiz', quizzes);
+  fakeModel(t, 'QuizVersion', [{ quizId: 'cells', version: 1, finalizedJson: { title: 'Old', questions: [{ question: 'First draft?', options: ['a', 'b'], correctAnswer: 0 }] } }]);
+  const { request } = await serve(t, worksheetRouter);
+  return request;
+}
+
+const numbered = html => html.match(/<span class="num">\d+\.<\/span> [^<]*/g).map(s => s.replace(/^.*<\/span> /, ''));
+
+test('variants are shuffled the same way for the worksheet and its key', async t => {
+  const request = await setup(t, [{ id: 'cells', teacherId: teacher._id, version: 2, finalizedJson: json }]);
+  const plain = await request('GET', '/api/quizzes/cells/worksheet', { user: teacher });
+  assert.equal(plain.status, 200);
+  assert.match(plain.headers.get('content-type'), /^text\/html/);
+  assert.deepEqual(numbered(plain.body), json.questions.map(q => q.question.split('___')[0]));
+
+  const orders = [];
+  for (const variant of ['A', 'B', 'C', 'D']) {
+    const sheet = await request('GET', `/api/quizzes/cells/worksheet?variant=${variant.toLowerCase()}`, { user: teacher });
+    const key = await request('GET', `/api/quizzes/cells/answer-key?variant=${variant}`, { user: teacher });
+    assert.match(sheet.body, new RegExp(`\\(Version ${variant}\\)`));
+    assert.deepEqual(numbered(key.body), numbered(sheet.body));
+    assert.deepEqual(numbered((await request('GET', `/api/quizzes/cells/worksheet?variant=${variant}`, { user: teacher })).body), numbered(sheet.body));
+    orders.push(numbered(sheet.body).join('|'));
+  }
+  assert.ok(new Set(orders).size > 1);
+});
+
+test('print options are validated and old versions can be printed', async t => {
+  const request = await setup(t, [
+    { id: 'cells', teacherId: teacher._id, version: 2, finalizedJson: json },
+    { id: 'empty', teacherId: teacher._id, finalizedJson: { title: 'Empty', questions: [] } }
+  ]);
+  assert.equal((await request('GET', '/api/quizzes/cells/worksheet?variant=AB', { user: teacher })).status, 400);
+  assert.equal((await request('GET', '/api/quizzes/cells/worksheet?fontSize=40', { user: teacher })).status, 400);
+  assert.equal((await request('GET', '/api/quizzes/cells/worksheet', { user: other })).status, 403);
+  assert.equal((await request('GET', '/api/quizzes/missing/worksheet', { user: teacher })).status, 404);
+  assert.equal((await request('GET', '/api/quizzes/empty/answer-key', { user: teacher })).status, 409);
+  assert.equal((await request('GET', '/api/quizzes/cells/worksheet?version=7', { user: teacher })).status, 404);
+
+  const old = await request('GET', '/api/quizzes/cells/worksheet?version=1', { user: teacher });
+  assert.deepEqual(numbered(old.body), ['First draft?']);
+  const download = await request('GET', '/api/quizzes/cells/answer-key?variant=B&download=1', { user: teacher });
+  assert.equal(download.headers.get('content-disposition'), 'attachment; filename="cells-answer-key-B.html"');
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createZip, readZip, isZip } = require('../zip');
+
+// Offset of the n-th central directory record of an archive from createZip
+function centralRecord(buf, n) {
+  let p = buf.readUInt32LE(buf.length - 22 + 16);
+  for (let i = 0; i < n; i++) p += 46 + buf.readUInt16LE(p + 28);
+  return p;
+}
+
+test('readZip returns what createZip wrote', () => {
+  const zip = createZip([{ name: 'imsmanifest.xml', data: '<manifest/>' }, { name: 'items/q1.xml', data: Buffer.from('<item/>') }]);
+  assert.equal(isZip(zip), true);
+  assert.deepEqual(readZip(zip).map(f => [f.name, f.data.toString('utf8')]), [['imsmanifest.xml', '<manifest/>'], ['items/q1.xml', '<item/>']]);
+});
+
+test('readZip refuses entries that unpack past the limit', () => {
+  // 4 MB of zeros deflates to a few KB
+  const zip = createZip([{ name: 'bomb.xml', data: Buffer.alloc(4 * 1024 * 1024) }]);
+  assert.ok(zip.length < 16 * 1024);
+  assert.throws(() => readZip(zip, { maxEntryBytes: 1024 * 1024 }), /too large when unpacked/);
+  assert.throws(() => readZip(createZip([{ name: 'a', data: Buffer.alloc(600) }, { name: 'b', data: Buffer.alloc(600) }]), { maxTotalBytes: 1000 }), /b is too large/);
+});
+
+test('readZip caps the inflated size even when the declared size lies', () => {
+  const zip = createZip([{ name: 'bomb.xml', data: Buffer.alloc(4 * 1024 * 1024) }]);
+  zip.writeUInt32LE(10, centralRecord(zip, 0) + 24);
+  assert.throws(() => readZip(zip, { maxEntryBytes: 1024 * 1024 }), /too large when unpacked/);
+});
+
+test('readZip rejects offsets outside the archive', () => {
+  const zip = createZip([{ name: 'a.xml', data: 'x' }]);
+  const badLocal = Buffer.from(zip);
+  badLocal.writeUInt32LE(0x7fffffff, centralRecord(badLocal, 0) + 42);
+  assert.throws(() => readZip(badLocal), /corrupt zip entry a\.xml/);
+  const badSize = Buffer.from(zip);
+  badSize.writeUInt32LE(0x7fffffff, centralRecord(badSize, 0) + 20);
+  assert.throws(() => readZip(badSize), /corrupt zip entry a\.xml/);
+  const badDirectory = Buffer.from(zip);
+  badDirectory.writeUInt32LE(0x7fffffff, badDirectory.length - 22 + 16);
+  assert.throws(() => readZip(badDirectory), /corrupt zip central directory/);
+  assert.throws(() => readZip(Buffer.from('not a zip')), /not a zip archive/);
+});
+
+test('readZip reports damaged deflate data', () => {
+  const zip = createZip([{ name: 'a.xml', data: 'hello hello hello' }]);
+  const start = 30 + 'a.xml'.length;
+  zip.fill(0xff, start, start + 4);
+  assert.throws(() => readZip(zip), /corrupt zip entry a\.xml/);
+});
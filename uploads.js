@@ -0,0 +1,271 @@
+// ======================= Upload Storage ========================
+// One place for uploaded source files (images/PDFs to generate from, files
+// attached to quizzes):
+//  - size and type limits, checked against the file's leading bytes
+//  - content-addressed storage: uploads/<sha256><ext>, so the same file
+//    uploaded twice is stored once
+//  - extracted OCR/PDF text cached per hash, so re-generating from a known
+//    file skips Tesseract and pdf-parse
+//  - a retention sweep that deletes files no quiz or unfinished job uses
+//
+// Environment:
+//   UPLOAD_DIR               where files are stored, default ./uploads
+//   UPLOAD_MAX_MB            per file, default 20
+//   UPLOAD_RETENTION_HOURS   unreferenced files younger than this are kept, default 24
+//   UPLOAD_SWEEP_HOURS       how often the sweep runs, default 6 (0 disables)
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const multer = require('multer');
+const { Quiz, GenerationJob, ExtractedText } = require('./models');
+const { log } = require('./logger');
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR ? path.resolve(process.env.UPLOAD_DIR) : path.join(__dirname, 'uploads');
+if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+
+function numberFromEnv(name, fallback) {
+  const n = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+// Whole bytes: busboy only reports the limit when the count hits it exactly,
+// so a fractional limit would truncate the file without an error
+const MAX_UPLOAD_BYTES = Math.floor(numberFromEnv('UPLOAD_MAX_MB', 20) * 1024 * 1024);
+const RETENTION_MS = numberFromEnv('UPLOAD_RETENTION_HOURS', 24) * 3600 * 1000;
+const SWEEP_INTERVAL_MS = numberFromEnv('UPLOAD_SWEEP_HOURS', 6) * 3600 * 1000;
+
+const isZipHead = b => b.length >= 4 && b.readUInt32LE(0) === 0x04034b50;
+// Text files have no signature; a NUL byte means it is binary
+const isTextHead = b => !b.includes(0);
+
+// Accepted types: extension we store under, extraction kind (extract.js) and
+// a check on the first bytes. exts lets generic MIME types (octet-stream,
+// browsers that don't know .md) fall back to the file name.
+const FILE_TYPES = {
+  'application/pdf': { ext: '.pdf', kind: 'pdf', magic: b => b.slice(0, 5).toString('latin1') === '%PDF-' },
+  'image/png': { ext: '.png', kind: 'image', magic: b => b.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  'image/jpeg': { ext: '.jpg', kind: 'image', magic: b => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  'image/gif': { ext: '.gif', kind: 'image', magic: b => /^GIF8[79]a$/.test(b.slice(0, 6).toString('latin1')) },
+  'image/webp': { ext: '.webp', kind: 'image', magic: b => b.slice(0, 4).toString('latin1') === 'RIFF' && b.slice(8, 12).toString('latin1') === 'WEBP' },
+  'image/bmp': { ext: '.bmp', kind: 'image', magic: b => b.slice(0, 2).toString('latin1') === 'BM' },
+  'image/tiff': { ext: '.tif', kind: 'image', magic: b => ['49492a00', '4d4d002a'].includes(b.slice(0, 4).toString('hex')) },
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': { ext: '.docx', kind: 'docx', magic: isZipHead },
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': { ext: '.pptx', kind: 'pptx', magic: isZipHead },
+  'text/plain': { ext: '.txt', kind: 'text', magic: isTextHead },
+  'text/markdown': { ext: '.md', kind: 'text', magic: isTextHead, exts: ['.md', '.markdown'] }
+};
+const GENERIC_TYPES = ['', 'application/octet-stream', 'binary/octet-stream', 'text/x-markdown'];
+
+// MIME type we treat the upload as, or null when it is not accepted
+function fileTypeOf(file) {
+  if (FILE_TYPES[file.mimetype]) return file.mimetype;
+  if (!GENERIC_TYPES.includes(file.mimetype || '')) return null;
+  const ext = path.extname(String(file.originalname || '')).toLowerCase();
+  return Object.keys(FILE_TYPES).find(m => (FILE_TYPES[m].exts || [FILE_TYPES[m].ext]).includes(ext) || (ext === '.jpeg' && m === 'image/jpeg')) || null;
+}
+
+// ======================= Errors ================================
+class UploadError extends Error {
+  constructor(message, { code = 'upload_error', httpStatus = 400 } = {}) {
+    super(message);
+    this.name = 'UploadError';
+    this.code = code;
+    this.httpStatus = httpStatus;
+  }
+}
+
+function unsupportedType(file) {
+  const allowed = Object.values(FILE_TYPES).map(t => t.ext.slice(1)).join(', ');
+  return new UploadError(`unsupported file type ${file.mimetype || 'unknown'}; allowed: ${allowed}`, { code: 'unsupported_type', httpStatus: 415 });
+}
+
+// ======================= Content-addressed Storage =============
+// multer storage engine: streams to a temp file while hashing, then moves it
+// to uploads/<sha256><ext> unless that file already exists. req.file gets
+// path, filename, size, hash, kind, fileType and deduplicated.
+function hashStorage() {
+  return {
+    _handleFile(req, file, cb) {
+      const fileType = fileTypeOf(file);
+      const type = FILE_TYPES[fileType];
+      const tmp = path.join(UPLOAD_DIR, `.tmp-${process.pid}-${crypto.randomBytes(6).toString('hex')}`);
+      const hash = crypto.createHash('sha256');
+      const out = fs.createWriteStream(tmp);
+      let head = Buffer.alloc(0);
+      let size = 0;
+      let failed = false;
+      const fail = (err) => {
+        if (failed) return;
+        failed = true;
+        file.stream.unpipe(out);
+        file.stream.resume();
+        out.destroy();
+        fs.unlink(tmp, () => cb(err));
+      };
+      file.stream.on('data', chunk => {
+        if (head.length < 16) head = Buffer.concat([head, chunk.slice(0, 16 - head.length)]);
+        hash.update(chunk);
+        size += chunk.length;
+      });
+      file.stream.on('error', fail);
+      out.on('error', fail);
+      out.on('finish', () => {
+        if (failed) return;
+        // A file that is not what its type claims never reaches the store
+        if (!head.length || !type.magic(head)) return fail(new UploadError(`${file.originalname} is not a valid ${type.ext.slice(1)} file`, { code: 'unsupported_type', httpStatus: 415 }));
+        const digest = hash.digest('hex');
+        const filename = digest + type.ext;
+        const target = path.join(UPLOAD_DIR, filename);
+        const done = (deduplicated) => cb(null, { path: target, filename, size, hash: digest, kind: type.kind, fileType, deduplicated });
+        if (fs.existsSync(target)) {
+          // Refresh the mtime so the retention sweep sees a recent upload
+          const now = new Date();
+          fs.utimes(target, now, now, () => fs.unlink(tmp, () => done(true)));
+        } else {
+          fs.rename(tmp, target, err => (err ? fail(err) : done(false)));
+        }
+      });
+      file.stream.pipe(out);
+    },
+    // Called when a later part of the request fails; shared files stay put
+    _removeFile(req, file, cb) {
+      if (file.deduplicated || !file.path) return cb(null);
+      fs.unlink(file.path, () => cb(null));
+    }
+  };
+}
+
+function uploader(files) {
+  return multer({
+    storage: hashStorage(),
+    limits: { fileSize: MAX_UPLOAD_BYTES, files },
+    fileFilter(req, file, cb) {
+      if (!fileTypeOf(file)) return cb(unsupportedType(file));
+      cb(null, true);
+    }
+  });
+}
+
+// Like multer's upload.single(field) / upload.array(field, max), but limit and
+// type errors answer with { ok: false, error, code } (413/415/400) instead of
+// reaching Express
+function uploadSingle(field) {
+  return withUploadErrors(uploader(1).single(field));
+}
+
+function uploadArray(field, maxCount) {
+  return withUploadErrors(uploader(maxCount).array(field, maxCount));
+}
+
+function withUploadErrors(handler) {
+  return (req, res, next) => {
+    handler(req, res, (err) => {
+      if (!err) return next();
+      if (err instanceof UploadError) return res.status(err.httpStatus).json({ ok: false, error: err.message, code: err.code });
+      if (err instanceof multer.MulterError) {
+        const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+        const error = tooLarge ? `file is larger than ${Math.round(MAX_UPLOAD_BYTES / 1024 / 1024)} MB` : err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE' ? 'too many files' : err.message;
+        return res.status(tooLarge ? 413 : 400).json({ ok: false, error, code: err.code.toLowerCase() });
+      }
+      next(err);
+    });
+  };
+}
+
+// Path stored on quizzes: relative to the server directory, forward slashes
+function relativeUploadPath(file) {
+  return path.relative(__dirname, file.path).replace(/\\/g, '/');
+}
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath).on('error', reject).on('data', d => hash.update(d)).on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// ======================= Extracted Text Cache ==================
+// Kinds whose text comes (or may come) from OCR, so the language matters
+const OCR_KINDS = ['image', 'pdf'];
+
+// Runs extract() only when no usable cached text exists for the file.
+// maxPage limits PDF reading; a partial entry serves requests within it.
+// Returns { pages, totalPages, cached }.
+async function cachedExtract({ filePath, hash, kind, maxPage, language }, extract) {
+  if (!hash && filePath && fs.existsSync(filePath)) hash = await hashFile(filePath);
+  if (hash && OCR_KINDS.includes(kind)) hash += ':' + (language || 'eng');
+  if (hash) {
+    const hit = await ExtractedText.findOneAndUpdate({ hash }, { $set: { usedAt: new Date() } }, { new: true }).lean();
+    if (hit && (hit.complete || (maxPage && hit.pages.length >= maxPage))) {
+      return { pages: hit.pages, totalPages: hit.totalPages, cached: true };
+    }
+  }
+  const { pages, totalPages } = await extract();
+  if (hash) {
+    const complete = !maxPage || pages.length >= (totalPages || 0);
+    // Never replace a complete entry with a partial one
+    await ExtractedText.updateOne(
+      { hash, complete: { $ne: true } },
+      { $set: { kind, pages, totalPages, complete, usedAt: new Date() }, $setOnInsert: { createdAt: new Date() } },
+      { upsert: true }
+    ).catch(err => { if (err.code !== 11000) throw err; });
+  }
+  return { pages, totalPages, cached: false };
+}
+
+// ======================= Retention =============================
+// Deletes files in uploads/ that no Quiz.filePath points at and that no
+// queued, running or failed (retryable) job still needs. Files modified
+// within the retention window are kept so an upload is never swept before
+// the quiz or job that uses it is saved.
+async function sweepUploads({ dryRun = false } = {}) {
+  const [quizzes, jobs] = await Promise.all([
+    Quiz.find({ filePath: { $nin: [null, ''] } }).select('filePath').lean(),
+    GenerationJob.find({ status: { $in: ['queued', 'running', 'failed'] } }).select('filePath files.path').lean()
+  ]);
+  const paths = quizzes.map(q => q.filePath);
+  jobs.forEach(j => { paths.push(j.filePath); (j.files || []).forEach(f => paths.push(f.path)); });
+  const referenced = new Set(paths.filter(Boolean).map(p => path.basename(String(p).replace(/\\/g, '/'))));
+  const cutoff = Date.now() - RETENTION_MS;
+  const removed = [];
+  let kept = 0;
+  for (const name of await fs.promises.readdir(UPLOAD_DIR)) {
+    const full = path.join(UPLOAD_DIR, name);
+    const stat = await fs.promises.stat(full).catch(() => null);
+    if (!stat || !stat.isFile()) continue;
+    if (referenced.has(name) || stat.mtimeMs > cutoff) { kept++; continue; }
+    if (!dryRun) {
+      try { await fs.promises.unlink(full); } catch (err) { if (err.code !== 'ENOENT') throw err; }
+    }
+    removed.push(name);
+  }
+  return { removed, kept };
+}
+
+let sweepTimer = null;
+
+// Runs the sweep now and then every UPLOAD_SWEEP_HOURS; call once MongoDB is up
+function startRetention() {
+  if (sweepTimer || !SWEEP_INTERVAL_MS) return;
+  const run = () => sweepUploads()
+    .then(r => { if (r.removed.length) log.info('removed unreferenced uploads', { count: r.removed.length }); })
+    .catch(err => log.error('upload retention sweep failed', { error: err.message }));
+  run();
+  sweepTimer = setInterval(run, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+}
+
+module.exports = {
+  UPLOAD_DIR,
+  MAX_UPLOAD_BYTES,
+  FILE_TYPES,
+  UploadError,
+  fileTypeOf,
+  uploadSingle,
+  uploadArray,
+  relativeUploadPath,
+  hashFile,
+  cachedExtract,
+  sweepUploads,
+  startRetention
+};
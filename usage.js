@@ -0,0 +1,251 @@
+// ======================= AI Usage ==============================
+// Every model call made on behalf of a teacher is stored as a UsageRecord
+// (endpoint, model, prompt/completion tokens). On top of that:
+//   quotas      daily and monthly token budgets per teacher, counted in UTC
+//               days/months. Defaults come from the environment; a teacher's
+//               User.aiQuota overrides them (0 = unlimited).
+//   rate limit  at most AI_RATE_LIMIT_PER_MINUTE AI requests per teacher in
+//               any 60 seconds, kept in memory (per process).
+// aiGate(endpoint) enforces both before an AI endpoint does any work. Quotas
+// are checked per request, so a request that starts under the limit may end
+// a little over it (a long generation job, for example).
+//
+// Environment:
+//   AI_DAILY_TOKEN_QUOTA       default 0 (unlimited)
+//   AI_MONTHLY_TOKEN_QUOTA     default 0 (unlimited)
+//   AI_RATE_LIMIT_PER_MINUTE   default 20, 0 disables
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { UsageRecord } = require('./models');
+const { setUsageRecorder } = require('./llm');
+const { requireAuth, requireRole } = require('./authMiddleware');
+const { requestId, serverError } = require('./logger');
+
+function intFromEnv(name, fallback) {
+  const n = parseInt(process.env[name], 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+const config = {
+  dailyTokens: intFromEnv('AI_DAILY_TOKEN_QUOTA', 0),
+  monthlyTokens: intFromEnv('AI_MONTHLY_TOKEN_QUOTA', 0),
+  ratePerMinute: intFromEnv('AI_RATE_LIMIT_PER_MINUTE', 20)
+};
+const RATE_WINDOW_MS = 60 * 1000;
+const SUMMARY_MAX_DAYS = 366;
+
+// ======================= Recording =============================
+// ~4 characters per token, for providers that send no counts
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+// Installed as the llm.js usage recorder: meter is the opts.usage of the call
+async function recordUsage(meter, result, messages) {
+  if (!meter || !meter.teacherId) return null;
+  const u = (result && result.usage) || null;
+  const record = {
+    teacherId: String(meter.teacherId),
+    endpoint: meter.endpoint,
+    purpose: meter.purpose,
+    jobId: meter.jobId,
+    requestId: requestId(),
+    model: result && result.model
+  };
+  if (u && (u.prompt_tokens != null || u.completion_tokens != null)) {
+    record.promptTokens = u.prompt_tokens || 0;
+    record.completionTokens = u.completion_tokens || 0;
+  } else {
+    record.promptTokens = (messages || []).reduce((sum, m) => sum + estimateTokens(m.content), 0);
+    record.completionTokens = estimateTokens(result && result.content);
+    record.estimated = true;
+  }
+  record.totalTokens = (u && u.total_tokens) || record.promptTokens + record.completionTokens;
+  return UsageRecord.create(record);
+}
+setUsageRecorder(recordUsage);
+
+// ======================= Quotas ================================
+function startOfDay(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+function startOfMonth(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+}
+
+function nextDay(now = new Date()) {
+  return new Date(startOfDay(now).getTime() + 24 * 3600 * 1000);
+}
+
+function nextMonth(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+}
+
+// { dailyTokens, monthlyTokens } for the teacher; 0 means unlimited
+async function quotaFor(teacherId) {
+  const quota = { dailyTokens: config.dailyTokens, monthlyTokens: config.monthlyTokens };
+  if (!mongoose.isValidObjectId(teacherId)) return quota;
+  const user = await mongoose.model('User').findById(teacherId).select('aiQuota').lean().catch(() => null);
+  const own = (user && user.aiQuota) || {};
+  if (Number.isFinite(own.dailyTokens) && own.dailyTokens >= 0) quota.dailyTokens = own.dailyTokens;
+  if (Number.isFinite(own.monthlyTokens) && own.monthlyTokens >= 0) quota.monthlyTokens = own.monthlyTokens;
+  return quota;
+}
+
+async function tokensSince(teacherId, since) {
+  const [row] = await UsageRecord.aggregate([
+    { $match: { teacherId: String(teacherId), createdAt: { $gte: since } } },
+    { $group: { _id: null, tokens: { $sum: '$totalTokens' } } }
+  ]);
+  return row ? row.tokens : 0;
+}
+
+// Used tokens and limits for the current UTC day and month
+async function quotaStatus(teacherId, now = new Date()) {
+  const [quota, day, month] = await Promise.all([
+    quotaFor(teacherId),
+    tokensSince(teacherId, startOfDay(now)),
+    tokensSince(teacherId, startOfMonth(now))
+  ]);
+  const period = (used, limit, resetsAt) => ({
+    used,
+    limit: limit || null,
+    remaining: limit ? Math.max(0, limit - used) : null,
+    resetsAt
+  });
+  return { daily: period(day, quota.dailyTokens, nextDay(now)), monthly: period(month, quota.monthlyTokens, nextMonth(now)) };
+}
+
+// The first exhausted period, or null
+function exceededPeriod(status) {
+  if (status.daily.limit && status.daily.used >= status.daily.limit) return { name: 'daily', ...status.daily };
+  if (status.monthly.limit && status.monthly.used >= status.monthly.limit) return { name: 'monthly', ...status.monthly };
+  return null;
+}
+
+// For model calls that run without a request to gate (background grading)
+async function overQuota(teacherId) {
+  return exceededPeriod(await quotaStatus(teacherId));
+}
+
+// ======================= Rate Limit ============================
+// Sliding window of request times per teacher
+const recentRequests = new Map();
+
+// Returns 0 when the request may go ahead, otherwise ms until it may
+function takeRateSlot(teacherId, now = Date.now()) {
+  if (!config.ratePerMinute) return 0;
+  const times = (recentRequests.get(teacherId) || []).filter(t => t > now - RATE_WINDOW_MS);
+  if (times.length >= config.ratePerMinute) {
+    recentRequests.set(teacherId, times);
+    return times[0] + RATE_WINDOW_MS - now;
+  }
+  times.push(now);
+  recentRequests.set(teacherId, times);
+  return 0;
+}
+
+// Drop teachers with no recent requests so the map does not grow forever
+setInterval(() => {
+  const cutoff = Date.now() - RATE_WINDOW_MS;
+  for (const [id, times] of recentRequests) {
+    if (!times.length || times[times.length - 1] <= cutoff) recentRequests.delete(id);
+  }
+}, RATE_WINDOW_MS).unref();
+
+// ======================= Middleware ============================
+// Put after requireAuth and before any upload handling, so rejected requests
+// cost neither disk nor tokens. Sets req.aiUsage for the route to pass to the
+// model call as opts.usage.
+function aiGate(endpoint) {
+  return async (req, res, next) => {
+    try {
+      const teacherId = req.user.id;
+      const waitMs = takeRateSlot(teacherId);
+      if (waitMs) {
+        res.set('Retry-After', String(Math.ceil(waitMs / 1000)));
+        return res.status(429).json({ ok: false, error: `Too many AI requests; at most ${config.ratePerMinute} per minute. Try again in ${Math.ceil(waitMs / 1000)}s.`, code: 'rate_limited' });
+      }
+      const over = exceededPeriod(await quotaStatus(teacherId));
+      if (over) {
+        res.set('Retry-After', String(Math.ceil((over.resetsAt - Date.now()) / 1000)));
+        return res.status(429).json({
+          ok: false,
+          error: `${over.name === 'daily' ? 'Daily' : 'Monthly'} AI quota of ${over.limit} tokens used up; it resets at ${over.resetsAt.toISOString()}.`,
+          code: 'quota_exceeded',
+          quota: { period: over.name, used: over.used, limit: over.limit, resetsAt: over.resetsAt }
+        });
+      }
+      req.aiUsage = { teacherId, endpoint };
+      next();
+    } catch (err) {
+      serverError(res, err);
+    }
+  };
+}
+
+// ======================= Summary ===============================
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD (UTC, inclusive; default the current month)
+// Returns totals, per-day, per-endpoint and per-model breakdowns plus the
+// current quota status.
+function parseRange(query, now = new Date()) {
+  const day = (s) => (/^\d{4}-\d{2}-\d{2}$/.test(String(s)) ? new Date(String(s) + 'T00:00:00Z') : null);
+  const from = query.from ? day(query.from) : startOfMonth(now);
+  const to = query.to ? day(query.to) : startOfDay(now);
+  if (!from || isNaN(from) || !to || isNaN(to)) return { error: 'from and to must be dates as YYYY-MM-DD' };
+  if (to < from) return { error: 'to must not be before from' };
+  if ((to - from) / (24 * 3600 * 1000) >= SUMMARY_MAX_DAYS) return { error: `range is limited to ${SUMMARY_MAX_DAYS} days` };
+  return { from, to, end: new Date(to.getTime() + 24 * 3600 * 1000) };
+}
+
+const TOTALS = {
+  requests: { $sum: 1 },
+  promptTokens: { $sum: '$promptTokens' },
+  completionTokens: { $sum: '$completionTokens' },
+  totalTokens: { $sum: '$totalTokens' }
+};
+
+function breakdown(rows, key) {
+  return rows.map(({ _id, ...totals }) => Object.assign({ [key]: _id == null ? null : _id }, totals));
+}
+
+router.get('/api/usage', requireAuth, requireRole('teacher'), async (req, res) => {
+  try {
+    const range = parseRange(req.query);
+    if (range.error) return res.status(400).json({ ok: false, error: range.error });
+    const match = { teacherId: String(req.user.id), createdAt: { $gte: range.from, $lt: range.end } };
+    const [facets] = await UsageRecord.aggregate([
+      { $match: match },
+      { $facet: {
+        total: [{ $group: Object.assign({ _id: null }, TOTALS) }],
+        byDay: [{ $group: Object.assign({ _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } } }, TOTALS) }, { $sort: { _id: 1 } }],
+        byEndpoint: [{ $group: Object.assign({ _id: '$endpoint' }, TOTALS) }, { $sort: { totalTokens: -1 } }],
+        byModel: [{ $group: Object.assign({ _id: '$model' }, TOTALS) }, { $sort: { totalTokens: -1 } }]
+      } }
+    ]);
+    const total = facets.total[0] || { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+    delete total._id;
+    res.json({
+      ok: true,
+      from: range.from.toISOString().slice(0, 10),
+      to: range.to.toISOString().slice(0, 10),
+      total,
+      byDay: breakdown(facets.byDay, 'date'),
+      byEndpoint: breakdown(facets.byEndpoint, 'endpoint'),
+      byModel: breakdown(facets.byModel, 'model'),
+      quota: await quotaStatus(req.user.id),
+      rateLimit: { perMinute: config.ratePerMinute || null }
+    });
+  } catch (err) {
+    serverError(res, err);
+  }
+});
+
+module.exports = router;
+module.exports.config = config;
+module.exports.aiGate = aiGate;
+module.exports.recordUsage = recordUsage;
+module.exports.quotaStatus = quotaStatus;
+module.exports.overQuota = overQuota;
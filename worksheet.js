@@ -0,0 +1,212 @@
+// ======================= Printable Worksheets ==================
+// Renders a stored quiz as a printable HTML worksheet and a separate answer
+// key. Everything is built from finalizedJson; no model call is involved.
+// A variant letter (A, B, ...) shuffles questions and options with a seed
+// derived from the quiz, version and letter, so the worksheet and key of the
+// same variant always match.
+const express = require('express');
+const router = express.Router();
+const { Quiz } = require('./models');
+const { typeOf, hasRubric } = require('./questionTypes');
+const { questionPoints } = require('./grading');
+const { versionJson } = require('./quizVersions');
+const { isRandomized, assemblePaper } = require('./questionBank');
+const { requireAuth, requireRole, isOwner, forbidden } = require('./authMiddleware');
+const { serverError } = require('./logger');
+
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const DEFAULT_FONT_PT = 12;
+const MIN_FONT_PT = 8;
+const MAX_FONT_PT = 24;
+
+// ======================= Helpers ===============================
+function escapeHtml(s) {
+  return String(s == null ? '' : s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Query options: ?variant=B&fontSize=14. Returns { error } when invalid.
+function parsePrintOptions(query) {
+  const opts = { variant: null, fontSize: DEFAULT_FONT_PT };
+  if (query.variant !== undefined && query.variant !== '') {
+    const v = String(query.variant).trim().toUpperCase();
+    if (!/^[A-Z]$/.test(v)) return { error: 'variant must be a single letter A-Z' };
+    opts.variant = v;
+  }
+  if (query.fontSize !== undefined && query.fontSize !== '') {
+    const n = Number(query.fontSize);
+    if (!Number.isFinite(n) || n < MIN_FONT_PT || n > MAX_FONT_PT) return { error: `fontSize must be between ${MIN_FONT_PT} and ${MAX_FONT_PT}` };
+    opts.fontSize = n;
+  }
+  return { opts };
+}
+
+// Questions as printed: the stored order, or a shuffled variant. Bank draws
+// are filled the same way for the worksheet and the key of one variant.
+async function printQuestions(quiz, json, version, variant) {
+  if (!variant && !isRandomized(json)) return json.questions || [];
+  const seed = `${quiz.id}:v${version || 1}:print:${variant || '-'}`;
+  const paperJson = variant ? Object.assign({}, json, { shuffleQuestions: true, shuffleOptions: true }) : json;
+  return (await assemblePaper(quiz, paperJson, seed)).questions;
+}
+
+function optionList(q, marker) {
+  const options = Array.isArray(q.options) ? q.options : [];
+  return `<ol class="options">${options.map((o, i) => `<li><span class="box">${marker}</span> <b>${LETTERS[i] || i + 1}.</b> ${escapeHtml(o)}</li>`).join('')}</ol>`;
+}
+
+// Quizzes in other languages carry their own true/false labels
+function trueFalseLabels(q) {
+  return Array.isArray(q.options) && q.options.length === 2 ? q.options.map(String) : ['True', 'False'];
+}
+
+function answerLines(n) {
+  return '<div class="line"></div>'.repeat(n);
+}
+
+// Blanks (___) in a fill-in question become print-friendly gaps
+function questionText(q) {
+  const text = escapeHtml(q.question);
+  return typeOf(q) === 'fill_blank' ? text.replace(/_{3,}/g, '<span class="blank"></span>') : text;
+}
+
+function questionBody(q) {
+  switch (typeOf(q)) {
+    case 'multi_select':
+      return '<p class="hint">Select all that apply.</p>' + optionList(q, '&#9744;');
+    case 'true_false':
+      return `<p class="choices">${trueFalseLabels(q).map(l => `<span class="box">&#9711;</span> ${escapeHtml(l)}`).join(' &nbsp;&nbsp; ')}</p>`;
+    case 'fill_blank':
+      return /_{3,}/.test(String(q.question || '')) ? '' : answerLines(1);
+    case 'short_answer':
+      return answerLines(4);
+    case 'essay':
+      return answerLines(10);
+    case 'numeric':
+      return '<p class="choices">Answer: <span class="blank"></span></p>';
+    case 'ordering':
+      return '<p class="hint">Number the items in the correct order.</p>' + optionList(q, '____');
+    default:
+      return optionList(q, '&#9711;');
+  }
+}
+
+function pointsLabel(q) {
+  const p = questionPoints(q);
+  return `<span class="points">(${p} ${p === 1 ? 'pt' : 'pts'})</span>`;
+}
+
+// Correct answer spelled out for the key
+function answerText(q) {
+  const options = Array.isArray(q.options) ? q.options : [];
+  const option = i => (options[i] !== undefined ? `${LETTERS[i] || i + 1}. ${options[i]}` : String(i));
+  switch (typeOf(q)) {
+    case 'multi_select':
+      return (q.correctAnswers || []).map(option).join('; ');
+    case 'true_false':
+      return typeof q.correctAnswer === 'boolean' ? trueFalseLabels(q)[q.correctAnswer ? 0 : 1] : '';
+    case 'fill_blank':
+      return (q.acceptedAnswers || []).join(' / ');
+    case 'short_answer':
+      return (q.acceptedAnswers || []).length ? 'Model answer: ' + q.acceptedAnswers.join(' / ') : 'Teacher graded';
+    case 'essay':
+      return q.modelAnswer ? 'Model answer: ' + q.modelAnswer : 'Teacher graded';
+    case 'numeric':
+      return q.tolerance ? `${q.correctAnswer} (± ${q.tolerance})` : String(q.correctAnswer);
+    case 'ordering':
+      return (q.correctOrder || []).map(i => options[i]).join(' → ');
+    default:
+      return Number.isInteger(q.correctAnswer) ? option(q.correctAnswer) : '';
+  }
+}
+
+const STYLE = `
+  body { font-family: Georgia, 'Times New Roman', serif; color: #000; background: #fff; margin: 0 auto; padding: 24px; max-width: 760px; line-height: 1.4; }
+  h1 { font-size: 1.6em; margin: 0 0 4px; }
+  .subtitle { color: #333; margin: 0 0 16px; }
+  .fields { display: flex; gap: 24px; margin: 16px 0 24px; }
+  .fields span { flex: 1; border-bottom: 1px solid #000; padding-top: 18px; }
+  .question { margin: 0 0 18px; page-break-inside: avoid; break-inside: avoid; }
+  .question h2 { font-size: 1em; font-weight: normal; margin: 0 0 6px; }
+  .num { font-weight: bold; margin-right: 4px; }
+  .points { color: #444; font-size: 0.85em; margin-left: 6px; }
+  .options { list-style: none; padding-left: 20px; margin: 4px 0; }
+  .options li { margin: 3px 0; }
+  .box { display: inline-block; min-width: 1.2em; }
+  .hint { font-style: italic; font-size: 0.9em; margin: 2px 0 4px 20px; }
+  .choices { margin: 4px 0 0 20px; }
+  .blank { display: inline-block; min-width: 140px; border-bottom: 1px solid #000; }
+  .line { border-bottom: 1px solid #000; height: 26px; margin: 0 0 0 20px; }
+  .answer { margin: 4px 0 0 20px; }
+  .explanation { margin: 4px 0 0 20px; color: #333; font-size: 0.9em; }
+  .rubric { margin: 4px 0 0 20px; font-size: 0.9em; }
+  @media print { body { padding: 0; max-width: none; } @page { margin: 18mm; } }
+`;
+
+function page(title, fontSize, body) {
+  return `<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"/><meta name="viewport" content="width=device-width,initial-scale=1"/><title>${escapeHtml(title)}</title><style>html{font-size:${fontSize}pt}${STYLE}</style></head><body>${body}</body></html>`;
+}
+
+function heading(json, variant, suffix) {
+  const title = (json.title || 'Quiz') + (suffix ? ` — ${suffix}` : '');
+  return `<h1>${escapeHtml(title)}${variant ? ` <small>(Version ${variant})</small>` : ''}</h1>` +
+    (json.description ? `<p class="subtitle">${escapeHtml(json.description)}</p>` : '');
+}
+
+// ======================= Rendering =============================
+function renderWorksheet(json, questions, { variant = null, fontSize = DEFAULT_FONT_PT } = {}) {
+  const items = questions.map((q, i) => `<div class="question"><h2><span class="num">${i + 1}.</span> ${questionText(q)}${pointsLabel(q)}</h2>${questionBody(q)}</div>`);
+  const body = heading(json, variant) +
+    '<div class="fields"><span>Name:</span><span>Date:</span></div>' +
+    items.join('');
+  return page(json.title || 'Worksheet', fontSize, body);
+}
+
+// Marking criteria under the answer of rubric questions
+function rubricHtml(q) {
+  if (!hasRubric(q)) return '';
+  return '<ul class="rubric">' + q.rubric.map(c => `<li>${escapeHtml(c.criterion)} <span class="points">(${c.points} ${c.points === 1 ? 'pt' : 'pts'})</span></li>`).join('') + '</ul>';
+}
+
+function renderAnswerKey(json, questions, { variant = null, fontSize = DEFAULT_FONT_PT } = {}) {
+  const items = questions.map((q, i) => `<div class="question"><h2><span class="num">${i + 1}.</span> ${questionText(q)}${pointsLabel(q)}</h2>` +
+    `<p class="answer"><b>Answer:</b> ${escapeHtml(answerText(q))}</p>` + rubricHtml(q) +
+    (q.explanation ? `<p class="explanation">${escapeHtml(q.explanation)}</p>` : '') + '</div>');
+  const total = questions.reduce((sum, q) => sum + questionPoints(q), 0);
+  const body = heading(json, variant, 'Answer Key') + `<p class="subtitle">Total: ${total} ${total === 1 ? 'point' : 'points'}</p>` + items.join('');
+  return page(`${json.title || 'Worksheet'} — Answer Key`, fontSize, body);
+}
+
+// ======================= Endpoints =============================
+// ?variant=A-Z (shuffled version), ?fontSize=8-24 (pt), ?version=N (stored
+// quiz version), ?download=1 to save instead of opening in the browser
+function printRoute(render, suffix) {
+  return async (req, res) => {
+    try {
+      const { opts, error } = parsePrintOptions(req.query);
+      if (error) return res.status(400).json({ ok: false, error });
+      const quiz = await Quiz.findOne({ id: req.params.id }).lean();
+      if (!quiz) return res.status(404).json({ ok: false, error: 'quiz not found' });
+      if (!isOwner(req.user, quiz.teacherId)) return forbidden(res);
+      const version = req.query.version ? parseInt(req.query.version, 10) : quiz.version;
+      const json = await versionJson(quiz, version);
+      if (!json) return res.status(404).json({ ok: false, error: 'version not found' });
+      const questions = await printQuestions(quiz, json, version, opts.variant);
+      if (!questions.length) return res.status(409).json({ ok: false, error: 'quiz has no questions to print' });
+      res.set('Content-Type', 'text/html; charset=utf-8');
+      if (req.query.download) {
+        const name = String(quiz.id).replace(/[^a-z0-9.\-_]/gi, '_') + suffix + (opts.variant ? '-' + opts.variant : '');
+        res.set('Content-Disposition', `attachment; filename="${name}.html"`);
+      }
+      res.send(render(json, questions, opts));
+    } catch (err) {
+      serverError(res, err);
+    }
+  };
+}
+
+router.get('/api/quizzes/:id/worksheet', requireAuth, requireRole('teacher'), printRoute(renderWorksheet, '-worksheet'));
+router.get('/api/quizzes/:id/answer-key', requireAuth, requireRole('teacher'), printRoute(renderAnswerKey, '-answer-key'));
+
+module.exports = router;
+module.exports.renderWorksheet = renderWorksheet;
+module.exports.renderAnswerKey = renderAnswerKey;